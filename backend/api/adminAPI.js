@@ -28,7 +28,8 @@ function getSystemStats(db, callback) {
   const queryReadings = `
     SELECT COUNT(*) AS total_readings
     FROM Sugar_Reading
-    WHERE MONTH(DateTime) = MONTH(CURRENT_DATE())
+    WHERE Deleted_At IS NULL
+      AND MONTH(DateTime) = MONTH(CURRENT_DATE())
       AND YEAR(DateTime) = YEAR(CURRENT_DATE());
   `;
 
@@ -75,7 +76,7 @@ function getPatientReadingTrendsForPeriod(db, patientId, start_date, end_date, c
       COALESCE(MIN(sr.Value), 0) AS Lowest_Reading,
       COUNT(sr.Reading_ID) AS Total_Readings
     FROM Sugar_Reading sr
-    WHERE sr.Patient_ID = ? AND sr.DateTime BETWEEN ? AND ?;
+    WHERE sr.Patient_ID = ? AND sr.Deleted_At IS NULL AND sr.DateTime BETWEEN ? AND ?;
   `;
   db.query(query, [patientId, start_date, end_date], (err, results) => {
     if (err) return callback(err);
@@ -305,10 +306,10 @@ function getReportById(db, reportId, callback) {
 
   const query = `
     SELECT r.Report_ID, r.Admin_ID, r.Period_Type, r.Period_Start, r.Period_End,
-           r.Generated_At, r.Summary_Data, u.Name AS Admin_Name
+           r.Generated_At, r.Summary_Data, COALESCE(u.Name, 'Scheduled task') AS Admin_Name
     FROM Report r
-    JOIN Administrator a ON r.Admin_ID = a.Admin_ID
-    JOIN User u ON a.Admin_ID = u.User_ID
+    LEFT JOIN Administrator a ON r.Admin_ID = a.Admin_ID
+    LEFT JOIN User u ON a.Admin_ID = u.User_ID
     WHERE r.Report_ID = ?;
   `;
 
@@ -361,11 +362,14 @@ function getPatientAssignments(db, callback) {
       spa.Specialist_ID,
       su.Name AS Specialist_Name,
       su.Email AS Specialist_Email,
-      spa.Assigned_At
+      spa.Assigned_At,
+      spa.Backup_Specialist_ID,
+      bu.Name AS Backup_Specialist_Name
     FROM Patient p
     INNER JOIN User u ON p.Patient_ID = u.User_ID
     LEFT JOIN Specialist_Patient_Assignment spa ON spa.Patient_ID = p.Patient_ID
     LEFT JOIN User su ON spa.Specialist_ID = su.User_ID
+    LEFT JOIN User bu ON spa.Backup_Specialist_ID = bu.User_ID
     ORDER BY u.Name ASC;
   `;
   db.query(query, (err, results) => {
@@ -426,12 +430,14 @@ function assignSpecialistToPatient(db, specialistId, patientId, callback) {
 
         if (checkResults.length > 0) {
           const assignmentId = checkResults[0].Assignment_ID;
+          // A backup who becomes the assigned specialist stops being the backup
           const updateQuery = `
             UPDATE Specialist_Patient_Assignment
-            SET Specialist_ID = ?, Assigned_At = NOW()
+            SET Specialist_ID = ?, Assigned_At = NOW(),
+                Backup_Specialist_ID = IF(Backup_Specialist_ID = ?, NULL, Backup_Specialist_ID)
             WHERE Assignment_ID = ?;
           `;
-          db.query(updateQuery, [specialistId, assignmentId], (updateErr) => {
+          db.query(updateQuery, [specialistId, specialistId, assignmentId], (updateErr) => {
             if (updateErr) return callback(updateErr, null);
             callback(null, { assignment_id: assignmentId, specialist_id: specialistId, patient_id: patientId, action: 'updated' });
           });
@@ -465,6 +471,59 @@ function unassignSpecialistFromPatient(db, patientId, callback) {
   });
 }
 
+// 13) Set (or clear, with null) the backup specialist who receives a patient's unacknowledged alerts
+function setBackupSpecialist(db, patientId, backupSpecialistId, callback) {
+  if (!patientId) return callback(new Error('Valid patientId is required'), null);
+
+  const assignmentQuery = `
+    SELECT Assignment_ID, Specialist_ID
+    FROM Specialist_Patient_Assignment
+    WHERE Patient_ID = ?
+    LIMIT 1;
+  `;
+
+  db.query(assignmentQuery, [patientId], (err, assignments) => {
+    if (err) return callback(err, null);
+    if (assignments.length === 0) {
+      return callback(new Error('Patient has no assigned specialist'), null);
+    }
+    if (backupSpecialistId && backupSpecialistId === assignments[0].Specialist_ID) {
+      return callback(new Error('The backup specialist must differ from the assigned specialist'), null);
+    }
+
+    const save = () => {
+      const updateQuery = `
+        UPDATE Specialist_Patient_Assignment
+        SET Backup_Specialist_ID = ?
+        WHERE Assignment_ID = ?;
+      `;
+      db.query(updateQuery, [backupSpecialistId || null, assignments[0].Assignment_ID], (updateErr) => {
+        if (updateErr) return callback(updateErr, null);
+        callback(null, { patient_id: patientId, specialist_id: assignments[0].Specialist_ID, backup_specialist_id: backupSpecialistId || null });
+      });
+    };
+
+    if (!backupSpecialistId) return save();
+
+    const specialistQuery = `
+      SELECT u.Status
+      FROM Specialist s
+      INNER JOIN User u ON s.Specialist_ID = u.User_ID
+      WHERE s.Specialist_ID = ?;
+    `;
+    db.query(specialistQuery, [backupSpecialistId], (specErr, specResults) => {
+      if (specErr) return callback(specErr, null);
+      if (specResults.length === 0) {
+        return callback(new Error('Specialist not found'), null);
+      }
+      if (specResults[0].Status !== 'Active') {
+        return callback(new Error('Specialist account is not active'), null);
+      }
+      save();
+    });
+  });
+}
+
 // Export all admin functions
 module.exports = {
   getAllUsers,
@@ -480,5 +539,6 @@ module.exports = {
   getActiveSpecialists,
   getPatientAssignments,
   assignSpecialistToPatient,
-  unassignSpecialistFromPatient
+  unassignSpecialistFromPatient,
+  setBackupSpecialist
 };
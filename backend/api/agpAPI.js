@@ -0,0 +1,141 @@
+// api/agpAPI.js
+// Purpose: Build the Ambulatory Glucose Profile (AGP) report for a patient: percentile
+//          curves by time of day, daily mini-profiles and time-in-range metrics over a
+//          configurable window (14 days by default).
+
+const unitConverter = require('../utils/unitConverter');
+const glucoseMetrics = require('../utils/glucoseMetrics');
+const agpProfile = require('../utils/agpProfile');
+
+const DEFAULT_WINDOW_DAYS = 14;
+const MAX_WINDOW_DAYS = 90;
+const DEFAULT_BIN_MINUTES = 15;
+const ALLOWED_BIN_MINUTES = [5, 10, 15, 20, 30, 60];
+
+/**
+ * Validate AGP query parameters and apply defaults
+ * @param {Object} query - req.query ({ days, endDate, binMinutes, expectedInterval })
+ * @returns {{ error: string|null, options: Object|null }} options: { days, endDate, binMinutes, expectedInterval }
+ */
+function parseAgpOptions(query) {
+  const days = query.days !== undefined ? parseInt(query.days, 10) : DEFAULT_WINDOW_DAYS;
+  if (isNaN(days) || days < 1 || days > MAX_WINDOW_DAYS) {
+    return { error: `days must be between 1 and ${MAX_WINDOW_DAYS}`, options: null };
+  }
+
+  const binMinutes = query.binMinutes !== undefined ? parseInt(query.binMinutes, 10) : DEFAULT_BIN_MINUTES;
+  if (!ALLOWED_BIN_MINUTES.includes(binMinutes)) {
+    return { error: `binMinutes must be one of ${ALLOWED_BIN_MINUTES.join(', ')}`, options: null };
+  }
+
+  let endDate = new Date();
+  if (query.endDate) {
+    endDate = new Date(query.endDate);
+    if (isNaN(endDate.getTime())) {
+      return { error: 'Invalid endDate', options: null };
+    }
+    // A date-only endDate includes that whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(query.endDate)) {
+      endDate = new Date(`${query.endDate}T23:59:59`);
+    }
+  }
+
+  const expectedInterval = query.expectedInterval !== undefined ? parseFloat(query.expectedInterval) : null;
+  if (expectedInterval !== null && (isNaN(expectedInterval) || expectedInterval <= 0 || expectedInterval > 1440)) {
+    return { error: 'expectedInterval must be a number of minutes between 1 and 1440', options: null };
+  }
+
+  return {
+    error: null,
+    options: { days: days, endDate: endDate, binMinutes: binMinutes, expectedInterval: expectedInterval }
+  };
+}
+
+/**
+ * Generate the AGP report for a patient
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Object} options - { days, endDate, binMinutes, expectedInterval } from parseAgpOptions
+ * @param {string} unit - Unit for glucose values in the report ('mg/dL' or 'mmol/L')
+ * @param {Function} callback - Callback function(err, report)
+ */
+function getAgpReport(db, patientId, options, unit, callback) {
+  const end = options.endDate;
+  // Window covers `days` whole calendar days ending on the end date
+  const start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - options.days + 1);
+
+  const patientQuery = `
+    SELECT p.Patient_ID, u.Name, p.Healthcare_Number, p.Date_Of_Birth
+    FROM Patient p
+    INNER JOIN User u ON p.Patient_ID = u.User_ID
+    WHERE p.Patient_ID = ?
+  `;
+
+  db.query(patientQuery, [patientId], (err, patientResults) => {
+    if (err) return callback(err, null);
+
+    if (patientResults.length === 0) {
+      return callback(new Error('Patient not found'), null);
+    }
+
+    const readingsQuery = `
+      SELECT DateTime, Value, Unit
+      FROM Sugar_Reading
+      WHERE Patient_ID = ? AND Deleted_At IS NULL AND DateTime BETWEEN ? AND ?
+      ORDER BY DateTime ASC
+    `;
+
+    db.query(readingsQuery, [patientId, start, end], (err, rows) => {
+      if (err) return callback(err, null);
+
+      const readings = rows.map(r => ({
+        time: new Date(r.DateTime),
+        value: unitConverter.toCanonical(r.Value, r.Unit)
+      }));
+
+      const toUnit = value => unitConverter.convertValue(value, unitConverter.CANONICAL_UNIT, unit);
+      const metrics = glucoseMetrics.computeGlycemicMetrics(readings, { start: start, end: end }, options.expectedInterval);
+
+      const percentiles = agpProfile.percentileCurves(readings, options.binMinutes).map(bin => {
+        const converted = { ...bin };
+        agpProfile.PERCENTILES.forEach(p => { converted[`p${p}`] = toUnit(bin[`p${p}`]); });
+        return converted;
+      });
+
+      const dailyProfiles = agpProfile.dailyProfiles(readings, start, end).map(day => ({
+        date: day.date,
+        mean: toUnit(day.mean),
+        readings: day.readings.map(r => ({ minute: r.minute, value: toUnit(r.value) }))
+      }));
+
+      const patient = patientResults[0];
+      callback(null, {
+        patient: {
+          patient_id: patient.Patient_ID,
+          name: patient.Name,
+          healthcare_number: patient.Healthcare_Number,
+          date_of_birth: patient.Date_Of_Birth
+        },
+        unit: unitConverter.normalizeUnit(unit) || unitConverter.CANONICAL_UNIT,
+        window: { start: start, end: end, days: options.days },
+        bin_minutes: options.binMinutes,
+        target_range: {
+          low: toUnit(glucoseMetrics.RANGES.LOW),
+          high: toUnit(glucoseMetrics.RANGES.HIGH)
+        },
+        percentiles: percentiles,
+        daily_profiles: dailyProfiles,
+        metrics: unitConverter.convertFields(metrics, ['mean_glucose', 'standard_deviation'], unit)
+      });
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  MAX_WINDOW_DAYS,
+  DEFAULT_BIN_MINUTES,
+  ALLOWED_BIN_MINUTES,
+  parseAgpOptions,
+  getAgpReport
+};
@@ -1,6 +1,21 @@
 // api/aiProcessingAPI.js
 // Purpose: Handles the server-side AI pattern analysis of blood sugar readings.
 
+const mealAPI = require('./mealAPI');
+const foodDictionary = require('../utils/foodDictionary');
+const liveUpdates = require('../services/liveUpdates');
+const triggerStatistics = require('../utils/triggerStatistics');
+
+// An item is tested only if it preceded at least MIN_SUPPORT readings, MIN_ABNORMAL_WITH_ITEM of
+// them abnormal. It counts as a trigger if readings after it were abnormal significantly more
+// often than readings without it (one-sided Fisher exact test) and at least MIN_RELATIVE_RISK
+// times as often; STRONG_RELATIVE_RISK or more makes it a strong pattern.
+const MIN_SUPPORT = 5;
+const MIN_ABNORMAL_WITH_ITEM = 3;
+const SIGNIFICANCE_LEVEL = 0.05;
+const MIN_RELATIVE_RISK = 1.5;
+const STRONG_RELATIVE_RISK = 2;
+
 function splitAndNormalize(text) {
   if (!text) return [];
   return text
@@ -9,6 +24,29 @@ function splitAndNormalize(text) {
     .filter(Boolean);
 }
 
+// Doses taken this many hours before a reading count as a candidate factor for it
+const DOSE_WINDOW_HOURS = 4;
+
+// Pattern items for the doses taken before a reading (or linked to it)
+function doseItems(reading, doses) {
+  const readingTime = new Date(reading.DateTime).getTime();
+  const windowStart = readingTime - DOSE_WINDOW_HOURS * 60 * 60 * 1000;
+  return doses
+    .filter(d => {
+      if (d.Reading_ID === reading.Reading_ID) return true;
+      const doseTime = new Date(d.DateTime).getTime();
+      return doseTime >= windowStart && doseTime <= readingTime;
+    })
+    .map(d => `${d.Drug_Name.trim().toLowerCase()} dose`);
+}
+
+// AI_Suggestion.Based_On_Pattern for a trigger: the item and the comparison behind it
+function basedOnPatternFor(trigger) {
+  const riskText = trigger.relative_risk === null ? '' : `RR ${trigger.relative_risk}, `;
+  return `${trigger.item.slice(0, 120)}: abnormal ${trigger.abnormal_with}/${trigger.readings_with} times ` +
+    `vs ${trigger.abnormal_without}/${trigger.readings_without} otherwise (${riskText}p = ${trigger.p_value})`;
+}
+
 function timeBucket(datetime) {
   const hour = new Date(datetime).getHours();
   if (hour >= 6 && hour < 11) return "morning";
@@ -18,8 +56,18 @@ function timeBucket(datetime) {
 }
 
 /**
- * Analyzes a patient's readings, identifies patterns in abnormal readings,
+ * Analyzes a patient's readings, identifies items linked to abnormal readings,
  * and stores suggestions and analysis results in the database.
+ * An item is only a trigger if readings after it are abnormal more often than readings
+ * without it, so something the patient has every day is not flagged just for being common.
+ * The comparison for every tested item is saved in AIPatternAnalyzer.Correlation_Results.
+ * Logged insulin/medication doses taken shortly before a reading are candidate
+ * factors alongside the food, activity and symptom notes. Doses are usually taken because
+ * glucose is already high, so a dose trigger never suggests skipping or reducing it; the
+ * suggestion asks the patient to review it with their specialist instead. Foods (from Food_Notes and
+ * the reading's linked meal) are mapped to canonical food dictionary items first.
+ * A trigger that already has a suggestion with the same counts is not suggested again, so
+ * re-running the analysis over unchanged readings (e.g. a retried job) adds no duplicates.
  * This is intended to be triggered after a new 'Abnormal' reading is added.
  * 
  * @param {Object} db - Database connection
@@ -29,9 +77,19 @@ function timeBucket(datetime) {
 function analyzeAndCreateSuggestions(db, patientId, callback) {
   // 1. Fetch all readings for the patient
   const readingsQuery = `
-    SELECT Reading_ID, DateTime, Category, Food_Notes, Activity_Notes, Event, Symptoms, Notes 
+    SELECT Reading_ID, DateTime, Category, Food_Notes, Activity_Notes, Event, Symptoms, Notes,
+      (SELECT GROUP_CONCAT(fi.Name)
+       FROM Meal_Item mi
+       INNER JOIN Food_Item fi ON mi.Food_ID = fi.Food_ID
+       WHERE mi.Meal_ID = Sugar_Reading.Meal_ID) AS Meal_Foods
     FROM Sugar_Reading 
-    WHERE Patient_ID = ? ORDER BY DateTime DESC
+    WHERE Patient_ID = ? AND Deleted_At IS NULL ORDER BY DateTime DESC
+  `;
+
+  const dosesQuery = `
+    SELECT Reading_ID, DateTime, Drug_Name
+    FROM Medication_Log
+    WHERE Patient_ID = ?
   `;
 
   db.query(readingsQuery, [patientId], (err, readings) => {
@@ -40,103 +98,167 @@ function analyzeAndCreateSuggestions(db, patientId, callback) {
       return callback(err);
     }
 
-    const minOccurrences = 3;
-    const minPercent = 0.4;
+    db.query(dosesQuery, [patientId], (err, doses) => {
+      if (err) {
+        console.error(`AI Processing Error: Could not fetch medication log for patient ${patientId}`, err);
+        return callback(err);
+      }
 
-    // 2. Filter for abnormal readings
-    const abnormal = readings.filter(r => r.Category === 'Abnormal');
+      mealAPI.getFoodIndex(db, patientId, (err, foodIndex) => {
+        if (err) {
+          console.error(`AI Processing Error: Could not load the food dictionary for patient ${patientId}`, err);
+          return callback(err);
+        }
 
-    if (abnormal.length < minOccurrences) {
-      return callback(null, { status: 'skipped', reason: 'Not enough abnormal readings to analyze.' });
-    }
+        // 2. Filter for abnormal readings
+        const abnormal = readings.filter(r => r.Category === 'Abnormal');
 
-    // 3. Perform pattern analysis (similar to frontend logic)
-    const itemMap = {};
-    abnormal.forEach(r => {
-      const items = [
-        ...splitAndNormalize(r.Food_Notes), 
-        ...splitAndNormalize(r.Activity_Notes),
-        ...splitAndNormalize(r.Event),
-        ...splitAndNormalize(r.Symptoms),
-        ...splitAndNormalize(r.Notes)
-      ];
-      const bucket = timeBucket(r.DateTime);
-      const readingId = r.Reading_ID;
-
-      items.forEach(item => {
-        if (!itemMap[item]) itemMap[item] = { count: 0, readings: new Set(), times: {} };
-        if (!itemMap[item].readings.has(readingId)) {
-          itemMap[item].readings.add(readingId);
-          itemMap[item].count = itemMap[item].readings.size;
+        if (abnormal.length < MIN_ABNORMAL_WITH_ITEM) {
+          return callback(null, { status: 'skipped', reason: 'Not enough abnormal readings to analyze.' });
         }
-        itemMap[item].times[bucket] = (itemMap[item].times[bucket] || 0) + 1;
-      });
-    });
-
-    // 4. Save the analysis result to the AIPatternAnalyzer table
-    const analysisData = { totalAbnormal: abnormal.length, items: itemMap };
-    const analysisQuery = `
-      INSERT INTO AIPatternAnalyzer (Patient_ID, Analysis_DateTime, Pattern_Data) 
-      VALUES (?, NOW(), ?)
-      ON DUPLICATE KEY UPDATE Pattern_Data = VALUES(Pattern_Data);
-    `;
-    // Note: AIPatternAnalyzer table would need a UNIQUE key on Patient_ID for ON DUPLICATE KEY to work, or use REPLACE.
-    // For now, we will just insert a new analysis each time.
-    const insertAnalysisQuery = `INSERT INTO AIPatternAnalyzer (Patient_ID, Analysis_DateTime, Pattern_Data) VALUES (?, NOW(), ?)`
-    db.query(insertAnalysisQuery, [patientId, JSON.stringify(analysisData)], (err, analysisResult) => {
-        if (err) {
-            // Non-critical error, so we just log it and continue to creating suggestions
-            console.error(`AI Processing Error: Could not save analysis for patient ${patientId}`, err);
-        } else {
-            console.log(`AI analysis saved for patient ${patientId}. Analysis ID: ${analysisResult.insertId}`);
+        if (abnormal.length === readings.length) {
+          return callback(null, { status: 'skipped', reason: 'No normal or borderline readings to compare against.' });
         }
-    });
 
-    // 5. Check for patterns and create suggestions
-    let suggestionsCreated = 0;
-    const patternsToProcess = Object.entries(itemMap);
-    let patternsProcessed = 0;
+        // 3. Count, for every item, the readings taken after it and how many of them were abnormal
+        const itemMap = {};
+        const doseItemNames = new Set();
+        readings.forEach(r => {
+          const readingDoses = doseItems(r, doses);
+          readingDoses.forEach(item => doseItemNames.add(item));
+          const items = new Set([
+            ...foodDictionary.canonicalFoods(r.Food_Notes, r.Meal_Foods, foodIndex),
+            ...splitAndNormalize(r.Activity_Notes),
+            ...splitAndNormalize(r.Event),
+            ...splitAndNormalize(r.Symptoms),
+            ...splitAndNormalize(r.Notes),
+            ...readingDoses
+          ]);
+          const isAbnormal = r.Category === 'Abnormal';
+          const bucket = timeBucket(r.DateTime);
 
-    if (patternsToProcess.length === 0) {
-      return callback(null, { status: 'completed', patterns_found: 0, suggestions_created: 0 });
-    }
+          items.forEach(item => {
+            if (!itemMap[item]) itemMap[item] = { total: 0, abnormal: 0, times: {} };
+            itemMap[item].total++;
+            if (isAbnormal) {
+              itemMap[item].abnormal++;
+              itemMap[item].times[bucket] = (itemMap[item].times[bucket] || 0) + 1;
+            }
+          });
+        });
+
+        // 4. Compare each item with enough support against the readings without it
+        const correlations = Object.entries(itemMap)
+          .filter(([, data]) => data.total >= MIN_SUPPORT && data.abnormal >= MIN_ABNORMAL_WITH_ITEM)
+          .map(([item, data]) => {
+            const stats = triggerStatistics.compareItem({
+              a: data.abnormal,
+              b: data.total - data.abnormal,
+              c: abnormal.length - data.abnormal,
+              d: readings.length - abnormal.length - (data.total - data.abnormal)
+            });
+            const significant = stats.p_value < SIGNIFICANCE_LEVEL &&
+              (stats.relative_risk === null || stats.relative_risk >= MIN_RELATIVE_RISK);
+            const timing = Object.entries(data.times).sort((x, y) => y[1] - x[1])[0]?.[0] || null;
+            return { item, dose: doseItemNames.has(item), ...stats, significant, timing };
+          })
+          .sort((x, y) => x.p_value - y.p_value);
 
-    patternsToProcess.forEach(([item, data]) => {
-      const occurrences = data.count;
-      const percent = occurrences / abnormal.length;
-
-      if (occurrences >= minOccurrences && percent >= minPercent) {
-        const timing = Object.entries(data.times).sort((a, b) => b[1] - a[1])[0]?.[0] || "various times";
-        const strength = percent >= 0.7 ? "strong" : "moderate";
-        const message = strength === "strong"
-          ? `A strong pattern detected: Your blood sugar was abnormal in ${Math.round(percent * 100)}% of cases after '${item}'. Consider avoiding or reducing it.`
-          : `A pattern detected: Your blood sugar was abnormal in ${Math.round(percent * 100)}% of cases after '${item}'. Consider portion control or timing changes.`;
-        
-        const basedOnPattern = `${item} (${occurrences}/${abnormal.length} times)`;
-
-        // Save the suggestion to the database
-        const suggestionQuery = `
-          INSERT INTO AI_Suggestion (Patient_ID, Content, Generated_At, Based_On_Pattern)
-          VALUES (?, ?, NOW(), ?)
+        const triggers = correlations.filter(c => c.significant);
+
+        // 5. Save the counts and the comparisons to the AIPatternAnalyzer table
+        const analysisData = { totalReadings: readings.length, totalAbnormal: abnormal.length, items: itemMap };
+        const correlationResults = {
+          method: 'fisher_exact_one_sided',
+          significance_level: SIGNIFICANCE_LEVEL,
+          min_support: MIN_SUPPORT,
+          min_abnormal_with_item: MIN_ABNORMAL_WITH_ITEM,
+          min_relative_risk: MIN_RELATIVE_RISK,
+          baseline_abnormal_rate: Math.round((abnormal.length / readings.length) * 1000) / 1000,
+          items_tested: correlations.length,
+          results: correlations
+        };
+        const insertAnalysisQuery = `
+          INSERT INTO AIPatternAnalyzer (Patient_ID, Analysis_DateTime, Pattern_Data, Correlation_Results)
+          VALUES (?, NOW(), ?, ?)
         `;
-        db.query(suggestionQuery, [patientId, message, basedOnPattern], (err, suggestionResult) => {
+        db.query(insertAnalysisQuery, [patientId, JSON.stringify(analysisData), JSON.stringify(correlationResults)], (err, analysisResult) => {
+            if (err) {
+                // Non-critical error, so we just log it and continue to creating suggestions
+                console.error(`AI Processing Error: Could not save analysis for patient ${patientId}`, err);
+            } else {
+                console.log(`AI analysis saved for patient ${patientId}. Analysis ID: ${analysisResult.insertId}`);
+            }
+        });
+
+        // 6. Create a suggestion for every item linked to abnormal readings, citing the comparison
+        const suggestions = triggers.map(trigger => ({ trigger, basedOnPattern: basedOnPatternFor(trigger) }));
+        let suggestionsCreated = 0;
+        let duplicatesSkipped = 0;
+        const done = () => callback(null, {
+          status: 'completed',
+          items_tested: correlations.length,
+          patterns_found: triggers.length,
+          suggestions_created: suggestionsCreated,
+          duplicates_skipped: duplicatesSkipped
+        });
+
+        if (suggestions.length === 0) return done();
+
+        const existingQuery = `
+          SELECT DISTINCT Based_On_Pattern FROM AI_Suggestion
+          WHERE Patient_ID = ? AND Based_On_Pattern IN (?)
+        `;
+        db.query(existingQuery, [patientId, suggestions.map(s => s.basedOnPattern)], (err, existingRows) => {
           if (err) {
-            console.error(`AI Processing Error: Could not create suggestion for patient ${patientId}`, err);
-          } else {
-            suggestionsCreated++;
-            console.log(`AI suggestion created for patient ${patientId}. Suggestion ID: ${suggestionResult.insertId}`);
-          }
-          patternsProcessed++;
-          if (patternsProcessed === patternsToProcess.length) {
-            callback(null, { status: 'completed', patterns_found: patternsToProcess.length, suggestions_created: suggestionsCreated });
+            console.error(`AI Processing Error: Could not check existing suggestions for patient ${patientId}`, err);
+            return callback(err);
           }
+          const existing = new Set(existingRows.map(row => row.Based_On_Pattern));
+
+          const next = (index) => {
+            if (index >= suggestions.length) return done();
+            const { trigger, basedOnPattern } = suggestions[index];
+            if (existing.has(basedOnPattern)) {
+              duplicatesSkipped++;
+              return next(index + 1);
+            }
+
+            const percentWith = Math.round(trigger.abnormal_rate_with * 100);
+            const percentWithout = Math.round(trigger.abnormal_rate_without * 100);
+            const comparison = `abnormal ${percentWith}% of the time after '${trigger.item}' ` +
+              `(${trigger.abnormal_with} of ${trigger.readings_with} readings) vs ${percentWithout}% otherwise ` +
+              `(${trigger.abnormal_without} of ${trigger.readings_without})`;
+            const strong = trigger.relative_risk === null || trigger.relative_risk >= STRONG_RELATIVE_RISK;
+            let message;
+            if (trigger.dose) {
+              message = `A pattern detected: Your blood sugar was ${comparison}. Doses are often taken because ` +
+                'blood sugar is already high, so do not skip or change this dose on your own; discuss it with your specialist.';
+            } else if (strong) {
+              message = `A strong pattern detected: Your blood sugar was ${comparison}. Consider avoiding or reducing it.`;
+            } else {
+              message = `A pattern detected: Your blood sugar was ${comparison}. Consider portion control or timing changes.`;
+            }
+
+            // Save the suggestion to the database
+            const suggestionQuery = `
+              INSERT INTO AI_Suggestion (Patient_ID, Content, Generated_At, Based_On_Pattern)
+              VALUES (?, ?, NOW(), ?)
+            `;
+            db.query(suggestionQuery, [patientId, message, basedOnPattern], (err, suggestionResult) => {
+              if (err) {
+                console.error(`AI Processing Error: Could not create suggestion for patient ${patientId}`, err);
+              } else {
+                suggestionsCreated++;
+                console.log(`AI suggestion created for patient ${patientId}. Suggestion ID: ${suggestionResult.insertId}`);
+                liveUpdates.publish(liveUpdates.EVENTS.SUGGESTION_CREATED, patientId, { suggestionId: suggestionResult.insertId });
+              }
+              next(index + 1);
+            });
+          };
+          next(0);
         });
-      } else {
-        patternsProcessed++;
-        if (patternsProcessed === patternsToProcess.length) {
-          callback(null, { status: 'completed', patterns_found: patternsToProcess.length, suggestions_created: suggestionsCreated });
-        }
-      }
+      });
     });
   });
 }
@@ -1,9 +1,14 @@
 // api/alertAPI.js
 // Author: Krish
-// Purpose: Manage patient alerts for abnormal readings
+// Purpose: Manage patient alerts: evaluate the configured alert rules (see alertRuleAPI) and
+//          record and deliver the alerts they raise, and raise urgent alerts for critical readings
 
-const socketManager = require('../socketManager');
-const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
+const notificationPreferenceAPI = require('./notificationPreferenceAPI');
+const liveUpdates = require('../services/liveUpdates');
+const unitConverter = require('../utils/unitConverter');
+const thresholdAPI = require('./thresholdAPI');
+const alertRuleAPI = require('./alertRuleAPI');
 
 // Count abnormal readings in the last 7 days for a patient
 function countAbnormalThisWeek(db, patientId, callback) {
@@ -12,6 +17,7 @@ function countAbnormalThisWeek(db, patientId, callback) {
     FROM Sugar_Reading
     WHERE Category = 'Abnormal'
       AND Patient_ID = ?
+      AND Deleted_At IS NULL
       AND DateTime >= DATE_SUB(NOW(), INTERVAL 7 DAY)
   `;
   
@@ -21,14 +27,6 @@ function countAbnormalThisWeek(db, patientId, callback) {
   });
 }
 
-// Check if alert should trigger (more than 3 abnormal readings)
-function shouldTriggerAlert(db, patientId, callback) {
-  countAbnormalThisWeek(db, patientId, (err, count) => {
-    if (err) return callback(err, null);
-    callback(null, count > 3);
-  });
-}
-
 // Get specialist assigned to patient
 function getPatientSpecialist(db, patientId, callback) {
   const query = `
@@ -46,23 +44,35 @@ function getPatientSpecialist(db, patientId, callback) {
   });
 }
 
-// Create alert record in database
-function createAlert(db, patientId, abnormalCount, specialistId, callback) {
+/**
+ * Create an alert raised by a rule and deliver it to the rule's recipients on the notification
+ * channels they chose (see notificationPreferenceAPI), each in the recipient's preferred unit
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Object} rule - Parsed alert rule
+ * @param {Object} result - Rule evaluation ({ matchCount, readingIds, message })
+ * @param {number|null} specialistId - Assigned specialist
+ * @param {Function} callback - Callback function(err, alertData)
+ */
+function createAlert(db, patientId, rule, result, specialistId, callback) {
   const now = new Date();
   const dayOfWeek = now.getDay(); // 0 for Sunday, 1 for Monday, etc.
   const weekStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - dayOfWeek);
   weekStart.setHours(0, 0, 0, 0); // Set to the beginning of the day
 
-  console.log('createAlert: Calculated weekStart:', weekStart);
-
-  const recipients = `Patient ${patientId}, Specialist ${specialistId}`;
+  const notifyPatient = rule.Recipients.includes('Patient');
+  const notifySpecialist = rule.Recipients.includes('Specialist') && !!specialistId;
+  const recipients = [
+    notifyPatient ? `Patient ${patientId}` : null,
+    notifySpecialist ? `Specialist ${specialistId}` : null
+  ].filter(Boolean).join(', ');
 
   const query = `
-    INSERT INTO Alert (Patient_ID, Week_Start, Abnormal_Count, Sent_At, Recipients)
-    VALUES (?, ?, ?, NOW(), ?)
+    INSERT INTO Alert (Patient_ID, Week_Start, Abnormal_Count, Sent_At, Recipients, Rule_ID, Severity, Message)
+    VALUES (?, ?, ?, NOW(), ?, ?, ?, ?)
   `;
 
-  const values = [patientId, weekStart, abnormalCount, recipients];
+  const values = [patientId, weekStart, result.matchCount, recipients, rule.Rule_ID, rule.Severity, result.message.slice(0, 255)];
 
   db.query(query, values, (err, results) => {
     if (err) return callback(err, null);
@@ -70,66 +80,60 @@ function createAlert(db, patientId, abnormalCount, specialistId, callback) {
     const alertData = {
       alert_id: results.insertId,
       patient_id: patientId,
+      rule_id: rule.Rule_ID,
+      rule_name: rule.Name,
+      severity: rule.Severity,
+      message: result.message,
       week_start: weekStart,
-      abnormal_count: abnormalCount,
+      abnormal_count: result.matchCount,
       recipients: recipients,
       sent_at: new Date()
     };
 
-    console.log(`Alert created - ID: ${alertData.alert_id}, Patient: ${patientId}`);
+    console.log(`Alert created - ID: ${alertData.alert_id}, Patient: ${patientId}, Rule: ${rule.Rule_ID}`);
+    notificationService.publish('alert.created', alertData);
+    liveUpdates.publish(liveUpdates.EVENTS.ALERT_UPDATED, patientId, { alertId: alertData.alert_id, status: 'Open' });
+
+    const notificationData = {
+      type: 'alert',
+      title: `${rule.Severity} Blood Sugar Alert: ${rule.Name}`,
+      message: `${result.message}. Please review your logs.`,
+      severity: rule.Severity,
+      alertId: alertData.alert_id,
+      patientId: patientId,
+      timestamp: new Date().toISOString()
+    };
 
-    // Fetch patient name and email
-    const patientQuery = `SELECT Name, Email FROM User WHERE User_ID = ? AND Status = 'Active'`;
-    db.query(patientQuery, [patientId], (patientErr, patientResults) => {
+    // Fetch patient name and contact details
+    const userQuery = `SELECT Name, Email, Phone, Preferred_Unit FROM User WHERE User_ID = ? AND Status = 'Active'`;
+    db.query(userQuery, [patientId], (patientErr, patientResults) => {
       if (patientErr || !patientResults || patientResults.length === 0) {
         console.warn(`Could not fetch patient data for alert ${alertData.alert_id}: ${patientErr ? patientErr.message : 'Patient not found'}`);
         return callback(null, alertData);
       }
 
-      const patientName = patientResults[0].Name;
-      const patientEmail = patientResults[0].Email;
+      const patient = patientResults[0];
 
-      // Fetch abnormal readings for the past 7 days
+      // Readings that matched the rule (none for a No_Readings rule)
       const readingsQuery = `
         SELECT Reading_ID, DateTime, Value, Unit, Category, Food_Notes, Activity_Notes, Symptoms
         FROM Sugar_Reading
-        WHERE Patient_ID = ? AND Category = 'Abnormal' AND DateTime >= DATE_SUB(NOW(), INTERVAL 7 DAY)
+        WHERE Reading_ID IN (?)
         ORDER BY DateTime DESC
       `;
+      const loadReadings = (done) => {
+        if (result.readingIds.length === 0) return done(null, []);
+        db.query(readingsQuery, [result.readingIds], done);
+      };
 
-      db.query(readingsQuery, [patientId], (readingsErr, readings) => {
+      loadReadings((readingsErr, readings) => {
         if (readingsErr) {
           console.warn(`Could not fetch readings for alert ${alertData.alert_id}: ${readingsErr.message}`);
-          return callback(null, alertData);
+          readings = [];
         }
 
-        // Build readings table HTML
-        let readingsTableRows = '';
-        readings.forEach(reading => {
-          const timestamp = new Date(reading.DateTime).toLocaleString('en-US', {
-            dateStyle: 'short',
-            timeStyle: 'short'
-          });
-          readingsTableRows += `
-            <tr>
-              <td style="padding: 8px; border: 1px solid #ddd;">${timestamp}</td>
-              <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; color: #d9534f;">${reading.Value} ${reading.Unit || 'mg/dL'}</td>
-              <td style="padding: 8px; border: 1px solid #ddd;">${reading.Category}</td>
-              <td style="padding: 8px; border: 1px solid #ddd;">${reading.Food_Notes || 'N/A'}</td>
-            </tr>
-          `;
-        });
-
-        // Send email to patient
-        const patientSubject = 'Blood Sugar Alert - Multiple Abnormal Readings';
-        const patientHtml = `
-          <html>
-            <body style="font-family: Arial, sans-serif; color: #333;">
-              <h2 style="color: #d9534f;">Blood Sugar Alert</h2>
-              <p>Dear ${patientName},</p>
-              <p>You have logged <strong>${abnormalCount}</strong> abnormal blood sugar readings in the past 7 days.</p>
-
-              <h3>Your Abnormal Readings:</h3>
+        const readingsTable = (unit) => readings.length === 0 ? '' : `
+              <h3>Readings:</h3>
               <table style="border-collapse: collapse; width: 100%; margin: 20px 0;">
                 <thead>
                   <tr style="background-color: #f2f2f2;">
@@ -140,77 +144,313 @@ function createAlert(db, patientId, abnormalCount, specialistId, callback) {
                   </tr>
                 </thead>
                 <tbody>
-                  ${readingsTableRows}
+                  ${buildReadingsTableRows(readings, unit)}
                 </tbody>
               </table>
+        `;
+
+        const sendToSpecialist = () => {
+          if (!notifySpecialist) {
+            return callback(null, alertData);
+          }
+
+          db.query(userQuery, [specialistId], (specialistErr, specialistResults) => {
+            if (specialistErr || !specialistResults || specialistResults.length === 0) {
+              console.warn(`Could not fetch specialist data for alert ${alertData.alert_id}: ${specialistErr ? specialistErr.message : 'Specialist not found'}`);
+              return callback(null, alertData);
+            }
+
+            const specialist = specialistResults[0];
+            const specialistHtml = `
+              <html>
+                <body style="font-family: Arial, sans-serif; color: #333;">
+                  <h2 style="color: #d9534f;">Patient Alert (${rule.Severity})</h2>
+                  <p>Dear ${specialist.Name},</p>
+                  <p>Your patient <strong>${patient.Name}</strong> (Patient ID: ${patientId}) triggered the alert rule <strong>${rule.Name}</strong>: ${result.message}.</p>
+                  ${readingsTable(specialist.Preferred_Unit)}
+                  <p style="color: #d9534f; font-weight: bold;">⚠️ Please review this patient's case and consider reaching out to them.</p>
+                  <p>Best regards,<br/>Blood Sugar Monitoring System</p>
+                </body>
+              </html>
+            `;
+
+            notificationPreferenceAPI.notify(db,
+              { userId: specialistId, email: specialist.Email, phone: specialist.Phone, label: `specialist ${specialistId}` },
+              'alert',
+              {
+                subject: `Patient Alert - ${patient.Name} - ${rule.Name}`,
+                html: specialistHtml,
+                text: `${rule.Severity} alert for ${patient.Name}: ${result.message}.`,
+                inApp: { ...notificationData, message: `Patient ${patient.Name}: ${result.message}.` }
+              },
+              (notifyErr, deliveries) => {
+                alertData.specialist_channels = deliveries.filter(d => d.ok).map(d => d.channel);
+                console.log(`Alert ${alertData.alert_id} sent to specialist ${specialistId} by ${notificationService.describeResults(deliveries)}`);
+                callback(null, alertData);
+              }
+            );
+          });
+        };
 
+        if (!notifyPatient) {
+          return sendToSpecialist();
+        }
+
+        const patientHtml = `
+          <html>
+            <body style="font-family: Arial, sans-serif; color: #333;">
+              <h2 style="color: #d9534f;">Blood Sugar Alert</h2>
+              <p>Dear ${patient.Name},</p>
+              <p>${result.message}.</p>
+              ${readingsTable(patient.Preferred_Unit)}
               <p style="color: #d9534f; font-weight: bold;">⚠️ Please contact your specialist as soon as possible to discuss these readings.</p>
               <p>Best regards,<br/>Blood Sugar Monitoring System</p>
             </body>
           </html>
         `;
 
-        emailService.sendAlertEmail([patientEmail], patientSubject, patientHtml, (patientEmailErr, patientResult) => {
-          if (patientEmailErr) {
-            console.warn(`Failed to send email to patient for alert ${alertData.alert_id}: ${patientEmailErr.message}`);
-          } else {
-            console.log(`Alert email sent to patient (${patientEmail}) for alert ${alertData.alert_id}`);
+        notificationPreferenceAPI.notify(db,
+          { userId: patientId, email: patient.Email, phone: patient.Phone, label: `patient ${patientId}` },
+          'alert',
+          {
+            subject: `Blood Sugar Alert - ${rule.Name}`,
+            html: patientHtml,
+            text: `Blood sugar alert: ${result.message}. Please contact your specialist.`,
+            inApp: notificationData
+          },
+          (notifyErr, deliveries) => {
+            alertData.patient_channels = deliveries.filter(d => d.ok).map(d => d.channel);
+            console.log(`Alert ${alertData.alert_id} sent to patient ${patientId} by ${notificationService.describeResults(deliveries)}`);
+            sendToSpecialist();
           }
+        );
+      });
+    });
+  });
+}
 
-          // Send email to specialist if assigned
-          if (specialistId) {
-            const specialistQuery = `SELECT Name, Email FROM User WHERE User_ID = ? AND Status = 'Active'`;
-            db.query(specialistQuery, [specialistId], (specialistErr, specialistResults) => {
-              if (specialistErr || !specialistResults || specialistResults.length === 0) {
-                console.warn(`Could not fetch specialist data for alert ${alertData.alert_id}: ${specialistErr ? specialistErr.message : 'Specialist not found'}`);
-                return callback(null, alertData);
-              }
+// Build the HTML table rows for alert emails, converting stored values to the recipient's unit
+function buildReadingsTableRows(readings, unit) {
+  let rows = '';
+  unitConverter.convertReadingRows(readings, unit).forEach(reading => {
+    const timestamp = new Date(reading.DateTime).toLocaleString('en-US', {
+      dateStyle: 'short',
+      timeStyle: 'short'
+    });
+    rows += `
+      <tr>
+        <td style="padding: 8px; border: 1px solid #ddd;">${timestamp}</td>
+        <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; color: #d9534f;">${reading.Value} ${reading.Unit}</td>
+        <td style="padding: 8px; border: 1px solid #ddd;">${reading.Category}</td>
+        <td style="padding: 8px; border: 1px solid #ddd;">${reading.Food_Notes || 'N/A'}</td>
+      </tr>
+    `;
+  });
+  return rows;
+}
+
+// Readings at or above this value (mg/dL) raise an urgent hyperglycemia alert
+const URGENT_HIGH_MG_DL = parseFloat(process.env.URGENT_HIGH_MG_DL) || 300;
+
+// Readings logged more than this many hours after they were taken (back-filled entries) do not
+// raise an urgent alert; the alert rules still cover them
+const URGENT_MAX_AGE_HOURS = 6;
+
+// Safety guidance sent with an urgent alert
+const URGENT_GUIDANCE = {
+  Hypoglycemia: 'Take 15 g of fast-acting carbohydrate now (4 glucose tablets, or half a cup of juice or regular soda) ' +
+    'and check again in 15 minutes; repeat until your blood sugar is back in range, then eat a snack or meal. ' +
+    'If you feel confused, drowsy or cannot swallow safely, someone should give glucagon if prescribed and call emergency services.',
+  Hyperglycemia: 'Drink water, take correction insulin as your care plan directs and check for ketones if you can. ' +
+    'Check again within 2 hours. Call emergency services if you have ketones, vomiting, abdominal pain, ' +
+    'rapid breathing, fruity-smelling breath or confusion.'
+};
+
+/**
+ * Whether a new reading is beyond the critical cut-offs: below the patient's level 2
+ * hypoglycemia cut-off or at or above URGENT_HIGH_MG_DL, and taken recently.
+ * @param {number} value - Reading value in mg/dL
+ * @param {string|Date} dateTime - When the reading was taken
+ * @param {Object} thresholds - Resolved thresholds (see thresholdAPI.resolveThresholds)
+ * @returns {string|null} 'Hypoglycemia', 'Hyperglycemia' or null
+ */
+function urgentReadingType(value, dateTime, thresholds) {
+  const ageHours = (Date.now() - new Date(dateTime).getTime()) / 3600000;
+  if (isNaN(ageHours) || ageHours > URGENT_MAX_AGE_HOURS) return null;
+
+  const hypoLevel2 = thresholds.Hypo_Level2 !== undefined && thresholds.Hypo_Level2 !== null
+    ? thresholds.Hypo_Level2
+    : thresholdAPI.DEFAULT_HYPO_LEVEL2;
+  if (value < hypoLevel2) return 'Hypoglycemia';
+  if (value >= URGENT_HIGH_MG_DL) return 'Hyperglycemia';
+  return null;
+}
+
+/**
+ * Raise an urgent alert for a critical reading and deliver it at once to the patient (with
+ * safety guidance), the assigned specialist and the patient's emergency contact, on every
+ * channel each has. Urgent alerts are never held back by a rule's cool-down.
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Object} reading - { Reading_ID, DateTime, Value (mg/dL) }
+ * @param {string} type - 'Hypoglycemia' or 'Hyperglycemia' (see urgentReadingType)
+ * @param {Function} callback - Callback function(err, alertData)
+ */
+function triggerUrgentAlert(db, patientId, reading, type, callback) {
+  const patientQuery = `
+    SELECT u.Name, u.Email, u.Phone, u.Preferred_Unit,
+           p.Emergency_Contact_Name, p.Emergency_Contact_Email, p.Emergency_Contact_Phone
+    FROM User u
+    INNER JOIN Patient p ON u.User_ID = p.Patient_ID
+    WHERE u.User_ID = ?
+  `;
 
-              const specialistName = specialistResults[0].Name;
-              const specialistEmail = specialistResults[0].Email;
-
-              const specialistSubject = `Patient Alert - ${patientName} - Multiple Abnormal Readings`;
-              const specialistHtml = `
-                <html>
-                  <body style="font-family: Arial, sans-serif; color: #333;">
-                    <h2 style="color: #d9534f;">Patient Alert</h2>
-                    <p>Dear ${specialistName},</p>
-                    <p>Your patient <strong>${patientName}</strong> (Patient ID: ${patientId}) has logged <strong>${abnormalCount}</strong> abnormal blood sugar readings in the past 7 days.</p>
-
-                    <h3>Patient's Abnormal Readings:</h3>
-                    <table style="border-collapse: collapse; width: 100%; margin: 20px 0;">
-                      <thead>
-                        <tr style="background-color: #f2f2f2;">
-                          <th style="padding: 8px; border: 1px solid #ddd; text-align: left;">Date & Time</th>
-                          <th style="padding: 8px; border: 1px solid #ddd; text-align: left;">Blood Sugar</th>
-                          <th style="padding: 8px; border: 1px solid #ddd; text-align: left;">Category</th>
-                          <th style="padding: 8px; border: 1px solid #ddd; text-align: left;">Food Notes</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        ${readingsTableRows}
-                      </tbody>
-                    </table>
-
-                    <p style="color: #d9534f; font-weight: bold;">⚠️ Please review this patient's case and consider reaching out to them.</p>
-                    <p>Best regards,<br/>Blood Sugar Monitoring System</p>
-                  </body>
-                </html>
-              `;
-
-              emailService.sendAlertEmail([specialistEmail], specialistSubject, specialistHtml, (specialistEmailErr, specialistResult) => {
-                if (specialistEmailErr) {
-                  console.warn(`Failed to send email to specialist for alert ${alertData.alert_id}: ${specialistEmailErr.message}`);
-                } else {
-                  console.log(`Alert email sent to specialist (${specialistEmail}) for alert ${alertData.alert_id}`);
+  db.query(patientQuery, [patientId], (err, patientResults) => {
+    if (err) return callback(err, null);
+    if (patientResults.length === 0) {
+      return callback(new Error('Patient not found'), null);
+    }
+    const patient = patientResults[0];
+
+    getPatientSpecialist(db, patientId, (err, specialistId) => {
+      if (err) return callback(err, null);
+
+      const loadSpecialist = (done) => {
+        if (!specialistId) return done(null, null);
+        db.query(`SELECT Name, Email, Phone, Preferred_Unit FROM User WHERE User_ID = ? AND Status = 'Active'`, [specialistId], (err, results) => {
+          if (err) return done(err, null);
+          done(null, results[0] || null);
+        });
+      };
+
+      loadSpecialist((err, specialist) => {
+        if (err) return callback(err, null);
+
+        const low = type === 'Hypoglycemia';
+        const title = low ? 'Severe Low Blood Sugar' : 'Severe High Blood Sugar';
+        const guidance = URGENT_GUIDANCE[type];
+        const valueIn = (unit) => {
+          const target = unit || unitConverter.CANONICAL_UNIT;
+          return `${unitConverter.convertValue(reading.Value, unitConverter.CANONICAL_UNIT, target)} ${target}`;
+        };
+        const takenAt = new Date(reading.DateTime).toLocaleString('en-US', { dateStyle: 'short', timeStyle: 'short' });
+        const message = `${title}: ${valueIn(unitConverter.CANONICAL_UNIT)} at ${takenAt}`;
+
+        const contactEmail = patient.Emergency_Contact_Email;
+        const contactPhone = patient.Emergency_Contact_Phone;
+        const contactName = patient.Emergency_Contact_Name || 'Emergency contact';
+        const recipients = [
+          `Patient ${patientId}`,
+          specialist ? `Specialist ${specialistId}` : null,
+          contactEmail || contactPhone ? `Emergency contact ${contactName}` : null
+        ].filter(Boolean).join(', ');
+
+        const now = new Date();
+        const weekStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay());
+
+        const query = `
+          INSERT INTO Alert (Patient_ID, Week_Start, Abnormal_Count, Sent_At, Recipients, Rule_ID, Severity, Message)
+          VALUES (?, ?, 1, NOW(), ?, NULL, 'Critical', ?)
+        `;
+
+        db.query(query, [patientId, weekStart, recipients, message.slice(0, 255)], (err, results) => {
+          if (err) return callback(err, null);
+
+          const alertData = {
+            alert_id: results.insertId,
+            patient_id: patientId,
+            reading_id: reading.Reading_ID,
+            urgent_type: type,
+            severity: 'Critical',
+            message: message,
+            recipients: recipients,
+            sent_at: new Date()
+          };
+
+          console.log(`Urgent alert created - ID: ${alertData.alert_id}, Patient: ${patientId}, ${type}`);
+          notificationService.publish('alert.urgent', alertData);
+          liveUpdates.publish(liveUpdates.EVENTS.ALERT_UPDATED, patientId, { alertId: alertData.alert_id, status: 'Open', urgent: true });
+
+          const notificationData = {
+            type: 'alert',
+            urgent: true,
+            title: `Urgent: ${title}`,
+            severity: 'Critical',
+            alertId: alertData.alert_id,
+            patientId: patientId,
+            readingId: reading.Reading_ID,
+            timestamp: new Date().toISOString()
+          };
+
+          const emailHtml = (greeting, body, footer) => `
+            <html>
+              <body style="font-family: Arial, sans-serif; color: #333;">
+                <h2 style="color: #d9534f;">Urgent: ${title}</h2>
+                <p>Dear ${greeting},</p>
+                ${body}
+                <p style="color: #d9534f; font-weight: bold;">${footer}</p>
+                <p>Best regards,<br/>Blood Sugar Monitoring System</p>
+              </body>
+            </html>
+          `;
+
+          const contactDetails = [contactPhone, contactEmail].filter(Boolean).join(', ');
+          const patientMessage = `Your reading of ${valueIn(patient.Preferred_Unit)} at ${takenAt} is dangerously ${low ? 'low' : 'high'}.`;
+
+          const notifications = [
+            {
+              recipient: { userId: patientId, email: patient.Email, phone: patient.Phone, label: 'patient' },
+              content: {
+                subject: `Urgent: ${title}`,
+                html: emailHtml(patient.Name,
+                  `<p>Your reading of <strong>${valueIn(patient.Preferred_Unit)}</strong> at ${takenAt} is dangerously ${low ? 'low' : 'high'}.</p>`,
+                  guidance),
+                text: `URGENT: ${patientMessage} ${guidance}`,
+                inApp: { ...notificationData, message: patientMessage, guidance: guidance }
+              }
+            },
+            specialist && {
+              recipient: { userId: specialistId, email: specialist.Email, phone: specialist.Phone, label: 'specialist' },
+              content: {
+                subject: `Urgent Patient Alert - ${patient.Name} - ${title}`,
+                html: emailHtml(specialist.Name,
+                  `<p>Your patient <strong>${patient.Name}</strong> (Patient ID: ${patientId}) recorded <strong>${valueIn(specialist.Preferred_Unit)}</strong> at ${takenAt}.</p>` +
+                  (contactDetails ? `<p>Emergency contact: ${contactName}, ${contactDetails}</p>` : ''),
+                  '⚠️ Please contact this patient as soon as possible.'),
+                text: `URGENT: patient ${patient.Name} recorded ${valueIn(specialist.Preferred_Unit)} at ${takenAt}. Please contact them as soon as possible.`,
+                inApp: {
+                  ...notificationData,
+                  message: `Patient ${patient.Name}: ${valueIn(specialist.Preferred_Unit)} at ${takenAt}.` +
+                    (contactPhone ? ` Emergency contact: ${contactName}, ${contactPhone}.` : '')
                 }
-                callback(null, alertData);
-              });
+              }
+            },
+            (contactEmail || contactPhone) && {
+              recipient: { email: contactEmail, phone: contactPhone, label: 'emergency contact' },
+              content: {
+                subject: `Urgent: ${patient.Name} - ${title}`,
+                html: emailHtml(contactName,
+                  `<p>You are listed as the emergency contact for <strong>${patient.Name}</strong>, who recorded a dangerously ${low ? 'low' : 'high'} blood sugar reading of <strong>${valueIn(patient.Preferred_Unit)}</strong> at ${takenAt}.</p>` +
+                  `<p>What they should do now: ${guidance}</p>`,
+                  '⚠️ Please check on them right away.'),
+                text: `URGENT: ${patient.Name} recorded a dangerously ${low ? 'low' : 'high'} blood sugar of ${valueIn(patient.Preferred_Unit)} at ${takenAt}. Please check on them right away.`
+              }
+            }
+          ].filter(Boolean);
+
+          // One recipient at a time; a failed channel does not stop the others
+          const next = (index) => {
+            if (index >= notifications.length) {
+              logAlertNotification(patientId, specialistId, message);
+              return callback(null, alertData);
+            }
+            const { recipient, content } = notifications[index];
+            notificationPreferenceAPI.notify(db, recipient, 'urgent_alert', content, (notifyErr, deliveries) => {
+              console.log(`Urgent alert ${alertData.alert_id} sent to ${recipient.label} by ${notificationService.describeResults(deliveries)}`);
+              next(index + 1);
             });
-          } else {
-            // No specialist assigned, just return
-            callback(null, alertData);
-          }
+          };
+          next(0);
         });
       });
     });
@@ -233,202 +473,162 @@ function getAlertsByPatient(db, patientId, callback) {
   });
 }
 
-/**
- * Get undelivered alerts for a specialist's assigned patients.
- * @param {Object} db - Database connection
- * @param {number} specialistId - Specialist ID
- * @param {Function} callback - Callback function(err, alerts)
- */
-function getUndeliveredAlertsForSpecialist(db, specialistId, callback) {
+// Whether a rule already raised an alert for the patient within its cool-down
+function isCoolingDown(db, patientId, rule, callback) {
   const query = `
-    SELECT a.*, p.Name as patientName
-    FROM Alert a
-    JOIN Specialist_Patient_Assignment spa ON a.Patient_ID = spa.Patient_ID
-    JOIN User p ON a.Patient_ID = p.User_ID
-    WHERE spa.Specialist_ID = ?
-      AND a.Specialist_Delivered_At IS NULL
-    ORDER BY a.Sent_At ASC;
+    SELECT Alert_ID
+    FROM Alert
+    WHERE Patient_ID = ? AND Rule_ID = ? AND Sent_At > DATE_SUB(NOW(), INTERVAL ? HOUR)
+    LIMIT 1
   `;
-  console.log('getUndeliveredAlertsForSpecialist: Query:', query); // Added log
-  console.log('getUndeliveredAlertsForSpecialist: Params:', [specialistId]); // Added log
 
-  db.query(query, [specialistId], (err, results) => {
-    if (err) {
-      console.error('getUndeliveredAlertsForSpecialist: Error fetching alerts:', err); // Added log
-      return callback(err, null);
-    }
-    console.log('getUndeliveredAlertsForSpecialist: Found alerts:', results.length); // Added log
-    callback(null, results);
+  db.query(query, [patientId, rule.Rule_ID, rule.Cooldown_Hours], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results.length > 0);
   });
 }
 
 /**
- * Mark an alert as delivered to a specialist.
+ * Evaluate alert rules for one patient and raise an alert for each rule that triggers
+ * and is not in its cool-down.
  * @param {Object} db - Database connection
- * @param {number} alertId - The ID of the alert to mark as delivered.
- * @param {number} specialistId - The ID of the specialist to whom the alert was delivered.
- * @param {Function} callback - Callback function(err, result)
+ * @param {number} patientId - Patient ID
+ * @param {Object[]} rules - Active rules (those for other patients are skipped)
+ * @param {string} mode - 'reading' after a new reading (No_Readings rules are skipped) or 'sweep'
+ * @param {Function} callback - Callback function(err, alerts)
  */
-function markAlertAsDeliveredToSpecialist(db, alertId, specialistId, callback) {
-  const query = `
-    UPDATE Alert
-    SET Specialist_Delivered_At = NOW()
-    WHERE Alert_ID = ?;
-  `;
+function evaluatePatientRules(db, patientId, rules, mode, callback) {
+  const applicable = rules.filter(rule =>
+    (rule.Scope === 'System' || rule.Patient_ID === patientId) &&
+    !(mode === 'reading' && rule.Rule_Type === 'No_Readings')
+  );
 
-  db.query(query, [alertId], (err, results) => {
-    if (err) return callback(err, null);
-    callback(null, { success: true, alert_id: alertId });
-  });
-}
+  if (applicable.length === 0) {
+    return callback(null, []);
+  }
 
-/**
- * [NEW] Checks if an alert should be triggered for a single patient and sends real-time notifications.
- * This is intended to be called when a new 'Abnormal' reading is logged.
- */
-function checkAndTriggerAlerts(db, patientId, callback) {
-  countAbnormalThisWeek(db, patientId, (err, abnormalCount) => {
-    if (err) return callback(err);
+  const days = Math.max(...applicable.map(rule => rule.Window_Days));
 
-    if (abnormalCount > 3) {
-      const now = new Date();
-      const dayOfWeek = now.getDay();
-      const weekStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - dayOfWeek);
-      weekStart.setHours(0, 0, 0, 0);
+  thresholdAPI.resolveThresholds(db, patientId, null, null, (err, thresholds) => {
+    if (err) return callback(err, null);
 
-      const checkAlertQuery = `SELECT Alert_ID FROM Alert WHERE Patient_ID = ? AND Sent_At >= ?`;
-      db.query(checkAlertQuery, [patientId, weekStart], (err, existingAlerts) => {
-        if (err) return callback(err);
+    alertRuleAPI.loadReadings(db, patientId, days, (err, readings) => {
+      if (err) return callback(err, null);
 
-        if (existingAlerts.length > 0) {
-          return callback(null, { status: 'skipped', reason: 'Alert already sent this week' });
-        }
+      const now = new Date();
+      const triggered = applicable
+        .map(rule => ({ rule: rule, result: alertRuleAPI.evaluateRule(rule, readings, thresholds, now) }))
+        .filter(entry => entry.result.triggered);
 
-        getPatientSpecialist(db, patientId, (err, specialistId) => {
-          if (err) return callback(err);
+      if (triggered.length === 0) {
+        return callback(null, []);
+      }
 
-          createAlert(db, patientId, abnormalCount, specialistId, (err, alert) => {
-            if (err) return callback(err);
+      getPatientSpecialist(db, patientId, (err, specialistId) => {
+        if (err) return callback(err, null);
 
-            const notificationData = {
-              type: 'alert',
-              title: 'Critical Blood Sugar Alert!',
-              message: `You have logged ${abnormalCount} abnormal readings this week. Please review your logs.`,
-              patientId: patientId,
-              timestamp: new Date().toISOString()
-            };
+        const alerts = [];
+        const next = (index) => {
+          if (index >= triggered.length) return callback(null, alerts);
+          const { rule, result } = triggered[index];
 
-            socketManager.sendNotificationToUser(patientId, notificationData);
-            if (specialistId) {
-              socketManager.sendNotificationToUser(specialistId, { ...notificationData, message: `Patient ${patientId} has logged ${abnormalCount} abnormal readings this week.` });
-            }
+          isCoolingDown(db, patientId, rule, (err, coolingDown) => {
+            if (err) return callback(err, null);
+            if (coolingDown) return next(index + 1);
 
-            callback(null, { status: 'alert_triggered', alert: alert });
+            createAlert(db, patientId, rule, result, specialistId, (err, alert) => {
+              if (err) return callback(err, null);
+              logAlertNotification(patientId, specialistId, `${rule.Name}: ${result.message}`);
+              alerts.push(alert);
+              next(index + 1);
+            });
           });
-        });
+        };
+        next(0);
       });
-    } else {
-      callback(null, { status: 'skipped', reason: 'Threshold not met' });
-    }
+    });
   });
 }
 
-// Check all active patients for alerts
+/**
+ * Evaluate the alert rules that apply to a patient after a new reading and raise alerts.
+ * Intended to be called whenever readings are logged or imported.
+ */
+function checkAndTriggerAlerts(db, patientId, callback) {
+  alertRuleAPI.getActiveRules(db, patientId, (err, rules) => {
+    if (err) return callback(err);
+
+    evaluatePatientRules(db, patientId, rules, 'reading', (err, alerts) => {
+      if (err) return callback(err);
+
+      if (alerts.length === 0) {
+        return callback(null, { status: 'skipped', reason: 'No rule triggered outside its cool-down' });
+      }
+      callback(null, { status: 'alert_triggered', alerts: alerts });
+    });
+  });
+}
+
+// Periodic sweep: evaluate every active rule for all active patients (including
+// No_Readings rules, which no new reading can trigger)
 function checkAllPatientsForAlerts(db, callback) {
-  const triggeredAlerts = [];
-  
-  // Get all active patients (users with role 'Patient' and status 'Active')
-  const query = `
-    SELECT u.User_ID AS Patient_ID
-    FROM User u
-    INNER JOIN Patient p ON u.User_ID = p.Patient_ID
-    WHERE u.Role = 'Patient' AND u.Status = 'Active'
-  `;
-  
-  db.query(query, (err, patients) => {
+  alertRuleAPI.getActiveRules(db, null, (err, rules) => {
     if (err) return callback(err, null);
-    
-    if (patients.length === 0) {
-      return callback(null, []);
-    }
-    
-    let processedCount = 0;
-    
-    // Process each patient
-    patients.forEach(patient => {
-      const patientId = patient.Patient_ID;
-      
-      // Count abnormal readings
-      countAbnormalThisWeek(db, patientId, (err, abnormalCount) => {
-        if (err) {
-          console.error(`Error counting readings for patient ${patientId}:`, err);
-          processedCount++;
-          if (processedCount === patients.length) {
-            callback(null, triggeredAlerts);
-          }
-          return;
-        }
-        
-        // Check if alert should trigger
-        if (abnormalCount > 3) {
-          // Get assigned specialist
-          getPatientSpecialist(db, patientId, (err, specialistId) => {
-            if (err) {
-              console.error(`Error getting specialist for patient ${patientId}:`, err);
-              processedCount++;
-              if (processedCount === patients.length) {
-                callback(null, triggeredAlerts);
-              }
-              return;
-            }
-            
-            // Create alert
-            createAlert(db, patientId, abnormalCount, specialistId, (err, alert) => {
-              if (err) {
-                console.error(`Error creating alert for patient ${patientId}:`, err);
-              } else {
-                logAlertNotification(patientId, specialistId, abnormalCount);
-                triggeredAlerts.push(alert);
-              }
-              
-              processedCount++;
-              if (processedCount === patients.length) {
-                callback(null, triggeredAlerts);
-              }
-            });
-          });
-        } else {
-          processedCount++;
-          if (processedCount === patients.length) {
-            callback(null, triggeredAlerts);
+    if (rules.length === 0) return callback(null, []);
+
+    // Get all active patients (users with role 'Patient' and status 'Active')
+    const query = `
+      SELECT u.User_ID AS Patient_ID
+      FROM User u
+      INNER JOIN Patient p ON u.User_ID = p.Patient_ID
+      WHERE u.Role = 'Patient' AND u.Status = 'Active'
+    `;
+
+    db.query(query, (err, patients) => {
+      if (err) return callback(err, null);
+
+      const triggeredAlerts = [];
+
+      // One patient at a time, so a sweep does not flood the connection
+      const next = (index) => {
+        if (index >= patients.length) return callback(null, triggeredAlerts);
+        const patientId = patients[index].Patient_ID;
+
+        evaluatePatientRules(db, patientId, rules, 'sweep', (err, alerts) => {
+          if (err) {
+            console.error(`Error evaluating alert rules for patient ${patientId}:`, err);
+          } else {
+            triggeredAlerts.push(...alerts);
           }
-        }
-      });
+          next(index + 1);
+        });
+      };
+      next(0);
     });
   });
 }
 
 // Log alert notification
-function logAlertNotification(patientId, specialistId, abnormalCount) {
+function logAlertNotification(patientId, specialistId, message) {
   console.log('----------------------------------------------------');
   console.log('  ALERT TRIGGERED');
-  console.log(`Patient ${patientId} has ${abnormalCount} abnormal readings this week.`);
+  console.log(`Patient ${patientId}: ${message}`);
   console.log('Notification details:');
   console.log(`- Patient ID: ${patientId}`);
   console.log(`- Specialist ID: ${specialistId}`);
-  console.log(' Email/SMS would be sent here in production.');
   console.log('----------------------------------------------------');
 }
 
 module.exports = {
   countAbnormalThisWeek,
-  shouldTriggerAlert,
   createAlert,
+  URGENT_HIGH_MG_DL,
+  urgentReadingType,
+  triggerUrgentAlert,
   getAlertsByPatient,
   checkAllPatientsForAlerts,
   logAlertNotification,
   checkAndTriggerAlerts,
-  getUndeliveredAlertsForSpecialist,
-  markAlertAsDeliveredToSpecialist,
+  evaluatePatientRules,
   getPatientSpecialist
 };
\ No newline at end of file
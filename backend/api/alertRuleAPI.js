@@ -0,0 +1,499 @@
+// api/alertRuleAPI.js
+// Purpose: Configurable alert rules. Staff define rules such as "N abnormal readings in M days",
+//          "any reading below X", "N consecutive readings each rising by more than Y" or
+//          "no readings logged for Z days", system-wide or for one patient, each with a severity,
+//          recipients and a cool-down. This module stores the rules and evaluates them against a
+//          patient's readings; alertAPI raises and delivers the resulting alerts.
+
+const thresholdAPI = require('./thresholdAPI');
+const unitConverter = require('../utils/unitConverter');
+
+const RULE_TYPES = ['Abnormal_Count', 'Below_Value', 'Rising_Trend', 'No_Readings'];
+const SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+const RECIPIENTS = ['Patient', 'Specialist'];
+
+// Window_Days used when a rule does not set one
+const DEFAULT_WINDOW_DAYS = {
+  Abnormal_Count: 7,
+  Below_Value: 1,
+  Rising_Trend: 1,
+  No_Readings: 3
+};
+
+// Alerts listed by a history replay at most
+const MAX_REPLAY_ALERTS = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Convert an alert_rule row for API responses and evaluation
+ * @param {Object} row - alert_rule row
+ * @returns {Object} Rule with Recipients as an array and Is_Active as a boolean
+ */
+function parseRule(row) {
+  return {
+    ...row,
+    Recipients: typeof row.Recipients === 'string'
+      ? row.Recipients.split(',').filter(Boolean)
+      : (row.Recipients || []),
+    Is_Active: !!row.Is_Active
+  };
+}
+
+/**
+ * Recipients of a rule body as an array (accepts an array or a comma-separated string)
+ * @param {Array|string|undefined} recipients - Recipients from the request body
+ * @returns {string[]} Recipient names
+ */
+function recipientList(recipients) {
+  if (recipients === undefined || recipients === null) return RECIPIENTS.slice();
+  const list = Array.isArray(recipients) ? recipients : String(recipients).split(',');
+  return list.map(r => String(r).trim()).filter(Boolean);
+}
+
+/**
+ * Validate a rule body and fill in defaults
+ * @param {Object} data - { Name, Rule_Type, Threshold_Count, Threshold_Value, Window_Days, Scope,
+ *                          Patient_ID, Severity, Recipients, Cooldown_Hours, Is_Active }
+ * @returns {Object} { rule } with normalized values, or { error } with a validation message
+ */
+function normalizeRuleData(data) {
+  if (!data.Name || !String(data.Name).trim()) {
+    return { error: 'A rule name is required' };
+  }
+  if (String(data.Name).trim().length > 100) {
+    return { error: 'Name must be at most 100 characters' };
+  }
+  if (!RULE_TYPES.includes(data.Rule_Type)) {
+    return { error: `Rule_Type must be one of: ${RULE_TYPES.join(', ')}` };
+  }
+
+  const rule = {
+    Name: String(data.Name).trim(),
+    Rule_Type: data.Rule_Type,
+    Threshold_Count: null,
+    Threshold_Value: null,
+    Window_Days: DEFAULT_WINDOW_DAYS[data.Rule_Type],
+    Scope: data.Scope || 'System',
+    Patient_ID: null,
+    Severity: data.Severity || 'Medium',
+    Recipients: recipientList(data.Recipients),
+    Cooldown_Hours: 168,
+    Is_Active: data.Is_Active === undefined ? true : data.Is_Active === true || data.Is_Active === 'true' || data.Is_Active === 1
+  };
+
+  const hasValue = value => value !== undefined && value !== null && value !== '';
+
+  if (hasValue(data.Window_Days)) {
+    rule.Window_Days = parseInt(data.Window_Days);
+    if (isNaN(rule.Window_Days) || rule.Window_Days < 1 || rule.Window_Days > 365) {
+      return { error: 'Window_Days must be a whole number of days between 1 and 365' };
+    }
+  }
+
+  if (data.Rule_Type === 'Abnormal_Count' || data.Rule_Type === 'Rising_Trend') {
+    const minimum = data.Rule_Type === 'Rising_Trend' ? 2 : 1;
+    rule.Threshold_Count = hasValue(data.Threshold_Count)
+      ? parseInt(data.Threshold_Count)
+      : (data.Rule_Type === 'Rising_Trend' ? 3 : NaN);
+    if (isNaN(rule.Threshold_Count) || rule.Threshold_Count < minimum || rule.Threshold_Count > 1000) {
+      return { error: `Threshold_Count must be a whole number of at least ${minimum}` };
+    }
+  }
+
+  if (data.Rule_Type === 'Below_Value' || data.Rule_Type === 'Rising_Trend') {
+    if (hasValue(data.Threshold_Value)) {
+      rule.Threshold_Value = parseFloat(data.Threshold_Value);
+      if (isNaN(rule.Threshold_Value) || rule.Threshold_Value <= 0 || rule.Threshold_Value >= 1000) {
+        return { error: 'Threshold_Value must be a number of mg/dL between 0 and 1000' };
+      }
+    } else if (data.Rule_Type === 'Rising_Trend') {
+      return { error: 'Threshold_Value (the rise in mg/dL) is required for a Rising_Trend rule' };
+    }
+  }
+
+  if (!['System', 'Patient'].includes(rule.Scope)) {
+    return { error: 'Scope must be System or Patient' };
+  }
+  if (rule.Scope === 'Patient') {
+    rule.Patient_ID = parseInt(data.Patient_ID);
+    if (isNaN(rule.Patient_ID) || rule.Patient_ID <= 0) {
+      return { error: 'Patient_ID is required for a Patient rule' };
+    }
+  }
+
+  if (!SEVERITIES.includes(rule.Severity)) {
+    return { error: `Severity must be one of: ${SEVERITIES.join(', ')}` };
+  }
+
+  if (rule.Recipients.length === 0 || rule.Recipients.some(r => !RECIPIENTS.includes(r))) {
+    return { error: `Recipients must be one or more of: ${RECIPIENTS.join(', ')}` };
+  }
+
+  if (hasValue(data.Cooldown_Hours)) {
+    rule.Cooldown_Hours = parseInt(data.Cooldown_Hours);
+    if (isNaN(rule.Cooldown_Hours) || rule.Cooldown_Hours < 1 || rule.Cooldown_Hours > 8760) {
+      return { error: 'Cooldown_Hours must be a whole number of hours between 1 and 8760' };
+    }
+  }
+
+  return { rule };
+}
+
+/**
+ * Get alert rules
+ * @param {Object} db - Database connection
+ * @param {Object} options - { patientId } to list the rules that apply to one patient
+ *                           (system rules plus their own); all rules otherwise
+ * @param {Function} callback - Callback function(err, rules)
+ */
+function getRules(db, options, callback) {
+  let query = `
+    SELECT r.*, u.Name AS Patient_Name
+    FROM alert_rule r
+    LEFT JOIN User u ON r.Patient_ID = u.User_ID
+  `;
+  const params = [];
+
+  if (options.patientId) {
+    query += ` WHERE r.Scope = 'System' OR r.Patient_ID = ?`;
+    params.push(options.patientId);
+  }
+  query += ' ORDER BY r.Scope DESC, r.Name ASC';
+
+  db.query(query, params, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results.map(parseRule));
+  });
+}
+
+/**
+ * Get the active rules, for evaluation
+ * @param {Object} db - Database connection
+ * @param {number|null} patientId - Only the rules that apply to this patient (null for all)
+ * @param {Function} callback - Callback function(err, rules)
+ */
+function getActiveRules(db, patientId, callback) {
+  let query = 'SELECT * FROM alert_rule WHERE Is_Active = 1';
+  const params = [];
+
+  if (patientId) {
+    query += ` AND (Scope = 'System' OR Patient_ID = ?)`;
+    params.push(patientId);
+  }
+
+  db.query(query, params, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results.map(parseRule));
+  });
+}
+
+/**
+ * Get one rule
+ * @param {Object} db - Database connection
+ * @param {number} ruleId - Rule ID
+ * @param {Function} callback - Callback function(err, rule)
+ */
+function getRule(db, ruleId, callback) {
+  db.query('SELECT * FROM alert_rule WHERE Rule_ID = ?', [ruleId], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.length === 0) {
+      return callback(new Error('Alert rule not found'), null);
+    }
+    callback(null, parseRule(results[0]));
+  });
+}
+
+// Column values of a normalized rule, in the order used by createRule and updateRule
+function ruleValues(rule) {
+  return [
+    rule.Name,
+    rule.Rule_Type,
+    rule.Threshold_Count,
+    rule.Threshold_Value,
+    rule.Window_Days,
+    rule.Scope,
+    rule.Patient_ID,
+    rule.Severity,
+    rule.Recipients.join(','),
+    rule.Cooldown_Hours,
+    rule.Is_Active ? 1 : 0
+  ];
+}
+
+/**
+ * Create a rule
+ * @param {Object} db - Database connection
+ * @param {Object} data - Rule body (see normalizeRuleData)
+ * @param {number} createdBy - User ID of the staff member or administrator
+ * @param {Function} callback - Callback function(err, rule)
+ */
+function createRule(db, data, createdBy, callback) {
+  const { rule, error } = normalizeRuleData(data);
+  if (error) {
+    return callback(new Error(error), null);
+  }
+
+  const query = `
+    INSERT INTO alert_rule
+      (Name, Rule_Type, Threshold_Count, Threshold_Value, Window_Days, Scope, Patient_ID, Severity,
+       Recipients, Cooldown_Hours, Is_Active, Created_By)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  db.query(query, [...ruleValues(rule), createdBy || null], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_NO_REFERENCED_ROW_2') {
+        return callback(new Error('Patient not found'), null);
+      }
+      return callback(err, null);
+    }
+    getRule(db, results.insertId, callback);
+  });
+}
+
+/**
+ * Replace a rule's settings
+ * @param {Object} db - Database connection
+ * @param {number} ruleId - Rule ID
+ * @param {Object} data - Rule body (see normalizeRuleData)
+ * @param {Function} callback - Callback function(err, rule)
+ */
+function updateRule(db, ruleId, data, callback) {
+  const { rule, error } = normalizeRuleData(data);
+  if (error) {
+    return callback(new Error(error), null);
+  }
+
+  const query = `
+    UPDATE alert_rule
+    SET Name = ?, Rule_Type = ?, Threshold_Count = ?, Threshold_Value = ?, Window_Days = ?, Scope = ?,
+        Patient_ID = ?, Severity = ?, Recipients = ?, Cooldown_Hours = ?, Is_Active = ?, Updated_At = NOW()
+    WHERE Rule_ID = ?
+  `;
+
+  db.query(query, [...ruleValues(rule), ruleId], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_NO_REFERENCED_ROW_2') {
+        return callback(new Error('Patient not found'), null);
+      }
+      return callback(err, null);
+    }
+    if (results.affectedRows === 0) {
+      return callback(new Error('Alert rule not found'), null);
+    }
+    getRule(db, ruleId, callback);
+  });
+}
+
+/**
+ * Delete a rule. Alerts it raised are kept (their Rule_ID becomes NULL).
+ * @param {Object} db - Database connection
+ * @param {number} ruleId - Rule ID
+ * @param {Function} callback - Callback function(err, result)
+ */
+function deleteRule(db, ruleId, callback) {
+  db.query('DELETE FROM alert_rule WHERE Rule_ID = ?', [ruleId], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.affectedRows === 0) {
+      return callback(new Error('Alert rule not found'), null);
+    }
+    callback(null, { success: true, rule_id: ruleId });
+  });
+}
+
+/**
+ * Load a patient's readings for evaluation, oldest first, with values in mg/dL
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {number} days - How many days back to load
+ * @param {Function} callback - Callback function(err, readings)
+ */
+function loadReadings(db, patientId, days, callback) {
+  const query = `
+    SELECT Reading_ID, DateTime, Value, Unit, Category
+    FROM Sugar_Reading
+    WHERE Patient_ID = ?
+      AND Deleted_At IS NULL
+      AND DateTime >= DATE_SUB(NOW(), INTERVAL ? DAY)
+      AND DateTime <= NOW()
+    ORDER BY DateTime ASC, Reading_ID ASC
+  `;
+
+  db.query(query, [patientId, days], (err, rows) => {
+    if (err) return callback(err, null);
+    callback(null, rows.map(row => ({
+      Reading_ID: row.Reading_ID,
+      DateTime: new Date(row.DateTime),
+      Value: unitConverter.toCanonical(row.Value, row.Unit),
+      Category: row.Category
+    })));
+  });
+}
+
+/**
+ * Evaluate one rule at a point in time
+ * @param {Object} rule - Parsed rule
+ * @param {Object[]} readings - Patient readings (oldest first, Value in mg/dL); later ones are ignored
+ * @param {Object} thresholds - Resolved thresholds (Hypo_Level2, or the default level 2 cut-off without a
+ *                              profile, is used by Below_Value without a value)
+ * @param {Date} now - Evaluation time
+ * @returns {Object} { triggered, matchCount, readingIds, message }
+ */
+function evaluateRule(rule, readings, thresholds, now) {
+  const windowStart = now.getTime() - rule.Window_Days * DAY_MS;
+  const inWindow = readings.filter(r => r.DateTime.getTime() > windowStart && r.DateTime.getTime() <= now.getTime());
+  const days = `${rule.Window_Days} day${rule.Window_Days === 1 ? '' : 's'}`;
+  let matches = [];
+  let triggered = false;
+  let message = '';
+
+  switch (rule.Rule_Type) {
+    case 'Abnormal_Count':
+      matches = inWindow.filter(r => r.Category === 'Abnormal');
+      triggered = matches.length >= rule.Threshold_Count;
+      message = `${matches.length} abnormal reading(s) in the last ${days}`;
+      break;
+
+    case 'Below_Value': {
+      const hypoLevel2 = thresholds.Hypo_Level2 !== null && thresholds.Hypo_Level2 !== undefined
+        ? thresholds.Hypo_Level2
+        : thresholdAPI.DEFAULT_HYPO_LEVEL2;
+      const limit = rule.Threshold_Value !== null ? rule.Threshold_Value : hypoLevel2;
+      matches = inWindow.filter(r => r.Value < limit);
+      triggered = matches.length > 0;
+      message = `${matches.length} reading(s) below ${limit} mg/dL in the last ${days}`;
+      break;
+    }
+
+    case 'Rising_Trend': {
+      const run = inWindow.slice(-rule.Threshold_Count);
+      triggered = run.length === rule.Threshold_Count &&
+        run.every((r, i) => i === 0 || r.Value - run[i - 1].Value > rule.Threshold_Value);
+      matches = triggered ? run : [];
+      message = `${rule.Threshold_Count} consecutive readings each rising by more than ${rule.Threshold_Value} mg/dL`;
+      break;
+    }
+
+    case 'No_Readings':
+      triggered = inWindow.length === 0;
+      message = `No readings logged in the last ${days}`;
+      break;
+
+    default:
+      break;
+  }
+
+  return {
+    triggered: triggered,
+    matchCount: matches.length,
+    readingIds: matches.map(r => r.Reading_ID),
+    message: message
+  };
+}
+
+/**
+ * Replay a patient's history against a rule: evaluate it as each reading was logged (and, for
+ * No_Readings, as each gap in logging grew past the window), honouring the cool-down
+ * @param {Object} rule - Parsed rule
+ * @param {Object[]} readings - Patient readings (oldest first, Value in mg/dL)
+ * @param {Object} thresholds - Resolved thresholds
+ * @param {Date} from - Start of the replayed period
+ * @param {Date} to - End of the replayed period
+ * @returns {Object[]} Alerts the rule would have raised: [{ at, match_count, reading_ids, message }]
+ */
+function replayRule(rule, readings, thresholds, from, to) {
+  const alerts = [];
+  const cooldownMs = rule.Cooldown_Hours * HOUR_MS;
+  let lastFired = null;
+
+  const tryFire = (at) => {
+    if (lastFired !== null && at.getTime() - lastFired < cooldownMs) return;
+    const result = evaluateRule(rule, readings, thresholds, at);
+    if (!result.triggered) return;
+    lastFired = at.getTime();
+    alerts.push({ at: at, match_count: result.matchCount, reading_ids: result.readingIds, message: result.message });
+  };
+
+  if (rule.Rule_Type === 'No_Readings') {
+    // Check each point where the time since the last reading passes the window
+    const windowMs = rule.Window_Days * DAY_MS;
+    const stepMs = Math.max(cooldownMs, windowMs);
+    const before = readings.filter(r => r.DateTime < from);
+    const times = readings.map(r => r.DateTime.getTime()).filter(t => t >= from.getTime() && t <= to.getTime());
+    let gapStart = before.length > 0 ? before[before.length - 1].DateTime.getTime() : from.getTime();
+    [...times, to.getTime() + 1].forEach(next => {
+      let at = gapStart + windowMs;
+      while (at < from.getTime()) at += stepMs;
+      for (; at < next && at <= to.getTime() && alerts.length < MAX_REPLAY_ALERTS; at += stepMs) {
+        tryFire(new Date(at));
+      }
+      gapStart = next;
+    });
+  } else {
+    readings
+      .filter(r => r.DateTime >= from && r.DateTime <= to)
+      .forEach(r => {
+        if (alerts.length < MAX_REPLAY_ALERTS) tryFire(r.DateTime);
+      });
+  }
+
+  return alerts;
+}
+
+/**
+ * Test a draft rule by replaying a patient's history against it (nothing is saved or sent)
+ * @param {Object} db - Database connection
+ * @param {Object} data - Draft rule body (see normalizeRuleData; Scope is ignored)
+ * @param {number} patientId - Patient whose readings are replayed
+ * @param {number} days - How many days of history to replay
+ * @param {Function} callback - Callback function(err, { rule, patient_id, from, to, readings_checked, alerts })
+ */
+function testRule(db, data, patientId, days, callback) {
+  const { rule, error } = normalizeRuleData({ ...data, Scope: 'System', Patient_ID: null });
+  if (error) {
+    return callback(new Error(error), null);
+  }
+
+  thresholdAPI.resolveThresholds(db, patientId, null, null, (err, thresholds) => {
+    if (err) return callback(err, null);
+
+    // Load enough before the period for the first evaluations' windows
+    loadReadings(db, patientId, days + rule.Window_Days, (err, readings) => {
+      if (err) return callback(err, null);
+
+      const to = new Date();
+      const from = new Date(to.getTime() - days * DAY_MS);
+      const alerts = replayRule(rule, readings, thresholds, from, to);
+
+      callback(null, {
+        rule: rule,
+        patient_id: patientId,
+        from: from,
+        to: to,
+        readings_checked: readings.filter(r => r.DateTime >= from).length,
+        alerts: alerts
+      });
+    });
+  });
+}
+
+module.exports = {
+  RULE_TYPES,
+  SEVERITIES,
+  RECIPIENTS,
+  DEFAULT_WINDOW_DAYS,
+  parseRule,
+  normalizeRuleData,
+  getRules,
+  getActiveRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  loadReadings,
+  evaluateRule,
+  replayRule,
+  testRule
+};
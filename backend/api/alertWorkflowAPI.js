@@ -0,0 +1,303 @@
+// api/alertWorkflowAPI.js
+// Purpose: Alert lifecycle after an alert is raised. Alerts start Open; the assigned specialist
+//          acknowledges them and resolves them with a note. An alert still Open after
+//          ALERT_ESCALATION_MINUTES is Escalated to the patient's backup specialist, or to clinic
+//          staff when there is none, who can then acknowledge and resolve it too.
+
+const notificationPreferenceAPI = require('./notificationPreferenceAPI');
+const liveUpdates = require('../services/liveUpdates');
+
+const ALERT_STATUSES = ['Open', 'Acknowledged', 'Resolved', 'Escalated'];
+
+// Minutes an alert may stay Open before it is escalated
+const ALERT_ESCALATION_MINUTES = parseInt(process.env.ALERT_ESCALATION_MINUTES) || 60;
+
+const ALERT_COLUMNS = `
+  a.Alert_ID, a.Patient_ID, u.Name AS Patient_Name, a.Sent_At, a.Severity, a.Message, a.Recipients,
+  a.Rule_ID, ar.Name AS Rule_Name, a.Status,
+  a.Acknowledged_At, a.Acknowledged_By, ack.Name AS Acknowledged_By_Name,
+  a.Resolved_At, a.Resolved_By, res.Name AS Resolved_By_Name, a.Resolution_Note,
+  a.Escalated_At, a.Escalated_To,
+  spa.Specialist_ID, spa.Backup_Specialist_ID
+`;
+
+const ALERT_JOINS = `
+  FROM Alert a
+  INNER JOIN User u ON a.Patient_ID = u.User_ID
+  LEFT JOIN Specialist_Patient_Assignment spa ON spa.Patient_ID = a.Patient_ID
+  LEFT JOIN alert_rule ar ON a.Rule_ID = ar.Rule_ID
+  LEFT JOIN User ack ON a.Acknowledged_By = ack.User_ID
+  LEFT JOIN User res ON a.Resolved_By = res.User_ID
+`;
+
+/**
+ * Parse a status filter ("Open,Escalated", "all", or empty for every status except Resolved)
+ * @param {string} value - Query parameter value
+ * @returns {Object} { statuses } (null for all), or { error }
+ */
+function parseStatusFilter(value) {
+  if (!value) return { statuses: ['Open', 'Escalated', 'Acknowledged'] };
+  if (value === 'all') return { statuses: null };
+
+  const statuses = String(value).split(',').map(s => s.trim()).filter(Boolean);
+  const invalid = statuses.find(s => !ALERT_STATUSES.includes(s));
+  if (invalid) {
+    return { error: `status must be one of: ${ALERT_STATUSES.join(', ')} (or all)` };
+  }
+  return { statuses: statuses };
+}
+
+/**
+ * Get the alert queue visible to a user. Specialists see the alerts of their assigned patients and
+ * escalated alerts of patients they are the backup specialist for; clinic staff and
+ * administrators see every alert. Escalated alerts come first, then by severity.
+ * @param {Object} db - Database connection
+ * @param {Object} user - Authenticated user ({ user_id, role })
+ * @param {Object} filters - { statuses (null for all), patientId }
+ * @param {Function} callback - Callback function(err, alerts)
+ */
+function getAlertQueue(db, user, filters, callback) {
+  let query = `SELECT ${ALERT_COLUMNS} ${ALERT_JOINS} WHERE 1 = 1`;
+  const params = [];
+
+  if (user.role === 'Specialist') {
+    query += ' AND (spa.Specialist_ID = ? OR (spa.Backup_Specialist_ID = ? AND a.Escalated_At IS NOT NULL))';
+    params.push(user.user_id, user.user_id);
+  }
+  if (filters.statuses) {
+    query += ' AND a.Status IN (?)';
+    params.push(filters.statuses);
+  }
+  if (filters.patientId) {
+    query += ' AND a.Patient_ID = ?';
+    params.push(filters.patientId);
+  }
+
+  query += `
+    ORDER BY FIELD(a.Status, 'Escalated', 'Open', 'Acknowledged', 'Resolved'),
+             FIELD(a.Severity, 'Critical', 'High', 'Medium', 'Low'),
+             a.Sent_At DESC
+    LIMIT 200
+  `;
+
+  db.query(query, params, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results);
+  });
+}
+
+/**
+ * Get one alert, checking the user may act on it
+ * @param {Object} db - Database connection
+ * @param {number} alertId - Alert ID
+ * @param {Object} user - Authenticated user ({ user_id, role })
+ * @param {Function} callback - Callback function(err, alert)
+ */
+function getAlert(db, alertId, user, callback) {
+  db.query(`SELECT ${ALERT_COLUMNS} ${ALERT_JOINS} WHERE a.Alert_ID = ?`, [alertId], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.length === 0) {
+      return callback(new Error('Alert not found'), null);
+    }
+
+    const alert = results[0];
+    const userId = Number(user.user_id);
+    if (user.role === 'Specialist' &&
+        alert.Specialist_ID !== userId &&
+        !(alert.Backup_Specialist_ID === userId && alert.Escalated_At)) {
+      return callback(new Error('Specialist is not assigned to this patient'), null);
+    }
+    callback(null, alert);
+  });
+}
+
+/**
+ * Acknowledge an open or escalated alert
+ * @param {Object} db - Database connection
+ * @param {number} alertId - Alert ID
+ * @param {Object} user - Authenticated user ({ user_id, role })
+ * @param {Function} callback - Callback function(err, alert)
+ */
+function acknowledgeAlert(db, alertId, user, callback) {
+  getAlert(db, alertId, user, (err, alert) => {
+    if (err) return callback(err, null);
+
+    const query = `
+      UPDATE Alert
+      SET Status = 'Acknowledged', Acknowledged_At = NOW(), Acknowledged_By = ?
+      WHERE Alert_ID = ? AND Status IN ('Open', 'Escalated')
+    `;
+
+    db.query(query, [user.user_id, alertId], (err, results) => {
+      if (err) return callback(err, null);
+      if (results.affectedRows === 0) {
+        return callback(new Error(`Only open or escalated alerts can be acknowledged (this alert is ${alert.Status})`), null);
+      }
+      liveUpdates.publish(liveUpdates.EVENTS.ALERT_UPDATED, alert.Patient_ID, { alertId: alert.Alert_ID, status: 'Acknowledged' });
+      getAlert(db, alertId, user, callback);
+    });
+  });
+}
+
+/**
+ * Resolve an alert with a note. An alert resolved without being acknowledged is
+ * acknowledged at the same time.
+ * @param {Object} db - Database connection
+ * @param {number} alertId - Alert ID
+ * @param {Object} user - Authenticated user ({ user_id, role })
+ * @param {string} note - What was done about the alert
+ * @param {Function} callback - Callback function(err, alert)
+ */
+function resolveAlert(db, alertId, user, note, callback) {
+  if (!note || !String(note).trim()) {
+    return callback(new Error('A resolution note is required'), null);
+  }
+
+  getAlert(db, alertId, user, (err, alert) => {
+    if (err) return callback(err, null);
+
+    const query = `
+      UPDATE Alert
+      SET Status = 'Resolved', Resolved_At = NOW(), Resolved_By = ?, Resolution_Note = ?,
+          Acknowledged_At = COALESCE(Acknowledged_At, NOW()), Acknowledged_By = COALESCE(Acknowledged_By, ?)
+      WHERE Alert_ID = ? AND Status <> 'Resolved'
+    `;
+
+    db.query(query, [user.user_id, String(note).trim(), user.user_id, alertId], (err, results) => {
+      if (err) return callback(err, null);
+      if (results.affectedRows === 0) {
+        return callback(new Error('This alert is already resolved'), null);
+      }
+      liveUpdates.publish(liveUpdates.EVENTS.ALERT_UPDATED, alert.Patient_ID, { alertId: alert.Alert_ID, status: 'Resolved' });
+      getAlert(db, alertId, user, callback);
+    });
+  });
+}
+
+// Who an overdue alert goes to: the patient's backup specialist if active, otherwise all
+// active clinic staff
+function getEscalationTargets(db, alert, callback) {
+  const staffQuery = `SELECT User_ID, Name, Email, Phone FROM User WHERE Role = 'Clinic_Staff' AND Status = 'Active'`;
+  const toStaff = () => {
+    db.query(staffQuery, (err, staff) => {
+      if (err) return callback(err, null);
+      callback(null, { label: 'Clinic staff', users: staff });
+    });
+  };
+
+  if (!alert.Backup_Specialist_ID || alert.Backup_Specialist_ID === alert.Specialist_ID) {
+    return toStaff();
+  }
+
+  db.query(`SELECT User_ID, Name, Email, Phone FROM User WHERE User_ID = ? AND Status = 'Active'`, [alert.Backup_Specialist_ID], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.length === 0) return toStaff();
+    callback(null, { label: `Backup specialist ${results[0].User_ID}`, users: results });
+  });
+}
+
+/**
+ * Escalate alerts that have stayed Open for longer than the given time. Only alerts meant for
+ * the specialist escalate (urgent alerts and rules whose recipients include the specialist).
+ * Each is marked Escalated and sent to the backup specialist or clinic staff.
+ * @param {Object} db - Database connection
+ * @param {number} minutes - Minutes an alert may stay Open
+ * @param {Function} callback - Callback function(err, escalated) - [{ alert_id, patient_id, escalated_to }]
+ */
+function escalateOverdueAlerts(db, minutes, callback) {
+  const query = `
+    SELECT ${ALERT_COLUMNS} ${ALERT_JOINS}
+    WHERE a.Status = 'Open'
+      AND a.Sent_At <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+      AND (a.Rule_ID IS NULL OR FIND_IN_SET('Specialist', ar.Recipients))
+    ORDER BY a.Sent_At ASC
+  `;
+
+  db.query(query, [minutes], (err, alerts) => {
+    if (err) return callback(err, null);
+
+    const escalated = [];
+    const next = (index) => {
+      if (index >= alerts.length) return callback(null, escalated);
+      const alert = alerts[index];
+
+      getEscalationTargets(db, alert, (err, targets) => {
+        if (err) return callback(err, null);
+
+        const updateQuery = `
+          UPDATE Alert
+          SET Status = 'Escalated', Escalated_At = NOW(), Escalated_To = ?
+          WHERE Alert_ID = ? AND Status = 'Open'
+        `;
+
+        db.query(updateQuery, [targets.label, alert.Alert_ID], (err, results) => {
+          if (err) return callback(err, null);
+          // Acknowledged in the meantime
+          if (results.affectedRows === 0) return next(index + 1);
+
+          escalated.push({ alert_id: alert.Alert_ID, patient_id: alert.Patient_ID, escalated_to: targets.label });
+          console.log(`Alert ${alert.Alert_ID} escalated to ${targets.label} after ${minutes} minutes unacknowledged`);
+          liveUpdates.publish(liveUpdates.EVENTS.ALERT_UPDATED, alert.Patient_ID, { alertId: alert.Alert_ID, status: 'Escalated' });
+
+          if (targets.users.length === 0) {
+            console.warn(`No active recipients to escalate alert ${alert.Alert_ID} to`);
+            return next(index + 1);
+          }
+
+          const summary = `${alert.Message || 'Blood sugar alert'} (not acknowledged within ${minutes} minutes)`;
+          const content = {
+            subject: `Escalated Patient Alert - ${alert.Patient_Name} - ${alert.Severity}`,
+            html: `
+              <html>
+                <body style="font-family: Arial, sans-serif; color: #333;">
+                  <h2 style="color: #d9534f;">Escalated Patient Alert (${alert.Severity})</h2>
+                  <p>An alert for <strong>${alert.Patient_Name}</strong> (Patient ID: ${alert.Patient_ID}) raised at
+                     ${new Date(alert.Sent_At).toLocaleString('en-US', { dateStyle: 'short', timeStyle: 'short' })}
+                     has not been acknowledged by the assigned specialist within ${minutes} minutes.</p>
+                  <p>${alert.Message || ''}</p>
+                  <p style="color: #d9534f; font-weight: bold;">⚠️ Please acknowledge it in the alert queue and follow up with the patient.</p>
+                  <p>Best regards,<br/>Blood Sugar Monitoring System</p>
+                </body>
+              </html>
+            `,
+            text: `Escalated ${alert.Severity} alert for ${alert.Patient_Name}: ${summary}. Please acknowledge it in the alert queue.`,
+            inApp: {
+              type: 'alert',
+              title: `Escalated ${alert.Severity} Alert: ${alert.Patient_Name}`,
+              message: summary,
+              severity: alert.Severity,
+              alertId: alert.Alert_ID,
+              patientId: alert.Patient_ID,
+              timestamp: new Date().toISOString()
+            }
+          };
+
+          // One target at a time; a failed channel does not stop the others
+          const notifyTarget = (targetIndex) => {
+            if (targetIndex >= targets.users.length) return next(index + 1);
+            const target = targets.users[targetIndex];
+            notificationPreferenceAPI.notify(db,
+              { userId: target.User_ID, email: target.Email, phone: target.Phone, label: `user ${target.User_ID}` },
+              'escalation',
+              content,
+              () => notifyTarget(targetIndex + 1)
+            );
+          };
+          notifyTarget(0);
+        });
+      });
+    };
+    next(0);
+  });
+}
+
+module.exports = {
+  ALERT_STATUSES,
+  ALERT_ESCALATION_MINUTES,
+  parseStatusFilter,
+  getAlertQueue,
+  getAlert,
+  acknowledgeAlert,
+  resolveAlert,
+  escalateOverdueAlerts
+};
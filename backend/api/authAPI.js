@@ -5,6 +5,7 @@
 
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const notificationService = require('../services/notificationService');
 
 // bcrypt salt rounds for password hashing
 const SALT_ROUNDS = 10;
@@ -257,11 +258,33 @@ function forgotPassword(db, email, callback) {
     db.query(updateTokenQuery, [token, expires, user.User_ID], (err) => {
       if (err) return callback(err, null);
 
-      // Simulate sending email by logging the reset link
       const resetLink = `http://localhost:3000/reset-password/${token}`;
-      console.log(`Password Reset Link for ${user.Email}: ${resetLink}`);
+      const email = {
+        to: [user.Email],
+        subject: 'Password Reset - Blood Sugar Monitoring System',
+        html: `
+          <html>
+            <body style="font-family: Arial, sans-serif; color: #333;">
+              <h2>Password Reset</h2>
+              <p>We received a request to reset the password for your account.</p>
+              <p><a href="${resetLink}">Reset your password</a> (the link is valid for 1 hour).</p>
+              <p>If you did not request this, you can ignore this email.</p>
+              <p>Best regards,<br/>Blood Sugar Monitoring System</p>
+            </body>
+          </html>
+        `,
+        text: `Reset your password within 1 hour: ${resetLink}`
+      };
 
-      callback(null, { message: 'If an account with that email exists, a password reset link has been sent.' });
+      // A failed email is logged but not reported, so the response does not reveal the account
+      notificationService.send('email', email, (sendErr, result) => {
+        if (sendErr) {
+          console.error(`Failed to send password reset email to ${user.Email}: ${sendErr.message}`);
+        } else if (result.skipped) {
+          console.warn(`Email channel disabled; password reset email to ${user.Email} not sent`);
+        }
+        callback(null, { message: 'If an account with that email exists, a password reset link has been sent.' });
+      });
     });
   });
 }
@@ -1,6 +1,10 @@
 // api/feedbackAPI.js
 // Purpose: API functions for managing feedback between specialists and patients
 
+const notificationService = require('../services/notificationService');
+const notificationPreferenceAPI = require('./notificationPreferenceAPI');
+const liveUpdates = require('../services/liveUpdates');
+
 /**
  * Creates a new feedback entry from a specialist to a patient.
  * @param {Object} db - Database connection
@@ -30,10 +34,65 @@ function createFeedback(db, specialistId, patientId, content, callback) {
     };
     
     console.log(`New feedback created from Specialist ${specialistId} to Patient ${patientId}`);
+    notifyPatientOfFeedback(db, newFeedback);
+    liveUpdates.publish(liveUpdates.EVENTS.FEEDBACK_CREATED, patientId, { feedbackId: newFeedback.feedback_id });
     callback(null, newFeedback);
   });
 }
 
+/**
+ * Let a patient know they have new feedback from their specialist, on the channels they chose.
+ * Runs in the background; failures are only logged.
+ * @param {Object} db - Database connection
+ * @param {Object} feedback - { feedback_id, specialist_id, patient_id, content }
+ */
+function notifyPatientOfFeedback(db, feedback) {
+  const query = `
+    SELECT p.Name, p.Email, p.Phone, s.Name AS Specialist_Name
+    FROM User p
+    JOIN User s ON s.User_ID = ?
+    WHERE p.User_ID = ? AND p.Status = 'Active'
+  `;
+
+  db.query(query, [feedback.specialist_id, feedback.patient_id], (err, results) => {
+    if (err || results.length === 0) {
+      console.warn(`Could not notify patient ${feedback.patient_id} of feedback ${feedback.feedback_id}: ${err ? err.message : 'Patient not found'}`);
+      return;
+    }
+
+    const patient = results[0];
+    notificationPreferenceAPI.notify(db,
+      { userId: feedback.patient_id, email: patient.Email, phone: patient.Phone, label: `patient ${feedback.patient_id}` },
+      'feedback',
+      {
+        subject: `New feedback from ${patient.Specialist_Name}`,
+        html: `
+          <html>
+            <body style="font-family: Arial, sans-serif; color: #333;">
+              <h2>New Feedback</h2>
+              <p>Dear ${patient.Name},</p>
+              <p>${patient.Specialist_Name} left you feedback:</p>
+              <blockquote style="border-left: 3px solid #ddd; padding-left: 12px;">${feedback.content}</blockquote>
+              <p>Best regards,<br/>Blood Sugar Monitoring System</p>
+            </body>
+          </html>
+        `,
+        text: `${patient.Specialist_Name} left you new feedback. Sign in to read it.`,
+        inApp: {
+          type: 'feedback',
+          title: `New feedback from ${patient.Specialist_Name}`,
+          message: feedback.content.length > 140 ? `${feedback.content.slice(0, 137)}...` : feedback.content,
+          feedbackId: feedback.feedback_id,
+          timestamp: new Date().toISOString()
+        }
+      },
+      (notifyErr, deliveries) => {
+        console.log(`Feedback ${feedback.feedback_id} notification sent to patient ${feedback.patient_id} by ${notificationService.describeResults(deliveries)}`);
+      }
+    );
+  });
+}
+
 /**
  * Retrieves all feedback received by a specific patient.
  * @param {Object} db - Database connection
@@ -94,6 +153,7 @@ function getFeedbackBySpecialist(db, specialistId, callback) {
 
 module.exports = {
   createFeedback,
+  notifyPatientOfFeedback,
   getFeedbackForPatient,
   getFeedbackBySpecialist
 };
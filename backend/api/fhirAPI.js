@@ -0,0 +1,296 @@
+// api/fhirAPI.js
+// Purpose: Data access for the FHIR R4 interface: patient/observation lookups with
+//          role-based access checks, Observation search, and Bundle ingestion through
+//          the normal validation and categorization path.
+
+const specialistAPI = require('./specialistAPI');
+const readingImportAPI = require('./readingImportAPI');
+const recategorizationAPI = require('./recategorizationAPI');
+const fhirMapper = require('../utils/fhirMapper');
+const { toSqlDateTime } = require('../utils/importers/common');
+
+// Source tag stored on readings ingested from a FHIR Bundle
+const FHIR_SOURCE = 'FHIR';
+
+/**
+ * Check whether the authenticated user may read/write a patient's data.
+ * Patients: only themselves. Specialists: assigned patients. Staff/Admins: everyone.
+ * @param {Object} db - Database connection
+ * @param {Object} user - req.user ({ user_id, role })
+ * @param {number} patientId - Patient ID
+ * @param {Function} callback - Callback function(err, allowed)
+ */
+function verifyPatientAccess(db, user, patientId, callback) {
+  if (user.role === 'Clinic_Staff' || user.role === 'Administrator') {
+    return callback(null, true);
+  }
+  if (user.role === 'Patient') {
+    return callback(null, +user.user_id === +patientId);
+  }
+  if (user.role === 'Specialist') {
+    return specialistAPI.verifyAssignment(db, user.user_id, patientId, callback);
+  }
+  callback(null, false);
+}
+
+/**
+ * Get a patient's demographic row
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Function} callback - Callback function(err, patientRow|null)
+ */
+function getPatient(db, patientId, callback) {
+  const query = `
+    SELECT p.Patient_ID, p.Healthcare_Number, p.Date_Of_Birth, u.Name, u.Email, u.Phone, u.Status
+    FROM Patient p
+    INNER JOIN User u ON p.Patient_ID = u.User_ID
+    WHERE p.Patient_ID = ?
+  `;
+
+  db.query(query, [patientId], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results[0] || null);
+  });
+}
+
+/**
+ * Get a single reading by ID
+ * @param {Object} db - Database connection
+ * @param {number} readingId - Reading ID (Observation id)
+ * @param {Function} callback - Callback function(err, readingRow|null)
+ */
+function getReading(db, readingId, callback) {
+  const query = 'SELECT * FROM Sugar_Reading WHERE Reading_ID = ? AND Deleted_At IS NULL';
+
+  db.query(query, [readingId], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results[0] || null);
+  });
+}
+
+/**
+ * Translate FHIR date search parameters into SQL conditions on DateTime.
+ * Supports the eq, gt, ge, lt and le prefixes with a date or dateTime value.
+ * @param {string|string[]} dateParams - e.g. ['ge2025-01-01', 'lt2025-02-01']
+ * @returns {{ error: string|null, conditions: string[], params: string[] }}
+ */
+function parseDateParams(dateParams) {
+  const values = [].concat(dateParams || []);
+  const conditions = [];
+  const params = [];
+
+  for (const raw of values) {
+    const match = /^(eq|gt|ge|lt|le)?(\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?)$/.exec(raw);
+    if (!match) {
+      return { error: `Unsupported date search value "${raw}"`, conditions: [], params: [] };
+    }
+
+    const prefix = match[1] || 'eq';
+    const isDateOnly = !match[3];
+    const parsed = new Date(isDateOnly ? `${match[2]}T00:00:00` : match[2]);
+    if (isNaN(parsed.getTime())) {
+      return { error: `Invalid date "${match[2]}"`, conditions: [], params: [] };
+    }
+
+    // A date-only value covers the whole day
+    const start = toSqlDateTime(parsed);
+    const end = isDateOnly ? `${match[2]} 23:59:59` : start;
+
+    if (prefix === 'eq') {
+      conditions.push('DateTime BETWEEN ? AND ?');
+      params.push(start, end);
+    } else if (prefix === 'gt') {
+      conditions.push('DateTime > ?');
+      params.push(end);
+    } else if (prefix === 'ge') {
+      conditions.push('DateTime >= ?');
+      params.push(start);
+    } else if (prefix === 'lt') {
+      conditions.push('DateTime < ?');
+      params.push(start);
+    } else {
+      conditions.push('DateTime <= ?');
+      params.push(end);
+    }
+  }
+
+  return { error: null, conditions: conditions, params: params };
+}
+
+/**
+ * Search a patient's readings for the Observation search endpoint
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Object} search - { conditions, params } from parseDateParams, plus limit and offset
+ * @param {Function} callback - Callback function(err, { rows, total })
+ */
+function searchReadings(db, patientId, search, callback) {
+  const where = ['Patient_ID = ?', 'Deleted_At IS NULL', ...search.conditions].join(' AND ');
+  const params = [patientId, ...search.params];
+
+  const countQuery = `SELECT COUNT(*) AS total FROM Sugar_Reading WHERE ${where}`;
+  db.query(countQuery, params, (err, countResults) => {
+    if (err) return callback(err, null);
+
+    const query = `
+      SELECT *
+      FROM Sugar_Reading
+      WHERE ${where}
+      ORDER BY DateTime DESC
+      LIMIT ? OFFSET ?
+    `;
+    db.query(query, [...params, search.limit, search.offset], (err, rows) => {
+      if (err) return callback(err, null);
+      callback(null, { rows: rows, total: countResults[0].total });
+    });
+  });
+}
+
+/**
+ * Ingest the Observations in a FHIR Bundle. Entries are grouped by patient and each
+ * group goes through readingImportAPI.importReadings (validation, duplicate detection,
+ * categorization, one alert/AI run per patient).
+ * @param {Object} db - Database connection
+ * @param {Object} user - req.user of the caller
+ * @param {Object} bundle - Bundle resource (type batch or collection)
+ * @param {Function} callback - Callback function(err, responseBundle)
+ */
+function ingestBundle(db, user, bundle, callback) {
+  if (bundle.entry !== undefined && !Array.isArray(bundle.entry)) {
+    return callback(new Error('Bundle.entry must be an array'), null);
+  }
+  const entries = bundle.entry || [];
+  const responses = new Array(entries.length);
+  const groups = {}; // patientId -> [{ index, row }]
+
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      responses[index] = { status: '400 Bad Request', outcome: fhirMapper.operationOutcome('error', 'invalid', 'Bundle entry must be an object') };
+      return;
+    }
+    const mapped = fhirMapper.observationToReading(entry.resource);
+    if (mapped.error) {
+      responses[index] = { status: '400 Bad Request', outcome: fhirMapper.operationOutcome('error', 'invalid', mapped.error) };
+      return;
+    }
+    // Line numbers let importReadings report back per entry
+    const row = { ...mapped.row, line: index };
+    (groups[mapped.patientId] = groups[mapped.patientId] || []).push(row);
+  });
+
+  const patientIds = Object.keys(groups);
+  const toStatus = {
+    accepted: '201 Created',
+    duplicate: '200 OK',
+    rejected: '400 Bad Request',
+    skipped: '400 Bad Request'
+  };
+
+  const buildResponse = () => {
+    callback(null, {
+      resourceType: 'Bundle',
+      type: 'batch-response',
+      entry: responses.map(response => ({
+        response: response.outcome
+          ? { status: response.status, outcome: response.outcome }
+          : { status: response.status }
+      }))
+    });
+  };
+
+  // Patients are processed one after another to keep the shared connection orderly
+  const processPatient = position => {
+    if (position === patientIds.length) return buildResponse();
+
+    const patientId = parseInt(patientIds[position], 10);
+    const rows = groups[patientIds[position]];
+
+    verifyPatientAccess(db, user, patientId, (err, allowed) => {
+      if (err) return callback(err, null);
+
+      if (!allowed) {
+        rows.forEach(row => {
+          responses[row.line] = {
+            status: '403 Forbidden',
+            outcome: fhirMapper.operationOutcome('error', 'forbidden', `Not permitted to add readings for Patient/${patientId}`)
+          };
+        });
+        return processPatient(position + 1);
+      }
+
+      getPatient(db, patientId, (err, patient) => {
+        if (err) return callback(err, null);
+
+        if (!patient) {
+          rows.forEach(row => {
+            responses[row.line] = {
+              status: '404 Not Found',
+              outcome: fhirMapper.operationOutcome('error', 'not-found', `Patient/${patientId} not found`)
+            };
+          });
+          return processPatient(position + 1);
+        }
+
+        readingImportAPI.importReadings(db, patientId, rows, { dryRun: false, source: FHIR_SOURCE, changedBy: user.user_id }, (err, report) => {
+          if (err) return callback(err, null);
+
+          report.rows.forEach(result => {
+            const response = { status: toStatus[result.status] };
+            if (result.reason) {
+              const severity = result.status === 'duplicate' ? 'information' : 'error';
+              const code = result.status === 'duplicate' ? 'duplicate' : 'invalid';
+              response.outcome = fhirMapper.operationOutcome(severity, code, result.reason);
+            }
+            responses[result.line] = response;
+          });
+          processPatient(position + 1);
+        });
+      });
+    });
+  };
+
+  processPatient(0);
+}
+
+/**
+ * Get the thresholds each reading was categorized under (for interpretation/referenceRange):
+ * the system version stored on the reading (Threshold_ID) for its own context, combined with
+ * the patient's ranges. Readings without a stored version use the version in effect at their
+ * DateTime, as re-categorization would.
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Object[]} readings - Sugar_Reading rows of the patient
+ * @param {Function} callback - Callback function(err, { [Reading_ID]: thresholds })
+ */
+function getReadingThresholds(db, patientId, readings, callback) {
+  if (readings.length === 0) return callback(null, {});
+
+  recategorizationAPI.loadThresholdState(db, patientId, (err, state) => {
+    // Interpretation still works without a reference range, so don't fail the export
+    if (err) {
+      console.warn(`getReadingThresholds: could not load thresholds for patient ${patientId}:`, err.message);
+      return callback(null, {});
+    }
+
+    const versionsById = {};
+    Object.values(state.versions).forEach(rows => rows.forEach(row => { versionsById[row.Threshold_ID] = row; }));
+
+    const thresholdsByReading = {};
+    readings.forEach(reading => {
+      const stored = versionsById[reading.Threshold_ID];
+      thresholdsByReading[reading.Reading_ID] = recategorizationAPI.thresholdsFor(state, reading, stored);
+    });
+    callback(null, thresholdsByReading);
+  });
+}
+
+module.exports = {
+  FHIR_SOURCE,
+  verifyPatientAccess,
+  getPatient,
+  getReading,
+  parseDateParams,
+  searchReadings,
+  ingestBundle,
+  getReadingThresholds
+};
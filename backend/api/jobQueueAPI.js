@@ -0,0 +1,348 @@
+// api/jobQueueAPI.js
+// Purpose: Database-backed queue for background work (AI analysis, alert checks) so it survives
+//          restarts and failed queries. Jobs are claimed by one worker at a time, retried with
+//          exponential backoff, and dead-lettered after Max_Attempts failures. An idempotency
+//          key keeps the same piece of work from being queued twice. The worker loop that runs
+//          the jobs is services/jobWorker.js.
+
+const JOB_TYPES = {
+  AI_ANALYSIS: 'ai_analysis',
+  ALERT_CHECK: 'alert_check'
+};
+
+const JOB_STATUSES = ['Pending', 'Running', 'Completed', 'Dead', 'Cancelled'];
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+
+// Retry delay: JOB_RETRY_BASE_SECONDS doubled for each failed attempt, at most JOB_RETRY_MAX_SECONDS
+const RETRY_BASE_SECONDS = parseInt(process.env.JOB_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = parseInt(process.env.JOB_RETRY_MAX_SECONDS) || 3600;
+
+const MAX_LIST_LIMIT = 200;
+
+/**
+ * Seconds to wait before retrying a job that has failed the given number of times
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Delay in seconds
+ */
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)), RETRY_MAX_SECONDS);
+}
+
+// Job as returned by the API, with its payload parsed
+function toJob(row) {
+  let payload = null;
+  try {
+    payload = row.Payload ? JSON.parse(row.Payload) : null;
+  } catch (e) {
+    console.warn(`Invalid Payload for job ${row.Job_ID}: ${e.message}`);
+  }
+  return { ...row, Payload: payload };
+}
+
+/**
+ * Queue a job. A job whose idempotency key is already queued (in any status) is not queued
+ * again; the existing job is returned with duplicate: true.
+ * @param {Object} db - Database connection
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} payload - Job data passed to the handler
+ * @param {Object} options - { idempotencyKey, maxAttempts, delaySeconds }
+ * @param {Function} callback - Callback function(err, { job_id, duplicate })
+ */
+function enqueueJob(db, type, payload, options, callback) {
+  if (!type || typeof type !== 'string') {
+    return callback(new Error('Job type is required'), null);
+  }
+
+  const query = `
+    INSERT INTO Background_Job (Type, Payload, Idempotency_Key, Max_Attempts, Run_After)
+    VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+  `;
+  const values = [
+    type,
+    JSON.stringify(payload || {}),
+    options.idempotencyKey ? String(options.idempotencyKey).slice(0, 191) : null,
+    options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    options.delaySeconds || 0
+  ];
+
+  db.query(query, values, (err, results) => {
+    if (err && err.code === 'ER_DUP_ENTRY' && values[2]) {
+      return db.query('SELECT Job_ID FROM Background_Job WHERE Idempotency_Key = ?', [values[2]], (err, rows) => {
+        if (err) return callback(err, null);
+        if (rows.length === 0) return callback(new Error('Job not found'), null);
+        callback(null, { job_id: rows[0].Job_ID, duplicate: true });
+      });
+    }
+    if (err) return callback(err, null);
+    callback(null, { job_id: results.insertId, duplicate: false });
+  });
+}
+
+/**
+ * Claim the next due job for a worker: marks it Running, locked by the worker, and counts the
+ * attempt. The UPDATE is atomic, so two workers never claim the same job.
+ * @param {Object} db - Database connection
+ * @param {string} workerId - Unique ID of the claiming worker (one job at a time per worker)
+ * @param {Function} callback - Callback function(err, job) - job is null when none are due
+ */
+function claimNextJob(db, workerId, callback) {
+  const claimQuery = `
+    UPDATE Background_Job
+    SET Status = 'Running', Locked_By = ?, Locked_At = NOW(), Attempts = Attempts + 1
+    WHERE Status = 'Pending' AND Run_After <= NOW()
+    ORDER BY Run_After ASC, Job_ID ASC
+    LIMIT 1
+  `;
+
+  db.query(claimQuery, [workerId], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.affectedRows === 0) return callback(null, null);
+
+    const query = `
+      SELECT * FROM Background_Job
+      WHERE Status = 'Running' AND Locked_By = ?
+      ORDER BY Locked_At DESC, Job_ID DESC
+      LIMIT 1
+    `;
+    db.query(query, [workerId], (err, rows) => {
+      if (err) return callback(err, null);
+      callback(null, rows.length > 0 ? toJob(rows[0]) : null);
+    });
+  });
+}
+
+/**
+ * Mark a claimed job completed
+ * @param {Object} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {Function} callback - Callback function(err)
+ */
+function completeJob(db, jobId, callback) {
+  const query = `
+    UPDATE Background_Job
+    SET Status = 'Completed', Completed_At = NOW(), Locked_By = NULL, Locked_At = NULL
+    WHERE Job_ID = ? AND Status = 'Running'
+  `;
+  db.query(query, [jobId], (err) => callback(err || null));
+}
+
+/**
+ * Record a failed attempt. The job is retried after the backoff delay, or dead-lettered once it
+ * has used all its attempts.
+ * @param {Object} db - Database connection
+ * @param {Object} job - The claimed job (Job_ID, Attempts, Max_Attempts)
+ * @param {Error} error - Why the attempt failed
+ * @param {Function} callback - Callback function(err, { status, retry_in_seconds })
+ */
+function failJob(db, job, error, callback) {
+  const message = (error && error.message ? error.message : String(error)).slice(0, 65535);
+
+  if (job.Attempts >= job.Max_Attempts) {
+    const query = `
+      UPDATE Background_Job
+      SET Status = 'Dead', Last_Error = ?, Completed_At = NOW(), Locked_By = NULL, Locked_At = NULL
+      WHERE Job_ID = ?
+    `;
+    return db.query(query, [message, job.Job_ID], (err) => {
+      if (err) return callback(err, null);
+      callback(null, { status: 'Dead', retry_in_seconds: null });
+    });
+  }
+
+  const delay = retryDelaySeconds(job.Attempts);
+  const query = `
+    UPDATE Background_Job
+    SET Status = 'Pending', Last_Error = ?, Run_After = DATE_ADD(NOW(), INTERVAL ? SECOND),
+        Locked_By = NULL, Locked_At = NULL
+    WHERE Job_ID = ?
+  `;
+  db.query(query, [message, delay, job.Job_ID], (err) => {
+    if (err) return callback(err, null);
+    callback(null, { status: 'Pending', retry_in_seconds: delay });
+  });
+}
+
+/**
+ * Put back jobs whose worker stopped while running them (crash or restart). The interrupted
+ * attempt counts; a job with no attempts left is dead-lettered.
+ * @param {Object} db - Database connection
+ * @param {number} timeoutMinutes - Minutes a job may stay Running
+ * @param {Function} callback - Callback function(err, { requeued, dead })
+ */
+function releaseStaleJobs(db, timeoutMinutes, callback) {
+  const staleCondition = "Status = 'Running' AND Locked_At <= DATE_SUB(NOW(), INTERVAL ? MINUTE)";
+  const error = `Worker stopped responding (still running after ${timeoutMinutes} minutes)`;
+
+  const deadQuery = `
+    UPDATE Background_Job
+    SET Status = 'Dead', Last_Error = ?, Completed_At = NOW(), Locked_By = NULL, Locked_At = NULL
+    WHERE ${staleCondition} AND Attempts >= Max_Attempts
+  `;
+  db.query(deadQuery, [error, timeoutMinutes], (err, deadResults) => {
+    if (err) return callback(err, null);
+
+    const requeueQuery = `
+      UPDATE Background_Job
+      SET Status = 'Pending', Last_Error = ?, Run_After = NOW(), Locked_By = NULL, Locked_At = NULL
+      WHERE ${staleCondition}
+    `;
+    db.query(requeueQuery, [error, timeoutMinutes], (err, requeueResults) => {
+      if (err) return callback(err, null);
+      callback(null, { requeued: requeueResults.affectedRows, dead: deadResults.affectedRows });
+    });
+  });
+}
+
+/**
+ * Delete completed and cancelled jobs older than the given number of days. Dead jobs are kept
+ * until an administrator retries or cancels them.
+ * @param {Object} db - Database connection
+ * @param {number} days - Days to keep finished jobs
+ * @param {Function} callback - Callback function(err, { deleted })
+ */
+function purgeFinishedJobs(db, days, callback) {
+  const query = `
+    DELETE FROM Background_Job
+    WHERE Status IN ('Completed', 'Cancelled') AND Updated_At < DATE_SUB(NOW(), INTERVAL ? DAY)
+  `;
+  db.query(query, [days], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, { deleted: results.affectedRows });
+  });
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} db - Database connection
+ * @param {Object} filters - { status, type, limit (default 50, at most 200) }
+ * @param {Function} callback - Callback function(err, jobs)
+ */
+function listJobs(db, filters, callback) {
+  if (filters.status && !JOB_STATUSES.includes(filters.status)) {
+    return callback(new Error(`status must be one of: ${JOB_STATUSES.join(', ')}`), null);
+  }
+
+  const conditions = [];
+  const values = [];
+  if (filters.status) {
+    conditions.push('Status = ?');
+    values.push(filters.status);
+  }
+  if (filters.type) {
+    conditions.push('Type = ?');
+    values.push(filters.type);
+  }
+  values.push(Math.min(parseInt(filters.limit) || 50, MAX_LIST_LIMIT));
+
+  const query = `
+    SELECT * FROM Background_Job
+    ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+    ORDER BY Created_At DESC, Job_ID DESC
+    LIMIT ?
+  `;
+  db.query(query, values, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results.map(toJob));
+  });
+}
+
+/**
+ * Number of jobs by type and status
+ * @param {Object} db - Database connection
+ * @param {Function} callback - Callback function(err, { [type]: { [status]: count } })
+ */
+function getJobStats(db, callback) {
+  db.query('SELECT Type, Status, COUNT(*) AS Count FROM Background_Job GROUP BY Type, Status', (err, results) => {
+    if (err) return callback(err, null);
+    const stats = {};
+    results.forEach(row => {
+      stats[row.Type] = stats[row.Type] || {};
+      stats[row.Type][row.Status] = row.Count;
+    });
+    callback(null, stats);
+  });
+}
+
+/**
+ * Get one job
+ * @param {Object} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {Function} callback - Callback function(err, job)
+ */
+function getJob(db, jobId, callback) {
+  db.query('SELECT * FROM Background_Job WHERE Job_ID = ?', [jobId], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.length === 0) {
+      return callback(new Error('Job not found'), null);
+    }
+    callback(null, toJob(results[0]));
+  });
+}
+
+/**
+ * Run a dead or cancelled job again, with a fresh set of attempts
+ * @param {Object} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {Function} callback - Callback function(err, job)
+ */
+function retryJob(db, jobId, callback) {
+  getJob(db, jobId, (err, job) => {
+    if (err) return callback(err, null);
+
+    const query = `
+      UPDATE Background_Job
+      SET Status = 'Pending', Attempts = 0, Run_After = NOW(), Completed_At = NULL
+      WHERE Job_ID = ? AND Status IN ('Dead', 'Cancelled')
+    `;
+    db.query(query, [jobId], (err, results) => {
+      if (err) return callback(err, null);
+      if (results.affectedRows === 0) {
+        return callback(new Error(`Only dead or cancelled jobs can be retried (this job is ${job.Status})`), null);
+      }
+      getJob(db, jobId, callback);
+    });
+  });
+}
+
+/**
+ * Cancel a job that has not started yet, or a dead job that should not be retried
+ * @param {Object} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {Function} callback - Callback function(err, job)
+ */
+function cancelJob(db, jobId, callback) {
+  getJob(db, jobId, (err, job) => {
+    if (err) return callback(err, null);
+
+    const query = `
+      UPDATE Background_Job
+      SET Status = 'Cancelled', Completed_At = NOW()
+      WHERE Job_ID = ? AND Status IN ('Pending', 'Dead')
+    `;
+    db.query(query, [jobId], (err, results) => {
+      if (err) return callback(err, null);
+      if (results.affectedRows === 0) {
+        return callback(new Error(`Only pending or dead jobs can be cancelled (this job is ${job.Status})`), null);
+      }
+      getJob(db, jobId, callback);
+    });
+  });
+}
+
+module.exports = {
+  JOB_TYPES,
+  JOB_STATUSES,
+  retryDelaySeconds,
+  enqueueJob,
+  claimNextJob,
+  completeJob,
+  failJob,
+  releaseStaleJobs,
+  purgeFinishedJobs,
+  listJobs,
+  getJobStats,
+  getJob,
+  retryJob,
+  cancelJob
+};
@@ -0,0 +1,381 @@
+// api/mealAPI.js
+// Purpose: Structured meal logging. Meals are made of items from a local food dictionary
+//          (Food_Item) with estimated carbohydrate grams; patients can search the dictionary
+//          and add their own foods. A reading can reference the meal that preceded it.
+
+const foodDictionary = require('../utils/foodDictionary');
+
+const MEAL_TYPES = ['Breakfast', 'Lunch', 'Dinner', 'Snack'];
+
+// Upper bounds that catch entry errors without rejecting large meals
+const MAX_ITEMS_PER_MEAL = 30;
+const MAX_SERVINGS = 20;
+const MAX_CARBS_PER_SERVING = 500;
+
+/**
+ * Load the food dictionary visible to a patient (shared foods plus the patient's own)
+ * @param {Object} db - Database connection
+ * @param {number|null} patientId - Patient ID, or null for every food (e.g. system reports)
+ * @param {Function} callback - Callback function(err, foodRows)
+ */
+function getFoodRows(db, patientId, callback) {
+  let query = 'SELECT Food_ID, Name, Aliases, Carbs_Per_Serving, Serving_Description, Created_By FROM Food_Item';
+  const queryParams = [];
+
+  if (patientId) {
+    query += ' WHERE Created_By IS NULL OR Created_By = ?';
+    queryParams.push(patientId);
+  }
+
+  db.query(query, queryParams, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results);
+  });
+}
+
+/**
+ * Build the name/alias lookup used to canonicalize food names
+ * @param {Object} db - Database connection
+ * @param {number|null} patientId - Patient ID, or null for every food
+ * @param {Function} callback - Callback function(err, index) with index from foodDictionary.buildFoodIndex
+ */
+function getFoodIndex(db, patientId, callback) {
+  getFoodRows(db, patientId, (err, rows) => {
+    if (err) return callback(err, null);
+    callback(null, foodDictionary.buildFoodIndex(rows));
+  });
+}
+
+/**
+ * Search the food dictionary by name or alias
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID (own foods are included)
+ * @param {string} search - Search text (empty lists the dictionary)
+ * @param {number} limit - Maximum number of foods
+ * @param {Function} callback - Callback function(err, foods)
+ */
+function searchFoods(db, patientId, search, limit, callback) {
+  const term = `%${foodDictionary.normalizeFoodName(search)}%`;
+  const query = `
+    SELECT Food_ID, Name, Aliases, Carbs_Per_Serving, Serving_Description, Created_By
+    FROM Food_Item
+    WHERE (Created_By IS NULL OR Created_By = ?)
+      AND (LOWER(Name) LIKE ? OR LOWER(Aliases) LIKE ?)
+    ORDER BY Name ASC
+    LIMIT ?
+  `;
+
+  db.query(query, [patientId, term, term, limit], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results);
+  });
+}
+
+/**
+ * Add a food to the patient's dictionary
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID (the food is visible to this patient only)
+ * @param {Object} foodData - { name, carbsPerServing, servingDescription, aliases }
+ * @param {Function} callback - Callback function(err, result)
+ */
+function addFood(db, patientId, foodData, callback) {
+  const name = String(foodData.name || '').replace(/\s+/g, ' ').trim();
+  const carbs = Number(foodData.carbsPerServing);
+
+  if (!name || name.length > 100) {
+    return callback(new Error('name must be between 1 and 100 characters'), null);
+  }
+  if (foodData.carbsPerServing === undefined || foodData.carbsPerServing === null || foodData.carbsPerServing === '' ||
+      isNaN(carbs) || carbs < 0 || carbs > MAX_CARBS_PER_SERVING) {
+    return callback(new Error(`carbsPerServing must be a number between 0 and ${MAX_CARBS_PER_SERVING}`), null);
+  }
+
+  const aliases = foodDictionary.parseAliases(foodData.aliases).join(',');
+  if (aliases.length > 255) {
+    return callback(new Error('aliases must be at most 255 characters'), null);
+  }
+
+  getFoodIndex(db, patientId, (err, index) => {
+    if (err) return callback(err, null);
+
+    // A new food must not shadow a name or alias the patient already uses
+    const clash = [name, ...foodDictionary.parseAliases(aliases)]
+      .map(foodDictionary.normalizeFoodName)
+      .find(n => index.has(n));
+    if (clash) {
+      return callback(new Error(`'${clash}' already exists in the food dictionary (as ${index.get(clash)})`), null);
+    }
+
+    const query = `
+      INSERT INTO Food_Item (Name, Aliases, Carbs_Per_Serving, Serving_Description, Created_By)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    const servingDescription = foodData.servingDescription ? String(foodData.servingDescription).slice(0, 100) : null;
+
+    db.query(query, [name, aliases || null, carbs, servingDescription, patientId], (err, results) => {
+      if (err) return callback(err, null);
+
+      console.log(`Food added to dictionary - ID: ${results.insertId}, Patient: ${patientId}, Name: ${name}`);
+      callback(null, {
+        food_id: results.insertId,
+        name: name,
+        aliases: aliases || null,
+        carbs_per_serving: carbs,
+        serving_description: servingDescription
+      });
+    });
+  });
+}
+
+/**
+ * Validate a meal before it is saved
+ * @param {Object} mealData - { dateTime, mealType, items: [{ foodId, servings, carbs }], notes }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMealData(mealData) {
+  if (!mealData.dateTime) {
+    return 'dateTime is required';
+  }
+
+  const providedDateTime = new Date(mealData.dateTime);
+  if (isNaN(providedDateTime.getTime())) {
+    return 'Invalid date format provided for meal';
+  }
+  if (providedDateTime > new Date()) {
+    return 'Meal date and time cannot be in the future';
+  }
+
+  if (!MEAL_TYPES.includes(mealData.mealType)) {
+    return `mealType must be one of: ${MEAL_TYPES.join(', ')}`;
+  }
+
+  if (!Array.isArray(mealData.items) || mealData.items.length === 0) {
+    return 'A meal needs at least one item';
+  }
+  if (mealData.items.length > MAX_ITEMS_PER_MEAL) {
+    return `A meal can have at most ${MAX_ITEMS_PER_MEAL} items`;
+  }
+
+  for (const item of mealData.items) {
+    const foodId = Number(item.foodId);
+    if (!Number.isInteger(foodId) || foodId <= 0) {
+      return 'Each item needs a valid foodId';
+    }
+
+    const servings = item.servings === undefined ? 1 : Number(item.servings);
+    if (isNaN(servings) || servings <= 0 || servings > MAX_SERVINGS) {
+      return `servings must be a positive number up to ${MAX_SERVINGS}`;
+    }
+
+    if (item.carbs !== undefined && item.carbs !== null && item.carbs !== '') {
+      const carbs = Number(item.carbs);
+      if (isNaN(carbs) || carbs < 0 || carbs > MAX_CARBS_PER_SERVING * MAX_SERVINGS) {
+        return 'carbs must be a non-negative number of grams';
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Log a meal. Item carbs default to servings x the food's carbs per serving.
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Object} mealData - { dateTime, mealType, items: [{ foodId, servings, carbs (optional override) }], notes }
+ * @param {Function} callback - Callback function(err, meal)
+ */
+function addMeal(db, patientId, mealData, callback) {
+  const validationError = validateMealData(mealData);
+  if (validationError) {
+    return callback(new Error(validationError), null);
+  }
+
+  getFoodRows(db, patientId, (err, foodRows) => {
+    if (err) return callback(err, null);
+
+    const foods = {};
+    foodRows.forEach(row => { foods[row.Food_ID] = row; });
+
+    const missing = mealData.items.find(item => !foods[Number(item.foodId)]);
+    if (missing) {
+      return callback(new Error(`Food ${missing.foodId} not found in the food dictionary`), null);
+    }
+
+    const items = mealData.items.map(item => {
+      const food = foods[Number(item.foodId)];
+      const servings = item.servings === undefined ? 1 : Number(item.servings);
+      const hasOverride = item.carbs !== undefined && item.carbs !== null && item.carbs !== '';
+      const carbs = hasOverride ? Number(item.carbs) : Number(food.Carbs_Per_Serving) * servings;
+      return {
+        food_id: food.Food_ID,
+        name: food.Name,
+        servings: servings,
+        carbs: Math.round(carbs * 10) / 10
+      };
+    });
+
+    const totalCarbs = Math.round(items.reduce((sum, item) => sum + item.carbs, 0) * 10) / 10;
+
+    const mealQuery = `
+      INSERT INTO Meal (Patient_ID, DateTime, Meal_Type, Total_Carbs, Notes)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    db.query(mealQuery, [patientId, mealData.dateTime, mealData.mealType, totalCarbs, mealData.notes || null], (err, mealResult) => {
+      if (err) return callback(err, null);
+
+      const mealId = mealResult.insertId;
+      const itemsQuery = 'INSERT INTO Meal_Item (Meal_ID, Food_ID, Servings, Carbs) VALUES ?';
+      const values = items.map(item => [mealId, item.food_id, item.servings, item.carbs]);
+
+      db.query(itemsQuery, [values], (err) => {
+        if (err) {
+          // Do not leave a meal without items behind
+          db.query('DELETE FROM Meal WHERE Meal_ID = ?', [mealId], () => callback(err, null));
+          return;
+        }
+
+        console.log(`Meal logged - ID: ${mealId}, Patient: ${patientId}, ${items.length} items, ${totalCarbs} g carbs`);
+        callback(null, {
+          meal_id: mealId,
+          patient_id: patientId,
+          dateTime: mealData.dateTime,
+          meal_type: mealData.mealType,
+          total_carbs: totalCarbs,
+          notes: mealData.notes || null,
+          items: items
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Get a patient's meals with their items
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Object} filters - Optional filters: { startDate, endDate, limit }
+ * @param {Function} callback - Callback function(err, meals)
+ */
+function getMeals(db, patientId, filters, callback) {
+  let query = `
+    SELECT Meal_ID, Patient_ID, DateTime, Meal_Type, Total_Carbs, Notes
+    FROM Meal
+    WHERE Patient_ID = ?
+  `;
+  const queryParams = [patientId];
+
+  if (filters.startDate) {
+    query += ' AND DateTime >= ?';
+    queryParams.push(filters.startDate);
+  }
+
+  if (filters.endDate) {
+    query += ' AND DateTime <= ?';
+    queryParams.push(filters.endDate);
+  }
+
+  query += ' ORDER BY DateTime DESC';
+
+  if (filters.limit) {
+    query += ' LIMIT ?';
+    queryParams.push(parseInt(filters.limit));
+  }
+
+  db.query(query, queryParams, (err, meals) => {
+    if (err) return callback(err, null);
+
+    if (meals.length === 0) {
+      return callback(null, []);
+    }
+
+    const itemsQuery = `
+      SELECT mi.Meal_Item_ID, mi.Meal_ID, mi.Food_ID, fi.Name, mi.Servings, mi.Carbs
+      FROM Meal_Item mi
+      INNER JOIN Food_Item fi ON mi.Food_ID = fi.Food_ID
+      WHERE mi.Meal_ID IN (?)
+      ORDER BY mi.Meal_Item_ID ASC
+    `;
+
+    db.query(itemsQuery, [meals.map(m => m.Meal_ID)], (err, items) => {
+      if (err) return callback(err, null);
+
+      callback(null, meals.map(meal => ({
+        ...meal,
+        Items: items.filter(item => item.Meal_ID === meal.Meal_ID)
+      })));
+    });
+  });
+}
+
+/**
+ * Delete a meal (its items go with it; readings that referenced it lose the link)
+ * @param {Object} db - Database connection
+ * @param {number} mealId - Meal ID
+ * @param {number} patientId - Patient ID (for verification)
+ * @param {Function} callback - Callback function(err, result)
+ */
+function deleteMeal(db, mealId, patientId, callback) {
+  db.query('SELECT Patient_ID FROM Meal WHERE Meal_ID = ?', [mealId], (err, results) => {
+    if (err) return callback(err, null);
+
+    if (results.length === 0) {
+      return callback(new Error('Meal not found'), null);
+    }
+
+    if (results[0].Patient_ID !== patientId) {
+      return callback(new Error('Unauthorized: Meal does not belong to this patient'), null);
+    }
+
+    db.query('DELETE FROM Meal WHERE Meal_ID = ?', [mealId], (err) => {
+      if (err) return callback(err, null);
+
+      console.log(`Meal deleted - ID: ${mealId}, Patient: ${patientId}`);
+      callback(null, { success: true, meal_id: mealId });
+    });
+  });
+}
+
+/**
+ * Check that a meal can be referenced by a reading: it must belong to the patient and
+ * must not be later than the reading
+ * @param {Object} db - Database connection
+ * @param {number|null} mealId - Meal ID, or null for no link
+ * @param {number} patientId - Patient ID
+ * @param {string|Date|null} readingDateTime - Time of the reading (null skips the time check)
+ * @param {Function} callback - Callback function(err)
+ */
+function verifyMealLink(db, mealId, patientId, readingDateTime, callback) {
+  if (!mealId) return callback(null);
+
+  db.query('SELECT Patient_ID, DateTime FROM Meal WHERE Meal_ID = ?', [mealId], (err, results) => {
+    if (err) return callback(err);
+
+    if (results.length === 0) {
+      return callback(new Error('Linked meal not found'));
+    }
+
+    if (results[0].Patient_ID !== patientId) {
+      return callback(new Error('Unauthorized: Linked meal does not belong to this patient'));
+    }
+
+    if (readingDateTime && new Date(results[0].DateTime) > new Date(readingDateTime)) {
+      return callback(new Error('A reading can only reference a meal eaten before it'));
+    }
+
+    callback(null);
+  });
+}
+
+module.exports = {
+  MEAL_TYPES,
+  getFoodIndex,
+  searchFoods,
+  addFood,
+  validateMealData,
+  addMeal,
+  getMeals,
+  deleteMeal,
+  verifyMealLink
+};
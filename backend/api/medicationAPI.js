@@ -0,0 +1,377 @@
+// api/medicationAPI.js
+// Purpose: Insulin and medication dose log. Patients record bolus/basal insulin and oral
+//          medication doses; specialists and staff read them alongside the reading timeline.
+//          A dose can optionally be linked to the reading it was taken with.
+
+const MEDICATION_TYPES = ['Bolus_Insulin', 'Basal_Insulin', 'Oral', 'Other'];
+const MEDICATION_ROUTES = ['Subcutaneous', 'Pump', 'Oral', 'Inhaled', 'Intravenous', 'Other'];
+
+// Doses larger than this are almost certainly entry errors (e.g. mg typed as units)
+const MAX_DOSE = 5000;
+
+/**
+ * Match a value case-insensitively against a list of allowed values
+ * @param {string} value - e.g. 'bolus_insulin', 'Bolus insulin'
+ * @param {string[]} allowed - Allowed (stored) values
+ * @returns {string|null} The stored value, or null if not allowed
+ */
+function matchAllowed(value, allowed) {
+  if (value === undefined || value === null) return null;
+  const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return allowed.find(a => a.toLowerCase() === key) || null;
+}
+
+/**
+ * Validate a medication entry
+ * @param {Object} data - { dateTime, medicationType, drugName, dose, doseUnit, route, readingId, notes }
+ * @param {boolean} partial - true for updates, where only the provided fields are checked
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMedicationData(data, partial) {
+  const required = ['dateTime', 'medicationType', 'drugName', 'dose', 'route'];
+  if (!partial) {
+    const missing = required.filter(field => data[field] === undefined || data[field] === null || data[field] === '');
+    if (missing.length > 0) {
+      return `Missing required fields: ${missing.join(', ')}`;
+    }
+  }
+
+  if (data.dateTime !== undefined) {
+    const providedDateTime = new Date(data.dateTime);
+    if (isNaN(providedDateTime.getTime())) {
+      return 'Invalid date format provided for dose';
+    }
+    if (providedDateTime > new Date()) {
+      return 'Dose date and time cannot be in the future';
+    }
+  }
+
+  if (data.medicationType !== undefined && !matchAllowed(data.medicationType, MEDICATION_TYPES)) {
+    return `medicationType must be one of: ${MEDICATION_TYPES.join(', ')}`;
+  }
+
+  if (data.route !== undefined && !matchAllowed(data.route, MEDICATION_ROUTES)) {
+    return `route must be one of: ${MEDICATION_ROUTES.join(', ')}`;
+  }
+
+  if (data.drugName !== undefined && (!String(data.drugName).trim() || String(data.drugName).length > 100)) {
+    return 'drugName must be between 1 and 100 characters';
+  }
+
+  if (data.dose !== undefined) {
+    const dose = Number(data.dose);
+    if (isNaN(dose) || dose <= 0 || dose > MAX_DOSE) {
+      return `dose must be a positive number up to ${MAX_DOSE}`;
+    }
+  }
+
+  if (data.doseUnit !== undefined && data.doseUnit !== null && String(data.doseUnit).length > 20) {
+    return 'doseUnit must be at most 20 characters';
+  }
+
+  if (data.readingId !== undefined && data.readingId !== null && data.readingId !== '') {
+    const readingId = Number(data.readingId);
+    if (!Number.isInteger(readingId) || readingId <= 0) {
+      return 'readingId must be a valid reading ID';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate medication log query parameters
+ * @param {Object} query - req.query ({ startDate, endDate, medicationType, limit, offset })
+ * @param {number} defaultLimit - Limit applied when none is given
+ * @returns {{ error: string|null, filters: Object|null }}
+ */
+function parseMedicationFilters(query, defaultLimit) {
+  const medicationType = query.medicationType ? matchAllowed(query.medicationType, MEDICATION_TYPES) : null;
+  if (query.medicationType && !medicationType) {
+    return { error: `medicationType must be one of: ${MEDICATION_TYPES.join(', ')}`, filters: null };
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (query[field] && isNaN(new Date(query[field]).getTime())) {
+      return { error: `Invalid ${field}`, filters: null };
+    }
+  }
+
+  return {
+    error: null,
+    filters: {
+      startDate: query.startDate || null,
+      endDate: query.endDate || null,
+      medicationType: medicationType,
+      limit: query.limit || defaultLimit,
+      offset: query.offset || 0
+    }
+  };
+}
+
+/**
+ * Check that a reading exists and belongs to the patient (used when linking a dose)
+ * @param {Object} db - Database connection
+ * @param {number|null} readingId - Reading ID, or null for no link
+ * @param {number} patientId - Patient ID
+ * @param {Function} callback - Callback function(err)
+ */
+function verifyReadingLink(db, readingId, patientId, callback) {
+  if (!readingId) return callback(null);
+
+  db.query('SELECT Patient_ID FROM Sugar_Reading WHERE Reading_ID = ? AND Deleted_At IS NULL', [readingId], (err, results) => {
+    if (err) return callback(err);
+
+    if (results.length === 0) {
+      return callback(new Error('Linked reading not found'));
+    }
+
+    if (results[0].Patient_ID !== patientId) {
+      return callback(new Error('Unauthorized: Linked reading does not belong to this patient'));
+    }
+
+    callback(null);
+  });
+}
+
+/**
+ * Get a patient's medication log with optional filtering and pagination
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Object} filters - Optional filters: { startDate, endDate, medicationType, limit, offset }
+ * @param {Function} callback - Callback function(err, doses)
+ */
+function getMedicationLog(db, patientId, filters, callback) {
+  let query = `
+    SELECT
+      Medication_ID,
+      Patient_ID,
+      DateTime,
+      Medication_Type,
+      Drug_Name,
+      Dose,
+      Dose_Unit,
+      Route,
+      Reading_ID,
+      Notes,
+      Created_At
+    FROM Medication_Log
+    WHERE Patient_ID = ?
+  `;
+
+  const queryParams = [patientId];
+
+  if (filters.startDate) {
+    query += ' AND DateTime >= ?';
+    queryParams.push(filters.startDate);
+  }
+
+  if (filters.endDate) {
+    query += ' AND DateTime <= ?';
+    queryParams.push(filters.endDate);
+  }
+
+  if (filters.medicationType) {
+    query += ' AND Medication_Type = ?';
+    queryParams.push(filters.medicationType);
+  }
+
+  query += ' ORDER BY DateTime DESC';
+
+  if (filters.limit) {
+    query += ' LIMIT ?';
+    queryParams.push(parseInt(filters.limit));
+
+    if (filters.offset) {
+      query += ' OFFSET ?';
+      queryParams.push(parseInt(filters.offset));
+    }
+  }
+
+  db.query(query, queryParams, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results);
+  });
+}
+
+/**
+ * Log a medication dose
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Object} medicationData - { dateTime, medicationType, drugName, dose, doseUnit, route, readingId, notes }
+ * @param {Function} callback - Callback function(err, result)
+ */
+function addMedication(db, patientId, medicationData, callback) {
+  const validationError = validateMedicationData(medicationData, false);
+  if (validationError) {
+    return callback(new Error(validationError), null);
+  }
+
+  const readingId = medicationData.readingId ? Number(medicationData.readingId) : null;
+
+  verifyReadingLink(db, readingId, patientId, (err) => {
+    if (err) return callback(err, null);
+
+    const entry = {
+      dateTime: medicationData.dateTime,
+      medicationType: matchAllowed(medicationData.medicationType, MEDICATION_TYPES),
+      drugName: String(medicationData.drugName).trim(),
+      dose: Number(medicationData.dose),
+      doseUnit: medicationData.doseUnit || 'units',
+      route: matchAllowed(medicationData.route, MEDICATION_ROUTES),
+      readingId: readingId,
+      notes: medicationData.notes || null
+    };
+
+    const query = `
+      INSERT INTO Medication_Log
+        (Patient_ID, DateTime, Medication_Type, Drug_Name, Dose, Dose_Unit, Route, Reading_ID, Notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const values = [
+      patientId,
+      entry.dateTime,
+      entry.medicationType,
+      entry.drugName,
+      entry.dose,
+      entry.doseUnit,
+      entry.route,
+      entry.readingId,
+      entry.notes
+    ];
+
+    db.query(query, values, (err, results) => {
+      if (err) return callback(err, null);
+
+      console.log(`Medication dose logged - ID: ${results.insertId}, Patient: ${patientId}, ${entry.drugName} ${entry.dose} ${entry.doseUnit}`);
+      callback(null, { medication_id: results.insertId, patient_id: patientId, ...entry });
+    });
+  });
+}
+
+/**
+ * Update a logged dose
+ * @param {Object} db - Database connection
+ * @param {number} medicationId - Medication ID
+ * @param {number} patientId - Patient ID (for verification)
+ * @param {Object} updateData - Fields to update (same names as addMedication)
+ * @param {Function} callback - Callback function(err, result)
+ */
+function updateMedication(db, medicationId, patientId, updateData, callback) {
+  const validationError = validateMedicationData(updateData, true);
+  if (validationError) {
+    return callback(new Error(validationError), null);
+  }
+
+  const verifyQuery = 'SELECT Patient_ID FROM Medication_Log WHERE Medication_ID = ?';
+
+  db.query(verifyQuery, [medicationId], (err, results) => {
+    if (err) return callback(err, null);
+
+    if (results.length === 0) {
+      return callback(new Error('Medication entry not found'), null);
+    }
+
+    if (results[0].Patient_ID !== patientId) {
+      return callback(new Error('Unauthorized: Medication entry does not belong to this patient'), null);
+    }
+
+    // null or an empty readingId removes the link
+    const readingId = updateData.readingId ? Number(updateData.readingId) : null;
+
+    verifyReadingLink(db, readingId, patientId, (err) => {
+      if (err) return callback(err, null);
+
+      const columns = {
+        dateTime: ['DateTime', value => value],
+        medicationType: ['Medication_Type', value => matchAllowed(value, MEDICATION_TYPES)],
+        drugName: ['Drug_Name', value => String(value).trim()],
+        dose: ['Dose', value => Number(value)],
+        doseUnit: ['Dose_Unit', value => value || 'units'],
+        route: ['Route', value => matchAllowed(value, MEDICATION_ROUTES)],
+        readingId: ['Reading_ID', () => readingId],
+        notes: ['Notes', value => value || null]
+      };
+
+      const updateFields = [];
+      const queryParams = [];
+
+      Object.keys(columns).forEach(field => {
+        if (updateData[field] === undefined) return;
+        const [column, toValue] = columns[field];
+        updateFields.push(`${column} = ?`);
+        queryParams.push(toValue(updateData[field]));
+      });
+
+      if (updateFields.length === 0) {
+        return callback(new Error('No fields to update'), null);
+      }
+
+      queryParams.push(medicationId);
+
+      const updateQuery = `
+        UPDATE Medication_Log
+        SET ${updateFields.join(', ')}
+        WHERE Medication_ID = ?
+      `;
+
+      db.query(updateQuery, queryParams, (err, results) => {
+        if (err) return callback(err, null);
+
+        if (results.affectedRows === 0) {
+          return callback(new Error('Medication entry not found'), null);
+        }
+
+        console.log(`Medication entry updated - ID: ${medicationId}, Patient: ${patientId}`);
+        callback(null, { success: true, medication_id: medicationId });
+      });
+    });
+  });
+}
+
+/**
+ * Delete a logged dose
+ * @param {Object} db - Database connection
+ * @param {number} medicationId - Medication ID
+ * @param {number} patientId - Patient ID (for verification)
+ * @param {Function} callback - Callback function(err, result)
+ */
+function deleteMedication(db, medicationId, patientId, callback) {
+  const verifyQuery = 'SELECT Patient_ID FROM Medication_Log WHERE Medication_ID = ?';
+
+  db.query(verifyQuery, [medicationId], (err, results) => {
+    if (err) return callback(err, null);
+
+    if (results.length === 0) {
+      return callback(new Error('Medication entry not found'), null);
+    }
+
+    if (results[0].Patient_ID !== patientId) {
+      return callback(new Error('Unauthorized: Medication entry does not belong to this patient'), null);
+    }
+
+    db.query('DELETE FROM Medication_Log WHERE Medication_ID = ?', [medicationId], (err, results) => {
+      if (err) return callback(err, null);
+
+      if (results.affectedRows === 0) {
+        return callback(new Error('Medication entry not found'), null);
+      }
+
+      console.log(`Medication entry deleted - ID: ${medicationId}, Patient: ${patientId}`);
+      callback(null, { success: true, medication_id: medicationId });
+    });
+  });
+}
+
+module.exports = {
+  MEDICATION_TYPES,
+  MEDICATION_ROUTES,
+  matchAllowed,
+  validateMedicationData,
+  parseMedicationFilters,
+  getMedicationLog,
+  addMedication,
+  updateMedication,
+  deleteMedication
+};
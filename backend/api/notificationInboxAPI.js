@@ -0,0 +1,214 @@
+// api/notificationInboxAPI.js
+// Purpose: Per-user in-app notification inbox. Every in-app notification is stored here before it
+//          is pushed over Socket.IO, so users who were offline get it when they reconnect and can
+//          read, mark and clear their notifications later.
+
+const MAX_LIST_LIMIT = 200;
+
+// Inbox entry as sent to clients: the original notification data plus its inbox state
+function toNotification(row) {
+  let data = {};
+  try {
+    data = row.Data ? JSON.parse(row.Data) : {};
+  } catch (e) {
+    console.warn(`Invalid Data for notification ${row.Notification_ID}: ${e.message}`);
+  }
+
+  return {
+    ...data,
+    id: row.Notification_ID,
+    notificationId: row.Notification_ID,
+    type: row.Type,
+    title: row.Title,
+    message: row.Message,
+    read: !!row.Is_Read,
+    readAt: row.Read_At,
+    timestamp: data.timestamp || row.Created_At,
+    createdAt: row.Created_At
+  };
+}
+
+/**
+ * Store a notification in a user's inbox
+ * @param {Object} db - Database connection
+ * @param {number} userId - User ID
+ * @param {Object} data - Notification data ({ type, title, message, ... })
+ * @param {Function} callback - Callback function(err, notification)
+ */
+function addNotification(db, userId, data, callback) {
+  const query = `
+    INSERT INTO notification (User_ID, Type, Title, Message, Data)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  const values = [
+    userId,
+    String(data.type || 'system').slice(0, 30),
+    data.title ? String(data.title).slice(0, 255) : null,
+    data.message || null,
+    JSON.stringify(data)
+  ];
+
+  db.query(query, values, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, toNotification({
+      Notification_ID: results.insertId,
+      Type: values[1],
+      Title: values[2],
+      Message: values[3],
+      Data: values[4],
+      Is_Read: 0,
+      Read_At: null,
+      Created_At: new Date()
+    }));
+  });
+}
+
+/**
+ * Record that notifications were pushed to the user's open session
+ * @param {Object} db - Database connection
+ * @param {number[]} notificationIds - Notification IDs
+ * @param {Function} callback - Callback function(err)
+ */
+function markDelivered(db, notificationIds, callback) {
+  if (notificationIds.length === 0) return callback(null);
+  db.query('UPDATE notification SET Delivered_At = NOW() WHERE Notification_ID IN (?)', [notificationIds], (err) => {
+    callback(err || null);
+  });
+}
+
+/**
+ * Notifications stored while the user was offline, oldest first
+ * @param {Object} db - Database connection
+ * @param {number} userId - User ID
+ * @param {Function} callback - Callback function(err, notifications)
+ */
+function getUndelivered(db, userId, callback) {
+  const query = `
+    SELECT * FROM notification
+    WHERE User_ID = ? AND Delivered_At IS NULL
+    ORDER BY Created_At ASC, Notification_ID ASC
+    LIMIT ${MAX_LIST_LIMIT}
+  `;
+  db.query(query, [userId], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results.map(toNotification));
+  });
+}
+
+/**
+ * List a user's notifications, newest first, with their unread count
+ * @param {Object} db - Database connection
+ * @param {number} userId - User ID
+ * @param {Object} options - { unreadOnly, limit (default 50, at most 200) }
+ * @param {Function} callback - Callback function(err, { notifications, unread_count })
+ */
+function listNotifications(db, userId, options, callback) {
+  const limit = Math.min(parseInt(options.limit) || 50, MAX_LIST_LIMIT);
+  let query = 'SELECT * FROM notification WHERE User_ID = ?';
+  if (options.unreadOnly) query += ' AND Is_Read = 0';
+  query += ' ORDER BY Created_At DESC, Notification_ID DESC LIMIT ?';
+
+  db.query(query, [userId, limit], (err, results) => {
+    if (err) return callback(err, null);
+    getUnreadCount(db, userId, (err, unreadCount) => {
+      if (err) return callback(err, null);
+      callback(null, { notifications: results.map(toNotification), unread_count: unreadCount });
+    });
+  });
+}
+
+/**
+ * Count a user's unread notifications
+ * @param {Object} db - Database connection
+ * @param {number} userId - User ID
+ * @param {Function} callback - Callback function(err, count)
+ */
+function getUnreadCount(db, userId, callback) {
+  db.query('SELECT COUNT(*) AS unread FROM notification WHERE User_ID = ? AND Is_Read = 0', [userId], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results[0].unread);
+  });
+}
+
+/**
+ * Mark one of a user's notifications read
+ * @param {Object} db - Database connection
+ * @param {number} userId - User ID
+ * @param {number} notificationId - Notification ID
+ * @param {Function} callback - Callback function(err, { notification_id, unread_count })
+ */
+function markRead(db, userId, notificationId, callback) {
+  const query = `
+    UPDATE notification
+    SET Is_Read = 1, Read_At = COALESCE(Read_At, NOW())
+    WHERE Notification_ID = ? AND User_ID = ?
+  `;
+  db.query(query, [notificationId, userId], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.affectedRows === 0) {
+      return callback(new Error('Notification not found'), null);
+    }
+    getUnreadCount(db, userId, (err, unreadCount) => {
+      if (err) return callback(err, null);
+      callback(null, { notification_id: notificationId, unread_count: unreadCount });
+    });
+  });
+}
+
+/**
+ * Mark all of a user's notifications read
+ * @param {Object} db - Database connection
+ * @param {number} userId - User ID
+ * @param {Function} callback - Callback function(err, { updated })
+ */
+function markAllRead(db, userId, callback) {
+  db.query('UPDATE notification SET Is_Read = 1, Read_At = NOW() WHERE User_ID = ? AND Is_Read = 0', [userId], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, { updated: results.affectedRows });
+  });
+}
+
+/**
+ * Delete one of a user's notifications
+ * @param {Object} db - Database connection
+ * @param {number} userId - User ID
+ * @param {number} notificationId - Notification ID
+ * @param {Function} callback - Callback function(err, { notification_id })
+ */
+function deleteNotification(db, userId, notificationId, callback) {
+  db.query('DELETE FROM notification WHERE Notification_ID = ? AND User_ID = ?', [notificationId, userId], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.affectedRows === 0) {
+      return callback(new Error('Notification not found'), null);
+    }
+    callback(null, { notification_id: notificationId });
+  });
+}
+
+/**
+ * Clear a user's inbox
+ * @param {Object} db - Database connection
+ * @param {number} userId - User ID
+ * @param {boolean} readOnly - Only clear notifications already read
+ * @param {Function} callback - Callback function(err, { deleted })
+ */
+function clearNotifications(db, userId, readOnly, callback) {
+  let query = 'DELETE FROM notification WHERE User_ID = ?';
+  if (readOnly) query += ' AND Is_Read = 1';
+  db.query(query, [userId], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, { deleted: results.affectedRows });
+  });
+}
+
+module.exports = {
+  addNotification,
+  markDelivered,
+  getUndelivered,
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  deleteNotification,
+  clearNotifications
+};
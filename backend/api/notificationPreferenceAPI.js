@@ -0,0 +1,466 @@
+// api/notificationPreferenceAPI.js
+// Purpose: Per-user notification preferences: which events to receive on which channels, quiet
+//          hours in the user's timezone, and immediate or daily/weekly digest delivery. Alert,
+//          escalation, feedback, weekly summary and logging reminder notifications go through
+//          notify(), which holds back email and SMS during quiet hours or until the digest is due
+//          (in-app notifications are never held).
+//          Held messages wait in notification_queue until flushQueuedNotifications sends them.
+
+const notificationService = require('../services/notificationService');
+
+// Events a user can choose channels for
+const EVENT_TYPES = ['alert', 'urgent_alert', 'escalation', 'feedback', 'weekly_summary', 'logging_reminder'];
+
+// Channels a user can choose; webhook is a system channel
+const PREFERENCE_CHANNELS = ['in_app', 'email', 'sms'];
+
+// Channels held back during quiet hours and for digests
+const HELD_CHANNELS = ['email', 'sms'];
+
+// Events sent straight away whatever the quiet hours and digest: an escalation means an alert has
+// gone unacknowledged, so holding it until morning would defeat it
+const NEVER_HELD_EVENTS = ['urgent_alert', 'escalation'];
+
+const DIGEST_MODES = ['Immediate', 'Daily', 'Weekly'];
+
+// Weekly digests go out on this day (0 = Sunday)
+const WEEKLY_DIGEST_DAY = 1;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DEFAULT_PREFERENCES = {
+  eventChannels: EVENT_TYPES.reduce((all, event) => ({ ...all, [event]: PREFERENCE_CHANNELS.slice() }), {}),
+  quietStart: null,
+  quietEnd: null,
+  timezone: 'UTC',
+  digestMode: 'Immediate',
+  digestHour: 8
+};
+
+// 'HH:MM' or 'HH:MM:SS' to minutes after midnight
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':');
+  return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+// Weekday (0 = Sunday) and minutes after midnight of a moment on the clock of a timezone
+function localClock(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return {
+    weekday: WEEKDAYS.indexOf(part('weekday')),
+    minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+  };
+}
+
+// Next moment after `from` when the local clock reads `minutes` (on `weekday`, if given)
+function nextLocalTime(from, timezone, minutes, weekday) {
+  const now = localClock(from, timezone);
+  let total = minutes - now.minutes;
+  if (weekday !== undefined) total += ((weekday - now.weekday + 7) % 7) * 1440;
+  if (total <= 0) total += weekday !== undefined ? 7 * 1440 : 1440;
+
+  let next = new Date(from.getTime() + total * 60000);
+  next.setSeconds(0, 0);
+
+  // A daylight saving change in between moves the local clock by up to an hour or two
+  const drift = minutes - localClock(next, timezone).minutes;
+  if (drift !== 0 && Math.abs(drift) <= 120) {
+    next = new Date(next.getTime() + drift * 60000);
+  }
+  return next;
+}
+
+/**
+ * Whether a moment falls within the user's quiet hours (which may span midnight)
+ * @param {Object} preferences - Notification preferences
+ * @param {Date} date - Moment to check
+ * @returns {boolean}
+ */
+function inQuietHours(preferences, date) {
+  if (!preferences.quietStart || !preferences.quietEnd) return false;
+  const start = toMinutes(preferences.quietStart);
+  const end = toMinutes(preferences.quietEnd);
+  const now = localClock(date, preferences.timezone).minutes;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * When a held-back email or SMS may be sent: the next digest time, or the end of quiet hours,
+ * pushed past quiet hours if the digest falls inside them
+ * @param {Object} preferences - Notification preferences
+ * @param {Date} from - Moment the message is raised
+ * @returns {Object|null} { deliverAfter, reason } or null to send now
+ */
+function nextDelivery(preferences, from) {
+  let deliverAfter = null;
+  let reason = null;
+
+  if (preferences.digestMode !== 'Immediate') {
+    const weekday = preferences.digestMode === 'Weekly' ? WEEKLY_DIGEST_DAY : undefined;
+    deliverAfter = nextLocalTime(from, preferences.timezone, preferences.digestHour * 60, weekday);
+    reason = 'Digest';
+  }
+
+  const at = deliverAfter || from;
+  if (inQuietHours(preferences, at)) {
+    deliverAfter = nextLocalTime(at, preferences.timezone, toMinutes(preferences.quietEnd));
+    reason = reason || 'Quiet_Hours';
+  }
+
+  return deliverAfter ? { deliverAfter, reason } : null;
+}
+
+// Preferences from a notification_preference row (defaults when there is none)
+function fromRow(row) {
+  if (!row) return { ...DEFAULT_PREFERENCES, eventChannels: { ...DEFAULT_PREFERENCES.eventChannels } };
+
+  let stored = {};
+  try {
+    stored = row.Event_Channels ? JSON.parse(row.Event_Channels) : {};
+  } catch (e) {
+    console.warn(`Invalid Event_Channels for user ${row.User_ID}: ${e.message}`);
+  }
+
+  return {
+    eventChannels: { ...DEFAULT_PREFERENCES.eventChannels, ...stored },
+    quietStart: row.Quiet_Start ? String(row.Quiet_Start).slice(0, 5) : null,
+    quietEnd: row.Quiet_End ? String(row.Quiet_End).slice(0, 5) : null,
+    timezone: row.Timezone,
+    digestMode: row.Digest_Mode,
+    digestHour: row.Digest_Hour
+  };
+}
+
+/**
+ * Get a user's notification preferences (the defaults if they have not set any)
+ * @param {Object} db - Database connection
+ * @param {number} userId - User ID
+ * @param {Function} callback - Callback function(err, preferences)
+ */
+function getPreferences(db, userId, callback) {
+  db.query('SELECT * FROM notification_preference WHERE User_ID = ?', [userId], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, fromRow(results[0]));
+  });
+}
+
+/**
+ * Apply changes to preferences and validate the result
+ * @param {Object} current - Current preferences
+ * @param {Object} changes - { eventChannels, quietStart, quietEnd, timezone, digestMode, digestHour }
+ * @returns {Object} { preferences } or { error }
+ */
+function mergePreferences(current, changes) {
+  const preferences = { ...current, eventChannels: { ...current.eventChannels } };
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  if (changes.eventChannels !== undefined) {
+    if (!changes.eventChannels || typeof changes.eventChannels !== 'object' || Array.isArray(changes.eventChannels)) {
+      return { error: 'eventChannels must be an object of event types to channel lists' };
+    }
+    for (const [event, channels] of Object.entries(changes.eventChannels)) {
+      if (!EVENT_TYPES.includes(event)) {
+        return { error: `eventChannels event types must be one of: ${EVENT_TYPES.join(', ')}` };
+      }
+      if (!Array.isArray(channels) || channels.some(c => !PREFERENCE_CHANNELS.includes(c))) {
+        return { error: `eventChannels.${event} must be a list of: ${PREFERENCE_CHANNELS.join(', ')}` };
+      }
+      preferences.eventChannels[event] = PREFERENCE_CHANNELS.filter(c => channels.includes(c));
+    }
+    if (preferences.eventChannels.urgent_alert.length === 0) {
+      return { error: 'Urgent alerts must be received on at least one channel' };
+    }
+  }
+
+  for (const field of ['quietStart', 'quietEnd']) {
+    if (changes[field] === undefined) continue;
+    const value = changes[field] === '' ? null : changes[field];
+    if (value !== null && !timePattern.test(value)) {
+      return { error: `${field} must be a time in HH:MM format, or null` };
+    }
+    preferences[field] = value;
+  }
+  if (!preferences.quietStart !== !preferences.quietEnd) {
+    return { error: 'quietStart and quietEnd must be set together' };
+  }
+  if (preferences.quietStart && preferences.quietStart === preferences.quietEnd) {
+    return { error: 'quietStart and quietEnd must differ' };
+  }
+
+  if (changes.timezone !== undefined) {
+    let valid = typeof changes.timezone === 'string' && changes.timezone.length > 0 && changes.timezone.length <= 64;
+    try {
+      if (valid) new Intl.DateTimeFormat('en-US', { timeZone: changes.timezone });
+    } catch (e) {
+      valid = false;
+    }
+    if (!valid) {
+      return { error: 'timezone must be an IANA timezone name, e.g. America/Vancouver' };
+    }
+    preferences.timezone = changes.timezone;
+  }
+
+  if (changes.digestMode !== undefined) {
+    if (!DIGEST_MODES.includes(changes.digestMode)) {
+      return { error: `digestMode must be one of: ${DIGEST_MODES.join(', ')}` };
+    }
+    preferences.digestMode = changes.digestMode;
+  }
+
+  if (changes.digestHour !== undefined) {
+    const hour = Number(changes.digestHour);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return { error: 'digestHour must be a whole hour from 0 to 23' };
+    }
+    preferences.digestHour = hour;
+  }
+
+  return { preferences };
+}
+
+/**
+ * Update a user's notification preferences. Messages already held for the user are rescheduled
+ * for the new settings (sent at the next flush if nothing holds them back any more).
+ * @param {Object} db - Database connection
+ * @param {number} userId - User ID
+ * @param {Object} changes - Fields to change (see mergePreferences)
+ * @param {Function} callback - Callback function(err, preferences)
+ */
+function updatePreferences(db, userId, changes, callback) {
+  getPreferences(db, userId, (err, current) => {
+    if (err) return callback(err, null);
+
+    const { preferences, error } = mergePreferences(current, changes);
+    if (error) return callback(new Error(error), null);
+
+    const query = `
+      INSERT INTO notification_preference
+        (User_ID, Event_Channels, Quiet_Start, Quiet_End, Timezone, Digest_Mode, Digest_Hour, Updated_At)
+      VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+      ON DUPLICATE KEY UPDATE
+        Event_Channels = VALUES(Event_Channels), Quiet_Start = VALUES(Quiet_Start), Quiet_End = VALUES(Quiet_End),
+        Timezone = VALUES(Timezone), Digest_Mode = VALUES(Digest_Mode), Digest_Hour = VALUES(Digest_Hour),
+        Updated_At = NOW()
+    `;
+    const values = [
+      userId, JSON.stringify(preferences.eventChannels), preferences.quietStart, preferences.quietEnd,
+      preferences.timezone, preferences.digestMode, preferences.digestHour
+    ];
+
+    db.query(query, values, (err) => {
+      if (err) return callback(err, null);
+
+      const next = nextDelivery(preferences, new Date());
+      const rescheduleQuery = `
+        UPDATE notification_queue
+        SET Deliver_After = ?, Reason = COALESCE(?, Reason)
+        WHERE User_ID = ? AND Sent_At IS NULL
+      `;
+      const rescheduleValues = next
+        ? [next.deliverAfter, next.reason, userId]
+        : [new Date(), null, userId];
+
+      db.query(rescheduleQuery, rescheduleValues, (err) => {
+        if (err) return callback(err, null);
+        console.log(`Notification preferences updated for user ${userId}`);
+        callback(null, preferences);
+      });
+    });
+  });
+}
+
+/**
+ * Count a user's held messages and when the next one goes out
+ * @param {Object} db - Database connection
+ * @param {number} userId - User ID
+ * @param {Function} callback - Callback function(err, { pending, nextDelivery })
+ */
+function getPendingSummary(db, userId, callback) {
+  const query = `
+    SELECT COUNT(*) AS pending, MIN(Deliver_After) AS nextDelivery
+    FROM notification_queue
+    WHERE User_ID = ? AND Sent_At IS NULL
+  `;
+  db.query(query, [userId], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, { pending: results[0].pending, nextDelivery: results[0].nextDelivery });
+  });
+}
+
+/**
+ * Notify a user of an event according to their preferences: only on the channels they chose for
+ * the event, with email and SMS held back during quiet hours or for their digest. Urgent alerts
+ * and escalations are never held back. Recipients without a user ID (e.g. an emergency contact) are notified on
+ * every channel at once.
+ * @param {Object} db - Database connection
+ * @param {Object} recipient - { userId, email, phone, label } (see notificationService.notify)
+ * @param {string} eventType - One of EVENT_TYPES
+ * @param {Object} content - { subject, html, text, inApp }
+ * @param {Function} callback - Callback function(err, results) - [{ channel, ok, queued, ... }]
+ */
+function notify(db, recipient, eventType, content, callback) {
+  if (!recipient.userId) {
+    return notificationService.notify(recipient, content, callback);
+  }
+
+  getPreferences(db, recipient.userId, (err, preferences) => {
+    if (err) {
+      console.warn(`Could not load notification preferences for user ${recipient.userId}: ${err.message}`);
+      preferences = fromRow(null);
+    }
+
+    const channels = preferences.eventChannels[eventType] || PREFERENCE_CHANNELS;
+    const held = NEVER_HELD_EVENTS.includes(eventType) ? null : nextDelivery(preferences, new Date());
+    const heldChannels = held
+      ? channels.filter(c => HELD_CHANNELS.includes(c) && (c === 'email' ? recipient.email && content.html : recipient.phone && content.text))
+      : [];
+    const sendNow = channels.filter(c => !heldChannels.includes(c));
+
+    notificationService.notify({ ...recipient, channels: sendNow }, content, (err, results) => {
+      if (err) return callback(err, null);
+      if (heldChannels.length === 0) return callback(null, results);
+
+      const query = `
+        INSERT INTO notification_queue (User_ID, Event_Type, Channel, Subject, Body_Html, Body_Text, Reason, Deliver_After)
+        VALUES ?
+      `;
+      const rows = heldChannels.map(channel => [
+        recipient.userId, eventType, channel, (content.subject || '').slice(0, 255),
+        channel === 'email' ? content.html : null, content.text || null, held.reason, held.deliverAfter
+      ]);
+
+      db.query(query, [rows], (err) => {
+        if (err) {
+          console.warn(`Failed to queue ${eventType} notification for user ${recipient.userId}: ${err.message}`);
+          heldChannels.forEach(channel => results.push({ channel: channel, ok: false, error: err.message }));
+        } else {
+          heldChannels.forEach(channel => results.push({ channel: channel, ok: true, queued: true, deliver_after: held.deliverAfter }));
+        }
+        callback(null, results);
+      });
+    });
+  });
+}
+
+// One message out of several held ones for the same user and channel
+function buildDigest(user, channel, rows) {
+  if (rows.length === 1) {
+    const row = rows[0];
+    return channel === 'email'
+      ? { to: [user.Email], subject: row.Subject, html: row.Body_Html, text: row.Body_Text }
+      : { to: user.Phone, text: row.Body_Text };
+  }
+
+  if (channel === 'sms') {
+    const subjects = rows.map(r => r.Subject).filter(Boolean);
+    return { to: user.Phone, text: `${rows.length} notifications: ${subjects.join('; ')}`.slice(0, 480) };
+  }
+
+  const items = rows.map(row => `
+    <div style="border-top: 1px solid #ddd; padding-top: 12px; margin-top: 12px;">
+      <p style="color: #777; margin: 0;">${new Date(row.Created_At).toLocaleString('en-US', { dateStyle: 'short', timeStyle: 'short' })}</p>
+      <h3 style="margin: 4px 0;">${row.Subject || 'Notification'}</h3>
+      <p>${row.Body_Text || ''}</p>
+    </div>
+  `).join('');
+
+  return {
+    to: [user.Email],
+    subject: `Your notification digest (${rows.length} notifications)`,
+    html: `
+      <html>
+        <body style="font-family: Arial, sans-serif; color: #333;">
+          <h2>Notification Digest</h2>
+          <p>Dear ${user.Name},</p>
+          <p>Here are the ${rows.length} notifications held for you since your last digest.</p>
+          ${items}
+          <p>Best regards,<br/>Blood Sugar Monitoring System</p>
+        </body>
+      </html>
+    `,
+    text: rows.map(r => `${r.Subject}: ${r.Body_Text || ''}`).join('\n')
+  };
+}
+
+/**
+ * Send held messages that are due, one message per user and channel (a digest when several are
+ * waiting). Messages that fail stay queued and are retried at the next flush.
+ * @param {Object} db - Database connection
+ * @param {Function} callback - Callback function(err, sent) - number of messages sent
+ */
+function flushQueuedNotifications(db, callback) {
+  const query = `
+    SELECT q.*, u.Name, u.Email, u.Phone
+    FROM notification_queue q
+    INNER JOIN User u ON q.User_ID = u.User_ID
+    WHERE q.Sent_At IS NULL AND q.Deliver_After <= NOW()
+    ORDER BY q.User_ID, q.Channel, q.Created_At
+  `;
+
+  db.query(query, (err, rows) => {
+    if (err) return callback(err, null);
+
+    const groups = [];
+    rows.forEach(row => {
+      const last = groups[groups.length - 1];
+      if (last && last.userId === row.User_ID && last.channel === row.Channel) {
+        last.rows.push(row);
+      } else {
+        groups.push({ userId: row.User_ID, channel: row.Channel, rows: [row] });
+      }
+    });
+
+    let sent = 0;
+    const next = (index) => {
+      if (index >= groups.length) return callback(null, sent);
+      const group = groups[index];
+      const user = group.rows[0];
+      const ids = group.rows.map(r => r.Queue_ID);
+
+      const markSent = () => {
+        db.query('UPDATE notification_queue SET Sent_At = NOW() WHERE Queue_ID IN (?)', [ids], (err) => {
+          if (err) return callback(err, null);
+          next(index + 1);
+        });
+      };
+
+      // The user removed the address or number since the message was held
+      if ((group.channel === 'email' && !user.Email) || (group.channel === 'sms' && !user.Phone)) {
+        return markSent();
+      }
+
+      notificationService.send(group.channel, buildDigest(user, group.channel, group.rows), (err) => {
+        if (err) {
+          console.warn(`Failed to send ${ids.length} held ${group.channel} notification(s) to user ${group.userId}: ${err.message}`);
+          return next(index + 1);
+        }
+        sent++;
+        console.log(`Sent ${ids.length} held ${group.channel} notification(s) to user ${group.userId}`);
+        markSent();
+      });
+    };
+    next(0);
+  });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  PREFERENCE_CHANNELS,
+  DIGEST_MODES,
+  DEFAULT_PREFERENCES,
+  inQuietHours,
+  nextDelivery,
+  getPreferences,
+  mergePreferences,
+  updatePreferences,
+  getPendingSummary,
+  notify,
+  flushQueuedNotifications
+};
@@ -4,14 +4,20 @@
 //          AI suggestions, and alerts management
 
 const thresholdAPI = require('./thresholdAPI');
-const aiProcessingAPI = require('./aiProcessingAPI'); // Import the AI processing module
 const alertAPI = require('../api/alertAPI'); // Import the Alert processing module
+const unitConverter = require('../utils/unitConverter');
+const glucoseMetrics = require('../utils/glucoseMetrics');
+const readingContext = require('../utils/readingContext');
+const mealAPI = require('./mealAPI');
+const readingHistoryAPI = require('./readingHistoryAPI');
+const liveUpdates = require('../services/liveUpdates');
+const jobQueueAPI = require('./jobQueueAPI');
 
 /**
  * Get blood sugar readings for a patient with optional filtering and pagination
  * @param {Object} db - Database connection
  * @param {number} patientId - Patient ID
- * @param {Object} filters - Optional filters: { startDate, endDate, category, limit, offset }
+ * @param {Object} filters - Optional filters: { startDate, endDate, category, context, limit, offset }
  * @param {Function} callback - Callback function(err, results)
  */
 function getPatientReadings(db, patientId, filters, callback) {
@@ -27,9 +33,12 @@ function getPatientReadings(db, patientId, filters, callback) {
       Event,
       Symptoms,
       Notes,
-      Category
+      Category,
+      Reading_Context,
+      Meal_ID,
+      Source
     FROM Sugar_Reading
-    WHERE Patient_ID = ?
+    WHERE Patient_ID = ? AND Deleted_At IS NULL
   `;
 
   const queryParams = [patientId];
@@ -51,6 +60,11 @@ function getPatientReadings(db, patientId, filters, callback) {
     queryParams.push(filters.category);
   }
 
+  if (filters.context) {
+    query += ' AND Reading_Context = ?';
+    queryParams.push(filters.context);
+  }
+
   // Order by most recent first
   query += ' ORDER BY DateTime DESC';
 
@@ -85,14 +99,14 @@ function getPatientReadings(db, patientId, filters, callback) {
  * Get total count of readings for pagination
  * @param {Object} db - Database connection
  * @param {number} patientId - Patient ID
- * @param {Object} filters - Optional filters: { startDate, endDate, category }
+ * @param {Object} filters - Optional filters: { startDate, endDate, category, context }
  * @param {Function} callback - Callback function(err, count)
  */
 function getReadingsCount(db, patientId, filters, callback) {
   let query = `
     SELECT COUNT(*) as total
     FROM Sugar_Reading
-    WHERE Patient_ID = ?
+    WHERE Patient_ID = ? AND Deleted_At IS NULL
   `;
 
   const queryParams = [patientId];
@@ -112,12 +126,61 @@ function getReadingsCount(db, patientId, filters, callback) {
     queryParams.push(filters.category);
   }
 
+  if (filters.context) {
+    query += ' AND Reading_Context = ?';
+    queryParams.push(filters.context);
+  }
+
   db.query(query, queryParams, (err, results) => {
     if (err) return callback(err, null);
     callback(null, results[0].total);
   });
 }
 
+/**
+ * Validate the fields of a reading before it is categorized and stored.
+ * Shared by addReading and the CSV import so both apply the same rules.
+ * @param {Object} readingData - { dateTime, value, unit, readingContext }
+ * @returns {string|null} Error message, or null if the reading is valid
+ */
+function validateReadingData(readingData) {
+  const { dateTime, value, unit, readingContext: context } = readingData;
+
+  if (!dateTime || value === undefined || value === null || value === '') {
+    return 'dateTime and value are required fields';
+  }
+
+  const providedDateTime = new Date(dateTime);
+  if (isNaN(providedDateTime.getTime())) {
+    return 'Invalid date format provided for reading';
+  }
+  if (providedDateTime > new Date()) {
+    return 'Reading date and time cannot be in the future';
+  }
+
+  const numericValue = Number(value);
+  if (isNaN(numericValue) || numericValue <= 0) {
+    return 'value must be a positive number';
+  }
+
+  if (unit && !unitConverter.normalizeUnit(unit)) {
+    return `Unsupported unit: ${unit}`;
+  }
+
+  if (context && !readingContext.normalizeContext(context)) {
+    return `Unsupported reading context: ${context} (use ${readingContext.READING_CONTEXTS.join(', ')})`;
+  }
+
+  if (readingData.mealId !== undefined && readingData.mealId !== null && readingData.mealId !== '') {
+    const mealId = Number(readingData.mealId);
+    if (!Number.isInteger(mealId) || mealId <= 0) {
+      return 'mealId must be a valid meal ID';
+    }
+  }
+
+  return null;
+}
+
 /**
  * Add a new blood sugar reading
  * @param {Object} db - Database connection
@@ -127,86 +190,131 @@ function getReadingsCount(db, patientId, filters, callback) {
  */
 function addReading(db, patientId, readingData, callback) {
   const { dateTime, value, unit, foodNotes, activityNotes, event, symptoms, notes } = readingData;
+  const context = readingContext.normalizeContext(readingData.readingContext);
+  const mealId = readingData.mealId ? Number(readingData.mealId) : null;
 
-  const providedDateTime = new Date(dateTime);
-  if (isNaN(providedDateTime.getTime())) {
-    return callback(new Error('Invalid date format provided for reading'), null);
-  }
-  if (providedDateTime > new Date()) {
-    return callback(new Error('Reading date and time cannot be in the future'), null);
+  const validationError = validateReadingData(readingData);
+  if (validationError) {
+    return callback(new Error(validationError), null);
   }
 
-  console.log('addReading: Categorizing reading...');
-  // First, categorize the reading based on thresholds
-  thresholdAPI.categorizeReading(db, value, patientId, (err, category) => {
-    if (err) {
-      console.error('addReading: Error categorizing reading:', err);
-      return callback(err, null);
-    }
-    console.log('addReading: Reading categorized as:', category);
-
-    const query = `
-      INSERT INTO Sugar_Reading
-        (Patient_ID, DateTime, Value, Unit, Food_Notes, Activity_Notes, Event, Symptoms, Notes, Category)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    const values = [
-      patientId,
-      dateTime,
-      value,
-      unit || 'mg/dL',
-      foodNotes || null,
-      activityNotes || null,
-      event || null,
-      symptoms || null,
-      notes || null,
-      category
-    ];
-
-    console.log('addReading: Inserting reading into database...');
-    db.query(query, values, (err, results) => {
+  // Readings are always stored in mg/dL; the entered unit only affects conversion
+  const enteredUnit = unit ? unitConverter.normalizeUnit(unit) : unitConverter.CANONICAL_UNIT;
+  const canonicalValue = unitConverter.toCanonical(value, enteredUnit);
+
+  // A referenced meal must belong to the patient and precede the reading
+  mealAPI.verifyMealLink(db, mealId, patientId, dateTime, (err) => {
+    if (err) return callback(err, null);
+
+    console.log('addReading: Categorizing reading...');
+    // First, categorize the reading based on the thresholds for its context
+    thresholdAPI.categorizeReading(db, canonicalValue, patientId, context, dateTime, (err, category, thresholds) => {
       if (err) {
-        console.error('addReading: Error inserting reading into database:', err);
+        console.error('addReading: Error categorizing reading:', err);
         return callback(err, null);
       }
-      console.log('addReading: Reading inserted into database. ID:', results.insertId);
-
-      const newReading = {
-        reading_id: results.insertId,
-        patient_id: patientId,
-        dateTime: dateTime,
-        value: value,
-        unit: unit || 'mg/dL',
-        category: category
-      };
-
-      console.log(`New reading added - ID: ${newReading.reading_id}, Patient: ${patientId}, Category: ${category}`);
-
-      // If the new reading is abnormal, trigger background processing tasks.
-      if (category === 'Abnormal') {
-        // Trigger AI analysis
-        console.log(`addReading: Abnormal reading detected. Triggering AI analysis for patient ${patientId}...`);
-        aiProcessingAPI.analyzeAndCreateSuggestions(db, patientId, (aiErr, aiResult) => {
-          if (aiErr) {
-            console.error(`addReading: AI background processing failed for patient ${patientId}:`, aiErr);
-          } else {
-            console.log(`addReading: AI background processing completed for patient ${patientId}:`, aiResult);
-          }
-        });
+      console.log('addReading: Reading categorized as:', category);
+
+      const query = `
+        INSERT INTO Sugar_Reading
+          (Patient_ID, DateTime, Value, Unit, Food_Notes, Activity_Notes, Event, Symptoms, Notes, Category, Threshold_ID, Profile_ID, Categorized_At, Reading_Context, Meal_ID)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?)
+      `;
 
-        // Check for abnormal readings count and trigger alerts (email + DB record + Socket.IO)
-        console.log(`addReading: Abnormal reading detected. Triggering alert system for patient ${patientId}...`);
-        alertAPI.checkAndTriggerAlerts(db, patientId, (alertErr, alertResult) => {
-          if (alertErr) {
-            console.error(`addReading: Alert processing failed for patient ${patientId}:`, alertErr);
-          } else {
-            console.log(`addReading: Alert processing completed for patient ${patientId}:`, alertResult);
+      const values = [
+        patientId,
+        dateTime,
+        canonicalValue,
+        unitConverter.CANONICAL_UNIT,
+        foodNotes || null,
+        activityNotes || null,
+        event || null,
+        symptoms || null,
+        notes || null,
+        category,
+        thresholds.Threshold_ID,
+        thresholds.Profile_ID,
+        context,
+        mealId
+      ];
+
+      console.log('addReading: Inserting reading into database...');
+      db.query(query, values, (err, results) => {
+        if (err) {
+          console.error('addReading: Error inserting reading into database:', err);
+          return callback(err, null);
+        }
+        console.log('addReading: Reading inserted into database. ID:', results.insertId);
+
+        const urgentType = alertAPI.urgentReadingType(canonicalValue, dateTime, thresholds);
+        const newReading = {
+          reading_id: results.insertId,
+          patient_id: patientId,
+          dateTime: dateTime,
+          value: parseFloat(value),
+          unit: enteredUnit,
+          stored_value: canonicalValue,
+          stored_unit: unitConverter.CANONICAL_UNIT,
+          category: category,
+          reading_context: context,
+          meal_id: mealId,
+          urgent_alert: urgentType
+        };
+
+        console.log(`New reading added - ID: ${newReading.reading_id}, Patient: ${patientId}, Category: ${category}`);
+
+        readingHistoryAPI.recordReadingChange(db, results.insertId, 'Create', patientId, null, (historyErr) => {
+          if (historyErr) {
+            console.error(`addReading: Could not record history for reading ${results.insertId}:`, historyErr);
           }
         });
-      }
 
-      callback(null, newReading);
+
+        // A reading beyond the critical cut-offs alerts the patient, specialist and emergency
+        // contact straight away, regardless of any rule cool-down
+        if (urgentType) {
+          console.log(`addReading: Critical reading (${urgentType}) for patient ${patientId}. Sending urgent alert...`);
+          const urgentReading = { Reading_ID: results.insertId, DateTime: dateTime, Value: canonicalValue };
+          alertAPI.triggerUrgentAlert(db, patientId, urgentReading, urgentType, (urgentErr, urgentAlert) => {
+            if (urgentErr) {
+              console.error(`addReading: Urgent alert failed for patient ${patientId}:`, urgentErr);
+            } else {
+              console.log(`addReading: Urgent alert ${urgentAlert.alert_id} sent for patient ${patientId}`);
+            }
+          });
+        }
+
+        // Alert rules are evaluated for every reading (a rising trend or a low value can trigger on
+        // readings that are not Abnormal themselves); AI analysis runs for abnormal readings
+        queueReadingJobs(db, patientId, `reading:${results.insertId}`, category === 'Abnormal');
+
+        liveUpdates.publish(liveUpdates.EVENTS.READING_CREATED, patientId, { readingIds: [newReading.reading_id] });
+        callback(null, newReading);
+      });
+    });
+  });
+}
+
+/**
+ * Queue the background work that follows new readings: alert rule evaluation and, when asked,
+ * AI pattern analysis. The jobs are stored (api/jobQueueAPI.js), so they are retried if they
+ * fail and survive a restart.
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {string} key - What the readings were, e.g. 'reading:12'; makes the jobs idempotent
+ * @param {boolean} runAnalysis - Also queue AI analysis (for abnormal readings)
+ */
+function queueReadingJobs(db, patientId, key, runAnalysis) {
+  const jobs = [jobQueueAPI.JOB_TYPES.ALERT_CHECK];
+  if (runAnalysis) jobs.push(jobQueueAPI.JOB_TYPES.AI_ANALYSIS);
+
+  jobs.forEach(type => {
+    jobQueueAPI.enqueueJob(db, type, { patientId: patientId }, { idempotencyKey: `${type}:${key}` }, (err, job) => {
+      if (err) {
+        console.error(`Could not queue ${type} for patient ${patientId} (${key}):`, err);
+      } else if (!job.duplicate) {
+        console.log(`Queued ${type} job ${job.job_id} for patient ${patientId} (${key})`);
+      }
     });
   });
 }
@@ -221,7 +329,7 @@ function addReading(db, patientId, readingData, callback) {
  */
 function updateReading(db, readingId, patientId, updateData, callback) {
   // First verify the reading belongs to this patient
-  const verifyQuery = 'SELECT Patient_ID FROM Sugar_Reading WHERE Reading_ID = ?';
+  const verifyQuery = 'SELECT * FROM Sugar_Reading WHERE Reading_ID = ? AND Deleted_At IS NULL';
 
   db.query(verifyQuery, [readingId], (err, results) => {
     if (err) return callback(err, null);
@@ -238,16 +346,68 @@ function updateReading(db, readingId, patientId, updateData, callback) {
     const updateFields = [];
     const queryParams = [];
 
+    const existing = results[0];
+
+    // An empty context clears it; anything else must be a known context
+    if (updateData.readingContext !== undefined) {
+      const context = readingContext.normalizeContext(updateData.readingContext);
+      if (updateData.readingContext && !context) {
+        return callback(new Error(`Unsupported reading context: ${updateData.readingContext}`), null);
+      }
+      updateData.readingContext = context;
+    }
+
     if (updateData.value !== undefined) {
-      // If value is being updated, recategorize
-      thresholdAPI.categorizeReading(db, updateData.value, patientId, (err, category) => {
-        if (err) return callback(err, null);
+      // Convert the new value to mg/dL before recategorizing and storing it
+      const enteredUnit = updateData.unit ? unitConverter.normalizeUnit(updateData.unit) : unitConverter.CANONICAL_UNIT;
+      if (!enteredUnit) {
+        return callback(new Error(`Unsupported unit: ${updateData.unit}`), null);
+      }
+      updateData.value = unitConverter.toCanonical(updateData.value, enteredUnit);
+      updateData.unit = unitConverter.CANONICAL_UNIT;
+    } else {
+      // A unit on its own does not change the stored (canonical) value
+      delete updateData.unit;
+    }
 
-        updateData.category = category;
-        executeUpdate();
+    // An empty mealId removes the link
+    if (updateData.mealId !== undefined) {
+      updateData.mealId = updateData.mealId ? Number(updateData.mealId) : null;
+    }
+
+    // A new meal link or a new reading time must still have the meal before the reading
+    if (updateData.mealId !== undefined || (updateData.dateTime !== undefined && existing.Meal_ID)) {
+      const mealId = updateData.mealId !== undefined ? updateData.mealId : existing.Meal_ID;
+      const dateTime = updateData.dateTime !== undefined ? updateData.dateTime : existing.DateTime;
+
+      mealAPI.verifyMealLink(db, mealId, patientId, dateTime, (err) => {
+        if (err) return callback(err, null);
+        categorizeIfNeeded();
       });
     } else {
-      executeUpdate();
+      categorizeIfNeeded();
+    }
+
+    // If the value, the context or the time changes, recategorize (the time selects the threshold version)
+    function categorizeIfNeeded() {
+      if (updateData.value !== undefined || updateData.readingContext !== undefined || updateData.dateTime !== undefined) {
+        const value = updateData.value !== undefined
+          ? updateData.value
+          : unitConverter.toCanonical(existing.Value, existing.Unit);
+        const context = updateData.readingContext !== undefined ? updateData.readingContext : existing.Reading_Context;
+        const dateTime = updateData.dateTime !== undefined ? updateData.dateTime : existing.DateTime;
+
+        thresholdAPI.categorizeReading(db, value, patientId, context, dateTime, (err, category, thresholds) => {
+          if (err) return callback(err, null);
+
+          updateData.category = category;
+          updateData.thresholdId = thresholds.Threshold_ID;
+          updateData.profileId = thresholds.Profile_ID;
+          executeUpdate();
+        });
+      } else {
+        executeUpdate();
+      }
     }
 
     function executeUpdate() {
@@ -298,9 +458,19 @@ function updateReading(db, readingId, patientId, updateData, callback) {
         queryParams.push(updateData.notes);
       }
 
+      if (updateData.readingContext !== undefined) {
+        updateFields.push('Reading_Context = ?');
+        queryParams.push(updateData.readingContext);
+      }
+
+      if (updateData.mealId !== undefined) {
+        updateFields.push('Meal_ID = ?');
+        queryParams.push(updateData.mealId);
+      }
+
       if (updateData.category !== undefined) {
-        updateFields.push('Category = ?');
-        queryParams.push(updateData.category);
+        updateFields.push('Category = ?', 'Threshold_ID = ?', 'Profile_ID = ?', 'Categorized_At = NOW()');
+        queryParams.push(updateData.category, updateData.thresholdId, updateData.profileId);
       }
 
       if (updateFields.length === 0) {
@@ -323,14 +493,28 @@ function updateReading(db, readingId, patientId, updateData, callback) {
         }
 
         console.log(`Reading updated - ID: ${readingId}, Patient: ${patientId}`);
-        callback(null, { success: true, reading_id: readingId });
+
+        // The previous values (and category) stay available in the reading's history
+        readingHistoryAPI.recordReadingChange(db, readingId, 'Update', patientId, existing, (historyErr) => {
+          if (historyErr) {
+            console.error(`updateReading: Could not record history for reading ${readingId}:`, historyErr);
+          }
+
+          liveUpdates.publish(liveUpdates.EVENTS.READING_UPDATED, patientId, { readingIds: [readingId] });
+          callback(null, {
+            success: true,
+            reading_id: readingId,
+            category: updateData.category !== undefined ? updateData.category : existing.Category
+          });
+        });
       });
     }
   });
 }
 
 /**
- * Delete a blood sugar reading
+ * Delete a blood sugar reading. Readings are soft-deleted: they disappear from every list,
+ * statistic and report but can be restored by the patient for RESTORE_GRACE_DAYS days.
  * @param {Object} db - Database connection
  * @param {number} readingId - Reading ID to delete
  * @param {number} patientId - Patient ID (for verification)
@@ -338,7 +522,7 @@ function updateReading(db, readingId, patientId, updateData, callback) {
  */
 function deleteReading(db, readingId, patientId, callback) {
   // First verify the reading belongs to this patient
-  const verifyQuery = 'SELECT Patient_ID FROM Sugar_Reading WHERE Reading_ID = ?';
+  const verifyQuery = 'SELECT * FROM Sugar_Reading WHERE Reading_ID = ? AND Deleted_At IS NULL';
 
   db.query(verifyQuery, [readingId], (err, results) => {
     if (err) return callback(err, null);
@@ -351,9 +535,10 @@ function deleteReading(db, readingId, patientId, callback) {
       return callback(new Error('Unauthorized: Reading does not belong to this patient'), null);
     }
 
-    const deleteQuery = 'DELETE FROM Sugar_Reading WHERE Reading_ID = ?';
+    const existing = results[0];
+    const deleteQuery = 'UPDATE Sugar_Reading SET Deleted_At = NOW(), Deleted_By = ? WHERE Reading_ID = ? AND Deleted_At IS NULL';
 
-    db.query(deleteQuery, [readingId], (err, results) => {
+    db.query(deleteQuery, [patientId, readingId], (err, results) => {
       if (err) return callback(err, null);
 
       if (results.affectedRows === 0) {
@@ -361,7 +546,111 @@ function deleteReading(db, readingId, patientId, callback) {
       }
 
       console.log(`Reading deleted - ID: ${readingId}, Patient: ${patientId}`);
-      callback(null, { success: true, reading_id: readingId });
+
+      readingHistoryAPI.recordReadingChange(db, readingId, 'Delete', patientId, existing, (historyErr) => {
+        if (historyErr) {
+          console.error(`deleteReading: Could not record history for reading ${readingId}:`, historyErr);
+        }
+
+        liveUpdates.publish(liveUpdates.EVENTS.READING_DELETED, patientId, { readingIds: [readingId] });
+        callback(null, {
+          success: true,
+          reading_id: readingId,
+          restorable_days: readingHistoryAPI.RESTORE_GRACE_DAYS
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Get a patient's deleted readings that can still be restored
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Function} callback - Callback function(err, readings)
+ */
+function getDeletedReadings(db, patientId, callback) {
+  const query = `
+    SELECT
+      Reading_ID,
+      DateTime,
+      Value,
+      Unit,
+      Category,
+      Reading_Context,
+      Food_Notes,
+      Activity_Notes,
+      Notes,
+      Deleted_At,
+      DATE_ADD(Deleted_At, INTERVAL ? DAY) AS Restorable_Until
+    FROM Sugar_Reading
+    WHERE Patient_ID = ?
+      AND Deleted_At IS NOT NULL
+      AND Deleted_At >= DATE_SUB(NOW(), INTERVAL ? DAY)
+    ORDER BY Deleted_At DESC
+  `;
+  const graceDays = readingHistoryAPI.RESTORE_GRACE_DAYS;
+
+  db.query(query, [graceDays, patientId, graceDays], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results);
+  });
+}
+
+/**
+ * Restore a soft-deleted reading within the grace window
+ * @param {Object} db - Database connection
+ * @param {number} readingId - Reading ID to restore
+ * @param {number} patientId - Patient ID (for verification)
+ * @param {Function} callback - Callback function(err, result)
+ */
+function restoreReading(db, readingId, patientId, callback) {
+  const verifyQuery = `
+    SELECT *, Deleted_At >= DATE_SUB(NOW(), INTERVAL ? DAY) AS Within_Grace
+    FROM Sugar_Reading
+    WHERE Reading_ID = ?
+  `;
+
+  db.query(verifyQuery, [readingHistoryAPI.RESTORE_GRACE_DAYS, readingId], (err, results) => {
+    if (err) return callback(err, null);
+
+    if (results.length === 0) {
+      return callback(new Error('Reading not found'), null);
+    }
+
+    const existing = results[0];
+
+    if (existing.Patient_ID !== patientId) {
+      return callback(new Error('Unauthorized: Reading does not belong to this patient'), null);
+    }
+
+    if (!existing.Deleted_At) {
+      return callback(new Error('Reading is not deleted'), null);
+    }
+
+    if (!existing.Within_Grace) {
+      return callback(new Error(`Readings can only be restored within ${readingHistoryAPI.RESTORE_GRACE_DAYS} days of deletion`), null);
+    }
+
+    const restoreQuery = 'UPDATE Sugar_Reading SET Deleted_At = NULL, Deleted_By = NULL WHERE Reading_ID = ? AND Deleted_At IS NOT NULL';
+
+    db.query(restoreQuery, [readingId], (err, results) => {
+      if (err) return callback(err, null);
+
+      if (results.affectedRows === 0) {
+        return callback(new Error('Reading is not deleted'), null);
+      }
+
+      console.log(`Reading restored - ID: ${readingId}, Patient: ${patientId}`);
+
+      readingHistoryAPI.recordReadingChange(db, readingId, 'Restore', patientId, existing, (historyErr) => {
+        if (historyErr) {
+          console.error(`restoreReading: Could not record history for reading ${readingId}:`, historyErr);
+        }
+
+        liveUpdates.publish(liveUpdates.EVENTS.READING_CREATED, patientId, { readingIds: [readingId], restored: true });
+        callback(null, { success: true, reading_id: readingId });
+      });
     });
   });
 }
@@ -419,6 +708,7 @@ function createSuggestion(db, patientId, content, basedOnPattern, callback) {
     };
 
     console.log(`AI Suggestion created - ID: ${suggestion.suggestion_id}, Patient: ${patientId}`);
+    liveUpdates.publish(liveUpdates.EVENTS.SUGGESTION_CREATED, patientId, { suggestionId: suggestion.suggestion_id });
     callback(null, suggestion);
   });
 }
@@ -435,6 +725,7 @@ function generateAISuggestions(db, patientId, callback) {
     SELECT Value, Food_Notes, Activity_Notes, Symptoms, DateTime
     FROM Sugar_Reading
     WHERE Patient_ID = ?
+      AND Deleted_At IS NULL
       AND Category = 'Abnormal'
       AND DateTime >= DATE_SUB(NOW(), INTERVAL 4 WEEK)
     ORDER BY DateTime DESC
@@ -539,15 +830,34 @@ function generateAISuggestions(db, patientId, callback) {
 }
 
 /**
- * Get statistics about patient's readings
+ * Get statistics about patient's readings, including a breakdown per reading context
+ * under `by_context` and the consensus glycemic metrics (time in ranges, SD, CV, GMI,
+ * data sufficiency) under `glycemic_metrics`
  * @param {Object} db - Database connection
  * @param {number} patientId - Patient ID
- * @param {Object} filters - Optional filters: { startDate, endDate }
+ * @param {Object} filters - Optional filters: { startDate, endDate, context, expectedInterval }
  * @param {Function} callback - Callback function(err, stats)
  */
 function getReadingStatistics(db, patientId, filters, callback) {
-  let query = `
-    SELECT
+  let where = 'WHERE Patient_ID = ? AND Deleted_At IS NULL';
+  const queryParams = [patientId];
+
+  if (filters.startDate) {
+    where += ' AND DateTime >= ?';
+    queryParams.push(filters.startDate);
+  }
+
+  if (filters.endDate) {
+    where += ' AND DateTime <= ?';
+    queryParams.push(filters.endDate);
+  }
+
+  if (filters.context) {
+    where += ' AND Reading_Context = ?';
+    queryParams.push(filters.context);
+  }
+
+  const aggregates = `
       COUNT(*) as total_readings,
       AVG(Value) as average_value,
       MIN(Value) as min_value,
@@ -555,10 +865,39 @@ function getReadingStatistics(db, patientId, filters, callback) {
       SUM(CASE WHEN Category = 'Normal' THEN 1 ELSE 0 END) as normal_count,
       SUM(CASE WHEN Category = 'Borderline' THEN 1 ELSE 0 END) as borderline_count,
       SUM(CASE WHEN Category = 'Abnormal' THEN 1 ELSE 0 END) as abnormal_count
-    FROM Sugar_Reading
-    WHERE Patient_ID = ?
   `;
 
+  const query = `SELECT ${aggregates} FROM Sugar_Reading ${where}`;
+  // Same figures per reading context (NULL = no context recorded)
+  const byContextQuery = `
+    SELECT Reading_Context, ${aggregates}
+    FROM Sugar_Reading ${where}
+    GROUP BY Reading_Context
+  `;
+
+  db.query(query, queryParams, (err, results) => {
+    if (err) return callback(err, null);
+
+    db.query(byContextQuery, queryParams, (err, contextResults) => {
+      if (err) return callback(err, null);
+
+      getGlycemicMetrics(db, patientId, filters, (err, metrics) => {
+        if (err) return callback(err, null);
+        callback(null, { ...results[0], by_context: contextResults, glycemic_metrics: metrics });
+      });
+    });
+  });
+}
+
+/**
+ * Compute consensus glycemic metrics over a date range
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Object} filters - Optional filters: { startDate, endDate, context, expectedInterval (minutes) }
+ * @param {Function} callback - Callback function(err, metrics) - glucose values in mg/dL
+ */
+function getGlycemicMetrics(db, patientId, filters, callback) {
+  let query = 'SELECT DateTime, Value, Unit FROM Sugar_Reading WHERE Patient_ID = ? AND Deleted_At IS NULL';
   const queryParams = [patientId];
 
   if (filters.startDate) {
@@ -571,12 +910,71 @@ function getReadingStatistics(db, patientId, filters, callback) {
     queryParams.push(filters.endDate);
   }
 
+  if (filters.context) {
+    query += ' AND Reading_Context = ?';
+    queryParams.push(filters.context);
+  }
+
   db.query(query, queryParams, (err, results) => {
     if (err) return callback(err, null);
-    callback(null, results[0]);
+
+    const readings = results.map(r => ({
+      time: new Date(r.DateTime),
+      value: unitConverter.toCanonical(r.Value, r.Unit)
+    }));
+    const period = {
+      start: filters.startDate ? new Date(filters.startDate) : null,
+      end: filters.endDate ? new Date(filters.endDate) : null
+    };
+
+    callback(null, glucoseMetrics.computeGlycemicMetrics(readings, period, parseFloat(filters.expectedInterval)));
   });
 }
 
+/**
+ * Validate optional statistics filters from a query string
+ * @param {Object} query - req.query ({ startDate, endDate, context, expectedInterval })
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateStatisticsFilters(query) {
+  if (query.context && !readingContext.normalizeContext(query.context)) {
+    return `context must be one of: ${readingContext.READING_CONTEXTS.join(', ')}`;
+  }
+  for (const field of ['startDate', 'endDate']) {
+    if (query[field] && isNaN(new Date(query[field]).getTime())) {
+      return `Invalid ${field}`;
+    }
+  }
+  if (query.startDate && query.endDate && new Date(query.startDate) > new Date(query.endDate)) {
+    return 'startDate must be before endDate';
+  }
+  if (query.expectedInterval !== undefined) {
+    const interval = parseFloat(query.expectedInterval);
+    if (isNaN(interval) || interval <= 0 || interval > 1440) {
+      return 'expectedInterval must be a number of minutes between 1 and 1440';
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert the glucose fields of a statistics object to the given unit
+ * @param {Object} stats - Result of getReadingStatistics (mg/dL)
+ * @param {string} unit - Target unit
+ * @returns {Object} Converted statistics
+ */
+function convertStatistics(stats, unit) {
+  const converted = unitConverter.convertFields(stats, ['average_value', 'min_value', 'max_value'], unit);
+  if (stats.by_context) {
+    converted.by_context = stats.by_context.map(row =>
+      unitConverter.convertFields(row, ['average_value', 'min_value', 'max_value'], unit));
+  }
+  if (stats.glycemic_metrics) {
+    converted.glycemic_metrics = unitConverter.convertFields(stats.glycemic_metrics, ['mean_glucose', 'standard_deviation'], unit);
+  }
+  return converted;
+}
+
 /**
  * Verify patient exists and is active
  * @param {Object} db - Database connection
@@ -615,12 +1013,19 @@ function verifyPatient(db, patientId, callback) {
 module.exports = {
   getPatientReadings,
   getReadingsCount,
+  validateReadingData,
   addReading,
+  queueReadingJobs,
   updateReading,
   deleteReading,
+  getDeletedReadings,
+  restoreReading,
   getPatientSuggestions,
   createSuggestion,
   generateAISuggestions,
   getReadingStatistics,
+  getGlycemicMetrics,
+  validateStatisticsFilters,
+  convertStatistics,
   verifyPatient
 };
@@ -0,0 +1,239 @@
+// api/patientOutreachAPI.js
+// Purpose: Scheduled messages to patients: a weekly summary of their readings, and a reminder
+//          when they stop logging readings. Both are sent by the scheduler (services/scheduler.js)
+//          through notificationPreferenceAPI.notify, so each patient's channel choices, quiet
+//          hours and digest settings apply.
+
+const notificationPreferenceAPI = require('./notificationPreferenceAPI');
+const notificationService = require('../services/notificationService');
+const unitConverter = require('../utils/unitConverter');
+const glucoseMetrics = require('../utils/glucoseMetrics');
+
+const SUMMARY_DAYS = 7;
+
+// A patient's summary for the readings of one period
+function buildSummary(readings, start, end, unit) {
+  const metrics = glucoseMetrics.computeGlycemicMetrics(
+    readings.map(r => ({ time: new Date(r.DateTime), value: unitConverter.toCanonical(r.Value, r.Unit) })),
+    { start: start, end: end }
+  );
+  const values = readings.map(r => unitConverter.toCanonical(r.Value, r.Unit));
+  const toUnit = value => unitConverter.convertValue(value, unitConverter.CANONICAL_UNIT, unit);
+
+  return {
+    unit: unit,
+    reading_count: readings.length,
+    average: toUnit(metrics.mean_glucose),
+    lowest: toUnit(Math.min(...values)),
+    highest: toUnit(Math.max(...values)),
+    time_in_range: metrics.time_in_range,
+    time_below_range: metrics.time_below_range,
+    time_above_range: metrics.time_above_range,
+    by_category: {
+      normal: readings.filter(r => r.Category === 'Normal').length,
+      borderline: readings.filter(r => r.Category === 'Borderline').length,
+      abnormal: readings.filter(r => r.Category === 'Abnormal').length
+    }
+  };
+}
+
+// Notification content for a weekly summary
+function summaryContent(patient, summary, start, end) {
+  const period = `${start.toLocaleDateString()} - ${end.toLocaleDateString()}`;
+  const rows = [
+    ['Readings logged', summary.reading_count],
+    ['Average', `${summary.average} ${summary.unit}`],
+    ['Lowest / highest', `${summary.lowest} / ${summary.highest} ${summary.unit}`],
+    ['Time in range (70-180 mg/dL)', `${summary.time_in_range}%`],
+    ['Time below / above range', `${summary.time_below_range}% / ${summary.time_above_range}%`],
+    ['Normal / borderline / abnormal', `${summary.by_category.normal} / ${summary.by_category.borderline} / ${summary.by_category.abnormal}`]
+  ];
+
+  return {
+    subject: 'Your weekly blood sugar summary',
+    html: `
+      <html>
+        <body style="font-family: Arial, sans-serif; color: #333;">
+          <h2>Your Weekly Summary</h2>
+          <p>Dear ${patient.Name},</p>
+          <p>Here is how your blood sugar looked over the past week (${period}):</p>
+          <table style="border-collapse: collapse;">
+            ${rows.map(([label, value]) => `<tr><td style="padding: 4px 12px 4px 0;">${label}</td><td style="padding: 4px 0;"><strong>${value}</strong></td></tr>`).join('')}
+          </table>
+          <p>Sign in to see your readings and trends in detail.</p>
+          <p>Best regards,<br/>Blood Sugar Monitoring System</p>
+        </body>
+      </html>
+    `,
+    text: `Your week: ${summary.reading_count} readings, average ${summary.average} ${summary.unit}, ${summary.time_in_range}% in range.`,
+    inApp: {
+      type: 'weekly_summary',
+      title: 'Your weekly blood sugar summary',
+      message: `${summary.reading_count} readings, average ${summary.average} ${summary.unit}, ${summary.time_in_range}% in range (${period}).`,
+      summary: summary,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Send every active patient who logged readings in the past 7 days a summary of them
+ * @param {Object} db - Database connection
+ * @param {Function} callback - Callback function(err, { patients, sent, failed })
+ */
+function sendWeeklySummaries(db, callback) {
+  const end = new Date();
+  const start = new Date(end.getTime() - SUMMARY_DAYS * 24 * 60 * 60 * 1000);
+
+  const patientsQuery = `
+    SELECT DISTINCT u.User_ID, u.Name, u.Email, u.Phone, u.Preferred_Unit
+    FROM User u
+    INNER JOIN Sugar_Reading sr ON sr.Patient_ID = u.User_ID
+    WHERE u.Role = 'Patient' AND u.Status = 'Active'
+      AND sr.Deleted_At IS NULL AND sr.DateTime BETWEEN ? AND ?
+  `;
+  const readingsQuery = `
+    SELECT Value, Unit, Category, DateTime
+    FROM Sugar_Reading
+    WHERE Patient_ID = ? AND Deleted_At IS NULL AND DateTime BETWEEN ? AND ?
+    ORDER BY DateTime
+  `;
+
+  db.query(patientsQuery, [start, end], (err, patients) => {
+    if (err) return callback(err, null);
+
+    const outcome = { patients: patients.length, sent: 0, failed: 0 };
+
+    // One patient at a time, so the run does not flood the connection
+    const next = (index) => {
+      if (index >= patients.length) return callback(null, outcome);
+      const patient = patients[index];
+
+      db.query(readingsQuery, [patient.User_ID, start, end], (err, readings) => {
+        if (err || readings.length === 0) {
+          if (err) console.error(`Weekly summary for patient ${patient.User_ID} failed:`, err.message);
+          outcome.failed += err ? 1 : 0;
+          return next(index + 1);
+        }
+
+        const unit = unitConverter.normalizeUnit(patient.Preferred_Unit) || unitConverter.CANONICAL_UNIT;
+        const summary = buildSummary(readings, start, end, unit);
+
+        notificationPreferenceAPI.notify(db,
+          { userId: patient.User_ID, email: patient.Email, phone: patient.Phone, label: `patient ${patient.User_ID}` },
+          'weekly_summary',
+          summaryContent(patient, summary, start, end),
+          (notifyErr, deliveries) => {
+            if (notifyErr) {
+              console.error(`Weekly summary for patient ${patient.User_ID} failed:`, notifyErr.message);
+              outcome.failed++;
+            } else {
+              console.log(`Weekly summary sent to patient ${patient.User_ID} by ${notificationService.describeResults(deliveries)}`);
+              outcome.sent++;
+            }
+            next(index + 1);
+          }
+        );
+      });
+    };
+    next(0);
+  });
+}
+
+/**
+ * Find active patients who have not logged a reading in `days` days (counting from their account
+ * creation if they never have) and remind them. Each patient is reminded once per gap: only
+ * patients who passed the `days` mark after `since` (the previous run) are reminded again.
+ * @param {Object} db - Database connection
+ * @param {number} days - Days without a reading before a patient is reminded
+ * @param {Date|null} since - When the previous check ran (null reminds every inactive patient)
+ * @param {Function} callback - Callback function(err, { inactive, reminded, failed, patients })
+ */
+function sendMissedLoggingReminders(db, days, since, callback) {
+  const query = `
+    SELECT u.User_ID, u.Name, u.Email, u.Phone,
+      COALESCE(MAX(sr.DateTime), u.Created_At) AS Last_Activity,
+      MAX(sr.DateTime) AS Last_Reading_At,
+      DATEDIFF(NOW(), COALESCE(MAX(sr.DateTime), u.Created_At)) AS Days_Since
+    FROM User u
+    INNER JOIN Patient p ON p.Patient_ID = u.User_ID
+    LEFT JOIN Sugar_Reading sr ON sr.Patient_ID = u.User_ID AND sr.Deleted_At IS NULL
+    WHERE u.Role = 'Patient' AND u.Status = 'Active'
+    GROUP BY u.User_ID, u.Name, u.Email, u.Phone, u.Created_At
+    HAVING Last_Activity <= DATE_SUB(NOW(), INTERVAL ? DAY)
+    ORDER BY Last_Activity
+  `;
+
+  db.query(query, [days], (err, inactive) => {
+    if (err) return callback(err, null);
+
+    // Patients who crossed the mark since the previous check; the others were reminded then
+    const cutoff = since ? new Date(new Date(since).getTime() - days * 24 * 60 * 60 * 1000) : null;
+    const due = inactive.filter(p => !cutoff || new Date(p.Last_Activity) > cutoff);
+
+    const outcome = {
+      inactive: inactive.length,
+      reminded: 0,
+      failed: 0,
+      patients: inactive.map(p => ({
+        patient_id: p.User_ID,
+        name: p.Name,
+        last_reading_at: p.Last_Reading_At,
+        days_since: p.Days_Since,
+        reminded: due.includes(p)
+      }))
+    };
+
+    const next = (index) => {
+      if (index >= due.length) return callback(null, outcome);
+      const patient = due[index];
+      const lastLogged = patient.Last_Reading_At
+        ? `Your last reading was logged ${patient.Days_Since} days ago.`
+        : 'You have not logged a reading yet.';
+
+      notificationPreferenceAPI.notify(db,
+        { userId: patient.User_ID, email: patient.Email, phone: patient.Phone, label: `patient ${patient.User_ID}` },
+        'logging_reminder',
+        {
+          subject: 'Reminder: log your blood sugar readings',
+          html: `
+            <html>
+              <body style="font-family: Arial, sans-serif; color: #333;">
+                <h2>Time to Log a Reading</h2>
+                <p>Dear ${patient.Name},</p>
+                <p>${lastLogged} Regular readings help you and your specialist keep track of your blood sugar.</p>
+                <p>Sign in to log your latest readings.</p>
+                <p>Best regards,<br/>Blood Sugar Monitoring System</p>
+              </body>
+            </html>
+          `,
+          text: `${lastLogged} Please log your blood sugar readings.`,
+          inApp: {
+            type: 'logging_reminder',
+            title: 'Time to log a reading',
+            message: `${lastLogged} Please log your blood sugar readings.`,
+            daysSince: patient.Days_Since,
+            timestamp: new Date().toISOString()
+          }
+        },
+        (notifyErr, deliveries) => {
+          if (notifyErr) {
+            console.error(`Logging reminder for patient ${patient.User_ID} failed:`, notifyErr.message);
+            outcome.failed++;
+          } else {
+            console.log(`Logging reminder sent to patient ${patient.User_ID} by ${notificationService.describeResults(deliveries)}`);
+            outcome.reminded++;
+          }
+          next(index + 1);
+        }
+      );
+    };
+    next(0);
+  });
+}
+
+module.exports = {
+  SUMMARY_DAYS,
+  sendWeeklySummaries,
+  sendMissedLoggingReminders
+};
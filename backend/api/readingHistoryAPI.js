@@ -0,0 +1,213 @@
+// api/readingHistoryAPI.js
+// Purpose: Append-only audit trail of blood sugar readings. Every create, update, delete and
+//          restore of a Sugar_Reading row is recorded in Sugar_Reading_History with who made
+//          the change, when, and the reading's values (including its category) before and after.
+
+// Reading columns captured in each history entry
+const TRACKED_FIELDS = [
+  'DateTime',
+  'Value',
+  'Unit',
+  'Category',
+  'Threshold_ID',
+  'Profile_ID',
+  'Reading_Context',
+  'Meal_ID',
+  'Food_Notes',
+  'Activity_Notes',
+  'Event',
+  'Symptoms',
+  'Notes',
+  'Source',
+  'Deleted_At'
+];
+
+// How long a patient can restore a deleted reading
+const RESTORE_GRACE_DAYS = 30;
+
+/**
+ * Pick the tracked columns of a reading row
+ * @param {Object|null} row - Sugar_Reading row
+ * @returns {Object|null} Snapshot of the tracked fields, or null when there is no row
+ */
+function snapshotReading(row) {
+  if (!row) return null;
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    snapshot[field] = row[field] === undefined ? null : row[field];
+  });
+  return snapshot;
+}
+
+/**
+ * Names of the tracked fields that differ between two snapshots
+ * @param {Object|null} oldValues - Snapshot before the change
+ * @param {Object|null} newValues - Snapshot after the change
+ * @returns {string[]} Changed field names
+ */
+function changedFields(oldValues, newValues) {
+  return TRACKED_FIELDS.filter(field => {
+    const before = oldValues ? oldValues[field] : null;
+    const after = newValues ? newValues[field] : null;
+    return JSON.stringify(before) !== JSON.stringify(after);
+  });
+}
+
+/**
+ * Append history entries
+ * @param {Object} db - Database connection
+ * @param {string} action - 'Create', 'Update', 'Delete' or 'Restore'
+ * @param {number|null} changedBy - User ID of whoever made the change
+ * @param {Object[]} changes - [{ oldRow, newRow }] Sugar_Reading rows before/after (null for none)
+ * @param {Function} callback - Callback function(err, result)
+ */
+function recordChanges(db, action, changedBy, changes, callback) {
+  if (changes.length === 0) {
+    return callback(null, { recorded: 0 });
+  }
+
+  const query = `
+    INSERT INTO Sugar_Reading_History
+      (Reading_ID, Patient_ID, Action, Changed_By, Old_Values, New_Values, Old_Category, New_Category)
+    VALUES ?
+  `;
+  const values = changes.map(({ oldRow, newRow }) => {
+    const row = newRow || oldRow;
+    const oldValues = snapshotReading(oldRow);
+    const newValues = snapshotReading(newRow);
+    return [
+      row.Reading_ID,
+      row.Patient_ID,
+      action,
+      changedBy || null,
+      oldValues ? JSON.stringify(oldValues) : null,
+      newValues ? JSON.stringify(newValues) : null,
+      oldRow ? oldRow.Category : null,
+      newRow ? newRow.Category : null
+    ];
+  });
+
+  db.query(query, [values], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, { recorded: results.affectedRows });
+  });
+}
+
+/**
+ * Record a change to one reading. The reading's current row is loaded as the "after" state.
+ * @param {Object} db - Database connection
+ * @param {number} readingId - Reading ID
+ * @param {string} action - 'Create', 'Update', 'Delete' or 'Restore'
+ * @param {number|null} changedBy - User ID of whoever made the change
+ * @param {Object|null} oldRow - Full Sugar_Reading row before the change (null for 'Create')
+ * @param {Function} callback - Callback function(err, result)
+ */
+function recordReadingChange(db, readingId, action, changedBy, oldRow, callback) {
+  db.query('SELECT * FROM Sugar_Reading WHERE Reading_ID = ?', [readingId], (err, results) => {
+    if (err) return callback(err, null);
+
+    if (results.length === 0) {
+      return callback(new Error('Reading not found'), null);
+    }
+
+    recordChanges(db, action, changedBy, [{ oldRow: oldRow, newRow: results[0] }], callback);
+  });
+}
+
+/**
+ * Record 'Create' entries for a batch of readings inserted with one multi-row INSERT
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID the readings were inserted for
+ * @param {number} firstReadingId - insertId of the INSERT (ID of its first row)
+ * @param {number} count - Number of rows inserted
+ * @param {number|null} changedBy - User ID of whoever imported the readings
+ * @param {Function} callback - Callback function(err, result)
+ */
+function recordCreatedReadings(db, patientId, firstReadingId, count, changedBy, callback) {
+  if (!count) {
+    return callback(null, { recorded: 0 });
+  }
+
+  const query = `
+    SELECT * FROM Sugar_Reading
+    WHERE Patient_ID = ? AND Reading_ID >= ?
+    ORDER BY Reading_ID ASC
+    LIMIT ?
+  `;
+
+  db.query(query, [patientId, firstReadingId, count], (err, rows) => {
+    if (err) return callback(err, null);
+    recordChanges(db, 'Create', changedBy, rows.map(row => ({ oldRow: null, newRow: row })), callback);
+  });
+}
+
+/**
+ * Get the revision history of a reading, oldest first
+ * @param {Object} db - Database connection
+ * @param {number} readingId - Reading ID
+ * @param {number} patientId - Patient ID the reading must belong to
+ * @param {Function} callback - Callback function(err, { reading, history })
+ */
+function getReadingHistory(db, readingId, patientId, callback) {
+  // Deleted readings are included: their history is what explains the deletion
+  db.query('SELECT * FROM Sugar_Reading WHERE Reading_ID = ?', [readingId], (err, readings) => {
+    if (err) return callback(err, null);
+
+    if (readings.length === 0 || readings[0].Patient_ID !== patientId) {
+      return callback(new Error('Reading not found for this patient'), null);
+    }
+
+    const query = `
+      SELECT
+        h.History_ID,
+        h.Action,
+        h.Changed_By,
+        u.Name AS Changed_By_Name,
+        u.Role AS Changed_By_Role,
+        h.Changed_At,
+        h.Old_Values,
+        h.New_Values,
+        h.Old_Category,
+        h.New_Category
+      FROM Sugar_Reading_History h
+      LEFT JOIN User u ON h.Changed_By = u.User_ID
+      WHERE h.Reading_ID = ?
+      ORDER BY h.Changed_At ASC, h.History_ID ASC
+    `;
+
+    db.query(query, [readingId], (err, rows) => {
+      if (err) return callback(err, null);
+
+      const history = rows.map(row => {
+        const oldValues = row.Old_Values ? JSON.parse(row.Old_Values) : null;
+        const newValues = row.New_Values ? JSON.parse(row.New_Values) : null;
+        return {
+          history_id: row.History_ID,
+          action: row.Action,
+          changed_at: row.Changed_At,
+          changed_by: row.Changed_By
+            ? { user_id: row.Changed_By, name: row.Changed_By_Name, role: row.Changed_By_Role }
+            : null,
+          old_values: oldValues,
+          new_values: newValues,
+          changed_fields: changedFields(oldValues, newValues),
+          old_category: row.Old_Category,
+          new_category: row.New_Category
+        };
+      });
+
+      callback(null, { reading: readings[0], history: history });
+    });
+  });
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  RESTORE_GRACE_DAYS,
+  snapshotReading,
+  changedFields,
+  recordChanges,
+  recordReadingChange,
+  recordCreatedReadings,
+  getReadingHistory
+};
@@ -0,0 +1,348 @@
+// api/readingImportAPI.js
+// Purpose: Bulk import of blood sugar readings from CSV files (generic layout or device
+//          exports from Dexcom Clarity / LibreView). Each row is validated with the same
+//          rules as a single reading, checked against stored readings for duplicates,
+//          categorized, and reported back individually. Alert checks and AI analysis are
+//          queued once for the whole batch.
+
+const thresholdAPI = require('./thresholdAPI');
+const patientAPI = require('./patientAPI');
+const readingHistoryAPI = require('./readingHistoryAPI');
+const recategorizationAPI = require('./recategorizationAPI');
+const liveUpdates = require('../services/liveUpdates');
+const csvParser = require('../utils/csvParser');
+const unitConverter = require('../utils/unitConverter');
+const readingContext = require('../utils/readingContext');
+const importers = require('../utils/importers');
+const { toSqlDateTime } = require('../utils/importers/common');
+
+// Source tag stored on readings imported from a generic CSV
+const GENERIC_CSV_SOURCE = 'CSV Import';
+
+// Upper bound on rows per upload so a single request cannot monopolize the connection
+const MAX_IMPORT_ROWS = 5000;
+
+// Accepted header spellings (normalized) for each reading field
+const COLUMN_ALIASES = {
+  dateTime: ['datetime', 'date/time', 'timestamp', 'readingtime'],
+  date: ['date'],
+  time: ['time'],
+  value: ['value', 'glucose', 'bloodsugar', 'reading'],
+  unit: ['unit', 'units'],
+  foodNotes: ['foodnotes', 'food'],
+  activityNotes: ['activitynotes', 'activity'],
+  event: ['event'],
+  symptoms: ['symptoms'],
+  notes: ['notes', 'note', 'comments'],
+  readingContext: ['context', 'readingcontext', 'mealcontext']
+};
+
+/**
+ * Map a CSV header row to field positions
+ * @param {string[]} headerFields - Header cells
+ * @returns {Object} Field name -> column index (only for columns present)
+ */
+function mapColumns(headerFields) {
+  const normalized = headerFields.map(csvParser.normalizeHeader);
+  const columns = {};
+  Object.keys(COLUMN_ALIASES).forEach(field => {
+    const index = normalized.findIndex(h => COLUMN_ALIASES[field].includes(h));
+    if (index !== -1) columns[field] = index;
+  });
+  return columns;
+}
+
+/**
+ * Parse a generic CSV into reading candidates. The first non-empty line must be a header
+ * with at least a value column and either a datetime column or date + time columns.
+ * @param {Array<{ line: number, fields: string[] }>} csvRows - Parsed CSV rows
+ * @returns {{ error: string|null, source: string, rows: Object[], skipped: Object[] }}
+ *          Rows as { line, dateTime, value, unit, foodNotes, ..., readingContext }
+ */
+function parseGenericCsv(csvRows) {
+  const columns = mapColumns(csvRows[0].fields);
+  const hasDateTime = columns.dateTime !== undefined || columns.date !== undefined;
+  if (!hasDateTime || columns.value === undefined) {
+    return {
+      error: 'CSV header must include a value column and a dateTime (or date and time) column',
+      source: GENERIC_CSV_SOURCE,
+      rows: [],
+      skipped: []
+    };
+  }
+
+  const dataRows = csvRows.slice(1);
+
+  const cell = (fields, field) => {
+    if (columns[field] === undefined) return null;
+    const raw = fields[columns[field]];
+    return raw === undefined || raw.trim() === '' ? null : raw.trim();
+  };
+
+  const rows = dataRows.map(({ line, fields }) => {
+    let dateTime = cell(fields, 'dateTime');
+    if (!dateTime && cell(fields, 'date')) {
+      dateTime = cell(fields, 'time') ? `${cell(fields, 'date')} ${cell(fields, 'time')}` : cell(fields, 'date');
+    }
+
+    return {
+      line: line,
+      dateTime: dateTime,
+      value: cell(fields, 'value'),
+      unit: cell(fields, 'unit'),
+      foodNotes: cell(fields, 'foodNotes'),
+      activityNotes: cell(fields, 'activityNotes'),
+      event: cell(fields, 'event'),
+      symptoms: cell(fields, 'symptoms'),
+      notes: cell(fields, 'notes'),
+      readingContext: cell(fields, 'readingContext')
+    };
+  });
+
+  return { error: null, source: GENERIC_CSV_SOURCE, rows: rows, skipped: [] };
+}
+
+/**
+ * Parse an uploaded file into reading candidates, choosing the parser by format
+ * @param {string} text - File contents
+ * @param {string} format - 'auto' (default), 'csv', or a device format ('dexcom', 'libreview')
+ * @param {Object} options - Parser options, e.g. { dateOrder: 'DMY' } for LibreView
+ * @returns {{ error: string|null, format: string, source: string, rows: Object[], skipped: Object[] }}
+ */
+function parseImportFile(text, format, options) {
+  const csvRows = csvParser.parseCsv(text);
+  if (csvRows.length === 0) {
+    return { error: 'The CSV file is empty', rows: [], skipped: [] };
+  }
+  if (csvRows.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `CSV file has ${csvRows.length - 1} rows; the maximum per import is ${MAX_IMPORT_ROWS}`, rows: [], skipped: [] };
+  }
+
+  const requested = (format || 'auto').toLowerCase();
+  const resolved = requested === 'auto' ? (importers.detectFormat(csvRows) || 'csv') : requested;
+
+  let parsed;
+  if (resolved === 'csv') {
+    parsed = parseGenericCsv(csvRows);
+  } else if (importers.DEVICE_IMPORTERS[resolved]) {
+    parsed = importers.DEVICE_IMPORTERS[resolved].parse(csvRows, options || {});
+  } else {
+    const supported = ['auto', 'csv', ...Object.keys(importers.DEVICE_IMPORTERS)].join(', ');
+    return { error: `Unsupported import format "${format}". Use one of: ${supported}`, rows: [], skipped: [] };
+  }
+
+  return { ...parsed, format: resolved };
+}
+
+/**
+ * Key used to detect duplicates: same minute and same value (rounded mg/dL)
+ * @param {Date|string} dateTime - Reading time
+ * @param {number} canonicalValue - Value in mg/dL
+ * @returns {string} Duplicate-detection key
+ */
+function duplicateKey(dateTime, canonicalValue) {
+  return `${toSqlDateTime(new Date(dateTime)).slice(0, 16)}|${Math.round(canonicalValue)}`;
+}
+
+/**
+ * Load duplicate keys for a patient's stored readings in a time range
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {string} start - Earliest DateTime (inclusive)
+ * @param {string} end - Latest DateTime (inclusive)
+ * @param {Function} callback - Callback function(err, Set<string>)
+ */
+function getExistingReadingKeys(db, patientId, start, end, callback) {
+  const query = `
+    SELECT DateTime, Value, Unit
+    FROM Sugar_Reading
+    WHERE Patient_ID = ? AND Deleted_At IS NULL AND DateTime BETWEEN ? AND ?
+  `;
+
+  db.query(query, [patientId, start, end], (err, results) => {
+    if (err) return callback(err, null);
+    const keys = new Set(results.map(r => duplicateKey(r.DateTime, unitConverter.toCanonical(r.Value, r.Unit))));
+    callback(null, keys);
+  });
+}
+
+/**
+ * Validate, deduplicate, categorize and (unless dry run) insert a batch of readings.
+ * Rows matching a stored reading (same minute, same value) or an earlier row in the
+ * same file are reported as duplicates, so overlapping exports can be re-uploaded.
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {Object[]} rows - Reading candidates from parseImportFile
+ * @param {Object} options - { dryRun: boolean, source: string,
+ *                           skipped: [{ line, reason }] rows the parser did not import,
+ *                           changedBy: user ID recorded in the reading history (default patientId) }
+ * @param {Function} callback - Callback function(err, report)
+ */
+function importReadings(db, patientId, rows, options, callback) {
+  const dryRun = !!options.dryRun;
+  const source = options.source || GENERIC_CSV_SOURCE;
+  const results = [];
+  const candidates = [];
+
+  (options.skipped || []).forEach(skip => {
+    results.push({ line: skip.line, status: 'skipped', reason: skip.reason });
+  });
+
+  rows.forEach(row => {
+    const validationError = patientAPI.validateReadingData(row);
+    if (validationError) {
+      results.push({ line: row.line, status: 'rejected', reason: validationError });
+      return;
+    }
+
+    const unit = row.unit ? unitConverter.normalizeUnit(row.unit) : unitConverter.CANONICAL_UNIT;
+    const canonicalValue = unitConverter.toCanonical(row.value, unit);
+    candidates.push({
+      row: row,
+      unit: unit,
+      canonicalValue: canonicalValue,
+      sqlDateTime: toSqlDateTime(new Date(row.dateTime)),
+      key: duplicateKey(row.dateTime, canonicalValue)
+    });
+  });
+
+  const pendingInserts = [];
+
+  const finish = () => {
+    results.sort((x, y) => x.line - y.line);
+    const count = status => results.filter(r => r.status === status).length;
+    const report = {
+      dry_run: dryRun,
+      source: source,
+      total_rows: results.length,
+      accepted: count('accepted'),
+      rejected: count('rejected'),
+      duplicates: count('duplicate'),
+      skipped: count('skipped'),
+      inserted: 0,
+      rows: results
+    };
+
+    if (dryRun || pendingInserts.length === 0) {
+      return callback(null, report);
+    }
+
+    const insertQuery = `
+      INSERT INTO Sugar_Reading
+        (Patient_ID, DateTime, Value, Unit, Food_Notes, Activity_Notes, Event, Symptoms, Notes, Category, Threshold_ID, Profile_ID, Categorized_At, Reading_Context, Source, Source_Device_ID)
+      VALUES ?
+    `;
+    const values = pendingInserts.map(r => [
+      patientId,
+      r.dateTime,
+      r.value,
+      unitConverter.CANONICAL_UNIT,
+      r.foodNotes,
+      r.activityNotes,
+      r.event,
+      r.symptoms,
+      r.notes,
+      r.category,
+      r.thresholdId,
+      r.profileId,
+      new Date(),
+      r.readingContext,
+      source,
+      r.sourceDeviceId
+    ]);
+
+    db.query(insertQuery, [values], (err, insertResult) => {
+      if (err) return callback(err, null);
+
+      report.inserted = insertResult.affectedRows;
+      console.log(`importReadings: Inserted ${report.inserted} readings (${source}) for patient ${patientId}`);
+      // A multi-row insert numbers its rows consecutively from insertId
+      const readingIds = Array.from({ length: insertResult.affectedRows }, (_, i) => insertResult.insertId + i);
+      liveUpdates.publish(liveUpdates.EVENTS.READING_CREATED, patientId, { readingIds: readingIds, source: source });
+
+      const changedBy = options.changedBy || patientId;
+      readingHistoryAPI.recordCreatedReadings(db, patientId, insertResult.insertId, insertResult.affectedRows, changedBy, (historyErr) => {
+        if (historyErr) {
+          console.error(`importReadings: Could not record history for imported readings of patient ${patientId}:`, historyErr);
+        }
+      });
+
+      // Evaluate the alert rules, and run the AI follow-up, once for the whole batch
+      patientAPI.queueReadingJobs(db, patientId, `import:${readingIds[0]}`, pendingInserts.some(r => r.category === 'Abnormal'));
+
+      callback(null, report);
+    });
+  };
+
+  if (candidates.length === 0) {
+    return finish();
+  }
+
+  const times = candidates.map(c => c.sqlDateTime).sort();
+  getExistingReadingKeys(db, patientId, times[0], times[times.length - 1], (err, existingKeys) => {
+    if (err) return callback(err, null);
+
+    const seenKeys = new Set(existingKeys);
+    const toCategorize = candidates.filter(candidate => {
+      if (seenKeys.has(candidate.key)) {
+        results.push({ line: candidate.row.line, status: 'duplicate', reason: 'Matches a reading already stored or earlier in this file' });
+        return false;
+      }
+      seenKeys.add(candidate.key);
+      return true;
+    });
+
+    if (toCategorize.length === 0) {
+      return finish();
+    }
+
+    // Thresholds are loaded once and applied in memory, rather than resolved with queries per row
+    recategorizationAPI.loadThresholdState(db, patientId, (err, state) => {
+      toCategorize.forEach(candidate => {
+        const row = candidate.row;
+        if (err) {
+          results.push({ line: row.line, status: 'rejected', reason: `Could not categorize reading: ${err.message}` });
+          return;
+        }
+
+        const context = readingContext.normalizeContext(row.readingContext);
+        const thresholds = recategorizationAPI.thresholdsFor(state, {
+          Patient_ID: patientId,
+          DateTime: candidate.sqlDateTime,
+          Reading_Context: context
+        });
+        const category = thresholdAPI.categorizeValue(candidate.canonicalValue, thresholds);
+        pendingInserts.push({
+          dateTime: candidate.sqlDateTime,
+          value: candidate.canonicalValue,
+          foodNotes: row.foodNotes,
+          activityNotes: row.activityNotes,
+          event: row.event,
+          symptoms: row.symptoms,
+          notes: row.notes,
+          category: category,
+          thresholdId: thresholds.Threshold_ID,
+          profileId: thresholds.Profile_ID,
+          readingContext: context,
+          sourceDeviceId: row.sourceDeviceId || null
+        });
+        results.push({
+          line: row.line,
+          status: 'accepted',
+          dateTime: candidate.sqlDateTime,
+          value: parseFloat(row.value),
+          unit: candidate.unit,
+          category: category,
+          reading_context: context
+        });
+      });
+      finish();
+    });
+  });
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  importReadings
+};
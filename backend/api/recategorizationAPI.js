@@ -0,0 +1,408 @@
+// api/recategorizationAPI.js
+// Purpose: Re-categorize stored blood sugar readings when thresholds change. A job recomputes
+//          every reading's category (system-wide or for one patient) under the threshold version
+//          in effect at the reading's DateTime, records which version each category was computed
+//          under, and reports how many readings moved between categories. A preview runs the
+//          same computation against a proposed change without saving anything.
+
+const thresholdAPI = require('./thresholdAPI');
+const readingHistoryAPI = require('./readingHistoryAPI');
+const unitConverter = require('../utils/unitConverter');
+
+// Readings updated per UPDATE statement
+const UPDATE_BATCH_SIZE = 500;
+
+// Changed readings listed in a preview
+const PREVIEW_SAMPLE_SIZE = 20;
+
+/**
+ * Load everything needed to categorize readings without a query per reading
+ * @param {Object} db - Database connection
+ * @param {number|null} patientId - Limit patient ranges to one patient (null for all)
+ * @param {Function} callback - Callback function(err, state)
+ */
+function loadThresholdState(db, patientId, callback) {
+  thresholdAPI.getAllThresholdVersions(db, (err, versions) => {
+    if (err) return callback(err, null);
+
+    const state = {
+      versions: {},
+      patients: {},
+      patientContexts: {},
+      profiles: {}
+    };
+    versions.forEach(row => {
+      const key = row.Reading_Context || 'default';
+      state.versions[key] = state.versions[key] || [];
+      state.versions[key].push(row);
+    });
+
+    if (!state.versions.default) {
+      return callback(new Error('No system thresholds have been configured'), null);
+    }
+
+    const patientFilter = patientId ? ' WHERE Patient_ID = ?' : '';
+    const params = patientId ? [patientId] : [];
+
+    db.query(`SELECT Patient_ID, Threshold_Normal_Low, Threshold_Normal_High FROM patient${patientFilter}`, params, (err, patients) => {
+      if (err) return callback(err, null);
+
+      db.query(`SELECT Patient_ID, Reading_Context, Normal_Low, Normal_High FROM patient_context_threshold${patientFilter}`, params, (err, patientContexts) => {
+        if (err) return callback(err, null);
+
+        db.query(`SELECT * FROM patient_threshold_profile${patientFilter}`, params, (err, profiles) => {
+          if (err) return callback(err, null);
+
+          patients.forEach(row => { state.patients[row.Patient_ID] = row; });
+          patientContexts.forEach(row => {
+            state.patientContexts[row.Patient_ID] = state.patientContexts[row.Patient_ID] || {};
+            state.patientContexts[row.Patient_ID][row.Reading_Context] = row;
+          });
+          profiles.forEach(row => { state.profiles[row.Patient_ID] = row; });
+
+          callback(null, state);
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Apply a proposed (unsaved) threshold change to a loaded state
+ * @param {Object} state - From loadThresholdState
+ * @param {Object} change - { system: thresholdData } with the keys of thresholdAPI.updateSystemThresholds, or
+ *                          { patient: { patient_id, normal_low, normal_high, context } }
+ */
+function applyProposedChange(state, change) {
+  if (change.system) {
+    const data = change.system;
+    // Threshold_ID stays null: the proposed version does not exist yet
+    const row = {
+      Threshold_ID: null,
+      Normal_Low: data.normal_low,
+      Normal_High: data.normal_high,
+      Borderline_Low: data.borderline_low,
+      Borderline_High: data.borderline_high,
+      Abnormal_Low: data.abnormal_low,
+      Abnormal_High: data.abnormal_high,
+      Reading_Context: data.context || null,
+      Effective_Date: data.effective_date ? new Date(data.effective_date) : new Date()
+    };
+    const key = row.Reading_Context || 'default';
+    state.versions[key] = (state.versions[key] || [])
+      .concat(row)
+      .sort((a, b) => new Date(a.Effective_Date) - new Date(b.Effective_Date));
+  }
+
+  if (change.patient) {
+    const { patient_id, normal_low, normal_high, context } = change.patient;
+    if (context) {
+      state.patientContexts[patient_id] = state.patientContexts[patient_id] || {};
+      state.patientContexts[patient_id][context] = { Normal_Low: normal_low, Normal_High: normal_high };
+    } else {
+      state.patients[patient_id] = { ...state.patients[patient_id], Threshold_Normal_Low: normal_low, Threshold_Normal_High: normal_high };
+    }
+  }
+}
+
+/**
+ * Thresholds that apply to a patient's reading (same rules as thresholdAPI.resolveThresholds)
+ * @param {Object} state - From loadThresholdState
+ * @param {Object} reading - Sugar_Reading row; its DateTime selects the system threshold version
+ * @param {Object} [systemVersion] - categorythreshold row to use instead of the one in effect at DateTime
+ * @returns {Object} Combined thresholds, including the system Threshold_ID and the Profile_ID
+ *                   of the patient's profile when it applied
+ */
+function thresholdsFor(state, reading, systemVersion) {
+  const context = reading.Reading_Context;
+  const system = systemVersion || thresholdAPI.systemVersionAt(state.versions, context, reading.DateTime);
+  const patient = state.patients[reading.Patient_ID] || {};
+  const patientContext = context && state.patientContexts[reading.Patient_ID] ? state.patientContexts[reading.Patient_ID][context] : null;
+  const profile = state.profiles[reading.Patient_ID];
+
+  const patientThresholds = {
+    Threshold_Normal_Low: patient.Threshold_Normal_Low,
+    Threshold_Normal_High: patient.Threshold_Normal_High,
+    Context_Normal_Low: patientContext ? patientContext.Normal_Low : null,
+    Context_Normal_High: patientContext ? patientContext.Normal_High : null
+  };
+
+  // The profile applies to readings taken before it expires
+  if (profile && (!profile.Expires_At || new Date(profile.Expires_At) > new Date(reading.DateTime))) {
+    Object.keys(profile).forEach(field => {
+      patientThresholds[field === 'Profile_ID' ? field : `Profile_${field}`] = profile[field];
+    });
+  }
+
+  return thresholdAPI.combineThresholds(system, patientThresholds, context);
+}
+
+/**
+ * Recompute the category of every active reading in scope
+ * @param {Object} db - Database connection
+ * @param {Object} options - { patientId (optional), change (optional proposed change, see applyProposedChange) }
+ * @param {Function} callback - Callback function(err, { checked, changed, transitions, updates })
+ *   updates: [{ row, category, thresholdId }] for readings whose category or threshold version differs
+ */
+function computeCategories(db, options, callback) {
+  const patientId = options.patientId || null;
+
+  loadThresholdState(db, patientId, (err, state) => {
+    if (err) return callback(err, null);
+
+    if (options.change) applyProposedChange(state, options.change);
+
+    const query = `
+      SELECT * FROM Sugar_Reading
+      WHERE Deleted_At IS NULL${patientId ? ' AND Patient_ID = ?' : ''}
+      ORDER BY Reading_ID ASC
+    `;
+
+    db.query(query, patientId ? [patientId] : [], (err, readings) => {
+      if (err) return callback(err, null);
+
+      const transitions = {};
+      const updates = [];
+      let changed = 0;
+
+      readings.forEach(row => {
+        const thresholds = thresholdsFor(state, row);
+        const category = thresholdAPI.categorizeValue(unitConverter.toCanonical(row.Value, row.Unit), thresholds);
+
+        if (category !== row.Category) {
+          const key = `${row.Category || 'Uncategorized'}->${category}`;
+          transitions[key] = (transitions[key] || 0) + 1;
+          changed++;
+        }
+        if (category !== row.Category || thresholds.Threshold_ID !== row.Threshold_ID || thresholds.Profile_ID !== row.Profile_ID) {
+          updates.push({ row: row, category: category, thresholdId: thresholds.Threshold_ID, profileId: thresholds.Profile_ID });
+        }
+      });
+
+      callback(null, { checked: readings.length, changed: changed, transitions: transitions, updates: updates });
+    });
+  });
+}
+
+/**
+ * Preview how a proposed threshold change would re-categorize stored readings (nothing is saved)
+ * @param {Object} db - Database connection
+ * @param {Object} options - { patientId (optional), change (see applyProposedChange) }
+ * @param {Function} callback - Callback function(err, preview)
+ */
+function previewRecategorization(db, options, callback) {
+  computeCategories(db, options, (err, result) => {
+    if (err) return callback(err, null);
+
+    const changedRows = result.updates.filter(u => u.category !== u.row.Category);
+    const patientsAffected = new Set(changedRows.map(u => u.row.Patient_ID));
+
+    callback(null, {
+      readings_checked: result.checked,
+      readings_changed: result.changed,
+      patients_affected: patientsAffected.size,
+      transitions: result.transitions,
+      sample: changedRows.slice(0, PREVIEW_SAMPLE_SIZE).map(u => ({
+        reading_id: u.row.Reading_ID,
+        patient_id: u.row.Patient_ID,
+        datetime: u.row.DateTime,
+        value: u.row.Value,
+        unit: u.row.Unit,
+        reading_context: u.row.Reading_Context,
+        old_category: u.row.Category,
+        new_category: u.category
+      }))
+    });
+  });
+}
+
+/**
+ * Write recomputed categories, grouped so each (category, threshold version, profile) is one UPDATE per batch
+ * @param {Object} db - Database connection
+ * @param {Object[]} updates - From computeCategories
+ * @param {Function} callback - Callback function(err)
+ */
+function saveCategories(db, updates, callback) {
+  const groups = {};
+  updates.forEach(u => {
+    const key = `${u.category}|${u.thresholdId}|${u.profileId}`;
+    groups[key] = groups[key] || { category: u.category, thresholdId: u.thresholdId, profileId: u.profileId, ids: [] };
+    groups[key].ids.push(u.row.Reading_ID);
+  });
+
+  const statements = [];
+  Object.values(groups).forEach(group => {
+    for (let i = 0; i < group.ids.length; i += UPDATE_BATCH_SIZE) {
+      statements.push([group.category, group.thresholdId, group.profileId, group.ids.slice(i, i + UPDATE_BATCH_SIZE)]);
+    }
+  });
+
+  const query = `
+    UPDATE Sugar_Reading
+    SET Category = ?, Threshold_ID = ?, Profile_ID = ?, Categorized_At = NOW()
+    WHERE Reading_ID IN (?) AND Deleted_At IS NULL
+  `;
+
+  const next = (index) => {
+    if (index === statements.length) return callback(null);
+    db.query(query, statements[index], (err) => {
+      if (err) return callback(err);
+      next(index + 1);
+    });
+  };
+  next(0);
+}
+
+/**
+ * Run a queued job: recompute categories, save them and record the outcome on the job row
+ * @param {Object} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {Object} options - { patientId, requestedBy }
+ */
+function runJob(db, jobId, options) {
+  const fail = (err) => {
+    console.error(`Recategorization job ${jobId} failed:`, err);
+    db.query(
+      "UPDATE Recategorization_Job SET Status = 'Failed', Error = ?, Completed_At = NOW() WHERE Job_ID = ?",
+      [err.message, jobId],
+      (updateErr) => {
+        if (updateErr) console.error(`Could not mark recategorization job ${jobId} as failed:`, updateErr);
+      }
+    );
+  };
+
+  db.query("UPDATE Recategorization_Job SET Status = 'Running' WHERE Job_ID = ?", [jobId], (err) => {
+    if (err) return fail(err);
+
+    computeCategories(db, { patientId: options.patientId }, (err, result) => {
+      if (err) return fail(err);
+
+      saveCategories(db, result.updates, (err) => {
+        if (err) return fail(err);
+
+        const changes = result.updates
+          .filter(u => u.category !== u.row.Category)
+          .map(u => ({ oldRow: u.row, newRow: { ...u.row, Category: u.category, Threshold_ID: u.thresholdId, Profile_ID: u.profileId } }));
+
+        readingHistoryAPI.recordChanges(db, 'Update', options.requestedBy, changes, (err) => {
+          // The categories are saved; a missing audit entry should not fail the job
+          if (err) console.error(`Recategorization job ${jobId}: error recording reading history:`, err);
+
+          const query = `
+            UPDATE Recategorization_Job
+            SET Status = 'Completed', Readings_Checked = ?, Readings_Changed = ?, Transitions = ?, Completed_At = NOW()
+            WHERE Job_ID = ?
+          `;
+          db.query(query, [result.checked, result.changed, JSON.stringify(result.transitions), jobId], (err) => {
+            if (err) return fail(err);
+            console.log(`Recategorization job ${jobId} completed: ${result.changed} of ${result.checked} readings changed category`);
+          });
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Queue a re-categorization job and start it in the background
+ * @param {Object} db - Database connection
+ * @param {Object} options - { patientId (omit for system-wide), reason, thresholdId, requestedBy }
+ * @param {Function} callback - Callback function(err, { job_id }) called once the job is queued
+ */
+function startRecategorization(db, options, callback) {
+  const query = `
+    INSERT INTO Recategorization_Job (Scope, Patient_ID, Reason, Threshold_ID, Requested_By)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  const values = [
+    options.patientId ? 'Patient' : 'System',
+    options.patientId || null,
+    options.reason || 'Manual re-categorization',
+    options.thresholdId || null,
+    options.requestedBy || null
+  ];
+
+  db.query(query, values, (err, results) => {
+    if (err) return callback(err, null);
+
+    const jobId = results.insertId;
+    setImmediate(() => runJob(db, jobId, { patientId: options.patientId || null, requestedBy: options.requestedBy || null }));
+    callback(null, { job_id: jobId });
+  });
+}
+
+/**
+ * Shape a Recategorization_Job row for API responses
+ * @param {Object} row - Job row joined with the requester's name
+ * @returns {Object} Job
+ */
+function formatJob(row) {
+  return {
+    job_id: row.Job_ID,
+    scope: row.Scope,
+    patient_id: row.Patient_ID,
+    reason: row.Reason,
+    threshold_id: row.Threshold_ID,
+    status: row.Status,
+    readings_checked: row.Readings_Checked,
+    readings_changed: row.Readings_Changed,
+    transitions: row.Transitions ? JSON.parse(row.Transitions) : {},
+    error: row.Error,
+    requested_by: row.Requested_By ? { user_id: row.Requested_By, name: row.Requested_By_Name } : null,
+    created_at: row.Created_At,
+    completed_at: row.Completed_At
+  };
+}
+
+const JOB_SELECT = `
+  SELECT j.*, u.Name AS Requested_By_Name
+  FROM Recategorization_Job j
+  LEFT JOIN User u ON j.Requested_By = u.User_ID
+`;
+
+/**
+ * Get one job
+ * @param {Object} db - Database connection
+ * @param {number} jobId - Job ID
+ * @param {Function} callback - Callback function(err, job)
+ */
+function getJob(db, jobId, callback) {
+  db.query(`${JOB_SELECT} WHERE j.Job_ID = ?`, [jobId], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.length === 0) {
+      return callback(new Error('Recategorization job not found'), null);
+    }
+    callback(null, formatJob(results[0]));
+  });
+}
+
+/**
+ * List recent jobs, newest first
+ * @param {Object} db - Database connection
+ * @param {Object} filters - { patientId (optional), limit (default 20) }
+ * @param {Function} callback - Callback function(err, jobs)
+ */
+function getJobs(db, filters, callback) {
+  const params = [];
+  let where = '';
+  if (filters.patientId) {
+    where = ' WHERE j.Patient_ID = ?';
+    params.push(filters.patientId);
+  }
+  params.push(filters.limit || 20);
+
+  db.query(`${JOB_SELECT}${where} ORDER BY j.Created_At DESC, j.Job_ID DESC LIMIT ?`, params, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results.map(formatJob));
+  });
+}
+
+module.exports = {
+  loadThresholdState,
+  thresholdsFor,
+  computeCategories,
+  previewRecategorization,
+  startRecategorization,
+  getJob,
+  getJobs
+};
@@ -1,6 +1,11 @@
 // api/reportingAPI.js
 // Purpose: API functions for generating and managing system-wide reports for administrators.
 
+const userProfileAPI = require('./userProfileAPI');
+const unitConverter = require('../utils/unitConverter');
+const mealAPI = require('./mealAPI');
+const foodDictionary = require('../utils/foodDictionary');
+
 /**
  * Retrieves all previously generated reports.
  * @param {Object} db - Database connection
@@ -11,14 +16,14 @@ function getReports(db, callback) {
     SELECT
       r.Report_ID,
       r.Admin_ID,
-      u.Name AS Generated_By,
+      COALESCE(u.Name, 'Scheduled task') AS Generated_By,
       r.Period_Type,
       r.Period_Start,
       r.Period_End,
       r.Generated_At,
       r.Summary_Data
     FROM Report r
-    JOIN User u ON r.Admin_ID = u.User_ID
+    LEFT JOIN User u ON r.Admin_ID = u.User_ID
     ORDER BY r.Generated_At DESC
   `;
 
@@ -34,13 +39,28 @@ function getReports(db, callback) {
 /**
  * Generates a new system report for a given period and saves it to the database.
  * @param {Object} db - Database connection
- * @param {number} adminId - The ID of the admin generating the report.
+ * @param {number|null} adminId - The ID of the admin generating the report (null for the scheduled monthly report).
  * @param {string} periodType - 'Monthly' or 'Yearly'.
  * @param {string} periodStart - The start date of the report period (e.g., '2025-10-01').
  * @param {string} periodEnd - The end date of the report period (e.g., '2025-10-31').
  * @param {Function} callback - Callback function(err, result)
  */
 function generateReport(db, adminId, periodType, periodStart, periodEnd, callback) {
+  // Values are stored in mg/dL; the report is written in the generating admin's preferred unit
+  if (!adminId) {
+    return buildReport(db, null, periodType, periodStart, periodEnd, unitConverter.CANONICAL_UNIT, callback);
+  }
+  userProfileAPI.getPreferredUnit(db, adminId, (err, unit) => {
+    if (err) return callback(err);
+    buildReport(db, adminId, periodType, periodStart, periodEnd, unit, callback);
+  });
+}
+
+// Runs the report queries and saves the summary with glucose values expressed in `unit`
+function buildReport(db, adminId, periodType, periodStart, periodEnd, unit, callback) {
+  const toUnit = value => unitConverter.convertValue(value, unitConverter.CANONICAL_UNIT, unit);
+  // The period end is a date; readings at any time that day belong to the period
+  const readingsUntil = /^\d{4}-\d{2}-\d{2}$/.test(periodEnd) ? `${periodEnd} 23:59:59` : periodEnd;
   let activePatients = [];
   let readingStats = {};
   let patientReadingStats = [];
@@ -52,35 +72,44 @@ function generateReport(db, adminId, periodType, periodStart, periodEnd, callbac
   // ... (existing queries for patients and reading stats)
 
   // Query 4: Get AI insights for the period
+  // Foods (free-text notes and linked meal items) are counted by canonical food dictionary item
   const aiInsightsQuery = `
-    SELECT Food_Notes, Activity_Notes
+    SELECT Food_Notes, Activity_Notes,
+      (SELECT GROUP_CONCAT(fi.Name)
+       FROM Meal_Item mi
+       INNER JOIN Food_Item fi ON mi.Food_ID = fi.Food_ID
+       WHERE mi.Meal_ID = Sugar_Reading.Meal_ID) AS Meal_Foods
     FROM Sugar_Reading
-    WHERE Category = 'Abnormal' AND DateTime BETWEEN ? AND ?;
+    WHERE Category = 'Abnormal' AND Deleted_At IS NULL AND DateTime BETWEEN ? AND ?;
   `;
-  db.query(aiInsightsQuery, [periodStart, periodEnd], (err, results) => {
+  mealAPI.getFoodIndex(db, null, (err, foodIndex) => {
     if (err) return callback(err);
-    
-    const triggerMap = {};
-    results.forEach(row => {
-      const triggers = [
-        ...(row.Food_Notes ? row.Food_Notes.split(',').map(s => s.trim().toLowerCase()) : []),
-        ...(row.Activity_Notes ? row.Activity_Notes.split(',').map(s => s.trim().toLowerCase()) : [])
-      ];
-      triggers.forEach(trigger => {
-        if (trigger) {
-          triggerMap[trigger] = (triggerMap[trigger] || 0) + 1;
-        }
+
+    db.query(aiInsightsQuery, [periodStart, readingsUntil], (err, results) => {
+      if (err) return callback(err);
+
+      const triggerMap = {};
+      results.forEach(row => {
+        const triggers = [
+          ...foodDictionary.canonicalFoods(row.Food_Notes, row.Meal_Foods, foodIndex),
+          ...(row.Activity_Notes ? row.Activity_Notes.split(',').map(s => s.trim().toLowerCase()) : [])
+        ];
+        triggers.forEach(trigger => {
+          if (trigger) {
+            triggerMap[trigger] = (triggerMap[trigger] || 0) + 1;
+          }
+        });
       });
-    });
 
-    // Get top 3 triggers
-    const topTriggers = Object.entries(triggerMap)
-      .sort(([, countA], [, countB]) => countB - countA)
-      .slice(0, 3)
-      .map(([trigger, count]) => ({ trigger, count }));
+      // Get top 3 triggers
+      const topTriggers = Object.entries(triggerMap)
+        .sort(([, countA], [, countB]) => countB - countA)
+        .slice(0, 3)
+        .map(([trigger, count]) => ({ trigger, count }));
 
-    aiInsights = { topTriggers };
-    checkCompletion();
+      aiInsights = { topTriggers };
+      checkCompletion();
+    });
   });
 
   // Query 1: Get all patients
@@ -113,10 +142,10 @@ function generateReport(db, adminId, periodType, periodStart, periodEnd, callbac
       MAX(Value) AS highest_reading,
       MIN(Value) AS lowest_reading
     FROM Sugar_Reading
-    WHERE DateTime BETWEEN ? AND ?
+    WHERE Deleted_At IS NULL AND DateTime BETWEEN ? AND ?
     GROUP BY Patient_ID;
   `;
-  db.query(patientReadingsQuery, [periodStart, periodEnd], (err, results) => {
+  db.query(patientReadingsQuery, [periodStart, readingsUntil], (err, results) => {
     if (err) return callback(err);
     patientReadingStats = results;
     checkCompletion();
@@ -135,9 +164,9 @@ function generateReport(db, adminId, periodType, periodStart, periodEnd, callbac
       SUM(CASE WHEN Category = 'Borderline' THEN 1 ELSE 0 END) AS borderline_count,
       SUM(CASE WHEN Category = 'Abnormal' THEN 1 ELSE 0 END) AS abnormal_count
     FROM Sugar_Reading
-    WHERE DateTime BETWEEN ? AND ?;
+    WHERE Deleted_At IS NULL AND DateTime BETWEEN ? AND ?;
   `;
-  db.query(readingsQuery, [periodStart, periodEnd], (err, results) => {
+  db.query(readingsQuery, [periodStart, readingsUntil], (err, results) => {
     if (err) return callback(err);
     readingStats = results[0];
     checkCompletion();
@@ -151,9 +180,9 @@ function generateReport(db, adminId, periodType, periodStart, periodEnd, callbac
         const patient = activePatients.find(p => p.id === stat.Patient_ID);
         if (patient) {
           patient.total_readings = stat.total_readings;
-          patient.average_reading = stat.average_reading;
-          patient.highest_reading = stat.highest_reading;
-          patient.lowest_reading = stat.lowest_reading;
+          patient.average_reading = toUnit(stat.average_reading);
+          patient.highest_reading = toUnit(stat.highest_reading);
+          patient.lowest_reading = toUnit(stat.lowest_reading);
         }
       });
       buildAndSaveReport();
@@ -174,9 +203,10 @@ function generateReport(db, adminId, periodType, periodStart, periodEnd, callbac
       },
       readings: {
         total: readingStats.total_readings,
-        average: readingStats.avg_reading ? parseFloat(readingStats.avg_reading).toFixed(2) : 0,
-        min: readingStats.min_reading,
-        max: readingStats.max_reading,
+        unit: unit,
+        average: readingStats.avg_reading ? parseFloat(toUnit(readingStats.avg_reading)).toFixed(2) : 0,
+        min: toUnit(readingStats.min_reading),
+        max: toUnit(readingStats.max_reading),
         by_category: {
           normal: readingStats.normal_count,
           borderline: readingStats.borderline_count,
@@ -206,7 +236,7 @@ function generateReport(db, adminId, periodType, periodStart, periodEnd, callbac
         period_type: periodType,
         summary_data: summaryData
       };
-      console.log(`New detailed report (ID: ${results.insertId}) generated by Admin ${adminId}.`);
+      console.log(`New detailed report (ID: ${results.insertId}) generated by ${adminId ? `Admin ${adminId}` : 'the scheduler'}.`);
       callback(null, newReport);
     });
   }
@@ -0,0 +1,290 @@
+// api/scheduledTaskAPI.js
+// Purpose: Storage for the recurring tasks run by services/scheduler.js (alert sweep, weekly
+//          patient summaries, missed logging reminders, monthly system report). Each task has a
+//          cron expression, settings and the outcome of its last run; administrators can change
+//          the schedule and settings, or pause a task.
+
+const cronExpression = require('../utils/cronExpression');
+
+// Settings each task accepts, with their allowed range
+const TASK_SETTINGS = {
+  missed_logging: {
+    days: { min: 1, max: 90 }
+  }
+};
+
+// Task as returned by the API, with its JSON columns parsed
+function toTask(row) {
+  const parse = (value, column) => {
+    try {
+      return value ? JSON.parse(value) : null;
+    } catch (e) {
+      console.warn(`Invalid ${column} for scheduled task ${row.Task_Key}: ${e.message}`);
+      return null;
+    }
+  };
+  return {
+    ...row,
+    Is_Enabled: !!row.Is_Enabled,
+    Settings: parse(row.Settings, 'Settings') || {},
+    Last_Result: parse(row.Last_Result, 'Last_Result')
+  };
+}
+
+// When an enabled task runs next, or null when it is paused
+function nextRunFor(cron, enabled, from) {
+  return enabled ? cronExpression.nextRun(cron, from) : null;
+}
+
+/**
+ * List the scheduled tasks
+ * @param {Object} db - Database connection
+ * @param {Function} callback - Callback function(err, tasks)
+ */
+function listTasks(db, callback) {
+  const query = `
+    SELECT t.*, u.Name AS Last_Run_By_Name
+    FROM Scheduled_Task t
+    LEFT JOIN User u ON u.User_ID = t.Last_Run_By
+    ORDER BY t.Task_ID
+  `;
+  db.query(query, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results.map(toTask));
+  });
+}
+
+/**
+ * Get one scheduled task
+ * @param {Object} db - Database connection
+ * @param {string} taskKey - Task key (e.g. 'alert_sweep')
+ * @param {Function} callback - Callback function(err, task)
+ */
+function getTask(db, taskKey, callback) {
+  const query = `
+    SELECT t.*, u.Name AS Last_Run_By_Name
+    FROM Scheduled_Task t
+    LEFT JOIN User u ON u.User_ID = t.Last_Run_By
+    WHERE t.Task_Key = ?
+  `;
+  db.query(query, [taskKey], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.length === 0) {
+      return callback(new Error('Scheduled task not found'), null);
+    }
+    callback(null, toTask(results[0]));
+  });
+}
+
+// Validated settings for a task, or { error }
+function validateSettings(taskKey, settings) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    return { error: 'settings must be an object' };
+  }
+  const allowed = TASK_SETTINGS[taskKey] || {};
+  const validated = {};
+  for (const [name, value] of Object.entries(settings)) {
+    const range = allowed[name];
+    if (!range) {
+      const names = Object.keys(allowed);
+      return { error: names.length > 0 ? `settings must only contain: ${names.join(', ')}` : 'This task has no settings; settings must be empty' };
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < range.min || number > range.max) {
+      return { error: `settings.${name} must be a whole number between ${range.min} and ${range.max}` };
+    }
+    validated[name] = number;
+  }
+  return { settings: validated };
+}
+
+/**
+ * Change a task's schedule, settings or whether it runs. Omitted fields keep their value; the
+ * next run is worked out again from the new schedule.
+ * @param {Object} db - Database connection
+ * @param {string} taskKey - Task key
+ * @param {Object} changes - { cron_expression, is_enabled, settings }
+ * @param {number} userId - Administrator making the change
+ * @param {Function} callback - Callback function(err, task)
+ */
+function updateTask(db, taskKey, changes, userId, callback) {
+  getTask(db, taskKey, (err, task) => {
+    if (err) return callback(err, null);
+
+    const cron = changes.cron_expression !== undefined ? String(changes.cron_expression).trim() : task.Cron_Expression;
+    const cronError = cronExpression.validate(cron);
+    if (cronError) return callback(new Error(cronError), null);
+
+    if (changes.is_enabled !== undefined && typeof changes.is_enabled !== 'boolean') {
+      return callback(new Error('is_enabled must be true or false'), null);
+    }
+    const enabled = changes.is_enabled !== undefined ? changes.is_enabled : task.Is_Enabled;
+
+    let settings = task.Settings;
+    if (changes.settings !== undefined) {
+      const validated = validateSettings(taskKey, changes.settings);
+      if (validated.error) return callback(new Error(validated.error), null);
+      settings = { ...task.Settings, ...validated.settings };
+    }
+
+    const query = `
+      UPDATE Scheduled_Task
+      SET Cron_Expression = ?, Is_Enabled = ?, Settings = ?, Next_Run_At = ?, Updated_By = ?, Updated_At = NOW()
+      WHERE Task_Key = ?
+    `;
+    const values = [cron, enabled ? 1 : 0, JSON.stringify(settings), nextRunFor(cron, enabled), userId, taskKey];
+    db.query(query, values, (err) => {
+      if (err) return callback(err, null);
+      getTask(db, taskKey, callback);
+    });
+  });
+}
+
+/**
+ * Get the scheduler ready to run: runs cut short by a restart are recorded as failed, and
+ * enabled tasks without a next run are given one from their schedule.
+ * @param {Object} db - Database connection
+ * @param {Function} callback - Callback function(err, { interrupted, scheduled })
+ */
+function prepareTasks(db, callback) {
+  const interruptedQuery = `
+    UPDATE Scheduled_Task
+    SET Last_Status = 'Failed', Last_Error = 'Interrupted by a server restart', Last_Finished_At = NOW()
+    WHERE Last_Status = 'Running'
+  `;
+  db.query(interruptedQuery, (err, interrupted) => {
+    if (err) return callback(err, null);
+
+    db.query('SELECT Task_Key, Cron_Expression FROM Scheduled_Task WHERE Is_Enabled = 1 AND Next_Run_At IS NULL', (err, tasks) => {
+      if (err) return callback(err, null);
+
+      const next = (index) => {
+        if (index >= tasks.length) {
+          return callback(null, { interrupted: interrupted.affectedRows, scheduled: tasks.length });
+        }
+        const task = tasks[index];
+        let nextRun;
+        try {
+          nextRun = cronExpression.nextRun(task.Cron_Expression);
+        } catch (e) {
+          console.error(`Scheduled task ${task.Task_Key} has an invalid schedule: ${e.message}`);
+          return next(index + 1);
+        }
+        db.query('UPDATE Scheduled_Task SET Next_Run_At = ? WHERE Task_Key = ?', [nextRun, task.Task_Key], (err) => {
+          if (err) return callback(err, null);
+          next(index + 1);
+        });
+      };
+      next(0);
+    });
+  });
+}
+
+/**
+ * Record runs still marked Running after the given number of minutes as failed, e.g. a manual
+ * run on another server that stopped, so the task can run again
+ * @param {Object} db - Database connection
+ * @param {number} minutes - Minutes a run may stay Running
+ * @param {Function} callback - Callback function(err, { released })
+ */
+function releaseStaleRuns(db, minutes, callback) {
+  const query = `
+    UPDATE Scheduled_Task
+    SET Last_Status = 'Failed', Last_Error = ?, Last_Finished_At = NOW()
+    WHERE Last_Status = 'Running' AND Last_Run_At <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+  `;
+  db.query(query, [`Did not finish within ${minutes} minutes`, minutes], (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, { released: results.affectedRows });
+  });
+}
+
+/**
+ * Keys of enabled tasks whose next run is due and that are not already running
+ * @param {Object} db - Database connection
+ * @param {Function} callback - Callback function(err, taskKeys)
+ */
+function getDueTasks(db, callback) {
+  const query = `
+    SELECT Task_Key FROM Scheduled_Task
+    WHERE Is_Enabled = 1 AND Next_Run_At <= NOW() AND (Last_Status IS NULL OR Last_Status <> 'Running')
+    ORDER BY Next_Run_At, Task_ID
+  `;
+  db.query(query, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results.map(r => r.Task_Key));
+  });
+}
+
+/**
+ * Mark a task as running. The UPDATE is atomic, so a task never runs twice at once.
+ * @param {Object} db - Database connection
+ * @param {string} taskKey - Task key
+ * @param {string} trigger - 'Schedule' or 'Manual'
+ * @param {number|null} userId - Administrator who started a manual run
+ * @param {Function} callback - Callback function(err)
+ */
+function startRun(db, taskKey, trigger, userId, callback) {
+  const query = `
+    UPDATE Scheduled_Task
+    SET Last_Status = 'Running', Last_Run_At = NOW(), Last_Finished_At = NULL, Last_Trigger = ?,
+        Last_Run_By = ?, Last_Error = NULL, Last_Duration_Ms = NULL
+    WHERE Task_Key = ? AND (Last_Status IS NULL OR Last_Status <> 'Running')
+  `;
+  db.query(query, [trigger, userId, taskKey], (err, results) => {
+    if (err) return callback(err);
+    if (results.affectedRows === 0) {
+      return callback(new Error('This task is already running'));
+    }
+    callback(null);
+  });
+}
+
+/**
+ * Record the outcome of a run and schedule the next one
+ * @param {Object} db - Database connection
+ * @param {Object} task - The task as it was when the run started
+ * @param {Object} outcome - { error, result, durationMs }
+ * @param {Function} callback - Callback function(err)
+ */
+function finishRun(db, task, outcome, callback) {
+  // Re-read the schedule: an administrator may have changed it while the task ran
+  db.query('SELECT Cron_Expression, Is_Enabled FROM Scheduled_Task WHERE Task_Key = ?', [task.Task_Key], (err, rows) => {
+    if (err) return callback(err);
+    const current = rows[0] || task;
+
+    let nextRun = null;
+    try {
+      nextRun = nextRunFor(current.Cron_Expression, !!current.Is_Enabled);
+    } catch (e) {
+      console.error(`Scheduled task ${task.Task_Key} has an invalid schedule: ${e.message}`);
+    }
+
+    const query = `
+      UPDATE Scheduled_Task
+      SET Last_Status = ?, Last_Finished_At = NOW(), Last_Result = ?, Last_Error = ?, Last_Duration_Ms = ?, Next_Run_At = ?
+      WHERE Task_Key = ?
+    `;
+    const values = [
+      outcome.error ? 'Failed' : 'Succeeded',
+      outcome.error ? null : JSON.stringify(outcome.result || {}),
+      outcome.error ? String(outcome.error.message || outcome.error).slice(0, 65535) : null,
+      outcome.durationMs,
+      nextRun,
+      task.Task_Key
+    ];
+    db.query(query, values, (err) => callback(err || null));
+  });
+}
+
+module.exports = {
+  TASK_SETTINGS,
+  listTasks,
+  getTask,
+  updateTask,
+  prepareTasks,
+  releaseStaleRuns,
+  getDueTasks,
+  startRun,
+  finishRun
+};
@@ -3,6 +3,15 @@
 // Purpose: API functions for specialist operations including viewing assigned patients,
 //          providing feedback, and accessing patient data
 
+const patientAPI = require('./patientAPI');
+const agpAPI = require('./agpAPI');
+const medicationAPI = require('./medicationAPI');
+const readingHistoryAPI = require('./readingHistoryAPI');
+const thresholdAPI = require('./thresholdAPI');
+const thresholdTemplateAPI = require('./thresholdTemplateAPI');
+const feedbackAPI = require('./feedbackAPI');
+const liveUpdates = require('../services/liveUpdates');
+
 /**
  * Get all patients assigned to a specialist
  * @param {Object} db - Database connection
@@ -23,9 +32,9 @@ function getAssignedPatients(db, specialistId, callback) {
       p.Threshold_Normal_Low,
       p.Threshold_Normal_High,
       spa.Assigned_At,
-      (SELECT COUNT(*) FROM Sugar_Reading sr WHERE sr.Patient_ID = p.Patient_ID) as total_readings,
-      (SELECT COUNT(*) FROM Sugar_Reading sr WHERE sr.Patient_ID = p.Patient_ID AND sr.Category = 'Abnormal') as abnormal_readings,
-      (SELECT sr.DateTime FROM Sugar_Reading sr WHERE sr.Patient_ID = p.Patient_ID ORDER BY sr.DateTime DESC LIMIT 1) as last_reading_date
+      (SELECT COUNT(*) FROM Sugar_Reading sr WHERE sr.Patient_ID = p.Patient_ID AND sr.Deleted_At IS NULL) as total_readings,
+      (SELECT COUNT(*) FROM Sugar_Reading sr WHERE sr.Patient_ID = p.Patient_ID AND sr.Deleted_At IS NULL AND sr.Category = 'Abnormal') as abnormal_readings,
+      (SELECT sr.DateTime FROM Sugar_Reading sr WHERE sr.Patient_ID = p.Patient_ID AND sr.Deleted_At IS NULL ORDER BY sr.DateTime DESC LIMIT 1) as last_reading_date
     FROM Specialist_Patient_Assignment spa
     INNER JOIN Patient p ON spa.Patient_ID = p.Patient_ID
     INNER JOIN User u ON p.Patient_ID = u.User_ID
@@ -44,9 +53,10 @@ function getAssignedPatients(db, specialistId, callback) {
  * @param {Object} db - Database connection
  * @param {number} specialistId - Specialist ID (for verification)
  * @param {number} patientId - Patient ID
+ * @param {Object} filters - Range for glycemic metrics: { startDate, endDate, context, expectedInterval }
  * @param {Function} callback - Callback function(err, patientDetails)
  */
-function getPatientDetails(db, specialistId, patientId, callback) {
+function getPatientDetails(db, specialistId, patientId, filters, callback) {
   // First verify the specialist is assigned to this patient
   verifyAssignment(db, specialistId, patientId, (err, isAssigned) => {
     if (err) return callback(err, null);
@@ -95,7 +105,7 @@ function getPatientDetails(db, specialistId, patientId, callback) {
           SUM(CASE WHEN Category = 'Abnormal' THEN 1 ELSE 0 END) as abnormal_count,
           MAX(DateTime) as last_reading_date
         FROM Sugar_Reading
-        WHERE Patient_ID = ?
+        WHERE Patient_ID = ? AND Deleted_At IS NULL
       `;
 
       db.query(statsQuery, [patientId], (err, statsResults) => {
@@ -109,13 +119,14 @@ function getPatientDetails(db, specialistId, patientId, callback) {
             Value,
             Unit,
             Category,
+            Reading_Context,
             Food_Notes,
             Activity_Notes,
             Event,
             Symptoms,
             Notes
           FROM Sugar_Reading
-          WHERE Patient_ID = ?
+          WHERE Patient_ID = ? AND Deleted_At IS NULL
           ORDER BY DateTime DESC
           LIMIT 10
         `;
@@ -140,15 +151,19 @@ function getPatientDetails(db, specialistId, patientId, callback) {
           db.query(alertsQuery, [patientId], (err, alertsResults) => {
             if (err) return callback(err, null);
 
-            // Combine all data
-            const patientDetails = {
-              patient_info: patientInfo,
-              statistics: statsResults[0],
-              recent_readings: readingsResults,
-              recent_alerts: alertsResults
-            };
+            patientAPI.getGlycemicMetrics(db, patientId, filters, (err, metrics) => {
+              if (err) return callback(err, null);
+
+              // Combine all data
+              const patientDetails = {
+                patient_info: patientInfo,
+                statistics: { ...statsResults[0], glycemic_metrics: metrics },
+                recent_readings: readingsResults,
+                recent_alerts: alertsResults
+              };
 
-            callback(null, patientDetails);
+              callback(null, patientDetails);
+            });
           });
         });
       });
@@ -161,7 +176,7 @@ function getPatientDetails(db, specialistId, patientId, callback) {
  * @param {Object} db - Database connection
  * @param {number} specialistId - Specialist ID (for verification)
  * @param {number} patientId - Patient ID
- * @param {Object} filters - Optional filters: { startDate, endDate, category, limit, offset }
+ * @param {Object} filters - Optional filters: { startDate, endDate, category, context, limit, offset }
  * @param {Function} callback - Callback function(err, readings)
  */
 function getPatientReadingHistory(db, specialistId, patientId, filters, callback) {
@@ -185,9 +200,11 @@ function getPatientReadingHistory(db, specialistId, patientId, filters, callback
         Event,
         Symptoms,
         Notes,
-        Category
+        Category,
+        Reading_Context,
+        Source
       FROM Sugar_Reading
-      WHERE Patient_ID = ?
+      WHERE Patient_ID = ? AND Deleted_At IS NULL
     `;
 
     const queryParams = [patientId];
@@ -207,6 +224,11 @@ function getPatientReadingHistory(db, specialistId, patientId, filters, callback
       queryParams.push(filters.category);
     }
 
+    if (filters.context) {
+      query += ' AND Reading_Context = ?';
+      queryParams.push(filters.context);
+    }
+
     query += ' ORDER BY DateTime DESC';
 
     if (filters.limit) {
@@ -260,6 +282,8 @@ function createFeedback(db, specialistId, patientId, content, callback) {
       };
 
       console.log(`Feedback created - ID: ${feedback.feedback_id}, Specialist: ${specialistId}, Patient: ${patientId}`);
+      feedbackAPI.notifyPatientOfFeedback(db, feedback);
+      liveUpdates.publish(liveUpdates.EVENTS.FEEDBACK_CREATED, patientId, { feedbackId: feedback.feedback_id });
       callback(null, feedback);
     });
   });
@@ -415,7 +439,10 @@ function getPatientAlerts(db, specialistId, patientId, limit, callback) {
         Week_Start,
         Abnormal_Count,
         Sent_At,
-        Recipients
+        Recipients,
+        Severity,
+        Message,
+        Status
       FROM Alert
       WHERE Patient_ID = ?
       ORDER BY Sent_At DESC
@@ -429,6 +456,154 @@ function getPatientAlerts(db, specialistId, patientId, limit, callback) {
   });
 }
 
+/**
+ * Get the Ambulatory Glucose Profile report for an assigned patient
+ * @param {Object} db - Database connection
+ * @param {number} specialistId - Specialist ID (for verification)
+ * @param {number} patientId - Patient ID
+ * @param {Object} options - AGP options from agpAPI.parseAgpOptions
+ * @param {string} unit - Unit for glucose values in the report
+ * @param {Function} callback - Callback function(err, report)
+ */
+function getPatientAgpReport(db, specialistId, patientId, options, unit, callback) {
+  verifyAssignment(db, specialistId, patientId, (err, isAssigned) => {
+    if (err) return callback(err, null);
+
+    if (!isAssigned) {
+      return callback(new Error('Specialist is not assigned to this patient'), null);
+    }
+
+    agpAPI.getAgpReport(db, patientId, options, unit, callback);
+  });
+}
+
+/**
+ * Get the medication/insulin dose log of an assigned patient
+ * @param {Object} db - Database connection
+ * @param {number} specialistId - Specialist ID (for verification)
+ * @param {number} patientId - Patient ID
+ * @param {Object} filters - Filters from medicationAPI.parseMedicationFilters
+ * @param {Function} callback - Callback function(err, doses)
+ */
+function getPatientMedicationLog(db, specialistId, patientId, filters, callback) {
+  verifyAssignment(db, specialistId, patientId, (err, isAssigned) => {
+    if (err) return callback(err, null);
+
+    if (!isAssigned) {
+      return callback(new Error('Specialist is not assigned to this patient'), null);
+    }
+
+    medicationAPI.getMedicationLog(db, patientId, filters, callback);
+  });
+}
+
+/**
+ * Get the revision history (audit trail) of one reading of an assigned patient
+ * @param {Object} db - Database connection
+ * @param {number} specialistId - Specialist ID (for verification)
+ * @param {number} patientId - Patient ID
+ * @param {number} readingId - Reading ID
+ * @param {Function} callback - Callback function(err, { reading, history })
+ */
+function getReadingRevisionHistory(db, specialistId, patientId, readingId, callback) {
+  verifyAssignment(db, specialistId, patientId, (err, isAssigned) => {
+    if (err) return callback(err, null);
+
+    if (!isAssigned) {
+      return callback(new Error('Specialist is not assigned to this patient'), null);
+    }
+
+    readingHistoryAPI.getReadingHistory(db, readingId, patientId, callback);
+  });
+}
+
+/**
+ * Get an assigned patient's threshold profile and the thresholds currently in effect for them
+ * @param {Object} db - Database connection
+ * @param {number} specialistId - Specialist ID (for verification)
+ * @param {number} patientId - Patient ID
+ * @param {Function} callback - Callback function(err, { profile, effective })
+ */
+function getPatientThresholdProfile(db, specialistId, patientId, callback) {
+  verifyAssignment(db, specialistId, patientId, (err, isAssigned) => {
+    if (err) return callback(err, null);
+
+    if (!isAssigned) {
+      return callback(new Error('Specialist is not assigned to this patient'), null);
+    }
+
+    thresholdAPI.getPatientProfile(db, patientId, (err, profile) => {
+      if (err) return callback(err, null);
+
+      thresholdAPI.getEffectiveThresholds(db, patientId, (err, effective) => {
+        if (err) return callback(err, null);
+        callback(null, { profile: profile, effective: effective });
+      });
+    });
+  });
+}
+
+/**
+ * Create or replace an assigned patient's threshold profile. A profile edited by hand is no
+ * longer linked to the template it may have been applied from.
+ * @param {Object} db - Database connection
+ * @param {number} specialistId - Specialist ID (for verification; recorded as Set_By)
+ * @param {number} patientId - Patient ID
+ * @param {Object} profile - { Normal_Low, ..., Abnormal_High, Hypo_Level1, Hypo_Level2, Reason, Expires_At }
+ * @param {Function} callback - Callback function(err, profile)
+ */
+function setPatientThresholdProfile(db, specialistId, patientId, profile, callback) {
+  verifyAssignment(db, specialistId, patientId, (err, isAssigned) => {
+    if (err) return callback(err, null);
+
+    if (!isAssigned) {
+      return callback(new Error('Specialist is not assigned to this patient'), null);
+    }
+
+    thresholdAPI.setPatientProfile(db, patientId, { ...profile, Template_ID: null }, specialistId, callback);
+  });
+}
+
+/**
+ * Apply a threshold template to an assigned patient (replaces any existing profile)
+ * @param {Object} db - Database connection
+ * @param {number} specialistId - Specialist ID (for verification; recorded as Set_By)
+ * @param {number} patientId - Patient ID
+ * @param {number} templateId - Template ID
+ * @param {Object} options - { reason, expiresAt } (both optional)
+ * @param {Function} callback - Callback function(err, profile)
+ */
+function applyThresholdTemplate(db, specialistId, patientId, templateId, options, callback) {
+  verifyAssignment(db, specialistId, patientId, (err, isAssigned) => {
+    if (err) return callback(err, null);
+
+    if (!isAssigned) {
+      return callback(new Error('Specialist is not assigned to this patient'), null);
+    }
+
+    thresholdTemplateAPI.applyTemplate(db, patientId, templateId, options, specialistId, callback);
+  });
+}
+
+/**
+ * Remove an assigned patient's threshold profile
+ * @param {Object} db - Database connection
+ * @param {number} specialistId - Specialist ID (for verification)
+ * @param {number} patientId - Patient ID
+ * @param {Function} callback - Callback function(err, result)
+ */
+function deletePatientThresholdProfile(db, specialistId, patientId, callback) {
+  verifyAssignment(db, specialistId, patientId, (err, isAssigned) => {
+    if (err) return callback(err, null);
+
+    if (!isAssigned) {
+      return callback(new Error('Specialist is not assigned to this patient'), null);
+    }
+
+    thresholdAPI.deletePatientProfile(db, patientId, callback);
+  });
+}
+
 function getSpecialistDashboardStats(db, specialistId, callback) {
   const query = `
     SELECT
@@ -441,6 +616,7 @@ function getSpecialistDashboardStats(db, specialistId, callback) {
       (SELECT COUNT(*) FROM Sugar_Reading sr
        INNER JOIN Specialist_Patient_Assignment spa3 ON sr.Patient_ID = spa3.Patient_ID
        WHERE spa3.Specialist_ID = ?
+       AND sr.Deleted_At IS NULL
        AND sr.Category = 'Abnormal'
        AND sr.DateTime >= DATE_SUB(NOW(), INTERVAL 7 DAY)) as abnormal_readings_this_week
     FROM Specialist_Patient_Assignment spa
@@ -469,6 +645,7 @@ function getReadingsForSpecialist(db, specialistId, filters, callback) {
       sr.Value,
       sr.Unit,
       sr.Category,
+      sr.Reading_Context,
       sr.Food_Notes,
       sr.Activity_Notes,
       sr.Notes,
@@ -477,7 +654,7 @@ function getReadingsForSpecialist(db, specialistId, filters, callback) {
     FROM Sugar_Reading sr
     JOIN Specialist_Patient_Assignment spa ON sr.Patient_ID = spa.Patient_ID
     JOIN User u ON sr.Patient_ID = u.User_ID
-    WHERE spa.Specialist_ID = ?
+    WHERE spa.Specialist_ID = ? AND sr.Deleted_At IS NULL
   `;
 
   const queryParams = [specialistId];
@@ -517,6 +694,13 @@ module.exports = {
   verifyAssignment,
   verifySpecialist,
   getPatientAlerts,
+  getPatientAgpReport,
+  getPatientMedicationLog,
+  getReadingRevisionHistory,
+  getPatientThresholdProfile,
+  setPatientThresholdProfile,
+  deletePatientThresholdProfile,
+  applyThresholdTemplate,
   getSpecialistDashboardStats,
   getReadingsForSpecialist
 };
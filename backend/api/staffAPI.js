@@ -1,13 +1,17 @@
 // api/staffAPI.js
 // Purpose: API functions for clinic staff operations related to patient data.
 
+const patientAPI = require('./patientAPI');
+
 /**
  * Get details for a specific patient, accessible by staff.
+ * Includes reading statistics with glycemic metrics under `statistics`.
  * @param {Object} db - Database connection
  * @param {number} patientId - Patient ID
+ * @param {Object} filters - Statistics range: { startDate, endDate, expectedInterval }
  * @param {Function} callback - Callback function(err, patientDetails)
  */
-function getStaffPatientDetails(db, patientId, callback) {
+function getStaffPatientDetails(db, patientId, filters, callback) {
   const query = `
     SELECT
       p.Patient_ID,
@@ -29,7 +33,11 @@ function getStaffPatientDetails(db, patientId, callback) {
   db.query(query, [patientId], (err, results) => {
     if (err) return callback(err, null);
     if (results.length === 0) return callback(null, null); // Patient not found
-    callback(null, results[0]);
+
+    patientAPI.getReadingStatistics(db, patientId, filters, (err, stats) => {
+      if (err) return callback(err, null);
+      callback(null, { ...results[0], statistics: stats });
+    });
   });
 }
 
@@ -37,7 +45,7 @@ function getStaffPatientDetails(db, patientId, callback) {
  * Get readings for a specific patient, accessible by staff.
  * @param {Object} db - Database connection
  * @param {number} patientId - Patient ID
- * @param {Object} filters - Optional filters: { startDate, endDate, category, limit, offset }
+ * @param {Object} filters - Optional filters: { startDate, endDate, category, context, limit, offset }
  * @param {Function} callback - Callback function(err, readings)
  */
 function getStaffPatientReadings(db, patientId, filters, callback) {
@@ -53,9 +61,10 @@ function getStaffPatientReadings(db, patientId, filters, callback) {
       Event,
       Symptoms,
       Notes,
-      Category
+      Category,
+      Reading_Context
     FROM Sugar_Reading
-    WHERE Patient_ID = ?
+    WHERE Patient_ID = ? AND Deleted_At IS NULL
   `;
 
   const queryParams = [patientId];
@@ -72,6 +81,10 @@ function getStaffPatientReadings(db, patientId, filters, callback) {
     query += ' AND Category = ?';
     queryParams.push(filters.category);
   }
+  if (filters.context) {
+    query += ' AND Reading_Context = ?';
+    queryParams.push(filters.context);
+  }
 
   query += ' ORDER BY DateTime DESC';
 
@@ -1,101 +1,357 @@
 // api/thresholdAPI.js
 // Handles threshold management (Krish)
+// Thresholds can be set per reading context (fasting, after meal, ...). Rows with a NULL
+// Reading_Context are the default set used for readings without a context-specific range.
+
+const { READING_CONTEXTS } = require('../utils/readingContext');
+
+// Hypoglycemia cut-offs (mg/dL) for patients without a threshold profile: level 1 below 70,
+// level 2 (clinically significant) below 54
+const DEFAULT_HYPO_LEVEL1 = 70;
+const DEFAULT_HYPO_LEVEL2 = 54;
+
+// Threshold columns shared by system versions and patient profiles
+const RANGE_FIELDS = ['Normal_Low', 'Normal_High', 'Borderline_Low', 'Borderline_High', 'Abnormal_Low', 'Abnormal_High'];
+
+// Get the system thresholds in effect at a point in time (asOf: Date or datetime string; null means now)
+// for a reading context, falling back to the default set. Versions scheduled for the future are
+// never used. A time before every version (e.g. a reading older than the first threshold set)
+// uses the oldest version.
+function getSystemThresholdsAt(db, context, asOf, callback) {
+  const at = asOf ? new Date(asOf) : new Date();
 
-function getSystemThresholds(db, callback) {
   const query = `
     SELECT *
     FROM categorythreshold
-    ORDER BY Effective_Date DESC
+    WHERE (Reading_Context = ? OR Reading_Context IS NULL) AND Effective_Date <= NOW()
+    ORDER BY Effective_Date > ?,
+             Reading_Context IS NULL,
+             CASE WHEN Effective_Date <= ? THEN Effective_Date END DESC,
+             Effective_Date ASC,
+             Threshold_ID DESC
     LIMIT 1
   `;
-  
-  db.query(query, (err, results) => {
+
+  db.query(query, [context || null, at, at], (err, results) => {
     if (err) return callback(err, null);
     callback(null, results[0]);
   });
 }
 
-// Update system thresholds
+// Get the current default (context-independent) system thresholds
+function getSystemThresholds(db, callback) {
+  getSystemThresholdsAt(db, null, null, callback);
+}
+
+// Get the current system thresholds for a reading context, falling back to the default set
+function getSystemThresholdsForContext(db, context, callback) {
+  getSystemThresholdsAt(db, context, null, callback);
+}
+
+// List the current context-specific system thresholds (one row per configured context)
+function getContextThresholds(db, callback) {
+  const query = `
+    SELECT *
+    FROM categorythreshold
+    WHERE Reading_Context IS NOT NULL AND Effective_Date <= NOW()
+    ORDER BY Effective_Date DESC, Threshold_ID DESC
+  `;
+
+  db.query(query, (err, results) => {
+    if (err) return callback(err, null);
+
+    const latest = {};
+    results.forEach(row => {
+      if (!latest[row.Reading_Context]) latest[row.Reading_Context] = row;
+    });
+    callback(null, READING_CONTEXTS.filter(context => latest[context]).map(context => latest[context]));
+  });
+}
+
+// Every system threshold version already in effect (scheduled ones are left out), for categorizing
+// readings by their own DateTime without a query per reading. Ordered by set, then Effective_Date.
+function getAllThresholdVersions(db, callback) {
+  const query = `
+    SELECT *
+    FROM categorythreshold
+    WHERE Effective_Date <= NOW()
+    ORDER BY Reading_Context, Effective_Date ASC, Threshold_ID ASC
+  `;
+
+  db.query(query, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results);
+  });
+}
+
+// Pick the version in effect at a time from one set's versions (ascending Effective_Date)
+function versionAt(versions, asOf) {
+  const at = asOf ? new Date(asOf).getTime() : Date.now();
+  let match = null;
+  (versions || []).forEach(version => {
+    if (new Date(version.Effective_Date).getTime() <= at) match = version;
+  });
+  return match;
+}
+
+// In-memory equivalent of getSystemThresholdsAt. versionsBySet maps a reading context
+// (or 'default') to its versions in ascending Effective_Date order.
+function systemVersionAt(versionsBySet, context, asOf) {
+  const contextVersions = context ? versionsBySet[context] || [] : [];
+  const defaultVersions = versionsBySet.default || [];
+  return versionAt(contextVersions, asOf) ||
+    versionAt(defaultVersions, asOf) ||
+    contextVersions[0] ||
+    defaultVersions[0] ||
+    null;
+}
+
+// Version history of the system thresholds, newest first. context: a reading context,
+// 'default' for the default set, or null for every set. Each version lists who created it,
+// its status (Scheduled, Active or Superseded) and the values changed from the version before it.
+function getThresholdHistory(db, context, callback) {
+  let where = '';
+  const params = [];
+  if (context === 'default') {
+    where = 'WHERE t.Reading_Context IS NULL';
+  } else if (context) {
+    where = 'WHERE t.Reading_Context = ?';
+    params.push(context);
+  }
+
+  const query = `
+    SELECT t.*, u.Name AS Created_By_Name, u.Role AS Created_By_Role
+    FROM categorythreshold t
+    LEFT JOIN User u ON t.Created_By = u.User_ID
+    ${where}
+    ORDER BY t.Reading_Context, t.Effective_Date ASC, t.Threshold_ID ASC
+  `;
+
+  db.query(query, params, (err, rows) => {
+    if (err) return callback(err, null);
+
+    const now = Date.now();
+    const fields = ['Normal_Low', 'Normal_High', 'Borderline_Low', 'Borderline_High', 'Abnormal_Low', 'Abnormal_High'];
+    const bySet = {};
+    rows.forEach(row => {
+      const key = row.Reading_Context || 'default';
+      bySet[key] = bySet[key] || [];
+      bySet[key].push(row);
+    });
+
+    const history = [];
+    Object.values(bySet).forEach(versions => {
+      const active = versionAt(versions, null);
+      versions.forEach((row, index) => {
+        const previous = index > 0 ? versions[index - 1] : null;
+        let status = 'Superseded';
+        if (new Date(row.Effective_Date).getTime() > now) status = 'Scheduled';
+        else if (active && active.Threshold_ID === row.Threshold_ID) status = 'Active';
+
+        history.push({
+          threshold_id: row.Threshold_ID,
+          reading_context: row.Reading_Context,
+          effective_date: row.Effective_Date,
+          status: status,
+          values: fields.reduce((values, field) => ({ ...values, [field]: row[field] }), {}),
+          changes: previous
+            ? fields.filter(field => previous[field] !== row[field]).map(field => ({ field, from: previous[field], to: row[field] }))
+            : [],
+          created_by: row.Created_By
+            ? { user_id: row.Created_By, name: row.Created_By_Name, role: row.Created_By_Role }
+            : null,
+          created_at: row.Created_At,
+          note: row.Change_Note,
+          rolled_back_from: row.Rolled_Back_From
+        });
+      });
+    });
+
+    history.sort((a, b) => new Date(b.effective_date) - new Date(a.effective_date) || b.threshold_id - a.threshold_id);
+    callback(null, history);
+  });
+}
+
+// Add a system threshold version (thresholdData.context sets a context-specific range).
+// thresholdData.effective_date schedules the version (defaults to now); created_by, note and
+// rolled_back_from are recorded for the version history.
 function updateSystemThresholds(db, thresholdData, callback) {
-  const { normal_low, normal_high, borderline_low, borderline_high, abnormal_low, abnormal_high } = thresholdData;
+  const { normal_low, normal_high, borderline_low, borderline_high, abnormal_low, abnormal_high, context } = thresholdData;
   
   const query = `
     INSERT INTO categorythreshold
-      (Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High, Effective_Date)
-    VALUES (?, ?, ?, ?, ?, ?, NOW())
+      (Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High, Reading_Context,
+       Effective_Date, Created_By, Change_Note, Rolled_Back_From)
+    VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, NOW()), ?, ?, ?)
   `;
   
-  const values = [normal_low, normal_high, borderline_low, borderline_high, abnormal_low, abnormal_high];
+  const values = [
+    normal_low, normal_high, borderline_low, borderline_high, abnormal_low, abnormal_high, context || null,
+    thresholdData.effective_date || null,
+    thresholdData.created_by || null,
+    thresholdData.note || null,
+    thresholdData.rolled_back_from || null
+  ];
   
   db.query(query, values, (err, results) => {
     if (err) return callback(err, null);
-    callback(null, { success: true, threshold_id: results.insertId });
+    callback(null, {
+      success: true,
+      threshold_id: results.insertId,
+      effective_date: thresholdData.effective_date || null,
+      scheduled: !!thresholdData.effective_date && new Date(thresholdData.effective_date) > new Date()
+    });
   });
 }
 
-// Categorize a reading based on thresholds
-function categorizeReading(db, value, patient_id, callback) {
-  // Get patient-specific thresholds
+// Roll back to a previous version: its values become a new version effective now, so the
+// history stays append-only and readings taken meanwhile keep the version they were categorized under
+function rollbackThresholds(db, thresholdId, createdBy, note, callback) {
+  db.query('SELECT * FROM categorythreshold WHERE Threshold_ID = ?', [thresholdId], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.length === 0) {
+      return callback(new Error('Threshold version not found'), null);
+    }
+
+    const version = results[0];
+    const thresholdData = {
+      normal_low: version.Normal_Low,
+      normal_high: version.Normal_High,
+      borderline_low: version.Borderline_Low,
+      borderline_high: version.Borderline_High,
+      abnormal_low: version.Abnormal_Low,
+      abnormal_high: version.Abnormal_High,
+      context: version.Reading_Context,
+      created_by: createdBy,
+      note: note || `Rollback to version ${thresholdId}`,
+      rolled_back_from: thresholdId
+    };
+
+    updateSystemThresholds(db, thresholdData, (err, result) => {
+      if (err) return callback(err, null);
+      callback(null, { ...result, rolled_back_from: thresholdId, thresholds: thresholdData });
+    });
+  });
+}
+
+// Combine a system threshold row with a patient's ranges.
+// A patient threshold profile (Profile_* fields, when one is active) replaces the system
+// Normal/Borderline/Abnormal ranges and sets the hypoglycemia cut-offs; without a profile there
+// are none (null), so the patient's and system Normal ranges are categorized as configured.
+// Normal range precedence: the patient's range for the context, then the patient's profile,
+// then the system range for the context, then the patient's general range, then the default
+// system range. Without a profile, Borderline/Abnormal ranges come from the system.
+// patientThresholds: { Threshold_Normal_Low, Threshold_Normal_High, Context_Normal_Low, Context_Normal_High,
+//                      Profile_ID, Profile_Normal_Low, ..., Profile_Abnormal_High, Profile_Hypo_Level1, Profile_Hypo_Level2 }
+function combineThresholds(system, patientThresholds, context) {
+  const hasProfile = patientThresholds.Profile_ID !== null && patientThresholds.Profile_ID !== undefined;
+  const base = {};
+  RANGE_FIELDS.forEach(field => {
+    base[field] = hasProfile ? patientThresholds[`Profile_${field}`] : system[field];
+  });
+
+  let normalLow = base.Normal_Low;
+  let normalHigh = base.Normal_High;
+
+  if (patientThresholds.Context_Normal_Low !== null && patientThresholds.Context_Normal_Low !== undefined) {
+    normalLow = patientThresholds.Context_Normal_Low;
+    normalHigh = patientThresholds.Context_Normal_High;
+  } else if (!hasProfile && !system.Reading_Context &&
+             patientThresholds.Threshold_Normal_Low !== null && patientThresholds.Threshold_Normal_Low !== undefined &&
+             patientThresholds.Threshold_Normal_High !== null && patientThresholds.Threshold_Normal_High !== undefined) {
+    // The patient's general range overrides the default set, not a context-specific one
+    normalLow = patientThresholds.Threshold_Normal_Low;
+    normalHigh = patientThresholds.Threshold_Normal_High;
+  }
+
+  return {
+    Normal_Low: normalLow,
+    Normal_High: normalHigh,
+    Borderline_Low: base.Borderline_Low,
+    Borderline_High: base.Borderline_High,
+    Abnormal_Low: base.Abnormal_Low,
+    Abnormal_High: base.Abnormal_High,
+    Hypo_Level1: hasProfile ? patientThresholds.Profile_Hypo_Level1 : null,
+    Hypo_Level2: hasProfile ? patientThresholds.Profile_Hypo_Level2 : null,
+    Reading_Context: context || null,
+    Threshold_ID: system.Threshold_ID,
+    Profile_ID: hasProfile ? patientThresholds.Profile_ID : null
+  };
+}
+
+// Category of a value (mg/dL) under resolved thresholds. A value below the profile's level 1
+// hypoglycemia cut-off is Abnormal even if the Normal range reaches lower.
+function categorizeValue(value, thresholds) {
+  if (thresholds.Hypo_Level1 !== undefined && thresholds.Hypo_Level1 !== null && value < thresholds.Hypo_Level1) {
+    return 'Abnormal';
+  }
+  if (value >= thresholds.Normal_Low && value <= thresholds.Normal_High) {
+    return 'Normal';
+  }
+  if (value >= thresholds.Borderline_Low && value <= thresholds.Borderline_High) {
+    return 'Borderline';
+  }
+  return 'Abnormal';
+}
+
+// Hypoglycemia level of a value (mg/dL) under resolved thresholds: 2, 1, or 0 for none.
+// Without profile cut-offs the default levels (70 and 54 mg/dL) apply.
+function hypoglycemiaLevel(value, thresholds) {
+  const level1 = thresholds.Hypo_Level1 !== null && thresholds.Hypo_Level1 !== undefined ? thresholds.Hypo_Level1 : DEFAULT_HYPO_LEVEL1;
+  const level2 = thresholds.Hypo_Level2 !== null && thresholds.Hypo_Level2 !== undefined ? thresholds.Hypo_Level2 : DEFAULT_HYPO_LEVEL2;
+  if (value < level2) return 2;
+  if (value < level1) return 1;
+  return 0;
+}
+
+// Profile columns selected as Profile_* for combineThresholds (table alias ptp)
+const PROFILE_COLUMNS = ['Profile_ID', ...RANGE_FIELDS, 'Hypo_Level1', 'Hypo_Level2']
+  .map(field => field === 'Profile_ID' ? 'ptp.Profile_ID' : `ptp.${field} AS Profile_${field}`)
+  .join(', ');
+
+// Resolve the thresholds that apply to a patient's reading in a given context, using the system
+// version in effect at asOf (the reading's DateTime; null means now) and the patient's threshold
+// profile if it has not expired by then. See combineThresholds for the precedence rules.
+// Threshold_ID is the system row used, Profile_ID the patient profile (or null).
+function resolveThresholds(db, patient_id, context, asOf, callback) {
   const patientQuery = `
-    SELECT Threshold_Normal_Low, Threshold_Normal_High
-    FROM patient
-    WHERE Patient_ID = ?
+    SELECT p.Threshold_Normal_Low, p.Threshold_Normal_High,
+           pct.Normal_Low AS Context_Normal_Low, pct.Normal_High AS Context_Normal_High,
+           ${PROFILE_COLUMNS}
+    FROM patient p
+    LEFT JOIN patient_context_threshold pct
+      ON pct.Patient_ID = p.Patient_ID AND pct.Reading_Context = ?
+    LEFT JOIN patient_threshold_profile ptp
+      ON ptp.Patient_ID = p.Patient_ID AND (ptp.Expires_At IS NULL OR ptp.Expires_At > ?)
+    WHERE p.Patient_ID = ?
   `;
-  
-  db.query(patientQuery, [patient_id], (err, patientResults) => {
+
+  db.query(patientQuery, [context || null, asOf ? new Date(asOf) : new Date(), patient_id], (err, patientResults) => {
     if (err) return callback(err, null);
-    
+
     const patientThresholds = patientResults[0];
-    
-    // If patient has custom thresholds for Normal range
-    if (patientThresholds.Threshold_Normal_Low !== null && patientThresholds.Threshold_Normal_High !== null) {
-      const normalLow = patientThresholds.Threshold_Normal_Low;
-      const normalHigh = patientThresholds.Threshold_Normal_High;
-      
-      if (value >= normalLow && value <= normalHigh) {
-        return callback(null, 'Normal');
-      }
-      
-      // Get system thresholds for Borderline/Abnormal
-      const systemQuery = `
-        SELECT Borderline_Low, Borderline_High
-        FROM categorythreshold
-        ORDER BY Effective_Date DESC
-        LIMIT 1
-      `;
-      
-      db.query(systemQuery, (err, systemResults) => {
-        if (err) return callback(err, null);
-        
-        const system = systemResults[0];
-        if (value >= system.Borderline_Low && value <= system.Borderline_High) {
-          return callback(null, 'Borderline');
-        }
-        callback(null, 'Abnormal');
-      });
-    } else {
-      // Use system thresholds entirely
-      const systemQuery = `
-        SELECT Normal_Low, Normal_High, Borderline_Low, Borderline_High
-        FROM categorythreshold
-        ORDER BY Effective_Date DESC
-        LIMIT 1
-      `;
-      
-      db.query(systemQuery, (err, systemResults) => {
-        if (err) return callback(err, null);
-        
-        const thresholds = systemResults[0];
-        
-        if (value >= thresholds.Normal_Low && value <= thresholds.Normal_High) {
-          return callback(null, 'Normal');
-        }
-        if (value >= thresholds.Borderline_Low && value <= thresholds.Borderline_High) {
-          return callback(null, 'Borderline');
-        }
-        callback(null, 'Abnormal');
-      });
+    if (!patientThresholds) {
+      return callback(new Error('Patient not found'), null);
     }
+
+    getSystemThresholdsAt(db, context, asOf, (err, system) => {
+      if (err) return callback(err, null);
+      if (!system) {
+        return callback(new Error('No system thresholds have been configured'), null);
+      }
+
+      callback(null, combineThresholds(system, patientThresholds, context));
+    });
+  });
+}
+
+// Categorize a reading based on thresholds for its context (context may be null) in effect at
+// the reading's DateTime (asOf). The thresholds used (including the system Threshold_ID) are
+// passed as a third argument.
+function categorizeReading(db, value, patient_id, context, asOf, callback) {
+  resolveThresholds(db, patient_id, context, asOf, (err, thresholds) => {
+    if (err) return callback(err, null);
+    callback(null, categorizeValue(value, thresholds), thresholds);
   });
 }
 
@@ -109,105 +365,278 @@ function updatePatientThresholds(db, patient_id, normal_low, normal_high, callba
   
   db.query(query, [normal_low, normal_high, patient_id], (err, results) => {
     if (err) return callback(err, null);
+    if (results.affectedRows === 0) {
+      return callback(new Error('Patient not found'), null);
+    }
     callback(null, { success: true });
   });
 }
 
-// Get effective thresholds for patient
-function getEffectiveThresholds(db, patient_id, callback) {
-  const patientQuery = `
-    SELECT Threshold_Normal_Low, Threshold_Normal_High
-    FROM patient
-    WHERE Patient_ID = ?
+// Set a patient's Normal range for one reading context
+function setPatientContextThreshold(db, patient_id, context, normal_low, normal_high, callback) {
+  const query = `
+    INSERT INTO patient_context_threshold (Patient_ID, Reading_Context, Normal_Low, Normal_High)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE Normal_Low = VALUES(Normal_Low), Normal_High = VALUES(Normal_High), Updated_At = NOW()
   `;
-  
-  db.query(patientQuery, [patient_id], (err, patientResults) => {
+
+  db.query(query, [patient_id, context, normal_low, normal_high], (err) => {
     if (err) return callback(err, null);
-    
-    const patientThresholds = patientResults[0];
-    
-    // Patient has custom thresholds
-    if (patientThresholds.Threshold_Normal_Low !== null && patientThresholds.Threshold_Normal_High !== null) {
-      const systemQuery = `
-        SELECT Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High
-        FROM categorythreshold
-        ORDER BY Effective_Date DESC
-        LIMIT 1
-      `;
-      
-      db.query(systemQuery, (err, systemResults) => {
-        if (err) return callback(err, null);
-        
-        const system = systemResults[0];
-        callback(null, {
-          Normal_Low: patientThresholds.Threshold_Normal_Low,
-          Normal_High: patientThresholds.Threshold_Normal_High,
-          Borderline_Low: system.Borderline_Low,
-          Borderline_High: system.Borderline_High,
-          Abnormal_Low: system.Abnormal_Low,
-          Abnormal_High: system.Abnormal_High
-        });
-      });
-    } else {
-      // Return system thresholds
-      const systemQuery = `
-        SELECT Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High
-        FROM categorythreshold
-        ORDER BY Effective_Date DESC
-        LIMIT 1
-      `;
-      
-      db.query(systemQuery, (err, systemResults) => {
-        if (err) return callback(err, null);
-        callback(null, systemResults[0]);
-      });
+    callback(null, { success: true });
+  });
+}
+
+// Remove a patient's Normal range for one reading context
+function deletePatientContextThreshold(db, patient_id, context, callback) {
+  const query = 'DELETE FROM patient_context_threshold WHERE Patient_ID = ? AND Reading_Context = ?';
+
+  db.query(query, [patient_id, context], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.affectedRows === 0) {
+      return callback(new Error('Patient threshold for this context not found'), null);
     }
+    callback(null, { success: true, deleted: true });
   });
 }
 
-// Delete a threshold by ID, or latest if no ID provided
-function deleteThreshold(db, thresholdId, callback) {
-  if (thresholdId) {
-    // Delete specific threshold by ID
-    const query = 'DELETE FROM categorythreshold WHERE Threshold_ID = ?';
-    db.query(query, [thresholdId], (err, results) => {
-      if (err) return callback(err, null);
-      if (results.affectedRows === 0) {
-        return callback(new Error('Threshold not found'), null);
+// Get a patient's threshold profile (expired profiles included, flagged by Active), or null
+function getPatientProfile(db, patient_id, callback) {
+  const query = `
+    SELECT ptp.*, u.Name AS Set_By_Name, tt.Name AS Template_Name,
+           (ptp.Expires_At IS NULL OR ptp.Expires_At > NOW()) AS Active
+    FROM patient_threshold_profile ptp
+    LEFT JOIN User u ON ptp.Set_By = u.User_ID
+    LEFT JOIN threshold_template tt ON ptp.Template_ID = tt.Template_ID
+    WHERE ptp.Patient_ID = ?
+  `;
+
+  db.query(query, [patient_id], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.length === 0) return callback(null, null);
+    callback(null, { ...results[0], Active: !!results[0].Active });
+  });
+}
+
+// Validate a full set of ranges ({ Normal_Low, ..., Abnormal_High, Hypo_Level1, Hypo_Level2 }),
+// as used by patient profiles and threshold templates; returns an error message, or null when valid
+function validateRangeData(ranges) {
+  const fields = [...RANGE_FIELDS, 'Hypo_Level1', 'Hypo_Level2'];
+  for (const field of fields) {
+    const value = ranges[field];
+    if (value === undefined || value === null || value === '' || isNaN(parseFloat(value))) {
+      return `${field} must be a valid number`;
+    }
+    if (parseFloat(value) <= 0 || parseFloat(value) >= 1000) {
+      return 'All threshold values must be between 0 and 1000 mg/dL';
+    }
+  }
+
+  const v = {};
+  fields.forEach(field => { v[field] = parseFloat(ranges[field]); });
+
+  if (v.Normal_Low >= v.Normal_High) {
+    return 'Invalid Normal range: Normal_Low must be less than Normal_High';
+  }
+  if (v.Borderline_Low < v.Normal_High || v.Borderline_Low >= v.Borderline_High) {
+    return 'Invalid Borderline range: Borderline_Low must be at least Normal_High and less than Borderline_High';
+  }
+  if (v.Abnormal_Low > v.Borderline_Low || v.Abnormal_High < v.Borderline_High) {
+    return 'Invalid Abnormal range: it must enclose the Borderline range';
+  }
+  if (v.Hypo_Level2 >= v.Hypo_Level1) {
+    return 'Hypo_Level2 must be lower than Hypo_Level1';
+  }
+  if (v.Hypo_Level1 > v.Normal_Low) {
+    return 'Hypo_Level1 must not be above Normal_Low';
+  }
+
+  return null;
+}
+
+// Validate a threshold profile (the ranges plus Reason and Expires_At);
+// returns an error message, or null when valid
+function validateProfileData(profile) {
+  const rangeError = validateRangeData(profile);
+  if (rangeError) return rangeError;
+
+  if (!profile.Reason || !String(profile.Reason).trim()) {
+    return 'A reason is required for a patient threshold profile';
+  }
+  if (String(profile.Reason).length > 255) {
+    return 'Reason must be at most 255 characters';
+  }
+
+  if (profile.Expires_At) {
+    const expiresAt = new Date(profile.Expires_At);
+    if (isNaN(expiresAt.getTime())) {
+      return 'Expires_At must be a valid date';
+    }
+    if (expiresAt <= new Date()) {
+      return 'Expires_At must be in the future';
+    }
+  }
+
+  return null;
+}
+
+// Create or replace a patient's threshold profile. profile.Template_ID records the template it
+// was applied from; without it the profile is a hand-edited one, detached from any template.
+function setPatientProfile(db, patient_id, profile, set_by, callback) {
+  const validationError = validateProfileData(profile);
+  if (validationError) {
+    return callback(new Error(validationError), null);
+  }
+
+  const query = `
+    INSERT INTO patient_threshold_profile
+      (Patient_ID, Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High,
+       Hypo_Level1, Hypo_Level2, Reason, Expires_At, Set_By, Template_ID)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      Normal_Low = VALUES(Normal_Low), Normal_High = VALUES(Normal_High),
+      Borderline_Low = VALUES(Borderline_Low), Borderline_High = VALUES(Borderline_High),
+      Abnormal_Low = VALUES(Abnormal_Low), Abnormal_High = VALUES(Abnormal_High),
+      Hypo_Level1 = VALUES(Hypo_Level1), Hypo_Level2 = VALUES(Hypo_Level2),
+      Reason = VALUES(Reason), Expires_At = VALUES(Expires_At), Set_By = VALUES(Set_By),
+      Template_ID = VALUES(Template_ID), Updated_At = NOW()
+  `;
+
+  const values = [
+    patient_id,
+    ...RANGE_FIELDS.map(field => parseFloat(profile[field])),
+    parseFloat(profile.Hypo_Level1),
+    parseFloat(profile.Hypo_Level2),
+    String(profile.Reason).trim(),
+    profile.Expires_At ? new Date(profile.Expires_At) : null,
+    set_by || null,
+    profile.Template_ID || null
+  ];
+
+  db.query(query, values, (err) => {
+    if (err) {
+      if (err.code === 'ER_NO_REFERENCED_ROW_2') {
+        return callback(new Error('Patient not found'), null);
+      }
+      return callback(err, null);
+    }
+    getPatientProfile(db, patient_id, callback);
+  });
+}
+
+// Remove a patient's threshold profile (the patient falls back to the system ranges)
+function deletePatientProfile(db, patient_id, callback) {
+  db.query('DELETE FROM patient_threshold_profile WHERE Patient_ID = ?', [patient_id], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.affectedRows === 0) {
+      return callback(new Error('Threshold profile not found for this patient'), null);
+    }
+    callback(null, { success: true, deleted: true });
+  });
+}
+
+// Get effective thresholds for patient (default context)
+function getEffectiveThresholds(db, patient_id, callback) {
+  resolveThresholds(db, patient_id, null, null, (err, thresholds) => {
+    if (err) return callback(err, null);
+    const { Reading_Context, Threshold_ID, ...effective } = thresholds;
+    callback(null, effective);
+  });
+}
+
+// Get a patient's effective thresholds for the default set and every reading context
+function getPatientThresholdsByContext(db, patient_id, callback) {
+  const contexts = [null, ...READING_CONTEXTS];
+  const results = new Array(contexts.length);
+  let processedCount = 0;
+  let failed = false;
+
+  contexts.forEach((context, index) => {
+    resolveThresholds(db, patient_id, context, null, (err, thresholds) => {
+      if (failed) return;
+      if (err) {
+        failed = true;
+        return callback(err, null);
+      }
+
+      results[index] = thresholds;
+      processedCount++;
+      if (processedCount === contexts.length) {
+        callback(null, { default: results[0], contexts: results.slice(1) });
       }
-      callback(null, { success: true, threshold_id: thresholdId, deleted: true });
     });
-  } else {
-    // Delete latest threshold
-    const getLatestQuery = `
-      SELECT Threshold_ID
-      FROM categorythreshold
-      ORDER BY Effective_Date DESC
-      LIMIT 1
-    `;
-
-    db.query(getLatestQuery, (err, results) => {
+  });
+}
+
+// Delete a threshold by ID, or the latest version in effect if no ID provided. A version that
+// stored readings (including deleted ones) were categorized under is kept; roll back instead.
+function deleteThreshold(db, thresholdId, callback) {
+  const deleteVersion = (id) => {
+    db.query('SELECT COUNT(*) AS Count FROM Sugar_Reading WHERE Threshold_ID = ?', [id], (err, countRows) => {
       if (err) return callback(err, null);
-      if (results.length === 0) {
-        return callback(new Error('No thresholds found to delete'), null);
+      if (countRows[0].Count > 0) {
+        return callback(new Error(`Threshold ${id} is in use by ${countRows[0].Count} reading(s); roll back to a previous version instead`), null);
       }
 
-      const latestId = results[0].Threshold_ID;
-      const deleteQuery = 'DELETE FROM categorythreshold WHERE Threshold_ID = ?';
-
-      db.query(deleteQuery, [latestId], (err, deleteResults) => {
+      db.query('DELETE FROM categorythreshold WHERE Threshold_ID = ?', [id], (err, results) => {
         if (err) return callback(err, null);
-        callback(null, { success: true, threshold_id: latestId, deleted: true });
+        if (results.affectedRows === 0) {
+          return callback(new Error('Threshold not found'), null);
+        }
+        callback(null, { success: true, threshold_id: id, deleted: true });
       });
     });
+  };
+
+  if (thresholdId) {
+    return deleteVersion(thresholdId);
   }
+
+  // Latest version in effect; a scheduled version is only deleted by its ID
+  const getLatestQuery = `
+    SELECT Threshold_ID
+    FROM categorythreshold
+    WHERE Reading_Context IS NULL AND Effective_Date <= NOW()
+    ORDER BY Effective_Date DESC, Threshold_ID DESC
+    LIMIT 1
+  `;
+
+  db.query(getLatestQuery, (err, results) => {
+    if (err) return callback(err, null);
+    if (results.length === 0) {
+      return callback(new Error('No thresholds found to delete'), null);
+    }
+    deleteVersion(results[0].Threshold_ID);
+  });
 }
 
 module.exports = {
+  DEFAULT_HYPO_LEVEL1,
+  DEFAULT_HYPO_LEVEL2,
+  RANGE_FIELDS,
+  getSystemThresholdsAt,
   getSystemThresholds,
+  getSystemThresholdsForContext,
+  getContextThresholds,
+  getAllThresholdVersions,
+  versionAt,
+  systemVersionAt,
+  getThresholdHistory,
   updateSystemThresholds,
+  rollbackThresholds,
+  combineThresholds,
+  categorizeValue,
+  hypoglycemiaLevel,
+  resolveThresholds,
   categorizeReading,
   updatePatientThresholds,
+  setPatientContextThreshold,
+  deletePatientContextThreshold,
+  getPatientProfile,
+  validateRangeData,
+  validateProfileData,
+  setPatientProfile,
+  deletePatientProfile,
   getEffectiveThresholds,
+  getPatientThresholdsByContext,
   deleteThreshold
 };
\ No newline at end of file
@@ -0,0 +1,221 @@
+// api/thresholdTemplateAPI.js
+// Purpose: Named threshold templates for common patient populations (type 1 adult, gestational,
+//          pediatric, ...). Staff and administrators maintain the templates; specialists apply one
+//          to a patient, which creates the patient's threshold profile from the template's ranges
+//          and remembers the template so later template edits can be propagated to it.
+
+const thresholdAPI = require('./thresholdAPI');
+
+// Range columns copied from a template into a patient profile
+const TEMPLATE_FIELDS = [...thresholdAPI.RANGE_FIELDS, 'Hypo_Level1', 'Hypo_Level2'];
+
+/**
+ * Validate a template body
+ * @param {Object} data - { Name, Description, Normal_Low, ..., Abnormal_High, Hypo_Level1, Hypo_Level2 }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTemplateData(data) {
+  if (!data.Name || !String(data.Name).trim()) {
+    return 'A template name is required';
+  }
+  if (String(data.Name).trim().length > 100) {
+    return 'Name must be at most 100 characters';
+  }
+  if (data.Description && String(data.Description).length > 255) {
+    return 'Description must be at most 255 characters';
+  }
+  return thresholdAPI.validateRangeData(data);
+}
+
+/**
+ * Column values of a template body, in TEMPLATE_FIELDS order after Name and Description
+ * @param {Object} data - Validated template body
+ * @returns {Array} Values for an INSERT or UPDATE
+ */
+function templateValues(data) {
+  return [
+    String(data.Name).trim(),
+    data.Description ? String(data.Description).trim() : null,
+    ...TEMPLATE_FIELDS.map(field => parseFloat(data[field]))
+  ];
+}
+
+/**
+ * Get all templates with the number of patient profiles currently linked to each
+ * @param {Object} db - Database connection
+ * @param {Function} callback - Callback function(err, templates)
+ */
+function getTemplates(db, callback) {
+  const query = `
+    SELECT tt.*, u.Name AS Created_By_Name, COUNT(ptp.Profile_ID) AS Patient_Count
+    FROM threshold_template tt
+    LEFT JOIN User u ON tt.Created_By = u.User_ID
+    LEFT JOIN patient_threshold_profile ptp ON ptp.Template_ID = tt.Template_ID
+    GROUP BY tt.Template_ID
+    ORDER BY tt.Name ASC
+  `;
+
+  db.query(query, (err, results) => {
+    if (err) return callback(err, null);
+    callback(null, results);
+  });
+}
+
+/**
+ * Get one template
+ * @param {Object} db - Database connection
+ * @param {number} templateId - Template ID
+ * @param {Function} callback - Callback function(err, template)
+ */
+function getTemplate(db, templateId, callback) {
+  db.query('SELECT * FROM threshold_template WHERE Template_ID = ?', [templateId], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.length === 0) {
+      return callback(new Error('Threshold template not found'), null);
+    }
+    callback(null, results[0]);
+  });
+}
+
+/**
+ * Create a template
+ * @param {Object} db - Database connection
+ * @param {Object} data - Template body (see validateTemplateData)
+ * @param {number} createdBy - User ID of the staff member or administrator
+ * @param {Function} callback - Callback function(err, template)
+ */
+function createTemplate(db, data, createdBy, callback) {
+  const validationError = validateTemplateData(data);
+  if (validationError) {
+    return callback(new Error(validationError), null);
+  }
+
+  const query = `
+    INSERT INTO threshold_template
+      (Name, Description, Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High,
+       Hypo_Level1, Hypo_Level2, Created_By)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  db.query(query, [...templateValues(data), createdBy || null], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return callback(new Error('A threshold template with this name already exists'), null);
+      }
+      return callback(err, null);
+    }
+    getTemplate(db, results.insertId, callback);
+  });
+}
+
+/**
+ * Update a template. With propagate, every patient profile applied from the template takes the
+ * new ranges too (their reason and expiry are kept); otherwise those profiles keep their values.
+ * @param {Object} db - Database connection
+ * @param {number} templateId - Template ID
+ * @param {Object} data - Template body (see validateTemplateData)
+ * @param {boolean} propagate - Copy the new ranges into linked patient profiles
+ * @param {Function} callback - Callback function(err, { template, propagated_patient_ids })
+ */
+function updateTemplate(db, templateId, data, propagate, callback) {
+  const validationError = validateTemplateData(data);
+  if (validationError) {
+    return callback(new Error(validationError), null);
+  }
+
+  const query = `
+    UPDATE threshold_template
+    SET Name = ?, Description = ?, Normal_Low = ?, Normal_High = ?, Borderline_Low = ?, Borderline_High = ?,
+        Abnormal_Low = ?, Abnormal_High = ?, Hypo_Level1 = ?, Hypo_Level2 = ?, Updated_At = NOW()
+    WHERE Template_ID = ?
+  `;
+
+  db.query(query, [...templateValues(data), templateId], (err, results) => {
+    if (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return callback(new Error('A threshold template with this name already exists'), null);
+      }
+      return callback(err, null);
+    }
+    if (results.affectedRows === 0) {
+      return callback(new Error('Threshold template not found'), null);
+    }
+
+    getTemplate(db, templateId, (err, template) => {
+      if (err) return callback(err, null);
+      if (!propagate) {
+        return callback(null, { template: template, propagated_patient_ids: [] });
+      }
+
+      db.query('SELECT Patient_ID FROM patient_threshold_profile WHERE Template_ID = ?', [templateId], (err, rows) => {
+        if (err) return callback(err, null);
+        if (rows.length === 0) {
+          return callback(null, { template: template, propagated_patient_ids: [] });
+        }
+
+        const propagateQuery = `
+          UPDATE patient_threshold_profile
+          SET ${TEMPLATE_FIELDS.map(field => `${field} = ?`).join(', ')}, Updated_At = NOW()
+          WHERE Template_ID = ?
+        `;
+        const values = [...TEMPLATE_FIELDS.map(field => template[field]), templateId];
+
+        db.query(propagateQuery, values, (err) => {
+          if (err) return callback(err, null);
+          callback(null, { template: template, propagated_patient_ids: rows.map(row => row.Patient_ID) });
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Delete a template. Profiles applied from it keep their ranges and lose the link.
+ * @param {Object} db - Database connection
+ * @param {number} templateId - Template ID
+ * @param {Function} callback - Callback function(err, result)
+ */
+function deleteTemplate(db, templateId, callback) {
+  db.query('DELETE FROM threshold_template WHERE Template_ID = ?', [templateId], (err, results) => {
+    if (err) return callback(err, null);
+    if (results.affectedRows === 0) {
+      return callback(new Error('Threshold template not found'), null);
+    }
+    callback(null, { success: true, template_id: templateId });
+  });
+}
+
+/**
+ * Apply a template to a patient: create or replace the patient's threshold profile with the
+ * template's ranges, linked to the template
+ * @param {Object} db - Database connection
+ * @param {number} patientId - Patient ID
+ * @param {number} templateId - Template ID
+ * @param {Object} options - { reason (defaults to the template name), expiresAt (optional) }
+ * @param {number} setBy - User ID applying the template
+ * @param {Function} callback - Callback function(err, profile)
+ */
+function applyTemplate(db, patientId, templateId, options, setBy, callback) {
+  getTemplate(db, templateId, (err, template) => {
+    if (err) return callback(err, null);
+
+    const profile = {
+      Reason: options.reason && String(options.reason).trim() ? options.reason : template.Name,
+      Expires_At: options.expiresAt || null,
+      Template_ID: template.Template_ID
+    };
+    TEMPLATE_FIELDS.forEach(field => { profile[field] = template[field]; });
+
+    thresholdAPI.setPatientProfile(db, patientId, profile, setBy, callback);
+  });
+}
+
+module.exports = {
+  validateTemplateData,
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  applyTemplate
+};
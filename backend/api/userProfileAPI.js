@@ -1,6 +1,8 @@
 // api/userProfileAPI.js
 // Purpose: API functions for managing user profile information.
 
+const unitConverter = require('../utils/unitConverter');
+
 /**
  * Retrieves a user's profile information including role-specific fields.
  * @param {Object} db - Database connection
@@ -10,7 +12,7 @@
 function getUserProfile(db, userId, callback) {
   // First get user basic info and role
   const userQuery = `
-    SELECT User_ID, Name, Email, Phone, Profile_Image AS profile_image, Role
+    SELECT User_ID, Name, Email, Phone, Profile_Image AS profile_image, Role, Preferred_Unit AS preferred_unit
     FROM User
     WHERE User_ID = ?
   `;
@@ -29,7 +31,11 @@ function getUserProfile(db, userId, callback) {
 
     // Fetch role-specific data based on role
     if (role === 'Patient') {
-      const patientQuery = `SELECT Healthcare_Number, Date_Of_Birth FROM Patient WHERE Patient_ID = ?`;
+      const patientQuery = `
+        SELECT Healthcare_Number, Date_Of_Birth, Emergency_Contact_Name, Emergency_Contact_Email, Emergency_Contact_Phone
+        FROM Patient
+        WHERE Patient_ID = ?
+      `;
       db.query(patientQuery, [userId], (err, patientResults) => {
         if (err) {
           console.error(`Error fetching patient data for User ${userId}:`, err);
@@ -38,6 +44,9 @@ function getUserProfile(db, userId, callback) {
         if (patientResults.length > 0) {
           userProfile.healthcareNumber = patientResults[0].Healthcare_Number;
           userProfile.dateOfBirth = patientResults[0].Date_Of_Birth;
+          userProfile.emergencyContactName = patientResults[0].Emergency_Contact_Name;
+          userProfile.emergencyContactEmail = patientResults[0].Emergency_Contact_Email;
+          userProfile.emergencyContactPhone = patientResults[0].Emergency_Contact_Phone;
         }
         callback(null, userProfile);
       });
@@ -102,6 +111,10 @@ function updateUserProfile(db, userId, userRole, updateData, callback) {
     updateFields.push('Profile_Image = ?');
     queryParams.push(updateData.profileImage);
   }
+  if (updateData.preferredUnit !== undefined) {
+    updateFields.push('Preferred_Unit = ?');
+    queryParams.push(updateData.preferredUnit);
+  }
 
   // Execute User table update if there are fields to update
   const updateUserTable = (continueCallback) => {
@@ -140,6 +153,19 @@ function updateUserProfile(db, userId, userRole, updateData, callback) {
         roleFields.push('Date_Of_Birth = ?');
         roleParams.push(updateData.dateOfBirth);
       }
+      // Emergency contact, alerted by urgent alerts (see alertAPI.triggerUrgentAlert)
+      if (updateData.emergencyContactName !== undefined) {
+        roleFields.push('Emergency_Contact_Name = ?');
+        roleParams.push(updateData.emergencyContactName);
+      }
+      if (updateData.emergencyContactEmail !== undefined) {
+        roleFields.push('Emergency_Contact_Email = ?');
+        roleParams.push(updateData.emergencyContactEmail);
+      }
+      if (updateData.emergencyContactPhone !== undefined) {
+        roleFields.push('Emergency_Contact_Phone = ?');
+        roleParams.push(updateData.emergencyContactPhone);
+      }
       if (roleFields.length > 0) {
         roleParams.push(userId);
         roleQuery = `UPDATE Patient SET ${roleFields.join(', ')} WHERE Patient_ID = ?`;
@@ -197,7 +223,9 @@ function updateUserProfile(db, userId, userRole, updateData, callback) {
   // Check if any fields were provided
   const hasUserFields = updateFields.length > 0;
   const hasRoleFields =
-    (userRole === 'Patient' && (updateData.healthcareNumber !== undefined || updateData.dateOfBirth !== undefined)) ||
+    (userRole === 'Patient' && (updateData.healthcareNumber !== undefined || updateData.dateOfBirth !== undefined ||
+      updateData.emergencyContactName !== undefined || updateData.emergencyContactEmail !== undefined ||
+      updateData.emergencyContactPhone !== undefined)) ||
     (userRole === 'Specialist' && (updateData.workingId !== undefined || updateData.specialization !== undefined)) ||
     (userRole === 'Clinic_Staff' && (updateData.workingId !== undefined || updateData.department !== undefined));
 
@@ -211,7 +239,27 @@ function updateUserProfile(db, userId, userRole, updateData, callback) {
   });
 }
 
+/**
+ * Retrieves the glucose display unit a user has chosen (defaults to mg/dL).
+ * @param {Object} db - Database connection
+ * @param {number} userId - The ID of the user.
+ * @param {Function} callback - Callback function(err, unit)
+ */
+function getPreferredUnit(db, userId, callback) {
+  const query = `SELECT Preferred_Unit FROM User WHERE User_ID = ?`;
+
+  db.query(query, [userId], (err, results) => {
+    if (err) {
+      console.error(`Error fetching preferred unit for User ${userId}:`, err);
+      return callback(err, null);
+    }
+    const stored = results.length > 0 ? results[0].Preferred_Unit : null;
+    callback(null, unitConverter.normalizeUnit(stored) || unitConverter.CANONICAL_UNIT);
+  });
+}
+
 module.exports = {
   getUserProfile,
-  updateUserProfile
+  updateUserProfile,
+  getPreferredUnit
 };
@@ -8,48 +8,54 @@ function getJwtSecret() {
   return process.env.JWT_SECRET || null;
 }
 
-// Verifies Bearer token and attaches user payload to req.user
-function verifyToken(req, res, next) {
-  const authHeader = req.headers && req.headers.authorization ? req.headers.authorization : null;
-  if (!authHeader || typeof authHeader !== 'string' || !authHeader.toLowerCase().startsWith('bearer ')) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authorization token required'
-    });
-  }
-
-  const token = authHeader.slice(7).trim();
+// Verifies a JWT and passes its user payload ({ user_id, role, name, email }) to the callback.
+// Shared by the HTTP middleware below and the Socket.IO handshake.
+function authenticateToken(token, callback) {
   const secret = getJwtSecret();
   if (!secret) {
-    return res.status(500).json({
-      success: false,
-      message: 'Server configuration error: JWT secret not set'
-    });
+    return callback(new Error('Server configuration error: JWT secret not set'), null);
   }
 
   jwt.verify(token, secret, function (err, decoded) {
     if (err) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
+      return callback(new Error('Invalid or expired token'), null);
     }
 
     // Expecting payload fields: user_id, role, name, email
-    req.user = {
+    const user = {
       user_id: decoded && decoded.user_id ? decoded.user_id : null,
       role: decoded && decoded.role ? decoded.role : null,
       name: decoded && decoded.name ? decoded.name : null,
       email: decoded && decoded.email ? decoded.email : null
     };
 
-    if (!req.user.user_id || !req.user.role) {
-      return res.status(401).json({
+    if (!user.user_id || !user.role) {
+      return callback(new Error('Invalid token payload'), null);
+    }
+
+    callback(null, user);
+  });
+}
+
+// Verifies Bearer token and attaches user payload to req.user
+function verifyToken(req, res, next) {
+  const authHeader = req.headers && req.headers.authorization ? req.headers.authorization : null;
+  if (!authHeader || typeof authHeader !== 'string' || !authHeader.toLowerCase().startsWith('bearer ')) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authorization token required'
+    });
+  }
+
+  authenticateToken(authHeader.slice(7).trim(), function (err, user) {
+    if (err) {
+      return res.status(err.message.includes('configuration') ? 500 : 401).json({
         success: false,
-        message: 'Invalid token payload'
+        message: err.message
       });
     }
 
+    req.user = user;
     next();
   });
 }
@@ -75,6 +81,7 @@ function requireRole() {
 }
 
 module.exports = {
+  authenticateToken,
   verifyToken,
   requireRole
 };
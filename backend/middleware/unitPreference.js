@@ -0,0 +1,42 @@
+// middleware/unitPreference.js
+// Resolves the glucose unit values should be returned in for the current request (callback style)
+
+const userProfileAPI = require('../api/userProfileAPI');
+const unitConverter = require('../utils/unitConverter');
+
+// Attaches req.preferredUnit: an explicit ?unit= query wins, otherwise the
+// authenticated user's saved preference, otherwise mg/dL
+function attachPreferredUnit(req, res, next) {
+  if (req.query && req.query.unit !== undefined) {
+    const requested = unitConverter.normalizeUnit(req.query.unit);
+    if (!requested) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported unit. Use one of: ${unitConverter.SUPPORTED_UNITS.join(', ')}`
+      });
+    }
+    req.preferredUnit = requested;
+    return next();
+  }
+
+  if (!req.user || !req.user.user_id) {
+    req.preferredUnit = unitConverter.CANONICAL_UNIT;
+    return next();
+  }
+
+  const db = req.app.locals.db;
+  userProfileAPI.getPreferredUnit(db, req.user.user_id, (err, unit) => {
+    if (err) {
+      // Fall back to the canonical unit rather than failing the read
+      console.warn('attachPreferredUnit: could not load preference:', err.message);
+      req.preferredUnit = unitConverter.CANONICAL_UNIT;
+      return next();
+    }
+    req.preferredUnit = unit;
+    next();
+  });
+}
+
+module.exports = {
+  attachPreferredUnit
+};
@@ -7,6 +7,10 @@ const express = require('express');
 const router = express.Router();
 const adminAPI = require('../api/adminAPI');
 const { verifyToken, requireRole } = require('../middleware/auth'); // Import auth middleware
+const { attachPreferredUnit } = require('../middleware/unitPreference');
+const unitConverter = require('../utils/unitConverter');
+const socketManager = require('../socketManager');
+const liveUpdates = require('../services/liveUpdates');
 const multer = require('multer');
 const path = require('path');
 
@@ -244,6 +248,8 @@ router.delete('/users/:id', verifyToken, requireRole('Administrator'), (req, res
       });
     }
 
+    socketManager.disconnectUser(userId);
+
     res.json({
       success: true,
       message: 'User account deleted successfully',
@@ -335,6 +341,9 @@ router.post('/assignments', verifyToken, requireRole('Administrator'), (req, res
       });
     }
 
+    socketManager.refreshCareTeam(Number(patient_id));
+    liveUpdates.publish(liveUpdates.EVENTS.ASSIGNMENT_CHANGED, Number(patient_id));
+
     res.json({
       success: true,
       message: 'Specialist assignment saved',
@@ -367,6 +376,9 @@ router.delete('/assignments/:patientId', verifyToken, requireRole('Administrator
       });
     }
 
+    socketManager.refreshCareTeam(patientId);
+    liveUpdates.publish(liveUpdates.EVENTS.ASSIGNMENT_CHANGED, patientId);
+
     res.json({
       success: true,
       message: 'Assignment removed',
@@ -375,6 +387,44 @@ router.delete('/assignments/:patientId', verifyToken, requireRole('Administrator
   });
 });
 
+/**
+ * PUT /api/admin/assignments/:patientId/backup
+ * Set the backup specialist who receives the patient's alerts when the assigned specialist
+ * does not acknowledge them in time
+ * Body: backup_specialist_id (null to remove the backup)
+ */
+router.put('/assignments/:patientId/backup', verifyToken, requireRole('Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = parseInt(req.params.patientId, 10);
+  const backupSpecialistId = req.body.backup_specialist_id ? Number(req.body.backup_specialist_id) : null;
+
+  if (!patientId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid patientId is required'
+    });
+  }
+
+  adminAPI.setBackupSpecialist(db, patientId, backupSpecialistId, (err, result) => {
+    if (err) {
+      console.error('Error setting backup specialist:', err);
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'Error setting backup specialist'
+      });
+    }
+
+    socketManager.refreshCareTeam(patientId);
+    liveUpdates.publish(liveUpdates.EVENTS.ASSIGNMENT_CHANGED, patientId);
+
+    res.json({
+      success: true,
+      message: backupSpecialistId ? 'Backup specialist saved' : 'Backup specialist removed',
+      data: result
+    });
+  });
+});
+
 /**
  * POST /api/admin/reports/generate
  * Generate system report
@@ -382,9 +432,10 @@ router.delete('/assignments/:patientId', verifyToken, requireRole('Administrator
  * Accessible only by Administrators.
  * Response: { success, message, data }
  */
-router.post('/reports/generate', verifyToken, requireRole('Administrator'), (req, res) => {
+router.post('/reports/generate', verifyToken, requireRole('Administrator'), attachPreferredUnit, (req, res) => {
   const db = req.app.locals.db;
   const adminId = req.user.user_id; // Get admin ID from authenticated user
+  const unit = req.preferredUnit; // Report values are written in the generating admin's unit
 
   // Validate required fields
   const { period_type, period_start, period_end } = req.body;
@@ -444,9 +495,9 @@ router.post('/reports/generate', verifyToken, requireRole('Administrator'), (req
               id: patient.Patient_ID,
               name: patient.Patient_Name,
               email: patient.Patient_Email,
-              average_reading: trends.Average_Reading,
-              highest_reading: trends.Highest_Reading,
-              lowest_reading: trends.Lowest_Reading,
+              average_reading: unitConverter.convertValue(trends.Average_Reading, unitConverter.CANONICAL_UNIT, unit),
+              highest_reading: unitConverter.convertValue(trends.Highest_Reading, unitConverter.CANONICAL_UNIT, unit),
+              lowest_reading: unitConverter.convertValue(trends.Lowest_Reading, unitConverter.CANONICAL_UNIT, unit),
               total_readings: trends.Total_Readings
             });
           });
@@ -473,7 +524,7 @@ router.post('/reports/generate', verifyToken, requireRole('Administrator'), (req
                 SUM(CASE WHEN Category = 'Borderline' THEN 1 ELSE 0 END) AS borderline_count,
                 SUM(CASE WHEN Category = 'Abnormal' THEN 1 ELSE 0 END) AS abnormal_count
               FROM Sugar_Reading
-              WHERE DateTime BETWEEN ? AND ?;
+              WHERE Deleted_At IS NULL AND DateTime BETWEEN ? AND ?;
             `;
   
             db.query(readingsQuery, [period_start, period_end], (err, statsResults) => {
@@ -500,9 +551,10 @@ router.post('/reports/generate', verifyToken, requireRole('Administrator'), (req
                 },
                 readings: {
                   total: stats.total_readings,
-                  average: parseFloat(stats.avg_reading || 0).toFixed(2),
-                  min: stats.min_reading || 0,
-                  max: stats.max_reading || 0,
+                  unit: unit,
+                  average: parseFloat(unitConverter.convertValue(stats.avg_reading || 0, unitConverter.CANONICAL_UNIT, unit)).toFixed(2),
+                  min: unitConverter.convertValue(stats.min_reading || 0, unitConverter.CANONICAL_UNIT, unit),
+                  max: unitConverter.convertValue(stats.max_reading || 0, unitConverter.CANONICAL_UNIT, unit),
                   by_category: {
                     normal: stats.normal_count,
                     borderline: stats.borderline_count,
@@ -0,0 +1,114 @@
+// routes/alertRoutes.js
+// Purpose: Express route handlers for the alert queue: list alerts by status, acknowledge them
+//          and resolve them with a note.
+
+const express = require('express');
+const router = express.Router();
+const alertWorkflowAPI = require('../api/alertWorkflowAPI');
+const { verifyToken, requireRole } = require('../middleware/auth');
+
+// Status code for an error from the alertWorkflowAPI
+function workflowErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message.includes('not assigned')) return 403;
+  if (err.message.includes('required')) return 400;
+  if (err.message.includes('Only') || err.message.includes('already')) return 409;
+  return 500;
+}
+
+/**
+ * GET /api/alerts
+ * The alert queue: alerts of the specialist's patients (plus escalated alerts of patients they are
+ * the backup for), or every alert for clinic staff and administrators.
+ * Query parameters: status (comma-separated Open, Acknowledged, Resolved, Escalated, or all;
+ *                   default everything except Resolved), patientId (optional)
+ * Accessible by Specialist, Clinic_Staff and Administrator roles.
+ */
+router.get('/',
+  verifyToken,
+  requireRole('Specialist', 'Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const { statuses, error } = alertWorkflowAPI.parseStatusFilter(req.query.status);
+    const patientId = req.query.patientId ? parseInt(req.query.patientId) : null;
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (req.query.patientId && (isNaN(patientId) || patientId <= 0)) {
+      return res.status(400).json({ success: false, message: 'Invalid patient ID' });
+    }
+
+    alertWorkflowAPI.getAlertQueue(db, req.user, { statuses, patientId }, (err, alerts) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error retrieving alerts', error: err.message });
+      }
+      res.json({ success: true, message: 'Alerts retrieved successfully.', data: alerts });
+    });
+  }
+);
+
+/**
+ * POST /api/alerts/:alertId/acknowledge
+ * Acknowledge an open or escalated alert.
+ * Accessible by Specialist, Clinic_Staff and Administrator roles.
+ */
+router.post('/:alertId/acknowledge',
+  verifyToken,
+  requireRole('Specialist', 'Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const alertId = parseInt(req.params.alertId);
+
+    if (isNaN(alertId) || alertId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid alert ID' });
+    }
+
+    alertWorkflowAPI.acknowledgeAlert(db, alertId, req.user, (err, alert) => {
+      if (err) {
+        const status = workflowErrorStatus(err);
+        if (status !== 500) {
+          return res.status(status).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error acknowledging alert', error: err.message });
+      }
+
+      console.log(`Alert ${alertId} acknowledged by user ${req.user.user_id}`);
+      res.json({ success: true, message: 'Alert acknowledged', data: alert });
+    });
+  }
+);
+
+/**
+ * POST /api/alerts/:alertId/resolve
+ * Resolve an alert.
+ * Body: note (required) - what was done about the alert
+ * Accessible by Specialist, Clinic_Staff and Administrator roles.
+ */
+router.post('/:alertId/resolve',
+  verifyToken,
+  requireRole('Specialist', 'Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const alertId = parseInt(req.params.alertId);
+
+    if (isNaN(alertId) || alertId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid alert ID' });
+    }
+
+    alertWorkflowAPI.resolveAlert(db, alertId, req.user, req.body.note, (err, alert) => {
+      if (err) {
+        const status = workflowErrorStatus(err);
+        if (status !== 500) {
+          return res.status(status).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error resolving alert', error: err.message });
+      }
+
+      console.log(`Alert ${alertId} resolved by user ${req.user.user_id}`);
+      res.json({ success: true, message: 'Alert resolved', data: alert });
+    });
+  }
+);
+
+module.exports = router;
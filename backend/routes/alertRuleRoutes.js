@@ -0,0 +1,219 @@
+// routes/alertRuleRoutes.js
+// Purpose: Express route handlers for managing alert rules and testing draft rules against a
+//          patient's history.
+
+const express = require('express');
+const router = express.Router();
+const alertRuleAPI = require('../api/alertRuleAPI');
+const alertAPI = require('../api/alertAPI');
+const { verifyToken, requireRole } = require('../middleware/auth');
+
+// Status code for a rule error from the alertRuleAPI
+function ruleErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message.includes('must') || err.message.includes('required')) return 400;
+  return 500;
+}
+
+/**
+ * GET /api/alert-rules
+ * List alert rules.
+ * Query parameter: patientId (optional) - only the rules that apply to this patient
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.get('/',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const patientId = req.query.patientId ? parseInt(req.query.patientId) : null;
+
+    if (req.query.patientId && (isNaN(patientId) || patientId <= 0)) {
+      return res.status(400).json({ success: false, message: 'Invalid patient ID' });
+    }
+
+    alertRuleAPI.getRules(db, { patientId }, (err, rules) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error retrieving alert rules', error: err.message });
+      }
+      res.json({ success: true, message: 'Alert rules retrieved successfully.', data: rules });
+    });
+  }
+);
+
+/**
+ * POST /api/alert-rules/test
+ * Replay a patient's history against a draft rule and list the alerts it would have raised.
+ * Nothing is saved or sent.
+ * Body: rule (draft rule, same fields as POST /api/alert-rules), patientId, days (optional, default 90, max 365)
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.post('/test',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const patientId = parseInt(req.body.patientId);
+    const days = req.body.days ? parseInt(req.body.days) : 90;
+
+    if (isNaN(patientId) || patientId <= 0) {
+      return res.status(400).json({ success: false, message: 'A valid patientId is required' });
+    }
+    if (isNaN(days) || days < 1 || days > 365) {
+      return res.status(400).json({ success: false, message: 'days must be between 1 and 365' });
+    }
+
+    alertRuleAPI.testRule(db, req.body.rule || {}, patientId, days, (err, result) => {
+      if (err) {
+        const status = ruleErrorStatus(err);
+        if (status !== 500) {
+          return res.status(status).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error testing alert rule', error: err.message });
+      }
+      res.json({ success: true, message: `The rule would have raised ${result.alerts.length} alert(s).`, data: result });
+    });
+  }
+);
+
+/**
+ * POST /api/alert-rules/sweep
+ * Run the periodic alert sweep now (all active rules for all active patients).
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.post('/sweep',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    alertAPI.checkAllPatientsForAlerts(db, (err, alerts) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error running the alert sweep', error: err.message });
+      }
+      res.json({ success: true, message: `Alert sweep raised ${alerts.length} alert(s).`, data: alerts });
+    });
+  }
+);
+
+/**
+ * GET /api/alert-rules/:ruleId
+ * Get one alert rule.
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.get('/:ruleId',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const ruleId = parseInt(req.params.ruleId);
+
+    if (isNaN(ruleId) || ruleId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid rule ID' });
+    }
+
+    alertRuleAPI.getRule(db, ruleId, (err, rule) => {
+      if (err) {
+        if (err.message.includes('not found')) {
+          return res.status(404).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error retrieving alert rule', error: err.message });
+      }
+      res.json({ success: true, message: 'Alert rule retrieved successfully.', data: rule });
+    });
+  }
+);
+
+/**
+ * POST /api/alert-rules
+ * Create an alert rule.
+ * Body: Name, Rule_Type (Abnormal_Count, Below_Value, Rising_Trend or No_Readings),
+ *       Threshold_Count, Threshold_Value (mg/dL), Window_Days, Scope (System or Patient), Patient_ID,
+ *       Severity (Low, Medium, High or Critical), Recipients (Patient and/or Specialist),
+ *       Cooldown_Hours, Is_Active
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.post('/',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    alertRuleAPI.createRule(db, req.body, req.user.user_id, (err, rule) => {
+      if (err) {
+        const status = ruleErrorStatus(err);
+        if (status !== 500) {
+          return res.status(status).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error creating alert rule', error: err.message });
+      }
+
+      console.log(`Alert rule ${rule.Rule_ID} created by user ${req.user.user_id}`);
+      res.status(201).json({ success: true, message: 'Alert rule created successfully', data: rule });
+    });
+  }
+);
+
+/**
+ * PUT /api/alert-rules/:ruleId
+ * Replace an alert rule's settings.
+ * Body: same as POST /api/alert-rules
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.put('/:ruleId',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const ruleId = parseInt(req.params.ruleId);
+
+    if (isNaN(ruleId) || ruleId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid rule ID' });
+    }
+
+    alertRuleAPI.updateRule(db, ruleId, req.body, (err, rule) => {
+      if (err) {
+        const status = ruleErrorStatus(err);
+        if (status !== 500) {
+          return res.status(status).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error updating alert rule', error: err.message });
+      }
+
+      console.log(`Alert rule ${ruleId} updated by user ${req.user.user_id}`);
+      res.json({ success: true, message: 'Alert rule updated successfully', data: rule });
+    });
+  }
+);
+
+/**
+ * DELETE /api/alert-rules/:ruleId
+ * Delete an alert rule. Alerts it already raised are kept.
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.delete('/:ruleId',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const ruleId = parseInt(req.params.ruleId);
+
+    if (isNaN(ruleId) || ruleId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid rule ID' });
+    }
+
+    alertRuleAPI.deleteRule(db, ruleId, (err, result) => {
+      if (err) {
+        if (err.message.includes('not found')) {
+          return res.status(404).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error deleting alert rule', error: err.message });
+      }
+
+      console.log(`Alert rule ${ruleId} deleted by user ${req.user.user_id}`);
+      res.json({ success: true, message: 'Alert rule deleted successfully', data: result });
+    });
+  }
+);
+
+module.exports = router;
@@ -10,8 +10,6 @@ const jwt = require('jsonwebtoken');
 const { verifyToken } = require('../middleware/auth');
 const multer = require('multer');
 const path = require('path');
-const alertAPI = require('../api/alertAPI'); // Import alertAPI
-const socketManager = require('../socketManager'); // Import socketManager
 
 // Multer configuration for file uploads
 const storage = multer.diskStorage({
@@ -350,7 +348,6 @@ router.get('/profile', (req, res) => {
  * Header: Authorization: Bearer <token>
  */
 router.get('/me', verifyToken, function (req, res) {
-  const db = req.app.locals.db;
   // req.user is set by verifyToken middleware
   res.json({
     success: true,
@@ -358,39 +355,6 @@ router.get('/me', verifyToken, function (req, res) {
     data: req.user
   });
 
-  // If the authenticated user is a specialist, check for undelivered alerts
-  if (req.user.role === 'Specialist' && req.user.user_id) {
-    const specialistId = req.user.user_id;
-    alertAPI.getUndeliveredAlertsForSpecialist(db, specialistId, (err, alerts) => {
-      if (err) {
-        console.error('Error fetching undelivered alerts for specialist:', err);
-        return; // Don't block the response, just log the error
-      }
-
-      if (alerts && alerts.length > 0) {
-        alerts.forEach(alert => {
-          const notificationData = {
-            id: `alert-${alert.Alert_ID}`,
-            type: 'alert',
-            title: `Alert: High Abnormal Readings for Patient ${alert.patientName}`,
-            message: `Patient ${alert.patientName} (ID: ${alert.Patient_ID}) has had ${alert.Abnormal_Count} abnormal blood sugar readings this week. Please review their profile.`,
-            timestamp: alert.Sent_At,
-            patientId: alert.Patient_ID
-          };
-
-          socketManager.sendNotificationToUser(specialistId, notificationData);
-
-          // Mark alert as delivered to specialist
-          alertAPI.markAlertAsDeliveredToSpecialist(db, alert.Alert_ID, specialistId, (markErr) => {
-            if (markErr) {
-              console.error(`Error marking alert ${alert.Alert_ID} as delivered to specialist ${specialistId}:`, markErr);
-            }
-          });
-        });
-        console.log(`Delivered ${alerts.length} pending alerts to specialist ${specialistId}`);
-      }
-    });
-  }
 });
 
 /**
@@ -0,0 +1,267 @@
+// routes/fhirRoutes.js
+// Purpose: FHIR R4 interface for EHR integration. Readings are exposed as Observation
+//          resources (LOINC 2339-0 / 15074-8) and patients as Patient resources.
+//          Errors are returned as OperationOutcome resources, as FHIR clients expect.
+
+const express = require('express');
+const router = express.Router();
+const fhirAPI = require('../api/fhirAPI');
+const fhirMapper = require('../utils/fhirMapper');
+const { attachPreferredUnit } = require('../middleware/unitPreference');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// FHIR clients send application/fhir+json, which the app-level JSON parser ignores
+router.use(express.json({ type: ['application/fhir+json', 'application/json+fhir'], limit: '5mb' }));
+
+// Respond with FHIR content type
+function sendResource(res, status, resource) {
+  res.status(status).type('application/fhir+json').send(JSON.stringify(resource));
+}
+
+function sendOutcome(res, status, code, diagnostics) {
+  sendResource(res, status, fhirMapper.operationOutcome('error', code, diagnostics));
+}
+
+// Absolute base URL of this FHIR endpoint, used for fullUrl and paging links
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+/**
+ * GET /api/fhir/metadata
+ * Minimal CapabilityStatement describing the supported interactions
+ */
+router.get('/metadata', (req, res) => {
+  sendResource(res, 200, {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    fhirVersion: '4.0.1',
+    format: ['application/fhir+json'],
+    rest: [{
+      mode: 'server',
+      resource: [
+        { type: 'Patient', interaction: [{ code: 'read' }] },
+        {
+          type: 'Observation',
+          interaction: [{ code: 'read' }, { code: 'search-type' }],
+          searchParam: [
+            { name: 'patient', type: 'reference' },
+            { name: 'subject', type: 'reference' },
+            { name: 'date', type: 'date' },
+            { name: 'code', type: 'token' },
+            { name: '_count', type: 'number' }
+          ],
+          searchInclude: ['Observation:patient']
+        }
+      ],
+      interaction: [{ code: 'batch' }]
+    }]
+  });
+});
+
+/**
+ * GET /api/fhir/Patient/:id
+ * Read a Patient resource
+ */
+router.get('/Patient/:id', (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = parseInt(req.params.id);
+
+  if (!patientId || isNaN(patientId)) {
+    return sendOutcome(res, 400, 'invalid', 'Valid patient ID is required');
+  }
+
+  fhirAPI.verifyPatientAccess(db, req.user, patientId, (err, allowed) => {
+    if (err) {
+      console.error('FHIR: Error verifying patient access:', err);
+      return sendOutcome(res, 500, 'exception', err.message);
+    }
+    if (!allowed) {
+      return sendOutcome(res, 403, 'forbidden', 'You do not have access to this patient');
+    }
+
+    fhirAPI.getPatient(db, patientId, (err, patient) => {
+      if (err) {
+        console.error('FHIR: Error retrieving patient:', err);
+        return sendOutcome(res, 500, 'exception', err.message);
+      }
+      if (!patient) {
+        return sendOutcome(res, 404, 'not-found', `Patient/${patientId} not found`);
+      }
+      sendResource(res, 200, fhirMapper.patientToResource(patient));
+    });
+  });
+});
+
+/**
+ * GET /api/fhir/Observation/:id
+ * Read a single glucose Observation
+ * Query params: unit (optional, mg/dL or mmol/L; defaults to the caller's preferred unit)
+ */
+router.get('/Observation/:id', attachPreferredUnit, (req, res) => {
+  const db = req.app.locals.db;
+  const readingId = parseInt(req.params.id);
+
+  if (!readingId || isNaN(readingId)) {
+    return sendOutcome(res, 400, 'invalid', 'Valid observation ID is required');
+  }
+
+  fhirAPI.getReading(db, readingId, (err, reading) => {
+    if (err) {
+      console.error('FHIR: Error retrieving reading:', err);
+      return sendOutcome(res, 500, 'exception', err.message);
+    }
+    if (!reading) {
+      return sendOutcome(res, 404, 'not-found', `Observation/${readingId} not found`);
+    }
+
+    fhirAPI.verifyPatientAccess(db, req.user, reading.Patient_ID, (err, allowed) => {
+      if (err) {
+        console.error('FHIR: Error verifying patient access:', err);
+        return sendOutcome(res, 500, 'exception', err.message);
+      }
+      if (!allowed) {
+        return sendOutcome(res, 403, 'forbidden', 'You do not have access to this observation');
+      }
+
+      fhirAPI.getReadingThresholds(db, reading.Patient_ID, [reading], (err, thresholdsByReading) => {
+        sendResource(res, 200, fhirMapper.readingToObservation(reading, req.preferredUnit, thresholdsByReading[reading.Reading_ID] || null));
+      });
+    });
+  });
+});
+
+/**
+ * GET /api/fhir/Observation
+ * Search glucose Observations for a patient, returned as a searchset Bundle
+ * Query params: patient (or subject) - Patient/{id} or {id}; optional for patients (defaults to self)
+ *               date - repeatable, with eq/gt/ge/lt/le prefixes (e.g. date=ge2025-01-01)
+ *               code - optional token filter (http://loinc.org|2339-0)
+ *               _count, _offset - paging; _include=Observation:patient adds the Patient
+ *               unit - mg/dL or mmol/L (defaults to the caller's preferred unit)
+ */
+router.get('/Observation', attachPreferredUnit, (req, res) => {
+  const db = req.app.locals.db;
+
+  const patientParam = req.query.patient || req.query.subject ||
+    (req.user.role === 'Patient' ? String(req.user.user_id) : null);
+  if (!patientParam) {
+    return sendOutcome(res, 400, 'required', 'The patient search parameter is required');
+  }
+  const patientId = /^\d+$/.test(patientParam)
+    ? parseInt(patientParam, 10)
+    : fhirMapper.patientIdFromReference(patientParam);
+  if (!patientId) {
+    return sendOutcome(res, 400, 'invalid', `Invalid patient reference "${patientParam}"`);
+  }
+
+  // Only glucose is stored, so any other code simply matches nothing
+  let codeMatches = true;
+  if (req.query.code) {
+    const tokens = String(req.query.code).split(',');
+    codeMatches = tokens.some(token => {
+      const [system, code] = token.includes('|') ? token.split('|') : [null, token];
+      return (!system || system === 'http://loinc.org') && fhirMapper.IMPORTABLE_LOINC_CODES.includes(code);
+    });
+  }
+
+  const dateSearch = fhirAPI.parseDateParams(req.query.date);
+  if (dateSearch.error) {
+    return sendOutcome(res, 400, 'invalid', dateSearch.error);
+  }
+
+  const count = Math.min(Math.max(parseInt(req.query._count) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query._offset) || 0, 0);
+  const include = [].concat(req.query._include || []);
+  const includePatient = include.includes('Observation:patient') || include.includes('Observation:subject');
+
+  fhirAPI.verifyPatientAccess(db, req.user, patientId, (err, allowed) => {
+    if (err) {
+      console.error('FHIR: Error verifying patient access:', err);
+      return sendOutcome(res, 500, 'exception', err.message);
+    }
+    if (!allowed) {
+      return sendOutcome(res, 403, 'forbidden', 'You do not have access to this patient');
+    }
+
+    const search = { ...dateSearch, limit: codeMatches ? count : 0, offset: offset };
+    fhirAPI.searchReadings(db, patientId, search, (err, result) => {
+      if (err) {
+        console.error('FHIR: Error searching observations:', err);
+        return sendOutcome(res, 500, 'exception', err.message);
+      }
+
+      fhirAPI.getReadingThresholds(db, patientId, result.rows, (err, thresholdsByReading) => {
+        const observations = result.rows.map(reading =>
+          fhirMapper.readingToObservation(reading, req.preferredUnit, thresholdsByReading[reading.Reading_ID] || null));
+        const total = codeMatches ? result.total : 0;
+
+        const base = baseUrl(req);
+        const selfUrl = `${base}${req.url.startsWith('/') ? '' : '/'}${req.url}`;
+        const links = { base: base, self: selfUrl };
+        if (offset + observations.length < total) {
+          const nextQuery = new URLSearchParams(req.query);
+          nextQuery.set('_offset', String(offset + count));
+          nextQuery.set('_count', String(count));
+          links.next = `${base}/Observation?${nextQuery.toString()}`;
+        }
+
+        if (!includePatient || observations.length === 0) {
+          return sendResource(res, 200, fhirMapper.toSearchBundle(observations, [], total, links));
+        }
+
+        fhirAPI.getPatient(db, patientId, (err, patient) => {
+          if (err) {
+            console.error('FHIR: Error retrieving patient:', err);
+            return sendOutcome(res, 500, 'exception', err.message);
+          }
+          const includes = patient ? [fhirMapper.patientToResource(patient)] : [];
+          sendResource(res, 200, fhirMapper.toSearchBundle(observations, includes, total, links));
+        });
+      });
+    });
+  });
+});
+
+/**
+ * POST /api/fhir
+ * Ingest a Bundle (type batch or collection) of glucose Observations.
+ * Each Observation is validated, checked for duplicates and categorized like any other
+ * reading. The response is a batch-response Bundle with one entry per request entry
+ * (201 created, 200 duplicate, 4xx with an OperationOutcome).
+ * Entries are processed independently, so transaction Bundles (all or nothing) are rejected.
+ */
+router.post('/', (req, res) => {
+  const db = req.app.locals.db;
+  const bundle = req.body;
+
+  if (!bundle || bundle.resourceType !== 'Bundle') {
+    return sendOutcome(res, 400, 'invalid', 'Request body must be a FHIR Bundle');
+  }
+  if (bundle.type === 'transaction') {
+    return sendOutcome(res, 400, 'not-supported', 'Transaction Bundles are not supported; send a batch Bundle instead');
+  }
+  if (!['batch', 'collection'].includes(bundle.type)) {
+    return sendOutcome(res, 400, 'invalid', 'Bundle.type must be batch or collection');
+  }
+  if (!Array.isArray(bundle.entry) || bundle.entry.length === 0) {
+    return sendOutcome(res, 400, 'invalid', 'Bundle has no entries');
+  }
+
+  fhirAPI.ingestBundle(db, req.user, bundle, (err, responseBundle) => {
+    if (err) {
+      if (err.message.includes('must')) {
+        return sendOutcome(res, 400, 'invalid', err.message);
+      }
+      console.error('FHIR: Error ingesting bundle:', err);
+      return sendOutcome(res, 500, 'exception', err.message);
+    }
+    sendResource(res, 200, responseBundle);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+// routes/jobRoutes.js
+// Purpose: Express route handlers for administrators to inspect the background job queue and to
+//          retry or cancel jobs.
+
+const express = require('express');
+const router = express.Router();
+const jobQueueAPI = require('../api/jobQueueAPI');
+const { verifyToken, requireRole } = require('../middleware/auth');
+
+// Status code for an error from the jobQueueAPI
+function jobErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message.includes('must')) return 400;
+  if (err.message.includes('Only')) return 409;
+  return 500;
+}
+
+// Validated :jobId, or null
+function parseJobId(req) {
+  const jobId = parseInt(req.params.jobId);
+  return isNaN(jobId) || jobId <= 0 ? null : jobId;
+}
+
+/**
+ * GET /api/admin/jobs
+ * Background jobs, newest first.
+ * Query parameters: status (Pending, Running, Completed, Dead or Cancelled), type,
+ *                   limit (default 50, at most 200)
+ * Accessible only by Administrators.
+ */
+router.get('/',
+  verifyToken,
+  requireRole('Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    if (req.query.limit && (isNaN(parseInt(req.query.limit)) || parseInt(req.query.limit) <= 0)) {
+      return res.status(400).json({ success: false, message: 'limit must be a positive number' });
+    }
+
+    const filters = { status: req.query.status, type: req.query.type, limit: req.query.limit };
+    jobQueueAPI.listJobs(db, filters, (err, jobs) => {
+      if (err) {
+        if (jobErrorStatus(err) === 400) {
+          return res.status(400).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error retrieving jobs', error: err.message });
+      }
+      res.json({ success: true, message: 'Jobs retrieved successfully.', data: jobs });
+    });
+  }
+);
+
+/**
+ * GET /api/admin/jobs/stats
+ * Number of jobs by type and status.
+ * Accessible only by Administrators.
+ */
+router.get('/stats',
+  verifyToken,
+  requireRole('Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    jobQueueAPI.getJobStats(db, (err, stats) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error retrieving job statistics', error: err.message });
+      }
+      res.json({ success: true, message: 'Job statistics retrieved successfully.', data: stats });
+    });
+  }
+);
+
+/**
+ * GET /api/admin/jobs/:jobId
+ * One job, with its payload, attempts and last error.
+ * Accessible only by Administrators.
+ */
+router.get('/:jobId',
+  verifyToken,
+  requireRole('Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const jobId = parseJobId(req);
+
+    if (!jobId) {
+      return res.status(400).json({ success: false, message: 'Invalid job ID' });
+    }
+
+    jobQueueAPI.getJob(db, jobId, (err, job) => {
+      if (err) {
+        if (jobErrorStatus(err) === 404) {
+          return res.status(404).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error retrieving job', error: err.message });
+      }
+      res.json({ success: true, message: 'Job retrieved successfully.', data: job });
+    });
+  }
+);
+
+/**
+ * POST /api/admin/jobs/:jobId/retry
+ * Queue a dead or cancelled job again with a fresh set of attempts.
+ * Accessible only by Administrators.
+ */
+router.post('/:jobId/retry',
+  verifyToken,
+  requireRole('Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const jobId = parseJobId(req);
+
+    if (!jobId) {
+      return res.status(400).json({ success: false, message: 'Invalid job ID' });
+    }
+
+    jobQueueAPI.retryJob(db, jobId, (err, job) => {
+      if (err) {
+        const status = jobErrorStatus(err);
+        if (status !== 500) {
+          return res.status(status).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error retrying job', error: err.message });
+      }
+
+      console.log(`Job ${jobId} requeued by user ${req.user.user_id}`);
+      res.json({ success: true, message: 'Job queued for retry', data: job });
+    });
+  }
+);
+
+/**
+ * POST /api/admin/jobs/:jobId/cancel
+ * Cancel a pending job, or a dead job that should not be retried.
+ * Accessible only by Administrators.
+ */
+router.post('/:jobId/cancel',
+  verifyToken,
+  requireRole('Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const jobId = parseJobId(req);
+
+    if (!jobId) {
+      return res.status(400).json({ success: false, message: 'Invalid job ID' });
+    }
+
+    jobQueueAPI.cancelJob(db, jobId, (err, job) => {
+      if (err) {
+        const status = jobErrorStatus(err);
+        if (status !== 500) {
+          return res.status(status).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error cancelling job', error: err.message });
+      }
+
+      console.log(`Job ${jobId} cancelled by user ${req.user.user_id}`);
+      res.json({ success: true, message: 'Job cancelled', data: job });
+    });
+  }
+);
+
+module.exports = router;
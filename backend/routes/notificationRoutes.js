@@ -0,0 +1,128 @@
+// routes/notificationRoutes.js
+// Purpose: Express route handlers for the authenticated user's in-app notification inbox: list
+//          notifications, mark them read and clear them.
+
+const express = require('express');
+const router = express.Router();
+const notificationInboxAPI = require('../api/notificationInboxAPI');
+const { verifyToken } = require('../middleware/auth');
+
+/**
+ * GET /api/notifications
+ * The user's notifications, newest first, with the unread count.
+ * Query parameters: unread ('true' for unread only), limit (default 50, at most 200)
+ * Accessible by any authenticated user.
+ */
+router.get('/',
+  verifyToken,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const options = { unreadOnly: req.query.unread === 'true', limit: req.query.limit };
+
+    if (req.query.limit && (isNaN(parseInt(req.query.limit)) || parseInt(req.query.limit) <= 0)) {
+      return res.status(400).json({ success: false, message: 'limit must be a positive number' });
+    }
+
+    notificationInboxAPI.listNotifications(db, req.user.user_id, options, (err, result) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error retrieving notifications', error: err.message });
+      }
+      res.json({ success: true, message: 'Notifications retrieved successfully.', data: result });
+    });
+  }
+);
+
+/**
+ * POST /api/notifications/read-all
+ * Mark all of the user's notifications read.
+ * Accessible by any authenticated user.
+ */
+router.post('/read-all',
+  verifyToken,
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    notificationInboxAPI.markAllRead(db, req.user.user_id, (err, result) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error updating notifications', error: err.message });
+      }
+      res.json({ success: true, message: 'All notifications marked as read', data: result });
+    });
+  }
+);
+
+/**
+ * POST /api/notifications/:notificationId/read
+ * Mark one notification read.
+ * Accessible by any authenticated user (own notifications only).
+ */
+router.post('/:notificationId/read',
+  verifyToken,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const notificationId = parseInt(req.params.notificationId);
+
+    if (isNaN(notificationId) || notificationId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid notification ID' });
+    }
+
+    notificationInboxAPI.markRead(db, req.user.user_id, notificationId, (err, result) => {
+      if (err) {
+        if (err.message.includes('not found')) {
+          return res.status(404).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error updating notification', error: err.message });
+      }
+      res.json({ success: true, message: 'Notification marked as read', data: result });
+    });
+  }
+);
+
+/**
+ * DELETE /api/notifications/:notificationId
+ * Delete one notification.
+ * Accessible by any authenticated user (own notifications only).
+ */
+router.delete('/:notificationId',
+  verifyToken,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const notificationId = parseInt(req.params.notificationId);
+
+    if (isNaN(notificationId) || notificationId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid notification ID' });
+    }
+
+    notificationInboxAPI.deleteNotification(db, req.user.user_id, notificationId, (err, result) => {
+      if (err) {
+        if (err.message.includes('not found')) {
+          return res.status(404).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error deleting notification', error: err.message });
+      }
+      res.json({ success: true, message: 'Notification deleted', data: result });
+    });
+  }
+);
+
+/**
+ * DELETE /api/notifications
+ * Clear the inbox.
+ * Query parameters: read ('true' to clear only notifications already read)
+ * Accessible by any authenticated user.
+ */
+router.delete('/',
+  verifyToken,
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    notificationInboxAPI.clearNotifications(db, req.user.user_id, req.query.read === 'true', (err, result) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error clearing notifications', error: err.message });
+      }
+      res.json({ success: true, message: 'Notifications cleared', data: result });
+    });
+  }
+);
+
+module.exports = router;
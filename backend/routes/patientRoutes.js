@@ -8,6 +8,26 @@ const router = express.Router();
 const patientAPI = require('../api/patientAPI');
 const alertAPI = require('../api/alertAPI');
 const aiProcessingAPI = require('../api/aiProcessingAPI');
+const readingImportAPI = require('../api/readingImportAPI');
+const medicationAPI = require('../api/medicationAPI');
+const mealAPI = require('../api/mealAPI');
+const unitConverter = require('../utils/unitConverter');
+const readingContext = require('../utils/readingContext');
+const { attachPreferredUnit } = require('../middleware/unitPreference');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Multer configuration for reading imports (CSV files are parsed then removed)
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, 'uploads/');
+  },
+  filename: function (req, file, cb) {
+    cb(null, Date.now() + path.extname(file.originalname)); // Append extension
+  }
+});
+const upload = multer({ storage: storage, limits: { fileSize: 5 * 1024 * 1024 } });
 
 // Middleware to attach patient ID from JWT token
 function attachPatientIdFromJWT(req, res, next) {
@@ -68,16 +88,26 @@ function enforcePatientOwnership(req, res, next) {
 /**
  * GET /api/patient/readings
  * Get patient blood sugar readings with optional filtering and pagination
- * Query params: patient_id (required), startDate, endDate, category, limit, offset
+ * Query params: patient_id (required), startDate, endDate, category, context, limit, offset,
+ *               unit (optional, defaults to the user's preferred unit)
  */
-router.get('/readings', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+router.get('/readings', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, attachPreferredUnit, (req, res) => {
   const db = req.app.locals.db;
   const patientId = req.patientId;
 
+  const context = req.query.context ? readingContext.normalizeContext(req.query.context) : null;
+  if (req.query.context && !context) {
+    return res.status(400).json({
+      success: false,
+      message: `context must be one of: ${readingContext.READING_CONTEXTS.join(', ')}`
+    });
+  }
+
   const filters = {
     startDate: req.query.startDate || null,
     endDate: req.query.endDate || null,
     category: req.query.category || null,
+    context: context,
     limit: req.query.limit || 50,
     offset: req.query.offset || 0
   };
@@ -108,7 +138,8 @@ router.get('/readings', attachPatientIdFromJWT, verifyPatientMiddleware, enforce
         success: true,
         message: 'Readings retrieved successfully',
         data: {
-          readings: readings,
+          readings: unitConverter.convertReadingRows(readings, req.preferredUnit),
+          unit: req.preferredUnit,
           pagination: {
             total: totalCount,
             limit: parseInt(filters.limit),
@@ -124,7 +155,9 @@ router.get('/readings', attachPatientIdFromJWT, verifyPatientMiddleware, enforce
 /**
  * POST /api/patient/readings
  * Add new blood sugar reading
- * Body: patient_id, dateTime, value, unit (optional), foodNotes, activityNotes, event, symptoms, notes
+ * Body: patient_id, dateTime, value, unit (optional), readingContext (optional: Fasting, Before_Meal,
+ *       After_Meal, Bedtime, Overnight, Random), mealId (optional - the meal that preceded the reading),
+ *       foodNotes, activityNotes, event, symptoms, notes
  */
 router.post('/readings', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
   const db = req.app.locals.db;
@@ -147,10 +180,30 @@ router.post('/readings', attachPatientIdFromJWT, verifyPatientMiddleware, enforc
     });
   }
 
+  // Accept either supported unit; the value is converted to mg/dL before storage
+  const unit = req.body.unit ? unitConverter.normalizeUnit(req.body.unit) : unitConverter.CANONICAL_UNIT;
+  if (!unit) {
+    return res.status(400).json({
+      success: false,
+      message: `unit must be one of: ${unitConverter.SUPPORTED_UNITS.join(', ')}`
+    });
+  }
+
+  // Optional meal/time context; selects context-specific thresholds
+  const context = req.body.readingContext ? readingContext.normalizeContext(req.body.readingContext) : null;
+  if (req.body.readingContext && !context) {
+    return res.status(400).json({
+      success: false,
+      message: `readingContext must be one of: ${readingContext.READING_CONTEXTS.join(', ')}`
+    });
+  }
+
   const readingData = {
     dateTime: req.body.dateTime,
     value: value,
-    unit: req.body.unit || 'mg/dL',
+    unit: unit,
+    readingContext: context,
+    mealId: req.body.mealId || null,
     foodNotes: req.body.foodNotes || null,
     activityNotes: req.body.activityNotes || null,
     event: req.body.event || null,
@@ -161,6 +214,21 @@ router.post('/readings', attachPatientIdFromJWT, verifyPatientMiddleware, enforc
   patientAPI.addReading(db, patientId, readingData, (err, result) => {
     if (err) {
       console.error('Error adding reading:', err);
+
+      if (err.message.includes('Unauthorized') || err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      if (err.message.includes('meal eaten before') || err.message.includes('mealId')) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+
       return res.status(500).json({
         success: false,
         message: 'Error adding reading',
@@ -176,6 +244,87 @@ router.post('/readings', attachPatientIdFromJWT, verifyPatientMiddleware, enforc
   });
 });
 
+/**
+ * POST /api/patient/readings/import
+ * Bulk import readings from a CSV file or a CGM export
+ * Form data: file - generic CSV (header row: dateTime or date + time, value, and optional
+ *            unit, foodNotes, activityNotes, event, symptoms, notes), a Dexcom Clarity
+ *            export, or a LibreView export
+ * Query/Body: dryRun=true to validate and categorize without inserting
+ *             format=auto|csv|dexcom|libreview (default auto-detects)
+ *             dateOrder=DMY|MDY to override LibreView date detection
+ * Response data: { dry_run, format, source, total_rows, accepted, rejected, duplicates, skipped,
+ *                  inserted, rows: [{ line, status, reason?, category? }] }
+ */
+router.post('/readings/import', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, upload.single('file'), (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = req.patientId;
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'A CSV file is required (form field "file")'
+    });
+  }
+
+  const dryRunFlag = req.query.dryRun !== undefined ? req.query.dryRun : req.body.dryRun;
+  const dryRun = dryRunFlag === true || dryRunFlag === 'true' || dryRunFlag === '1';
+  const format = req.query.format || req.body.format || 'auto';
+  const dateOrder = (req.query.dateOrder || req.body.dateOrder || '').toUpperCase();
+
+  if (dateOrder && dateOrder !== 'DMY' && dateOrder !== 'MDY') {
+    fs.unlink(req.file.path, () => {});
+    return res.status(400).json({
+      success: false,
+      message: 'dateOrder must be DMY or MDY'
+    });
+  }
+
+  fs.readFile(req.file.path, 'utf8', (readErr, text) => {
+    // The upload is only needed long enough to parse it
+    fs.unlink(req.file.path, unlinkErr => {
+      if (unlinkErr) console.warn('Could not remove uploaded import file:', unlinkErr.message);
+    });
+
+    if (readErr) {
+      console.error('Error reading import file:', readErr);
+      return res.status(500).json({
+        success: false,
+        message: 'Error reading uploaded file',
+        error: readErr.message
+      });
+    }
+
+    const parsed = readingImportAPI.parseImportFile(text, format, { dateOrder: dateOrder || null });
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const importOptions = { dryRun: dryRun, source: parsed.source, skipped: parsed.skipped };
+    readingImportAPI.importReadings(db, patientId, parsed.rows, importOptions, (err, report) => {
+      if (err) {
+        console.error('Error importing readings:', err);
+        return res.status(500).json({
+          success: false,
+          message: 'Error importing readings',
+          error: err.message
+        });
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun
+          ? `Dry run: ${report.accepted} of ${report.total_rows} rows would be imported`
+          : `Imported ${report.inserted} of ${report.total_rows} rows`,
+        data: { ...report, format: parsed.format }
+      });
+    });
+  });
+});
+
 /**
  * PUT /api/patient/readings/:id
  * Update existing blood sugar reading
@@ -207,13 +356,45 @@ router.put('/readings/:id', attachPatientIdFromJWT, verifyPatientMiddleware, enf
       });
     }
     updateData.value = value;
+
+    // unit only describes the new value; it is not stored on its own
+    if (req.body.unit !== undefined) {
+      const unit = unitConverter.normalizeUnit(req.body.unit);
+      if (!unit) {
+        return res.status(400).json({
+          success: false,
+          message: `unit must be one of: ${unitConverter.SUPPORTED_UNITS.join(', ')}`
+        });
+      }
+      updateData.unit = unit;
+    }
   }
-  if (req.body.unit !== undefined) updateData.unit = req.body.unit;
   if (req.body.foodNotes !== undefined) updateData.foodNotes = req.body.foodNotes;
   if (req.body.activityNotes !== undefined) updateData.activityNotes = req.body.activityNotes;
   if (req.body.event !== undefined) updateData.event = req.body.event;
   if (req.body.symptoms !== undefined) updateData.symptoms = req.body.symptoms;
   if (req.body.notes !== undefined) updateData.notes = req.body.notes;
+  if (req.body.readingContext !== undefined) {
+    // null or an empty string clears the context
+    if (req.body.readingContext && !readingContext.normalizeContext(req.body.readingContext)) {
+      return res.status(400).json({
+        success: false,
+        message: `readingContext must be one of: ${readingContext.READING_CONTEXTS.join(', ')}`
+      });
+    }
+    updateData.readingContext = req.body.readingContext || null;
+  }
+  if (req.body.mealId !== undefined) {
+    // null or an empty value removes the link to a meal
+    const mealId = Number(req.body.mealId);
+    if (req.body.mealId && (!Number.isInteger(mealId) || mealId <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'mealId must be a valid meal ID'
+      });
+    }
+    updateData.mealId = req.body.mealId || null;
+  }
 
   if (Object.keys(updateData).length === 0) {
     return res.status(400).json({
@@ -233,6 +414,13 @@ router.put('/readings/:id', attachPatientIdFromJWT, verifyPatientMiddleware, enf
         });
       }
 
+      if (err.message.includes('meal eaten before')) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+
       return res.status(500).json({
         success: false,
         message: 'Error updating reading',
@@ -250,7 +438,7 @@ router.put('/readings/:id', attachPatientIdFromJWT, verifyPatientMiddleware, enf
 
 /**
  * DELETE /api/patient/readings/:id
- * Delete blood sugar reading
+ * Delete blood sugar reading (soft delete - it can be restored within the grace window)
  * Params: id (reading_id)
  * Query/Body: patient_id (required)
  */
@@ -292,6 +480,493 @@ router.delete('/readings/:id', attachPatientIdFromJWT, verifyPatientMiddleware,
   });
 });
 
+/**
+ * GET /api/patient/readings/deleted
+ * Get deleted readings that can still be restored
+ * Query params: patient_id (required), unit (optional, defaults to the user's preferred unit)
+ */
+router.get('/readings/deleted', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, attachPreferredUnit, (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = req.patientId;
+
+  patientAPI.getDeletedReadings(db, patientId, (err, readings) => {
+    if (err) {
+      console.error('Error getting deleted readings:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Error retrieving deleted readings',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Deleted readings retrieved successfully',
+      data: {
+        readings: unitConverter.convertReadingRows(readings, req.preferredUnit),
+        unit: req.preferredUnit
+      }
+    });
+  });
+});
+
+/**
+ * POST /api/patient/readings/:id/restore
+ * Restore a deleted reading (within the grace window after deletion)
+ * Params: id (reading_id)
+ * Body: patient_id (required)
+ */
+router.post('/readings/:id/restore', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+  const db = req.app.locals.db;
+  const readingId = parseInt(req.params.id);
+  const patientId = req.patientId;
+
+  if (!readingId || isNaN(readingId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid reading ID is required'
+    });
+  }
+
+  patientAPI.restoreReading(db, readingId, patientId, (err, result) => {
+    if (err) {
+      console.error('Error restoring reading:', err);
+
+      if (err.message.includes('Unauthorized') || err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      if (err.message.includes('not deleted') || err.message.includes('only be restored')) {
+        return res.status(409).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error restoring reading',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reading restored successfully',
+      data: result
+    });
+  });
+});
+
+/**
+ * Pick the medication fields present in a request body
+ * @param {Object} body - req.body
+ * @returns {Object} { dateTime, medicationType, drugName, dose, doseUnit, route, readingId, notes } (only those sent)
+ */
+function medicationFieldsFromBody(body) {
+  const fields = ['dateTime', 'medicationType', 'drugName', 'dose', 'doseUnit', 'route', 'readingId', 'notes'];
+  const data = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+/**
+ * GET /api/patient/medications
+ * Get the patient's insulin/medication dose log
+ * Query params: patient_id (required), startDate, endDate, medicationType, limit, offset
+ */
+router.get('/medications', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = req.patientId;
+
+  const { error, filters } = medicationAPI.parseMedicationFilters(req.query, 100);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  medicationAPI.getMedicationLog(db, patientId, filters, (err, doses) => {
+    if (err) {
+      console.error('Error getting medication log:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Error retrieving medication log',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Medication log retrieved successfully',
+      data: { medications: doses }
+    });
+  });
+});
+
+/**
+ * POST /api/patient/medications
+ * Log an insulin or medication dose
+ * Body: patient_id, dateTime, medicationType (Bolus_Insulin, Basal_Insulin, Oral, Other), drugName,
+ *       dose, doseUnit (default 'units'), route (Subcutaneous, Pump, Oral, Inhaled, Intravenous, Other),
+ *       readingId (optional - links the dose to a reading), notes
+ */
+router.post('/medications', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = req.patientId;
+  const medicationData = medicationFieldsFromBody(req.body);
+
+  const validationError = medicationAPI.validateMedicationData(medicationData, false);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError
+    });
+  }
+
+  medicationAPI.addMedication(db, patientId, medicationData, (err, result) => {
+    if (err) {
+      console.error('Error logging medication:', err);
+
+      if (err.message.includes('Unauthorized') || err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error logging medication',
+        error: err.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Medication logged successfully',
+      data: result
+    });
+  });
+});
+
+/**
+ * PUT /api/patient/medications/:id
+ * Update a logged dose
+ * Params: id (medication_id)
+ * Body: patient_id (required), and any fields to update (readingId null removes the link)
+ */
+router.put('/medications/:id', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+  const db = req.app.locals.db;
+  const medicationId = parseInt(req.params.id);
+  const patientId = req.patientId;
+
+  if (!medicationId || isNaN(medicationId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid medication ID is required'
+    });
+  }
+
+  const updateData = medicationFieldsFromBody(req.body);
+
+  if (Object.keys(updateData).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No fields provided for update'
+    });
+  }
+
+  const validationError = medicationAPI.validateMedicationData(updateData, true);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError
+    });
+  }
+
+  medicationAPI.updateMedication(db, medicationId, patientId, updateData, (err, result) => {
+    if (err) {
+      console.error('Error updating medication:', err);
+
+      if (err.message.includes('Unauthorized') || err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error updating medication',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Medication updated successfully',
+      data: result
+    });
+  });
+});
+
+/**
+ * DELETE /api/patient/medications/:id
+ * Delete a logged dose
+ * Params: id (medication_id)
+ * Query/Body: patient_id (required)
+ */
+router.delete('/medications/:id', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+  const db = req.app.locals.db;
+  const medicationId = parseInt(req.params.id);
+  const patientId = req.patientId;
+
+  if (!medicationId || isNaN(medicationId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid medication ID is required'
+    });
+  }
+
+  medicationAPI.deleteMedication(db, medicationId, patientId, (err, result) => {
+    if (err) {
+      console.error('Error deleting medication:', err);
+
+      if (err.message.includes('Unauthorized') || err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error deleting medication',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Medication deleted successfully',
+      data: result
+    });
+  });
+});
+
+/**
+ * GET /api/patient/foods
+ * Search the food dictionary (shared foods plus the patient's own)
+ * Query params: patient_id (required), q (optional search text), limit (optional, default 20)
+ */
+router.get('/foods', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = req.patientId;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  mealAPI.searchFoods(db, patientId, req.query.q || '', limit, (err, foods) => {
+    if (err) {
+      console.error('Error searching foods:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Error searching food dictionary',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Foods retrieved successfully',
+      data: { foods }
+    });
+  });
+});
+
+/**
+ * POST /api/patient/foods
+ * Add a food to the patient's own dictionary
+ * Body: patient_id, name, carbsPerServing (grams), servingDescription (optional),
+ *       aliases (optional, comma-separated other names)
+ */
+router.post('/foods', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = req.patientId;
+
+  const foodData = {
+    name: req.body.name,
+    carbsPerServing: req.body.carbsPerServing,
+    servingDescription: req.body.servingDescription || null,
+    aliases: req.body.aliases || null
+  };
+
+  mealAPI.addFood(db, patientId, foodData, (err, result) => {
+    if (err) {
+      console.error('Error adding food:', err);
+
+      if (err.message.includes('already exists')) {
+        return res.status(409).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      if (err.message.includes('must be')) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error adding food',
+        error: err.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Food added successfully',
+      data: result
+    });
+  });
+});
+
+/**
+ * GET /api/patient/meals
+ * Get the patient's meal log with meal items
+ * Query params: patient_id (required), startDate, endDate, limit (default 50)
+ */
+router.get('/meals', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = req.patientId;
+
+  const filters = {
+    startDate: req.query.startDate || null,
+    endDate: req.query.endDate || null,
+    limit: Math.min(parseInt(req.query.limit) || 50, 500)
+  };
+
+  mealAPI.getMeals(db, patientId, filters, (err, meals) => {
+    if (err) {
+      console.error('Error getting meals:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Error retrieving meals',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Meals retrieved successfully',
+      data: { meals }
+    });
+  });
+});
+
+/**
+ * POST /api/patient/meals
+ * Log a meal made of food dictionary items
+ * Body: patient_id, dateTime, mealType (Breakfast, Lunch, Dinner, Snack),
+ *       items: [{ foodId, servings (default 1), carbs (optional - overrides the estimate) }], notes
+ */
+router.post('/meals', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = req.patientId;
+
+  const mealData = {
+    dateTime: req.body.dateTime,
+    mealType: req.body.mealType,
+    items: req.body.items,
+    notes: req.body.notes || null
+  };
+
+  const validationError = mealAPI.validateMealData(mealData);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError
+    });
+  }
+
+  mealAPI.addMeal(db, patientId, mealData, (err, result) => {
+    if (err) {
+      console.error('Error logging meal:', err);
+
+      if (err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error logging meal',
+        error: err.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Meal logged successfully',
+      data: result
+    });
+  });
+});
+
+/**
+ * DELETE /api/patient/meals/:id
+ * Delete a meal (readings that referenced it keep their values but lose the link)
+ * Params: id (meal_id)
+ * Query/Body: patient_id (required)
+ */
+router.delete('/meals/:id', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+  const db = req.app.locals.db;
+  const mealId = parseInt(req.params.id);
+  const patientId = req.patientId;
+
+  if (!mealId || isNaN(mealId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid meal ID is required'
+    });
+  }
+
+  mealAPI.deleteMeal(db, mealId, patientId, (err, result) => {
+    if (err) {
+      console.error('Error deleting meal:', err);
+
+      if (err.message.includes('Unauthorized') || err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error deleting meal',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Meal deleted successfully',
+      data: result
+    });
+  });
+});
+
 /**
  * GET /api/patient/suggestions
  * Get AI-generated suggestions for patient
@@ -390,16 +1065,28 @@ router.get('/alerts', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePa
 
 /**
  * GET /api/patient/statistics
- * Get reading statistics for patient
- * Query params: patient_id (required), startDate, endDate
+ * Get reading statistics for patient, including a per-context breakdown and time in range
+ * and variability metrics
+ * Query params: patient_id (required), startDate, endDate, context, unit (optional),
+ *               expectedInterval (optional, minutes between readings for data sufficiency; default 5)
  */
-router.get('/statistics', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, (req, res) => {
+router.get('/statistics', attachPatientIdFromJWT, verifyPatientMiddleware, enforcePatientOwnership, attachPreferredUnit, (req, res) => {
   const db = req.app.locals.db;
   const patientId = req.patientId;
 
+  const filterError = patientAPI.validateStatisticsFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({
+      success: false,
+      message: filterError
+    });
+  }
+
   const filters = {
     startDate: req.query.startDate || null,
-    endDate: req.query.endDate || null
+    endDate: req.query.endDate || null,
+    context: readingContext.normalizeContext(req.query.context),
+    expectedInterval: req.query.expectedInterval || null
   };
 
   patientAPI.getReadingStatistics(db, patientId, filters, (err, stats) => {
@@ -415,7 +1102,7 @@ router.get('/statistics', attachPatientIdFromJWT, verifyPatientMiddleware, enfor
     res.json({
       success: true,
       message: 'Statistics retrieved successfully',
-      data: stats
+      data: patientAPI.convertStatistics(stats, req.preferredUnit)
     });
   });
 });
@@ -0,0 +1,120 @@
+// routes/scheduledTaskRoutes.js
+// Purpose: Express route handlers for administrators to see the scheduled tasks and their last
+//          run, change their schedule and settings, and run them straight away.
+
+const express = require('express');
+const router = express.Router();
+const scheduledTaskAPI = require('../api/scheduledTaskAPI');
+const scheduler = require('../services/scheduler');
+const { verifyToken, requireRole } = require('../middleware/auth');
+
+// Status code for an error from the scheduledTaskAPI or scheduler
+function taskErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message.includes('must') || err.message.includes('Invalid')) return 400;
+  if (err.message.includes('already')) return 409;
+  return 500;
+}
+
+/**
+ * GET /api/admin/scheduled-tasks
+ * Scheduled tasks with their schedule, settings, next run and last run's status and result.
+ * Accessible only by Administrators.
+ */
+router.get('/',
+  verifyToken,
+  requireRole('Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    scheduledTaskAPI.listTasks(db, (err, tasks) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error retrieving scheduled tasks', error: err.message });
+      }
+      res.json({ success: true, message: 'Scheduled tasks retrieved successfully.', data: tasks });
+    });
+  }
+);
+
+/**
+ * GET /api/admin/scheduled-tasks/:taskKey
+ * One scheduled task.
+ * Accessible only by Administrators.
+ */
+router.get('/:taskKey',
+  verifyToken,
+  requireRole('Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    scheduledTaskAPI.getTask(db, req.params.taskKey, (err, task) => {
+      if (err) {
+        if (taskErrorStatus(err) === 404) {
+          return res.status(404).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error retrieving scheduled task', error: err.message });
+      }
+      res.json({ success: true, message: 'Scheduled task retrieved successfully.', data: task });
+    });
+  }
+);
+
+/**
+ * PUT /api/admin/scheduled-tasks/:taskKey
+ * Change a task's schedule, settings or whether it runs. Omitted fields keep their value.
+ * Body: { "cron_expression": "0 2 * * *", "is_enabled": true, "settings": { "days": 3 } }
+ * Accessible only by Administrators.
+ */
+router.put('/:taskKey',
+  verifyToken,
+  requireRole('Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const { cron_expression, is_enabled, settings } = req.body || {};
+
+    if (cron_expression === undefined && is_enabled === undefined && settings === undefined) {
+      return res.status(400).json({ success: false, message: 'At least one of cron_expression, is_enabled or settings is required' });
+    }
+
+    scheduledTaskAPI.updateTask(db, req.params.taskKey, { cron_expression, is_enabled, settings }, req.user.user_id, (err, task) => {
+      if (err) {
+        const status = taskErrorStatus(err);
+        if (status !== 500) {
+          return res.status(status).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error updating scheduled task', error: err.message });
+      }
+
+      console.log(`Scheduled task ${req.params.taskKey} updated by user ${req.user.user_id}`);
+      res.json({ success: true, message: 'Scheduled task updated', data: task });
+    });
+  }
+);
+
+/**
+ * POST /api/admin/scheduled-tasks/:taskKey/run
+ * Run a task now. Responds once the run has started; its outcome is recorded on the task.
+ * Accessible only by Administrators.
+ */
+router.post('/:taskKey/run',
+  verifyToken,
+  requireRole('Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    scheduler.runNow(db, req.params.taskKey, req.user.user_id, (err, task) => {
+      if (err) {
+        const status = taskErrorStatus(err);
+        if (status !== 500) {
+          return res.status(status).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error starting scheduled task', error: err.message });
+      }
+
+      console.log(`Scheduled task ${req.params.taskKey} started by user ${req.user.user_id}`);
+      res.status(202).json({ success: true, message: 'Scheduled task started', data: task });
+    });
+  }
+);
+
+module.exports = router;
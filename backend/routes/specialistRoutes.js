@@ -6,6 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const specialistAPI = require('../api/specialistAPI');
+const patientAPI = require('../api/patientAPI');
+const agpAPI = require('../api/agpAPI');
+const medicationAPI = require('../api/medicationAPI');
+const recategorizationAPI = require('../api/recategorizationAPI');
+const thresholdTemplateAPI = require('../api/thresholdTemplateAPI');
+const unitConverter = require('../utils/unitConverter');
+const { attachPreferredUnit } = require('../middleware/unitPreference');
+const readingContext = require('../utils/readingContext');
 
 // Middleware to attach specialist ID from JWT token
 function attachSpecialistIdFromJWT(req, res, next) {
@@ -79,7 +87,7 @@ router.get('/patients', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (
  * GET /api/specialist/readings
  * Get all readings for all patients assigned to the specialist, with filtering
  */
-router.get('/readings', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (req, res) => {
+router.get('/readings', attachSpecialistIdFromJWT, verifySpecialistMiddleware, attachPreferredUnit, (req, res) => {
   const db = req.app.locals.db;
   const specialistId = req.specialistId;
 
@@ -104,7 +112,8 @@ router.get('/readings', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (
       success: true,
       message: 'Readings retrieved successfully',
       data: {
-        readings: readings,
+        readings: unitConverter.convertReadingRows(readings, req.preferredUnit),
+        unit: req.preferredUnit,
         count: readings.length
       }
     });
@@ -115,8 +124,9 @@ router.get('/readings', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (
  * GET /api/specialist/patients/:id
  * Get detailed information about a specific patient
  * Params: id (patient_id)
+ * Query params: startDate, endDate (range for statistics.glycemic_metrics), expectedInterval, unit
  */
-router.get('/patients/:id', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (req, res) => {
+router.get('/patients/:id', attachSpecialistIdFromJWT, verifySpecialistMiddleware, attachPreferredUnit, (req, res) => {
   const db = req.app.locals.db;
   const specialistId = req.specialistId;
   const patientId = parseInt(req.params.id);
@@ -128,7 +138,22 @@ router.get('/patients/:id', attachSpecialistIdFromJWT, verifySpecialistMiddlewar
     });
   }
 
-  specialistAPI.getPatientDetails(db, specialistId, patientId, (err, patientDetails) => {
+  const filterError = patientAPI.validateStatisticsFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({
+      success: false,
+      message: filterError
+    });
+  }
+
+  const filters = {
+    startDate: req.query.startDate || null,
+    endDate: req.query.endDate || null,
+    context: readingContext.normalizeContext(req.query.context),
+    expectedInterval: req.query.expectedInterval || null
+  };
+
+  specialistAPI.getPatientDetails(db, specialistId, patientId, filters, (err, patientDetails) => {
     if (err) {
       console.error('Error getting patient details:', err);
 
@@ -156,7 +181,11 @@ router.get('/patients/:id', attachSpecialistIdFromJWT, verifySpecialistMiddlewar
     res.json({
       success: true,
       message: 'Patient details retrieved successfully',
-      data: patientDetails
+      data: {
+        ...patientDetails,
+        statistics: patientAPI.convertStatistics(patientDetails.statistics, req.preferredUnit),
+        recent_readings: unitConverter.convertReadingRows(patientDetails.recent_readings, req.preferredUnit)
+      }
     });
   });
 });
@@ -165,9 +194,9 @@ router.get('/patients/:id', attachSpecialistIdFromJWT, verifySpecialistMiddlewar
  * GET /api/specialist/patients/:id/readings
  * Get reading history for a specific patient
  * Params: id (patient_id)
- * Query params: startDate, endDate, category, limit, offset
+ * Query params: startDate, endDate, category, context, limit, offset
  */
-router.get('/patients/:id/readings', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (req, res) => {
+router.get('/patients/:id/readings', attachSpecialistIdFromJWT, verifySpecialistMiddleware, attachPreferredUnit, (req, res) => {
   const db = req.app.locals.db;
   const specialistId = req.specialistId;
   const patientId = parseInt(req.params.id);
@@ -183,6 +212,7 @@ router.get('/patients/:id/readings', attachSpecialistIdFromJWT, verifySpecialist
     startDate: req.query.startDate || null,
     endDate: req.query.endDate || null,
     category: req.query.category || null,
+    context: readingContext.normalizeContext(req.query.context),
     limit: req.query.limit || 100,
     offset: req.query.offset || 0
   };
@@ -209,13 +239,449 @@ router.get('/patients/:id/readings', attachSpecialistIdFromJWT, verifySpecialist
       success: true,
       message: 'Patient readings retrieved successfully',
       data: {
-        readings: readings,
+        readings: unitConverter.convertReadingRows(readings, req.preferredUnit),
+        unit: req.preferredUnit,
         count: readings.length
       }
     });
   });
 });
 
+/**
+ * GET /api/specialist/patients/:id/agp
+ * Ambulatory Glucose Profile for a specific patient
+ * Params: id (patient_id)
+ * Query params: days (default 14), endDate (default today), binMinutes (default 15),
+ *               expectedInterval, unit (optional)
+ */
+router.get('/patients/:id/agp', attachSpecialistIdFromJWT, verifySpecialistMiddleware, attachPreferredUnit, (req, res) => {
+  const db = req.app.locals.db;
+  const specialistId = req.specialistId;
+  const patientId = parseInt(req.params.id);
+
+  if (!patientId || isNaN(patientId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid patient ID is required'
+    });
+  }
+
+  const { error, options } = agpAPI.parseAgpOptions(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  specialistAPI.getPatientAgpReport(db, specialistId, patientId, options, req.preferredUnit, (err, report) => {
+    if (err) {
+      console.error('Error generating AGP report:', err);
+
+      if (err.message.includes('not assigned')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not assigned to this patient'
+        });
+      }
+
+      if (err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error generating AGP report',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'AGP report generated successfully',
+      data: report
+    });
+  });
+});
+
+/**
+ * GET /api/specialist/patients/:id/medications
+ * Get the insulin/medication dose log of a specific patient
+ * Params: id (patient_id)
+ * Query params: startDate, endDate, medicationType, limit, offset
+ */
+router.get('/patients/:id/medications', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (req, res) => {
+  const db = req.app.locals.db;
+  const specialistId = req.specialistId;
+  const patientId = parseInt(req.params.id);
+
+  if (!patientId || isNaN(patientId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid patient ID is required'
+    });
+  }
+
+  const { error, filters } = medicationAPI.parseMedicationFilters(req.query, 200);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  specialistAPI.getPatientMedicationLog(db, specialistId, patientId, filters, (err, doses) => {
+    if (err) {
+      console.error('Error getting patient medication log:', err);
+
+      if (err.message.includes('not assigned')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not assigned to this patient'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error retrieving medication log',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Medication log retrieved successfully',
+      data: { medications: doses }
+    });
+  });
+});
+
+/**
+ * GET /api/specialist/patients/:id/readings/:readingId/history
+ * Get the revision history of a reading (creates, edits, deletes and restores, with old/new values)
+ * Params: id (patient_id), readingId
+ */
+router.get('/patients/:id/readings/:readingId/history', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (req, res) => {
+  const db = req.app.locals.db;
+  const specialistId = req.specialistId;
+  const patientId = parseInt(req.params.id);
+  const readingId = parseInt(req.params.readingId);
+
+  if (!patientId || isNaN(patientId) || !readingId || isNaN(readingId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid patient ID and reading ID are required'
+    });
+  }
+
+  specialistAPI.getReadingRevisionHistory(db, specialistId, patientId, readingId, (err, result) => {
+    if (err) {
+      console.error('Error getting reading history:', err);
+
+      if (err.message.includes('not assigned')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not assigned to this patient'
+        });
+      }
+
+      if (err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error retrieving reading history',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reading history retrieved successfully',
+      data: result
+    });
+  });
+});
+
+/**
+ * GET /api/specialist/patients/:id/threshold-profile
+ * Get an assigned patient's threshold profile (null if none) and the thresholds in effect for them
+ * Params: id (patient_id)
+ */
+router.get('/patients/:id/threshold-profile', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (req, res) => {
+  const db = req.app.locals.db;
+  const specialistId = req.specialistId;
+  const patientId = parseInt(req.params.id);
+
+  if (!patientId || isNaN(patientId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid patient ID is required'
+    });
+  }
+
+  specialistAPI.getPatientThresholdProfile(db, specialistId, patientId, (err, result) => {
+    if (err) {
+      console.error('Error getting patient threshold profile:', err);
+
+      if (err.message.includes('not assigned')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not assigned to this patient'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error retrieving threshold profile',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Threshold profile retrieved successfully',
+      data: result
+    });
+  });
+});
+
+/**
+ * PUT /api/specialist/patients/:id/threshold-profile
+ * Create or replace an assigned patient's full threshold profile. It replaces the system
+ * Normal/Borderline/Abnormal ranges for this patient until it expires, and sets the
+ * hypoglycemia cut-offs used by alerts. The patient's readings are re-categorized in the background.
+ * Params: id (patient_id)
+ * Body: Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High,
+ *       Hypo_Level1, Hypo_Level2, Reason (all required), Expires_At (optional)
+ */
+router.put('/patients/:id/threshold-profile', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (req, res) => {
+  const db = req.app.locals.db;
+  const specialistId = req.specialistId;
+  const patientId = parseInt(req.params.id);
+
+  if (!patientId || isNaN(patientId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid patient ID is required'
+    });
+  }
+
+  specialistAPI.setPatientThresholdProfile(db, specialistId, patientId, req.body, (err, profile) => {
+    if (err) {
+      console.error('Error setting patient threshold profile:', err);
+
+      if (err.message.includes('not assigned')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not assigned to this patient'
+        });
+      }
+
+      if (err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      if (err.message.includes('must') || err.message.includes('Invalid') || err.message.includes('required')) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error saving threshold profile',
+        error: err.message
+      });
+    }
+
+    recategorizationAPI.startRecategorization(db, {
+      patientId: patientId,
+      reason: 'Patient threshold profile updated',
+      requestedBy: specialistId
+    }, (err, job) => {
+      if (err) console.error('Error queueing recategorization job:', err);
+
+      res.json({
+        success: true,
+        message: 'Threshold profile saved successfully',
+        data: { profile: profile, recategorization_job_id: job ? job.job_id : null }
+      });
+    });
+  });
+});
+
+/**
+ * GET /api/specialist/threshold-templates
+ * Threshold templates that can be applied to a patient
+ */
+router.get('/threshold-templates', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (req, res) => {
+  const db = req.app.locals.db;
+
+  thresholdTemplateAPI.getTemplates(db, (err, templates) => {
+    if (err) {
+      console.error('Error getting threshold templates:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Error retrieving threshold templates',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Threshold templates retrieved successfully',
+      data: templates
+    });
+  });
+});
+
+/**
+ * POST /api/specialist/patients/:id/threshold-profile/template
+ * Apply a threshold template to an assigned patient. The patient's profile takes the template's
+ * ranges and stays linked to it. The patient's readings are re-categorized in the background.
+ * Params: id (patient_id)
+ * Body: templateId (required), reason (optional, defaults to the template name), expiresAt (optional)
+ */
+router.post('/patients/:id/threshold-profile/template', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (req, res) => {
+  const db = req.app.locals.db;
+  const specialistId = req.specialistId;
+  const patientId = parseInt(req.params.id);
+  const templateId = parseInt(req.body.templateId);
+
+  if (!patientId || isNaN(patientId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid patient ID is required'
+    });
+  }
+
+  if (!templateId || isNaN(templateId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid templateId is required'
+    });
+  }
+
+  const options = { reason: req.body.reason, expiresAt: req.body.expiresAt };
+
+  specialistAPI.applyThresholdTemplate(db, specialistId, patientId, templateId, options, (err, profile) => {
+    if (err) {
+      console.error('Error applying threshold template:', err);
+
+      if (err.message.includes('not assigned')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not assigned to this patient'
+        });
+      }
+
+      if (err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      if (err.message.includes('must') || err.message.includes('Invalid') || err.message.includes('required')) {
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error applying threshold template',
+        error: err.message
+      });
+    }
+
+    recategorizationAPI.startRecategorization(db, {
+      patientId: patientId,
+      reason: `Threshold template "${profile.Template_Name}" applied`,
+      requestedBy: specialistId
+    }, (err, job) => {
+      if (err) console.error('Error queueing recategorization job:', err);
+
+      res.json({
+        success: true,
+        message: 'Threshold template applied successfully',
+        data: { profile: profile, recategorization_job_id: job ? job.job_id : null }
+      });
+    });
+  });
+});
+
+/**
+ * DELETE /api/specialist/patients/:id/threshold-profile
+ * Remove an assigned patient's threshold profile; the system ranges apply again
+ * Params: id (patient_id)
+ */
+router.delete('/patients/:id/threshold-profile', attachSpecialistIdFromJWT, verifySpecialistMiddleware, (req, res) => {
+  const db = req.app.locals.db;
+  const specialistId = req.specialistId;
+  const patientId = parseInt(req.params.id);
+
+  if (!patientId || isNaN(patientId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid patient ID is required'
+    });
+  }
+
+  specialistAPI.deletePatientThresholdProfile(db, specialistId, patientId, (err, result) => {
+    if (err) {
+      console.error('Error removing patient threshold profile:', err);
+
+      if (err.message.includes('not assigned')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not assigned to this patient'
+        });
+      }
+
+      if (err.message.includes('not found')) {
+        return res.status(404).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Error removing threshold profile',
+        error: err.message
+      });
+    }
+
+    recategorizationAPI.startRecategorization(db, {
+      patientId: patientId,
+      reason: 'Patient threshold profile removed',
+      requestedBy: specialistId
+    }, (err, job) => {
+      if (err) console.error('Error queueing recategorization job:', err);
+
+      res.json({
+        success: true,
+        message: 'Threshold profile removed successfully',
+        data: { ...result, recategorization_job_id: job ? job.job_id : null }
+      });
+    });
+  });
+});
+
 /**
  * GET /api/specialist/patients/:id/alerts
  * Get alerts for a specific patient
@@ -7,62 +7,35 @@ const express = require('express');
 const router = express.Router();
 const thresholdAPI = require('../api/thresholdAPI');
 const staffAPI = require('../api/staffAPI'); // Import staffAPI
+const patientAPI = require('../api/patientAPI');
+const agpAPI = require('../api/agpAPI');
+const medicationAPI = require('../api/medicationAPI');
+const readingHistoryAPI = require('../api/readingHistoryAPI');
+const recategorizationAPI = require('../api/recategorizationAPI');
 const { verifyToken, requireRole } = require('../middleware/auth'); // Import auth middleware
+const { attachPreferredUnit } = require('../middleware/unitPreference');
+const readingContext = require('../utils/readingContext');
+const unitConverter = require('../utils/unitConverter');
 
 // Middleware to validate staff_id from request - REMOVED
 
 /**
- * GET /api/staff/thresholds
- * Get current system threshold settings
- * Accessible by Clinic_Staff and Administrator roles.
- * Response: { success, message, data: { Threshold_ID, Normal_Low, Normal_High, ..., Effective_Date } }
- */
-router.get('/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
-  const db = req.app.locals.db;
-
-  thresholdAPI.getSystemThresholds(db, (err, thresholds) => {
-    if (err) {
-      console.error('Error retrieving system thresholds:', err);
-      return res.status(500).json({
-        success: false,
-        message: 'Error retrieving system thresholds'
-      });
-    }
-
-    if (!thresholds) {
-      return res.status(404).json({
-        success: false,
-        message: 'No system thresholds found'
-      });
-    }
-
-    res.status(200).json({
-      success: true,
-      message: 'System thresholds retrieved successfully',
-      data: thresholds
-    });
-  });
-});
-
-/**
- * PUT /api/staff/thresholds
- * Update system threshold settings (creates new versioned record)
- * Accessible by Clinic_Staff and Administrator roles.
- * Body: Normal_Low, Normal_High, Borderline_Low, Borderline_High,
- *       Abnormal_Low, Abnormal_High (all required)
- * Response: { success, message, data: { threshold_id } }
+ * Validate a system threshold body (PUT /thresholds and its preview)
+ * @param {Object} body - Request body
+ * @returns {Object} { thresholdData } for the thresholdAPI, or { error } with a validation message
  */
-router.put('/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
-  const db = req.app.locals.db;
-
+function parseSystemThresholds(body) {
   const {
     Normal_Low,
     Normal_High,
     Borderline_Low,
     Borderline_High,
     Abnormal_Low,
-    Abnormal_High
-  } = req.body;
+    Abnormal_High,
+    Reading_Context,
+    Effective_Date,
+    Change_Note
+  } = body;
 
   // Validate all required fields are present
   if (
@@ -73,10 +46,7 @@ router.put('/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrato
     Abnormal_Low === undefined ||
     Abnormal_High === undefined
   ) {
-    return res.status(400).json({
-      success: false,
-      message: 'Missing required fields: Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High'
-    });
+    return { error: 'Missing required fields: Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High' };
   }
 
   // Convert to numbers
@@ -96,10 +66,7 @@ router.put('/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrato
     isNaN(abnormalLow) ||
     isNaN(abnormalHigh)
   ) {
-    return res.status(400).json({
-      success: false,
-      message: 'All threshold values must be valid numbers'
-    });
+    return { error: 'All threshold values must be valid numbers' };
   }
 
   // Validate reasonable value ranges (0 < value < 1000 for mg/dL)
@@ -111,57 +78,166 @@ router.put('/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrato
     abnormalLow <= 0 || abnormalLow >= 1000 ||
     abnormalHigh <= 0 || abnormalHigh >= 1000
   ) {
-    return res.status(400).json({
-      success: false,
-      message: 'All threshold values must be between 0 and 1000 mg/dL'
-    });
+    return { error: 'All threshold values must be between 0 and 1000 mg/dL' };
   }
 
   // Validate logical consistency of ranges
   if (normalLow >= normalHigh) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid Normal range: Normal_Low must be less than Normal_High'
-    });
+    return { error: 'Invalid Normal range: Normal_Low must be less than Normal_High' };
   }
 
   if (borderlineLow < normalHigh) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid Borderline range: Borderline_Low must be greater than or equal to Normal_High'
-    });
+    return { error: 'Invalid Borderline range: Borderline_Low must be greater than or equal to Normal_High' };
   }
 
   if (borderlineLow >= borderlineHigh) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid Borderline range: Borderline_Low must be less than Borderline_High'
-    });
+    return { error: 'Invalid Borderline range: Borderline_Low must be less than Borderline_High' };
   }
 
   if (abnormalLow > borderlineLow) {
+    return { error: 'Invalid Abnormal range: Abnormal_Low must be less than or equal to Borderline_Low' };
+  }
+
+  if (abnormalHigh < borderlineHigh) {
+    return { error: 'Invalid Abnormal range: Abnormal_High must be greater than or equal to Borderline_High' };
+  }
+
+  const context = Reading_Context ? readingContext.normalizeContext(Reading_Context) : null;
+  if (Reading_Context && !context) {
+    return { error: `Reading_Context must be one of: ${readingContext.READING_CONTEXTS.join(', ')}` };
+  }
+
+  // Optional effective date: in the future schedules the version, in the past backdates it
+  const effectiveDate = Effective_Date ? new Date(Effective_Date) : null;
+  if (effectiveDate && isNaN(effectiveDate.getTime())) {
+    return { error: 'Effective_Date must be a valid date' };
+  }
+
+  // Prepare threshold data for API (using lowercase keys as per thresholdAPI)
+  return {
+    thresholdData: {
+      normal_low: normalLow,
+      normal_high: normalHigh,
+      borderline_low: borderlineLow,
+      borderline_high: borderlineHigh,
+      abnormal_low: abnormalLow,
+      abnormal_high: abnormalHigh,
+      context: context,
+      effective_date: effectiveDate,
+      note: Change_Note ? String(Change_Note).trim().slice(0, 255) || null : null
+    }
+  };
+}
+
+/**
+ * Start re-categorizing stored readings after a threshold change. A failure to queue the job is
+ * logged and reported as a null job ID; the threshold change itself has already been saved.
+ * @param {Object} db - Database connection
+ * @param {Object} options - See recategorizationAPI.startRecategorization
+ * @param {Function} callback - Callback function(jobId)
+ */
+function queueRecategorization(db, options, callback) {
+  recategorizationAPI.startRecategorization(db, options, (err, job) => {
+    if (err) {
+      console.error('Error queueing recategorization job:', err);
+      return callback(null);
+    }
+    callback(job.job_id);
+  });
+}
+
+/**
+ * Validate a patient Normal range body (PUT /patients/:patientId/thresholds and its preview)
+ * @param {Object} body - Request body
+ * @returns {Object} { normalLow, normalHigh, context }, or { error } with a validation message
+ */
+function parsePatientThresholds(body) {
+  const normalLow = parseFloat(body.Normal_Low);
+  const normalHigh = parseFloat(body.Normal_High);
+
+  if (isNaN(normalLow) || isNaN(normalHigh)) {
+    return { error: 'Normal_Low and Normal_High must be valid numbers' };
+  }
+
+  if (normalLow <= 0 || normalHigh >= 1000 || normalLow >= normalHigh) {
+    return { error: 'Invalid Normal range: values must be between 0 and 1000 mg/dL and Normal_Low must be less than Normal_High' };
+  }
+
+  const context = body.Reading_Context ? readingContext.normalizeContext(body.Reading_Context) : null;
+  if (body.Reading_Context && !context) {
+    return { error: `Reading_Context must be one of: ${readingContext.READING_CONTEXTS.join(', ')}` };
+  }
+
+  return { normalLow, normalHigh, context };
+}
+
+/**
+ * GET /api/staff/thresholds
+ * Get current system threshold settings
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Query parameter: context (optional) - reading context (e.g. Fasting, After_Meal); falls back
+ *                  to the default set when that context has no thresholds of its own
+ * Response: { success, message, data: { Threshold_ID, Normal_Low, Normal_High, ..., Reading_Context, Effective_Date } }
+ */
+router.get('/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const context = readingContext.normalizeContext(req.query.context);
+
+  if (req.query.context && !context) {
     return res.status(400).json({
       success: false,
-      message: 'Invalid Abnormal range: Abnormal_Low must be less than or equal to Borderline_Low'
+      message: `context must be one of: ${readingContext.READING_CONTEXTS.join(', ')}`
     });
   }
 
-  if (abnormalHigh < borderlineHigh) {
+  thresholdAPI.getSystemThresholdsForContext(db, context, (err, thresholds) => {
+    if (err) {
+      console.error('Error retrieving system thresholds:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Error retrieving system thresholds'
+      });
+    }
+
+    if (!thresholds) {
+      return res.status(404).json({
+        success: false,
+        message: 'No system thresholds found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'System thresholds retrieved successfully',
+      data: thresholds
+    });
+  });
+});
+
+/**
+ * PUT /api/staff/thresholds
+ * Update system threshold settings (creates new versioned record)
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Body: Normal_Low, Normal_High, Borderline_Low, Borderline_High,
+ *       Abnormal_Low, Abnormal_High (all required),
+ *       Reading_Context (optional - omit to update the default set),
+ *       Effective_Date (optional - a future date schedules the version; defaults to now),
+ *       Change_Note (optional - shown in the version history)
+ * Readings are categorized by the version in effect at their own DateTime; unless the version is
+ * scheduled, stored readings are re-categorized in the background.
+ * Response: { success, message, data: { threshold_id, thresholds, recategorization_job_id } }
+ */
+router.put('/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+
+  const parsed = parseSystemThresholds(req.body);
+  if (parsed.error) {
     return res.status(400).json({
       success: false,
-      message: 'Invalid Abnormal range: Abnormal_High must be greater than or equal to Borderline_High'
+      message: parsed.error
     });
   }
-
-  // Prepare threshold data for API (using lowercase keys as per thresholdAPI)
-  const thresholdData = {
-    normal_low: normalLow,
-    normal_high: normalHigh,
-    borderline_low: borderlineLow,
-    borderline_high: borderlineHigh,
-    abnormal_low: abnormalLow,
-    abnormal_high: abnormalHigh
-  };
+  const thresholdData = { ...parsed.thresholdData, created_by: req.user.user_id };
 
   thresholdAPI.updateSystemThresholds(db, thresholdData, (err, result) => {
     if (err) {
@@ -174,23 +250,147 @@ router.put('/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrato
 
     console.log(`System thresholds updated by user ${req.user.user_id}, new Threshold_ID: ${result.threshold_id}`);
 
-    res.status(201).json({
-      success: true,
-      message: 'System thresholds updated successfully',
-      data: {
-        threshold_id: result.threshold_id,
-        thresholds: thresholdData
+    if (result.scheduled) {
+      // Stored readings all predate a scheduled version; nothing to re-categorize yet
+      return res.status(201).json({
+        success: true,
+        message: 'System thresholds scheduled successfully',
+        data: {
+          threshold_id: result.threshold_id,
+          thresholds: thresholdData,
+          effective_date: result.effective_date,
+          recategorization_job_id: null
+        }
+      });
+    }
+
+    queueRecategorization(db, {
+      reason: `System thresholds updated (${thresholdData.context || 'default'})`,
+      thresholdId: result.threshold_id,
+      requestedBy: req.user.user_id
+    }, (jobId) => {
+      res.status(201).json({
+        success: true,
+        message: 'System thresholds updated successfully',
+        data: {
+          threshold_id: result.threshold_id,
+          thresholds: thresholdData,
+          recategorization_job_id: jobId
+        }
+      });
+    });
+  });
+});
+
+/**
+ * POST /api/staff/thresholds/preview
+ * Preview how a system threshold change would re-categorize stored readings, without saving it.
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Body: same as PUT /api/staff/thresholds
+ * Response: { success, message, data: { readings_checked, readings_changed, patients_affected,
+ *             transitions: { 'Normal->Borderline': n, ... }, sample: [...] } }
+ */
+router.post('/thresholds/preview', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+
+  const parsed = parseSystemThresholds(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, message: parsed.error });
+  }
+
+  recategorizationAPI.previewRecategorization(db, { change: { system: parsed.thresholdData } }, (err, preview) => {
+    if (err) {
+      console.error('Error previewing threshold change:', err);
+      return res.status(500).json({ success: false, message: 'Error previewing threshold change', error: err.message });
+    }
+    res.json({ success: true, message: 'Threshold change preview generated', data: preview });
+  });
+});
+
+/**
+ * GET /api/staff/thresholds/history
+ * Version history of the system thresholds, newest first, including scheduled versions.
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Query parameter: context (optional) - a reading context, or 'default' for the default set;
+ *                  omit for every set
+ * Response: { success, message, data: [{ threshold_id, reading_context, effective_date, status,
+ *             values, changes: [{ field, from, to }], created_by, created_at, note, rolled_back_from }] }
+ */
+router.get('/thresholds/history', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  let context = null;
+
+  if (req.query.context === 'default') {
+    context = 'default';
+  } else if (req.query.context) {
+    context = readingContext.normalizeContext(req.query.context);
+    if (!context) {
+      return res.status(400).json({
+        success: false,
+        message: `context must be 'default' or one of: ${readingContext.READING_CONTEXTS.join(', ')}`
+      });
+    }
+  }
+
+  thresholdAPI.getThresholdHistory(db, context, (err, history) => {
+    if (err) {
+      console.error('Error retrieving threshold history:', err);
+      return res.status(500).json({ success: false, message: 'Error retrieving threshold history', error: err.message });
+    }
+    res.json({ success: true, message: 'Threshold history retrieved', data: history });
+  });
+});
+
+/**
+ * POST /api/staff/thresholds/:thresholdId/rollback
+ * Roll back to a previous version: its values become a new version effective now.
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Body: note (optional)
+ * Response: { success, message, data: { threshold_id, rolled_back_from, thresholds, recategorization_job_id } }
+ */
+router.post('/thresholds/:thresholdId/rollback', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const thresholdId = parseInt(req.params.thresholdId);
+
+  if (isNaN(thresholdId) || thresholdId <= 0) {
+    return res.status(400).json({ success: false, message: 'Invalid threshold ID' });
+  }
+
+  const note = req.body.note ? String(req.body.note).slice(0, 255) : null;
+
+  thresholdAPI.rollbackThresholds(db, thresholdId, req.user.user_id, note, (err, result) => {
+    if (err) {
+      if (err.message.includes('not found')) {
+        return res.status(404).json({ success: false, message: err.message });
       }
+      console.error('Error rolling back thresholds:', err);
+      return res.status(500).json({ success: false, message: 'Error rolling back thresholds', error: err.message });
+    }
+
+    console.log(`Thresholds rolled back to version ${thresholdId} by user ${req.user.user_id}, new Threshold_ID: ${result.threshold_id}`);
+
+    queueRecategorization(db, {
+      reason: `Thresholds rolled back to version ${thresholdId}`,
+      thresholdId: result.threshold_id,
+      requestedBy: req.user.user_id
+    }, (jobId) => {
+      res.status(201).json({
+        success: true,
+        message: 'Thresholds rolled back successfully',
+        data: { ...result, recategorization_job_id: jobId }
+      });
     });
   });
 });
 
 /**
  * DELETE /api/staff/thresholds
- * Delete a threshold by ID or latest if no ID provided
+ * Delete a threshold by ID or the latest version in effect if no ID provided.
+ * Versions that stored readings were categorized under are kept (409).
  * Accessible by Clinic_Staff and Administrator roles.
  * Query parameter: id (optional) - Threshold_ID to delete
- * Response: { success, message, data: { threshold_id, deleted } }
+ * Stored readings are re-categorized in the background under the remaining thresholds.
+ * Response: { success, message, data: { threshold_id, deleted, recategorization_job_id } }
  */
 router.delete('/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
   const db = req.app.locals.db;
@@ -214,6 +414,12 @@ router.delete('/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administr
           message: err.message
         });
       }
+      if (err.message.includes('in use')) {
+        return res.status(409).json({
+          success: false,
+          message: err.message
+        });
+      }
 
       return res.status(500).json({
         success: false,
@@ -224,10 +430,15 @@ router.delete('/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administr
 
     console.log(`Threshold deleted by user ${req.user.user_id}, Threshold_ID: ${result.threshold_id}`);
 
-    res.status(200).json({
-      success: true,
-      message: 'Threshold deleted successfully',
-      data: result
+    queueRecategorization(db, {
+      reason: `Threshold ${result.threshold_id} deleted`,
+      requestedBy: req.user.user_id
+    }, (jobId) => {
+      res.status(200).json({
+        success: true,
+        message: 'Threshold deleted successfully',
+        data: { ...result, recategorization_job_id: jobId }
+      });
     });
   });
 });
@@ -305,10 +516,11 @@ router.get('/patients', verifyToken, requireRole('Clinic_Staff', 'Administrator'
 
 /**
  * GET /api/staff/patients/:patientId
- * Get details for a specific patient.
+ * Get details for a specific patient, with reading statistics and glycemic metrics.
  * Accessible by Clinic_Staff and Administrator roles.
+ * Query params: startDate, endDate, context, expectedInterval, unit (optional)
  */
-router.get('/patients/:patientId', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+router.get('/patients/:patientId', verifyToken, requireRole('Clinic_Staff', 'Administrator'), attachPreferredUnit, (req, res) => {
   const db = req.app.locals.db;
   const patientId = parseInt(req.params.patientId);
 
@@ -316,7 +528,19 @@ router.get('/patients/:patientId', verifyToken, requireRole('Clinic_Staff', 'Adm
     return res.status(400).json({ success: false, message: 'Invalid patient ID' });
   }
 
-  staffAPI.getStaffPatientDetails(db, patientId, (err, patient) => {
+  const filterError = patientAPI.validateStatisticsFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ success: false, message: filterError });
+  }
+
+  const filters = {
+    startDate: req.query.startDate || null,
+    endDate: req.query.endDate || null,
+    context: readingContext.normalizeContext(req.query.context),
+    expectedInterval: req.query.expectedInterval || null
+  };
+
+  staffAPI.getStaffPatientDetails(db, patientId, filters, (err, patient) => {
     if (err) {
       console.error('Error retrieving patient details:', err);
       return res.status(500).json({ success: false, message: 'Error retrieving patient details' });
@@ -324,7 +548,11 @@ router.get('/patients/:patientId', verifyToken, requireRole('Clinic_Staff', 'Adm
     if (!patient) {
       return res.status(404).json({ success: false, message: 'Patient not found' });
     }
-    res.json({ success: true, message: 'Patient details retrieved', data: patient });
+    res.json({
+      success: true,
+      message: 'Patient details retrieved',
+      data: { ...patient, statistics: patientAPI.convertStatistics(patient.statistics, req.preferredUnit) }
+    });
   });
 });
 
@@ -333,7 +561,7 @@ router.get('/patients/:patientId', verifyToken, requireRole('Clinic_Staff', 'Adm
  * Get all readings for a specific patient.
  * Accessible by Clinic_Staff and Administrator roles.
  */
-router.get('/patients/:patientId/readings', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+router.get('/patients/:patientId/readings', verifyToken, requireRole('Clinic_Staff', 'Administrator'), attachPreferredUnit, (req, res) => {
   const db = req.app.locals.db;
   const patientId = parseInt(req.params.patientId);
 
@@ -346,6 +574,7 @@ router.get('/patients/:patientId/readings', verifyToken, requireRole('Clinic_Sta
     startDate: req.query.startDate || null,
     endDate: req.query.endDate || null,
     category: req.query.category || null,
+    context: readingContext.normalizeContext(req.query.context),
     limit: req.query.limit || null,
     offset: req.query.offset || null,
   };
@@ -355,7 +584,325 @@ router.get('/patients/:patientId/readings', verifyToken, requireRole('Clinic_Sta
       console.error('Error retrieving patient readings:', err);
       return res.status(500).json({ success: false, message: 'Error retrieving patient readings' });
     }
-    res.json({ success: true, message: 'Patient readings retrieved', data: readings });
+    res.json({ success: true, message: 'Patient readings retrieved', data: unitConverter.convertReadingRows(readings, req.preferredUnit) });
+  });
+});
+
+/**
+ * GET /api/staff/patients/:patientId/agp
+ * Ambulatory Glucose Profile for a specific patient.
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Query params: days (default 14), endDate (default today), binMinutes (default 15), expectedInterval, unit
+ */
+router.get('/patients/:patientId/agp', verifyToken, requireRole('Clinic_Staff', 'Administrator'), attachPreferredUnit, (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = parseInt(req.params.patientId);
+
+  if (isNaN(patientId)) {
+    return res.status(400).json({ success: false, message: 'Invalid patient ID' });
+  }
+
+  const { error, options } = agpAPI.parseAgpOptions(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  agpAPI.getAgpReport(db, patientId, options, req.preferredUnit, (err, report) => {
+    if (err) {
+      if (err.message.includes('not found')) {
+        return res.status(404).json({ success: false, message: 'Patient not found' });
+      }
+      console.error('Error generating AGP report:', err);
+      return res.status(500).json({ success: false, message: 'Error generating AGP report' });
+    }
+    res.json({ success: true, message: 'AGP report generated', data: report });
+  });
+});
+
+/**
+ * GET /api/staff/patients/:patientId/medications
+ * Get the insulin/medication dose log of a specific patient.
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Query params: startDate, endDate, medicationType, limit, offset
+ */
+router.get('/patients/:patientId/medications', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = parseInt(req.params.patientId);
+
+  if (isNaN(patientId)) {
+    return res.status(400).json({ success: false, message: 'Invalid patient ID' });
+  }
+
+  const { error, filters } = medicationAPI.parseMedicationFilters(req.query, 200);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  medicationAPI.getMedicationLog(db, patientId, filters, (err, doses) => {
+    if (err) {
+      console.error('Error retrieving patient medication log:', err);
+      return res.status(500).json({ success: false, message: 'Error retrieving patient medication log' });
+    }
+    res.json({ success: true, message: 'Patient medication log retrieved', data: doses });
+  });
+});
+
+/**
+ * GET /api/staff/patients/:patientId/readings/:readingId/history
+ * Get the revision history of a reading (creates, edits, deletes and restores, with old/new values).
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Response: { success, message, data: { reading, history: [...] } }
+ */
+router.get('/patients/:patientId/readings/:readingId/history', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = parseInt(req.params.patientId);
+  const readingId = parseInt(req.params.readingId);
+
+  if (isNaN(patientId) || isNaN(readingId)) {
+    return res.status(400).json({ success: false, message: 'Invalid patient or reading ID' });
+  }
+
+  readingHistoryAPI.getReadingHistory(db, readingId, patientId, (err, result) => {
+    if (err) {
+      console.error('Error retrieving reading history:', err);
+      if (err.message.includes('not found')) {
+        return res.status(404).json({ success: false, message: err.message });
+      }
+      return res.status(500).json({ success: false, message: 'Error retrieving reading history' });
+    }
+    res.json({ success: true, message: 'Reading history retrieved', data: result });
+  });
+});
+
+/**
+ * GET /api/staff/patients/:patientId/thresholds
+ * Get a patient's effective thresholds for the default set and every reading context.
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Response: { success, message, data: { default: {...}, contexts: [{ ..., Reading_Context }] } }
+ */
+router.get('/patients/:patientId/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = parseInt(req.params.patientId);
+
+  if (isNaN(patientId)) {
+    return res.status(400).json({ success: false, message: 'Invalid patient ID' });
+  }
+
+  thresholdAPI.getPatientThresholdsByContext(db, patientId, (err, thresholds) => {
+    if (err) {
+      if (err.message.includes('not found')) {
+        return res.status(404).json({ success: false, message: err.message });
+      }
+      console.error('Error retrieving patient thresholds:', err);
+      return res.status(500).json({ success: false, message: 'Error retrieving patient thresholds', error: err.message });
+    }
+    res.json({ success: true, message: 'Patient thresholds retrieved', data: thresholds });
+  });
+});
+
+/**
+ * PUT /api/staff/patients/:patientId/thresholds
+ * Set a patient's Normal range, either general or for one reading context.
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Body: Normal_Low, Normal_High (required), Reading_Context (optional - omit for the general range)
+ * The patient's stored readings are re-categorized in the background.
+ */
+router.put('/patients/:patientId/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = parseInt(req.params.patientId);
+
+  if (isNaN(patientId)) {
+    return res.status(400).json({ success: false, message: 'Invalid patient ID' });
+  }
+
+  const parsed = parsePatientThresholds(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, message: parsed.error });
+  }
+  const { normalLow, normalHigh, context } = parsed;
+
+  const done = (err) => {
+    if (err) {
+      if (err.message.includes('not found')) {
+        return res.status(404).json({ success: false, message: err.message });
+      }
+      console.error('Error updating patient thresholds:', err);
+      return res.status(500).json({ success: false, message: 'Error updating patient thresholds', error: err.message });
+    }
+
+    console.log(`Patient ${patientId} thresholds (${context || 'general'}) updated by user ${req.user.user_id}`);
+    queueRecategorization(db, {
+      patientId: patientId,
+      reason: `Patient thresholds updated (${context || 'general'})`,
+      requestedBy: req.user.user_id
+    }, (jobId) => {
+      res.json({
+        success: true,
+        message: 'Patient thresholds updated',
+        data: { patient_id: patientId, Reading_Context: context, Normal_Low: normalLow, Normal_High: normalHigh, recategorization_job_id: jobId }
+      });
+    });
+  };
+
+  if (context) {
+    // Check the patient exists first; the context table has no row to report a miss on
+    thresholdAPI.getEffectiveThresholds(db, patientId, (err) => {
+      if (err) return done(err);
+      thresholdAPI.setPatientContextThreshold(db, patientId, context, normalLow, normalHigh, done);
+    });
+  } else {
+    thresholdAPI.updatePatientThresholds(db, patientId, normalLow, normalHigh, done);
+  }
+});
+
+/**
+ * DELETE /api/staff/patients/:patientId/thresholds
+ * Remove a patient's context-specific Normal range (the context falls back to the system range).
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Query parameter: context (required)
+ */
+router.delete('/patients/:patientId/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = parseInt(req.params.patientId);
+  const context = readingContext.normalizeContext(req.query.context);
+
+  if (isNaN(patientId)) {
+    return res.status(400).json({ success: false, message: 'Invalid patient ID' });
+  }
+
+  if (!context) {
+    return res.status(400).json({
+      success: false,
+      message: `context is required and must be one of: ${readingContext.READING_CONTEXTS.join(', ')}`
+    });
+  }
+
+  thresholdAPI.deletePatientContextThreshold(db, patientId, context, (err, result) => {
+    if (err) {
+      if (err.message.includes('not found')) {
+        return res.status(404).json({ success: false, message: err.message });
+      }
+      console.error('Error deleting patient context threshold:', err);
+      return res.status(500).json({ success: false, message: 'Error deleting patient context threshold', error: err.message });
+    }
+    queueRecategorization(db, {
+      patientId: patientId,
+      reason: `Patient thresholds removed (${context})`,
+      requestedBy: req.user.user_id
+    }, (jobId) => {
+      res.json({
+        success: true,
+        message: 'Patient context threshold removed',
+        data: { patient_id: patientId, Reading_Context: context, ...result, recategorization_job_id: jobId }
+      });
+    });
+  });
+});
+
+/**
+ * POST /api/staff/patients/:patientId/thresholds/preview
+ * Preview how a change to a patient's Normal range would re-categorize their stored readings.
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Body: same as PUT /api/staff/patients/:patientId/thresholds
+ */
+router.post('/patients/:patientId/thresholds/preview', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = parseInt(req.params.patientId);
+
+  if (isNaN(patientId)) {
+    return res.status(400).json({ success: false, message: 'Invalid patient ID' });
+  }
+
+  const parsed = parsePatientThresholds(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, message: parsed.error });
+  }
+
+  const change = {
+    patient: { patient_id: patientId, normal_low: parsed.normalLow, normal_high: parsed.normalHigh, context: parsed.context }
+  };
+
+  recategorizationAPI.previewRecategorization(db, { patientId: patientId, change: change }, (err, preview) => {
+    if (err) {
+      console.error('Error previewing patient threshold change:', err);
+      return res.status(500).json({ success: false, message: 'Error previewing patient threshold change', error: err.message });
+    }
+    res.json({ success: true, message: 'Patient threshold change preview generated', data: preview });
+  });
+});
+
+/**
+ * POST /api/staff/recategorize
+ * Re-categorize stored readings under the current thresholds (system-wide, or for one patient).
+ * Runs in the background; poll GET /api/staff/recategorization-jobs/:jobId for the outcome.
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Body: patientId (optional), reason (optional)
+ * Response: { success, message, data: { job_id } }
+ */
+router.post('/recategorize', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = req.body.patientId ? parseInt(req.body.patientId) : null;
+
+  if (req.body.patientId && (isNaN(patientId) || patientId <= 0)) {
+    return res.status(400).json({ success: false, message: 'Invalid patient ID' });
+  }
+
+  recategorizationAPI.startRecategorization(db, {
+    patientId: patientId,
+    reason: req.body.reason ? String(req.body.reason).slice(0, 255) : 'Manual re-categorization',
+    requestedBy: req.user.user_id
+  }, (err, job) => {
+    if (err) {
+      console.error('Error starting recategorization:', err);
+      return res.status(500).json({ success: false, message: 'Error starting recategorization', error: err.message });
+    }
+    res.status(202).json({ success: true, message: 'Recategorization started', data: job });
+  });
+});
+
+/**
+ * GET /api/staff/recategorization-jobs
+ * List recent re-categorization jobs, newest first.
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Query: patientId (optional), limit (optional, default 20)
+ */
+router.get('/recategorization-jobs', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const patientId = req.query.patientId ? parseInt(req.query.patientId) : null;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  recategorizationAPI.getJobs(db, { patientId: patientId, limit: limit }, (err, jobs) => {
+    if (err) {
+      console.error('Error retrieving recategorization jobs:', err);
+      return res.status(500).json({ success: false, message: 'Error retrieving recategorization jobs', error: err.message });
+    }
+    res.json({ success: true, message: 'Recategorization jobs retrieved', data: jobs });
+  });
+});
+
+/**
+ * GET /api/staff/recategorization-jobs/:jobId
+ * Status and outcome of one re-categorization job.
+ * Accessible by Clinic_Staff and Administrator roles.
+ * Response: { success, message, data: { job_id, status, readings_checked, readings_changed, transitions, ... } }
+ */
+router.get('/recategorization-jobs/:jobId', verifyToken, requireRole('Clinic_Staff', 'Administrator'), (req, res) => {
+  const db = req.app.locals.db;
+  const jobId = parseInt(req.params.jobId);
+
+  if (isNaN(jobId)) {
+    return res.status(400).json({ success: false, message: 'Invalid job ID' });
+  }
+
+  recategorizationAPI.getJob(db, jobId, (err, job) => {
+    if (err) {
+      if (err.message.includes('not found')) {
+        return res.status(404).json({ success: false, message: err.message });
+      }
+      console.error('Error retrieving recategorization job:', err);
+      return res.status(500).json({ success: false, message: 'Error retrieving recategorization job', error: err.message });
+    }
+    res.json({ success: true, message: 'Recategorization job retrieved', data: job });
   });
 });
 
@@ -5,11 +5,66 @@
 const express = require('express');
 const router = express.Router();
 const thresholdAPI = require('../api/thresholdAPI');
+const recategorizationAPI = require('../api/recategorizationAPI');
+const thresholdTemplateAPI = require('../api/thresholdTemplateAPI');
+const readingContext = require('../utils/readingContext');
 const { verifyToken, requireRole } = require('../middleware/auth');
 
+// Validate a threshold body (PUT / and POST /preview).
+// Returns { thresholdData } for the thresholdAPI, or { error } with a validation message.
+function parseThresholdBody(body) {
+  const { Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High, Reading_Context, Effective_Date, Change_Note } = body;
+
+  const requiredFields = { Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High };
+  for (const field in requiredFields) {
+    if (requiredFields[field] === undefined || requiredFields[field] === null) {
+      return { error: `Missing required field: ${field}` };
+    }
+  }
+
+  const thresholdData = {
+    normal_low: parseFloat(Normal_Low),
+    normal_high: parseFloat(Normal_High),
+    borderline_low: parseFloat(Borderline_Low),
+    borderline_high: parseFloat(Borderline_High),
+    abnormal_low: parseFloat(Abnormal_Low),
+    abnormal_high: parseFloat(Abnormal_High)
+  };
+
+  // Simple validation for numbers
+  for (const key in thresholdData) {
+    if (isNaN(thresholdData[key])) {
+      return { error: `All threshold values must be valid numbers. Error at: ${key}` };
+    }
+  }
+
+  if (Reading_Context) {
+    thresholdData.context = readingContext.normalizeContext(Reading_Context);
+    if (!thresholdData.context) {
+      return { error: `Reading_Context must be one of: ${readingContext.READING_CONTEXTS.join(', ')}` };
+    }
+  }
+
+  // A future Effective_Date schedules the version
+  if (Effective_Date) {
+    thresholdData.effective_date = new Date(Effective_Date);
+    if (isNaN(thresholdData.effective_date.getTime())) {
+      return { error: 'Effective_Date must be a valid date' };
+    }
+  }
+
+  if (Change_Note) {
+    thresholdData.note = String(Change_Note).trim().slice(0, 255);
+  }
+
+  return { thresholdData };
+}
+
 /**
  * GET /api/thresholds
  * Get current system threshold settings.
+ * Query parameter: context (optional) - reading context; falls back to the default set
+ * when no context-specific thresholds exist
  * Accessible by Clinic_Staff and Administrator roles.
  */
 router.get('/',
@@ -17,8 +72,13 @@ router.get('/',
   requireRole('Clinic_Staff', 'Administrator'),
   (req, res) => {
     const db = req.app.locals.db;
+    const context = readingContext.normalizeContext(req.query.context);
+
+    if (req.query.context && !context) {
+      return res.status(400).json({ success: false, message: `context must be one of: ${readingContext.READING_CONTEXTS.join(', ')}` });
+    }
 
-    thresholdAPI.getSystemThresholds(db, (err, thresholds) => {
+    thresholdAPI.getSystemThresholdsForContext(db, context, (err, thresholds) => {
       if (err) {
         return res.status(500).json({ success: false, message: 'Error retrieving system thresholds', error: err.message });
       }
@@ -30,9 +90,61 @@ router.get('/',
   }
 );
 
+/**
+ * GET /api/thresholds/contexts
+ * Get the current context-specific system thresholds (one entry per configured context).
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.get('/contexts',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    thresholdAPI.getContextThresholds(db, (err, thresholds) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error retrieving context thresholds', error: err.message });
+      }
+      res.json({ success: true, message: 'Context thresholds retrieved successfully.', data: thresholds });
+    });
+  }
+);
+
+/**
+ * GET /api/thresholds/history
+ * Version history of the system thresholds (newest first, including scheduled versions),
+ * with who created each version and what it changed.
+ * Query parameter: context (optional) - a reading context, or 'default' for the default set
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.get('/history',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const context = req.query.context === 'default' ? 'default' : readingContext.normalizeContext(req.query.context);
+
+    if (req.query.context && !context) {
+      return res.status(400).json({ success: false, message: `context must be 'default' or one of: ${readingContext.READING_CONTEXTS.join(', ')}` });
+    }
+
+    thresholdAPI.getThresholdHistory(db, context, (err, history) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error retrieving threshold history', error: err.message });
+      }
+      res.json({ success: true, message: 'Threshold history retrieved successfully.', data: history });
+    });
+  }
+);
+
 /**
  * PUT /api/thresholds
  * Update system threshold settings.
+ * Body: Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High,
+ *       Reading_Context (optional - omit to update the default set),
+ *       Effective_Date (optional - a future date schedules the version), Change_Note (optional)
+ * Unless the version is scheduled, stored readings are re-categorized in the background
+ * (data.recategorization_job_id).
  * Accessible by Clinic_Staff and Administrator roles.
  */
 router.put('/',
@@ -40,47 +152,245 @@ router.put('/',
   requireRole('Clinic_Staff', 'Administrator'),
   (req, res) => {
     const db = req.app.locals.db;
-    const { Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High } = req.body;
+    const parsed = parseThresholdBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    const thresholdData = { ...parsed.thresholdData, created_by: req.user.user_id };
+
+    thresholdAPI.updateSystemThresholds(db, thresholdData, (err, result) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error updating system thresholds', error: err.message });
+      }
+
+      console.log(`System thresholds updated by user ${req.user.user_id}, new Threshold_ID: ${result.threshold_id}`);
+
+      if (result.scheduled) {
+        // Stored readings all predate a scheduled version; nothing to re-categorize yet
+        return res.status(201).json({ success: true, message: 'System thresholds scheduled successfully', data: { ...result, recategorization_job_id: null } });
+      }
+
+      const reason = `System thresholds updated (${thresholdData.context || 'default'})`;
+      recategorizationAPI.startRecategorization(db, { reason, thresholdId: result.threshold_id, requestedBy: req.user.user_id }, (err, job) => {
+        // The thresholds are saved either way; stored readings can be re-categorized later
+        if (err) console.error('Error queueing recategorization job:', err);
+        res.status(201).json({
+          success: true,
+          message: 'System thresholds updated successfully',
+          data: { ...result, recategorization_job_id: job ? job.job_id : null }
+        });
+      });
+    });
+  }
+);
+
+/**
+ * POST /api/thresholds/preview
+ * Preview how a threshold change would re-categorize stored readings, without saving it.
+ * Body: same as PUT /api/thresholds
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.post('/preview',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    const parsed = parseThresholdBody(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    recategorizationAPI.previewRecategorization(db, { change: { system: parsed.thresholdData } }, (err, preview) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error previewing threshold change', error: err.message });
+      }
+      res.json({ success: true, message: 'Threshold change preview generated', data: preview });
+    });
+  }
+);
+
+// Status code for a template error from the thresholdTemplateAPI
+function templateErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message.includes('already exists')) return 409;
+  if (err.message.includes('must') || err.message.includes('Invalid') || err.message.includes('required')) return 400;
+  return 500;
+}
+
+/**
+ * GET /api/thresholds/templates
+ * List the threshold templates with how many patient profiles are linked to each.
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.get('/templates',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    thresholdTemplateAPI.getTemplates(db, (err, templates) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error retrieving threshold templates', error: err.message });
+      }
+      res.json({ success: true, message: 'Threshold templates retrieved successfully.', data: templates });
+    });
+  }
+);
 
-    const requiredFields = { Normal_Low, Normal_High, Borderline_Low, Borderline_High, Abnormal_Low, Abnormal_High };
-    for (const field in requiredFields) {
-      if (requiredFields[field] === undefined || requiredFields[field] === null) {
-        return res.status(400).json({ success: false, message: `Missing required field: ${field}` });
+/**
+ * POST /api/thresholds/templates
+ * Create a threshold template.
+ * Body: Name, Description (optional), Normal_Low, Normal_High, Borderline_Low, Borderline_High,
+ *       Abnormal_Low, Abnormal_High, Hypo_Level1, Hypo_Level2
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.post('/templates',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+
+    thresholdTemplateAPI.createTemplate(db, req.body, req.user.user_id, (err, template) => {
+      if (err) {
+        const status = templateErrorStatus(err);
+        if (status !== 500) {
+          return res.status(status).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error creating threshold template', error: err.message });
       }
+
+      console.log(`Threshold template ${template.Template_ID} created by user ${req.user.user_id}`);
+      res.status(201).json({ success: true, message: 'Threshold template created successfully', data: template });
+    });
+  }
+);
+
+/**
+ * PUT /api/thresholds/templates/:templateId
+ * Update a threshold template.
+ * Body: same as POST /api/thresholds/templates, plus propagate (optional) - also update the
+ *       patient profiles applied from this template; their readings are then re-categorized
+ *       in the background (data.recategorization_job_id)
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.put('/templates/:templateId',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const templateId = parseInt(req.params.templateId);
+
+    if (isNaN(templateId) || templateId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid template ID' });
     }
 
-    const thresholdData = {
-      normal_low: parseFloat(Normal_Low),
-      normal_high: parseFloat(Normal_High),
-      borderline_low: parseFloat(Borderline_Low),
-      borderline_high: parseFloat(Borderline_High),
-      abnormal_low: parseFloat(Abnormal_Low),
-      abnormal_high: parseFloat(Abnormal_High)
-    };
-
-    // Simple validation for numbers
-    for (const key in thresholdData) {
-      if (isNaN(thresholdData[key])) {
-        return res.status(400).json({ success: false, message: `All threshold values must be valid numbers. Error at: ${key}` });
+    const propagate = req.body.propagate === true || req.body.propagate === 'true';
+
+    thresholdTemplateAPI.updateTemplate(db, templateId, req.body, propagate, (err, result) => {
+      if (err) {
+        const status = templateErrorStatus(err);
+        if (status !== 500) {
+          return res.status(status).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error updating threshold template', error: err.message });
+      }
+
+      console.log(`Threshold template ${templateId} updated by user ${req.user.user_id}, propagated to ${result.propagated_patient_ids.length} patient(s)`);
+
+      if (result.propagated_patient_ids.length === 0) {
+        return res.json({ success: true, message: 'Threshold template updated successfully', data: { ...result, recategorization_job_id: null } });
       }
+
+      const reason = `Threshold template "${result.template.Name}" updated`;
+      recategorizationAPI.startRecategorization(db, { reason, requestedBy: req.user.user_id }, (err, job) => {
+        if (err) console.error('Error queueing recategorization job:', err);
+        res.json({
+          success: true,
+          message: 'Threshold template updated successfully',
+          data: { ...result, recategorization_job_id: job ? job.job_id : null }
+        });
+      });
+    });
+  }
+);
+
+/**
+ * DELETE /api/thresholds/templates/:templateId
+ * Delete a threshold template. Patient profiles applied from it keep their ranges.
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.delete('/templates/:templateId',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const templateId = parseInt(req.params.templateId);
+
+    if (isNaN(templateId) || templateId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid template ID' });
     }
 
-    // Add more detailed validation here if necessary (e.g., ranges, consistency)
+    thresholdTemplateAPI.deleteTemplate(db, templateId, (err, result) => {
+      if (err) {
+        if (err.message.includes('not found')) {
+          return res.status(404).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error deleting threshold template', error: err.message });
+      }
 
-    thresholdAPI.updateSystemThresholds(db, thresholdData, (err, result) => {
+      console.log(`Threshold template ${templateId} deleted by user ${req.user.user_id}`);
+      res.json({ success: true, message: 'Threshold template deleted successfully', data: result });
+    });
+  }
+);
+
+/**
+ * POST /api/thresholds/:thresholdId/rollback
+ * Roll back to a previous version; its values become a new version effective now.
+ * Body: note (optional)
+ * Accessible by Clinic_Staff and Administrator roles.
+ */
+router.post('/:thresholdId/rollback',
+  verifyToken,
+  requireRole('Clinic_Staff', 'Administrator'),
+  (req, res) => {
+    const db = req.app.locals.db;
+    const thresholdId = parseInt(req.params.thresholdId);
+
+    if (isNaN(thresholdId) || thresholdId <= 0) {
+      return res.status(400).json({ success: false, message: 'Invalid threshold ID' });
+    }
+
+    const note = req.body.note ? String(req.body.note).slice(0, 255) : null;
+
+    thresholdAPI.rollbackThresholds(db, thresholdId, req.user.user_id, note, (err, result) => {
       if (err) {
-        return res.status(500).json({ success: false, message: 'Error updating system thresholds', error: err.message });
+        if (err.message.includes('not found')) {
+          return res.status(404).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error rolling back thresholds', error: err.message });
       }
 
-      console.log(`System thresholds updated by user ${req.user.user_id}, new Threshold_ID: ${result.threshold_id}`);
-      res.status(201).json({ success: true, message: 'System thresholds updated successfully', data: result });
+      console.log(`Thresholds rolled back to version ${thresholdId} by user ${req.user.user_id}, new Threshold_ID: ${result.threshold_id}`);
+
+      const reason = `Thresholds rolled back to version ${thresholdId}`;
+      recategorizationAPI.startRecategorization(db, { reason, thresholdId: result.threshold_id, requestedBy: req.user.user_id }, (err, job) => {
+        if (err) console.error('Error queueing recategorization job:', err);
+        res.status(201).json({
+          success: true,
+          message: 'Thresholds rolled back successfully',
+          data: { ...result, recategorization_job_id: job ? job.job_id : null }
+        });
+      });
     });
   }
 );
 
 /**
  * DELETE /api/thresholds
- * Delete a threshold by ID or latest if no ID provided.
+ * Delete a threshold by ID or the latest version in effect if no ID provided.
+ * Versions that stored readings were categorized under are kept (409).
  * Query parameter: id (optional) - Threshold_ID to delete
  * Accessible by Clinic_Staff and Administrator roles.
  */
@@ -103,12 +413,24 @@ router.delete('/',
         if (err.message.includes('not found')) {
           return res.status(404).json({ success: false, message: err.message });
         }
+        if (err.message.includes('in use')) {
+          return res.status(409).json({ success: false, message: err.message });
+        }
 
         return res.status(500).json({ success: false, message: 'Error deleting threshold', error: err.message });
       }
 
       console.log(`Threshold deleted by user ${req.user.user_id}, Threshold_ID: ${result.threshold_id}`);
-      res.json({ success: true, message: 'Threshold deleted successfully', data: result });
+
+      const reason = `Threshold ${result.threshold_id} deleted`;
+      recategorizationAPI.startRecategorization(db, { reason, requestedBy: req.user.user_id }, (err, job) => {
+        if (err) console.error('Error queueing recategorization job:', err);
+        res.json({
+          success: true,
+          message: 'Threshold deleted successfully',
+          data: { ...result, recategorization_job_id: job ? job.job_id : null }
+        });
+      });
     });
   }
 );
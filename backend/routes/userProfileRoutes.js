@@ -5,7 +5,9 @@
 const express = require('express');
 const router = express.Router();
 const userProfileAPI = require('../api/userProfileAPI');
+const notificationPreferenceAPI = require('../api/notificationPreferenceAPI');
 const { verifyToken } = require('../middleware/auth');
+const unitConverter = require('../utils/unitConverter');
 const multer = require('multer');
 const path = require('path');
 
@@ -48,7 +50,9 @@ router.get('/profile',
  * Updates the profile of the authenticated user including role-specific fields.
  * Accessible by any authenticated user.
  * Body: { "name": "New Name", "phone": "123-456-7890", "profileImage": (file),
+ *         "preferredUnit": "mg/dL" | "mmol/L",
  *         Patient: "healthcareNumber", "dateOfBirth",
+ *                  "emergencyContactName", "emergencyContactEmail", "emergencyContactPhone" (null or "" clears),
  *         Specialist: "workingId", "specialization",
  *         Clinic_Staff: "workingId", "department" }
  */
@@ -59,7 +63,8 @@ router.put('/profile',
     const db = req.app.locals.db;
     const userId = req.user.user_id; // User ID from the authenticated token
     const userRole = req.user.role; // User role from the authenticated token
-    const { name, phone, healthcareNumber, dateOfBirth, workingId, specialization, department } = req.body;
+    const { name, phone, preferredUnit, healthcareNumber, dateOfBirth, workingId, specialization, department,
+            emergencyContactName, emergencyContactEmail, emergencyContactPhone } = req.body;
 
     const updateData = {};
 
@@ -86,6 +91,14 @@ router.put('/profile',
       }
     }
 
+    if (preferredUnit !== undefined) {
+      const unit = unitConverter.normalizeUnit(preferredUnit);
+      if (!unit) {
+        return res.status(400).json({ success: false, message: `Preferred unit must be one of: ${unitConverter.SUPPORTED_UNITS.join(', ')}.` });
+      }
+      updateData.preferredUnit = unit;
+    }
+
     // Handle profile image upload
     if (req.file) {
       updateData.profileImage = req.file.path.replace(/\\/g, '/'); // Normalize path
@@ -112,6 +125,29 @@ router.put('/profile',
         }
         updateData.dateOfBirth = dateOfBirth;
       }
+      // Emergency contact for urgent alerts; an empty value removes it
+      const optional = (value) => (value === null || (typeof value === 'string' && value.trim() === '')) ? null : value;
+      if (emergencyContactName !== undefined) {
+        const contactName = optional(emergencyContactName);
+        if (contactName !== null && (typeof contactName !== 'string' || contactName.trim().length > 100)) {
+          return res.status(400).json({ success: false, message: 'Emergency contact name must be at most 100 characters.' });
+        }
+        updateData.emergencyContactName = contactName && contactName.trim();
+      }
+      if (emergencyContactEmail !== undefined) {
+        const contactEmail = optional(emergencyContactEmail);
+        if (contactEmail !== null && (typeof contactEmail !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contactEmail.trim()) || contactEmail.trim().length > 100)) {
+          return res.status(400).json({ success: false, message: 'Emergency contact email must be a valid email address.' });
+        }
+        updateData.emergencyContactEmail = contactEmail && contactEmail.trim();
+      }
+      if (emergencyContactPhone !== undefined) {
+        const contactPhone = optional(emergencyContactPhone);
+        if (contactPhone !== null && (typeof contactPhone !== 'string' || !/^\d{10}$/.test(contactPhone.trim()))) {
+          return res.status(400).json({ success: false, message: 'Emergency contact phone number must be exactly 10 digits.' });
+        }
+        updateData.emergencyContactPhone = contactPhone && contactPhone.trim();
+      }
     } else if (userRole === 'Specialist') {
       if (workingId !== undefined) {
         if (typeof workingId !== 'string' || workingId.trim().length === 0) {
@@ -156,4 +192,65 @@ router.put('/profile',
   }
 );
 
+/**
+ * GET /api/user/notification-preferences
+ * Retrieves the authenticated user's notification preferences, with the number of email and SMS
+ * messages held for quiet hours or their digest and when the next one goes out.
+ * Accessible by any authenticated user.
+ */
+router.get('/notification-preferences',
+  verifyToken,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.user.user_id;
+
+    notificationPreferenceAPI.getPreferences(db, userId, (err, preferences) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Error retrieving notification preferences', error: err.message });
+      }
+      notificationPreferenceAPI.getPendingSummary(db, userId, (err, pending) => {
+        if (err) {
+          return res.status(500).json({ success: false, message: 'Error retrieving notification preferences', error: err.message });
+        }
+        res.json({
+          success: true,
+          message: 'Notification preferences retrieved successfully',
+          data: {
+            ...preferences,
+            ...pending,
+            eventTypes: notificationPreferenceAPI.EVENT_TYPES,
+            channels: notificationPreferenceAPI.PREFERENCE_CHANNELS
+          }
+        });
+      });
+    });
+  }
+);
+
+/**
+ * PUT /api/user/notification-preferences
+ * Updates the authenticated user's notification preferences. Omitted fields keep their value.
+ * Accessible by any authenticated user.
+ * Body: { "eventChannels": { "alert" | "urgent_alert" | "escalation" | "feedback" | "weekly_summary" | "logging_reminder": ["in_app", "email", "sms"] },
+ *         "quietStart": "22:00" | null, "quietEnd": "07:00" | null, "timezone": "America/Vancouver",
+ *         "digestMode": "Immediate" | "Daily" | "Weekly", "digestHour": 0-23 }
+ */
+router.put('/notification-preferences',
+  verifyToken,
+  (req, res) => {
+    const db = req.app.locals.db;
+    const userId = req.user.user_id;
+
+    notificationPreferenceAPI.updatePreferences(db, userId, req.body || {}, (err, preferences) => {
+      if (err) {
+        if (err.message.includes('must')) {
+          return res.status(400).json({ success: false, message: err.message });
+        }
+        return res.status(500).json({ success: false, message: 'Error updating notification preferences', error: err.message });
+      }
+      res.json({ success: true, message: 'Notification preferences updated successfully', data: preferences });
+    });
+  }
+);
+
 module.exports = router;
@@ -97,6 +97,16 @@ try {
   app.use('/api/admin', verifyToken, requireRole('Administrator'), adminRoutes);
   console.log('✓ Admin routes mounted at /api/admin');
 
+  // Background job queue: inspect, retry and cancel jobs
+  const jobRoutes = require('./routes/jobRoutes');
+  app.use('/api/admin/jobs', verifyToken, requireRole('Administrator'), jobRoutes);
+  console.log('✓ Job queue routes mounted at /api/admin/jobs');
+
+  // Scheduled tasks: schedules, last-run status and manual runs
+  const scheduledTaskRoutes = require('./routes/scheduledTaskRoutes');
+  app.use('/api/admin/scheduled-tasks', verifyToken, requireRole('Administrator'), scheduledTaskRoutes);
+  console.log('✓ Scheduled task routes mounted at /api/admin/scheduled-tasks');
+
   // Staff Routes - Implemented by Vinicius
   // Handles clinic staff operations including threshold configuration
   // and read-only access to patient records
@@ -122,10 +132,26 @@ try {
   app.use('/api/thresholds', verifyToken, requireRole('Clinic_Staff', 'Administrator'), thresholdRoutes);
   console.log('✓ Threshold routes mounted at /api/thresholds');
 
+  const alertRuleRoutes = require('./routes/alertRuleRoutes');
+  app.use('/api/alert-rules', verifyToken, requireRole('Clinic_Staff', 'Administrator'), alertRuleRoutes);
+  console.log('✓ Alert Rule routes mounted at /api/alert-rules');
+
+  const alertRoutes = require('./routes/alertRoutes');
+  app.use('/api/alerts', verifyToken, requireRole('Specialist', 'Clinic_Staff', 'Administrator'), alertRoutes);
+  console.log('✓ Alert routes mounted at /api/alerts');
+
   const userProfileRoutes = require('./routes/userProfileRoutes');
   app.use('/api/user', verifyToken, userProfileRoutes); // Any authenticated user can manage their profile
   console.log('✓ User Profile routes mounted at /api/user');
 
+  const notificationRoutes = require('./routes/notificationRoutes');
+  app.use('/api/notifications', verifyToken, notificationRoutes); // Any authenticated user has an inbox
+  console.log('✓ Notification routes mounted at /api/notifications');
+
+  const fhirRoutes = require('./routes/fhirRoutes');
+  app.use('/api/fhir', verifyToken, requireRole('Patient', 'Specialist', 'Clinic_Staff', 'Administrator'), fhirRoutes);
+  console.log('✓ FHIR routes mounted at /api/fhir');
+
   // --- END NEW ROUTES INTEGRATION ---
 
 
@@ -161,33 +187,87 @@ try {
     console.log(`Database: blood_sugar_monitoring_system`);
     console.log(`CORS enabled for: http://localhost:3000`);
     console.log(`Started at: ${new Date().toLocaleString()}`);
-    socketManager.init(server); // Initialize Socket.IO with the HTTP server
+    socketManager.init(server, db); // Initialize Socket.IO with the HTTP server and the inbox database
     console.log('✓ Socket.IO server initialized.');
+    if (scheduler.start(db)) {
+      console.log('✓ Scheduler running (alert sweep, patient summaries, logging reminders, monthly report).');
+    } else {
+      console.log('✓ Scheduler disabled in this process (SCHEDULER_ENABLED=false).');
+    }
+    console.log(`✓ Alerts escalate after ${alertWorkflowAPI.ALERT_ESCALATION_MINUTES} minutes unacknowledged.`);
+    if (JOB_WORKER_MODE === 'external') {
+      console.log('✓ Background jobs run by a separate worker (npm run worker).');
+    } else {
+      jobWorker.start(db);
+      console.log(`✓ Background job worker running in-process (polling every ${jobWorker.POLL_INTERVAL_MS} ms).`);
+    }
     console.log('='.repeat(50) + '\n');
   });
 
+  // Background jobs (alert checks and AI analysis after new readings) run in this process unless
+  // JOB_WORKER_MODE=external, in which case `node worker.js` runs them
+  const jobWorker = require('./services/jobWorker');
+  const JOB_WORKER_MODE = (process.env.JOB_WORKER_MODE || 'inprocess').toLowerCase();
+
+  // Scheduled tasks (stored in scheduled_task, run on their cron schedule): the alert sweep over
+  // all active patients, weekly patient summaries, missed logging reminders and the monthly report
+  const scheduler = require('./services/scheduler');
+
+  // Escalation check: alerts left unacknowledged past ALERT_ESCALATION_MINUTES go to the
+  // patient's backup specialist or clinic staff
+  const alertWorkflowAPI = require('./api/alertWorkflowAPI');
+  setInterval(() => {
+    alertWorkflowAPI.escalateOverdueAlerts(db, alertWorkflowAPI.ALERT_ESCALATION_MINUTES, (err, escalated) => {
+      if (err) {
+        console.error('Alert escalation check failed:', err);
+      } else if (escalated.length > 0) {
+        console.log(`Escalated ${escalated.length} unacknowledged alert(s)`);
+      }
+    });
+  }, 5 * 60 * 1000);
+
+  // Held notifications: email and SMS kept back for quiet hours or a digest go out once due
+  const notificationPreferenceAPI = require('./api/notificationPreferenceAPI');
+  setInterval(() => {
+    notificationPreferenceAPI.flushQueuedNotifications(db, (err, sent) => {
+      if (err) {
+        console.error('Held notification flush failed:', err);
+      } else if (sent > 0) {
+        console.log(`Sent ${sent} held notification message(s)`);
+      }
+    });
+  }, 5 * 60 * 1000);
+
   // Graceful shutdown handlers
   process.on('SIGTERM', () => {
     console.log('\nSIGTERM signal received: closing HTTP server');
-    db.end((err) => {
-      if (err) {
-        console.error('Error closing database connection:', err);
-      } else {
-        console.log('Database connection closed');
-      }
-      process.exit(0);
+    scheduler.stop();
+    // Let the job in progress finish; anything still queued runs after the restart
+    jobWorker.stop(() => {
+      db.end((err) => {
+        if (err) {
+          console.error('Error closing database connection:', err);
+        } else {
+          console.log('Database connection closed');
+        }
+        process.exit(0);
+      });
     });
   });
 
   process.on('SIGINT', () => {
     console.log('\nSIGINT signal received: closing HTTP server');
-    db.end((err) => {
-      if (err) {
-        console.error('Error closing database connection:', err);
-      } else {
-        console.log('Database connection closed');
-      }
-      process.exit(0);
+    scheduler.stop();
+    // Let the job in progress finish; anything still queued runs after the restart
+    jobWorker.stop(() => {
+      db.end((err) => {
+        if (err) {
+          console.error('Error closing database connection:', err);
+        } else {
+          console.log('Database connection closed');
+        }
+        process.exit(0);
+      });
     });
   });
 } catch (err) {
@@ -0,0 +1,47 @@
+// services/channels/outboxAdapter.js
+// Purpose: Local stand-in adapter for any channel. Messages are appended as JSON lines to
+//          NOTIFICATION_OUTBOX_FILE (default outbox/notifications.log) and summarized on the
+//          console instead of being sent, so email and SMS can be checked during development.
+
+const fs = require('fs');
+const path = require('path');
+
+const name = 'outbox';
+
+function outboxFile() {
+  return process.env.NOTIFICATION_OUTBOX_FILE || path.join('outbox', 'notifications.log');
+}
+
+// One-line summary of a message for the console
+function summarize(channel, message) {
+  if (channel === 'email') return `email to ${message.to.join(', ')}: ${message.subject}`;
+  if (channel === 'sms') return `SMS to ${message.to}: ${message.text}`;
+  if (channel === 'webhook') return `webhook event ${message.event}`;
+  return `${channel} message`;
+}
+
+/**
+ * Record a message in the outbox
+ * @param {string} channel - Channel name
+ * @param {Object} message - Channel message
+ * @param {Function} callback - Callback function(err, result)
+ */
+function send(channel, message, callback) {
+  const file = outboxFile();
+  const entry = JSON.stringify({ channel: channel, recorded_at: new Date().toISOString(), message: message });
+
+  fs.mkdir(path.dirname(file), { recursive: true }, (err) => {
+    if (err) return callback(err, null);
+
+    fs.appendFile(file, entry + '\n', (err) => {
+      if (err) return callback(err, null);
+      console.log(`[outbox] ${summarize(channel, message)}`);
+      callback(null, { file: file });
+    });
+  });
+}
+
+module.exports = {
+  name,
+  send
+};
@@ -0,0 +1,62 @@
+// services/channels/sendgridAdapter.js
+// Purpose: Email channel adapter sending through SendGrid (SENDGRID_API_KEY, SENDGRID_SENDER_EMAIL),
+//          with up to 2 retries on 5xx errors.
+
+const sgMail = require('@sendgrid/mail');
+
+const name = 'sendgrid';
+
+/**
+ * Send an email
+ * @param {string} channel - Channel name ('email')
+ * @param {Object} message - { to: string[], subject, html, text (optional) }
+ * @param {Function} callback - Callback function(err, result)
+ */
+function send(channel, message, callback) {
+  const apiKey = process.env.SENDGRID_API_KEY;
+  const senderEmail = process.env.SENDGRID_SENDER_EMAIL;
+
+  if (!apiKey) {
+    return callback(new Error('SENDGRID_API_KEY environment variable is not set'), null);
+  }
+  if (!senderEmail) {
+    return callback(new Error('SENDGRID_SENDER_EMAIL environment variable is not set'), null);
+  }
+
+  sgMail.setApiKey(apiKey);
+
+  const msg = {
+    to: message.to,
+    from: senderEmail,
+    subject: message.subject,
+    html: message.html
+  };
+  if (message.text) msg.text = message.text;
+
+  const maxRetries = 2;
+
+  function attemptSend(attempt) {
+    sgMail.send(msg)
+      .then(() => {
+        callback(null, { attempt: attempt + 1 });
+      })
+      .catch((error) => {
+        const statusCode = error.code || (error.response && error.response.statusCode);
+        const is5xxError = statusCode >= 500 && statusCode < 600;
+
+        if (!is5xxError || attempt === maxRetries) {
+          return callback(new Error(`Failed to send email after ${attempt + 1} attempt(s): ${error.message}`), null);
+        }
+
+        // Exponential backoff: 1s, 2s
+        setTimeout(() => attemptSend(attempt + 1), Math.pow(2, attempt) * 1000);
+      });
+  }
+
+  attemptSend(0);
+}
+
+module.exports = {
+  name,
+  send
+};
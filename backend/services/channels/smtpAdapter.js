@@ -0,0 +1,56 @@
+// services/channels/smtpAdapter.js
+// Purpose: Email channel adapter sending through any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+//          SMTP_USER, SMTP_PASSWORD, SMTP_FROM).
+
+const nodemailer = require('nodemailer');
+
+const name = 'smtp';
+
+let transporter = null;
+
+// The transporter is created on first use so the settings are read after dotenv has loaded
+function getTransporter() {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Send an email
+ * @param {string} channel - Channel name ('email')
+ * @param {Object} message - { to: string[], subject, html, text (optional) }
+ * @param {Function} callback - Callback function(err, result)
+ */
+function send(channel, message, callback) {
+  if (!process.env.SMTP_HOST) {
+    return callback(new Error('SMTP_HOST environment variable is not set'), null);
+  }
+
+  const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+  if (!from) {
+    return callback(new Error('SMTP_FROM environment variable is not set'), null);
+  }
+
+  getTransporter().sendMail({
+    from: from,
+    to: message.to.join(', '),
+    subject: message.subject,
+    html: message.html,
+    text: message.text
+  }, (err, info) => {
+    if (err) return callback(new Error(`Failed to send email via SMTP: ${err.message}`), null);
+    callback(null, { message_id: info.messageId });
+  });
+}
+
+module.exports = {
+  name,
+  send
+};
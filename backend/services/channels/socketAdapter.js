@@ -0,0 +1,26 @@
+// services/channels/socketAdapter.js
+// Purpose: In-app channel adapter: stores the notification in the user's inbox and pushes it over
+//          Socket.IO.
+
+const socketManager = require('../../socketManager');
+
+const name = 'socket';
+
+/**
+ * Store a notification in the user's inbox and push it if they are connected
+ * @param {string} channel - Channel name ('in_app')
+ * @param {Object} message - { userId, data }
+ * @param {Function} callback - Callback function(err, result) - result.delivered is false when
+ *                              the user is not connected (they get it when they reconnect)
+ */
+function send(channel, message, callback) {
+  socketManager.sendNotificationToUser(message.userId, message.data, (err, result) => {
+    if (err) return callback(err, null);
+    callback(null, { delivered: result.delivered, notification_id: result.notificationId });
+  });
+}
+
+module.exports = {
+  name,
+  send
+};
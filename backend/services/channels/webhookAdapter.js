@@ -0,0 +1,68 @@
+// services/channels/webhookAdapter.js
+// Purpose: Adapter posting messages as JSON to an HTTP endpoint: NOTIFICATION_WEBHOOK_URL for the
+//          webhook channel, SMS_WEBHOOK_URL (an SMS gateway) for the SMS channel.
+
+const http = require('http');
+const https = require('https');
+
+const name = 'webhook';
+
+const TIMEOUT_MS = 10000;
+
+const URL_SETTINGS = {
+  webhook: 'NOTIFICATION_WEBHOOK_URL',
+  sms: 'SMS_WEBHOOK_URL'
+};
+
+/**
+ * POST a message to the channel's endpoint
+ * @param {string} channel - Channel name ('webhook' or 'sms')
+ * @param {Object} message - Channel message, sent as the JSON body
+ * @param {Function} callback - Callback function(err, result)
+ */
+function send(channel, message, callback) {
+  const setting = URL_SETTINGS[channel];
+  const target = setting && process.env[setting];
+  if (!target) {
+    return callback(new Error(`${setting || 'A webhook URL'} environment variable is not set`), null);
+  }
+
+  let url;
+  try {
+    url = new URL(target);
+  } catch (err) {
+    return callback(new Error(`${setting} is not a valid URL`), null);
+  }
+
+  const body = JSON.stringify({ channel: channel, sent_at: new Date().toISOString(), ...message });
+  const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) };
+  if (process.env.NOTIFICATION_WEBHOOK_SECRET) {
+    headers['X-Webhook-Secret'] = process.env.NOTIFICATION_WEBHOOK_SECRET;
+  }
+
+  let done = false;
+  const finish = (err, result) => {
+    if (done) return;
+    done = true;
+    callback(err, result);
+  };
+
+  const request = (url.protocol === 'https:' ? https : http).request(url, { method: 'POST', headers: headers, timeout: TIMEOUT_MS }, (res) => {
+    res.resume();
+    res.on('end', () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        return finish(new Error(`Webhook responded with status ${res.statusCode}`), null);
+      }
+      finish(null, { status: res.statusCode });
+    });
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`Webhook timed out after ${TIMEOUT_MS / 1000}s`)));
+  request.on('error', (err) => finish(err, null));
+  request.end(body);
+}
+
+module.exports = {
+  name,
+  send
+};
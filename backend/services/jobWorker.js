@@ -0,0 +1,190 @@
+// services/jobWorker.js
+// Purpose: Runs the background jobs queued in api/jobQueueAPI.js. The worker claims one due job
+//          at a time, passes its payload to the handler for its type and records the outcome;
+//          failed jobs are retried with backoff by the queue. It runs inside the API server by
+//          default (JOB_WORKER_MODE=inprocess), or on its own with `node worker.js`
+//          (JOB_WORKER_MODE=external on the server). Several workers may share one queue.
+
+const os = require('os');
+const crypto = require('crypto');
+const jobQueueAPI = require('../api/jobQueueAPI');
+const aiProcessingAPI = require('../api/aiProcessingAPI');
+const alertAPI = require('../api/alertAPI');
+
+// How often an idle worker checks for due jobs
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+
+// A job still running after this long is dead-lettered rather than retried, since its handler
+// may still be running and a retry would repeat its side effects; an administrator can retry it.
+// Jobs left Running by a worker that stopped are put back after twice as long.
+const JOB_TIMEOUT_MINUTES = parseInt(process.env.JOB_TIMEOUT_MINUTES) || 10;
+
+// Days completed and cancelled jobs are kept
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS) || 7;
+
+const MAINTENANCE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Handlers by job type: handler(db, payload, callback(err, result))
+const HANDLERS = {
+  [jobQueueAPI.JOB_TYPES.AI_ANALYSIS]: (db, payload, callback) => {
+    aiProcessingAPI.analyzeAndCreateSuggestions(db, payload.patientId, callback);
+  },
+  [jobQueueAPI.JOB_TYPES.ALERT_CHECK]: (db, payload, callback) => {
+    alertAPI.checkAndTriggerAlerts(db, payload.patientId, callback);
+  }
+};
+
+let db; // Database connection the worker runs jobs with
+let workerId = null;
+let running = false;
+let busy = false;
+let pollTimer = null;
+let maintenanceTimer = null;
+let onStopped = null; // Called once the job in progress finishes after stop()
+
+// Run the handler for a claimed job and record the outcome
+function runJob(job, callback) {
+  const handler = HANDLERS[job.Type];
+  if (!handler) {
+    // Retrying will not help; dead-letter it straight away
+    return jobQueueAPI.failJob(db, { ...job, Attempts: job.Max_Attempts }, new Error(`No handler for job type ${job.Type}`), callback);
+  }
+
+  let finished = false;
+  const finish = (err, timedOut) => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timeout);
+
+    if (timedOut) {
+      return jobQueueAPI.failJob(db, { ...job, Attempts: job.Max_Attempts }, err, (updateErr, result) => {
+        if (updateErr) return callback(updateErr, null);
+        console.error(`Job ${job.Job_ID} (${job.Type}) was dead-lettered: ${err.message}`);
+        callback(null, result);
+      });
+    }
+
+    if (!err) {
+      return jobQueueAPI.completeJob(db, job.Job_ID, (updateErr) => callback(updateErr || null, { status: 'Completed' }));
+    }
+
+    jobQueueAPI.failJob(db, job, err, (updateErr, result) => {
+      if (updateErr) return callback(updateErr, null);
+      if (result.status === 'Dead') {
+        console.error(`Job ${job.Job_ID} (${job.Type}) failed ${job.Attempts} time(s) and was dead-lettered: ${err.message}`);
+      } else {
+        console.warn(`Job ${job.Job_ID} (${job.Type}) failed (attempt ${job.Attempts} of ${job.Max_Attempts}), retrying in ${result.retry_in_seconds}s: ${err.message}`);
+      }
+      callback(null, result);
+    });
+  };
+
+  const timeout = setTimeout(() => {
+    finish(new Error(`Timed out after ${JOB_TIMEOUT_MINUTES} minutes; the handler may still be running, so it was not retried`), true);
+  }, JOB_TIMEOUT_MINUTES * 60 * 1000);
+
+  try {
+    handler(db, job.Payload || {}, (err) => {
+      if (finished) {
+        console.warn(`Job ${job.Job_ID} (${job.Type}) finished after it had timed out${err ? `: ${err.message}` : ''}`);
+        return;
+      }
+      finish(err || null);
+    });
+  } catch (err) {
+    finish(err);
+  }
+}
+
+/**
+ * Claim and run the next due job, if there is one
+ * @param {Function} callback - Callback function(err, job) - job is null when none were due
+ */
+function runNextJob(callback) {
+  jobQueueAPI.claimNextJob(db, workerId, (err, job) => {
+    if (err || !job) return callback(err || null, null);
+
+    runJob(job, (err) => callback(err || null, job));
+  });
+}
+
+// Put back jobs abandoned by stopped workers and delete old finished jobs
+function runMaintenance() {
+  jobQueueAPI.releaseStaleJobs(db, JOB_TIMEOUT_MINUTES * 2, (err, released) => {
+    if (err) {
+      console.error('Job queue: releasing stale jobs failed:', err.message);
+    } else if (released.requeued + released.dead > 0) {
+      console.warn(`Job queue: ${released.requeued} stale job(s) requeued, ${released.dead} dead-lettered`);
+    }
+  });
+  jobQueueAPI.purgeFinishedJobs(db, JOB_RETENTION_DAYS, (err, purged) => {
+    if (err) console.error('Job queue: purging finished jobs failed:', err.message);
+    else if (purged.deleted > 0) console.log(`Job queue: deleted ${purged.deleted} finished job(s)`);
+  });
+}
+
+function poll() {
+  pollTimer = null;
+  if (!running) return;
+
+  busy = true;
+  runNextJob((err, job) => {
+    busy = false;
+    if (err) console.error('Job queue: error running jobs:', err.message);
+
+    if (!running) {
+      if (onStopped) onStopped();
+      onStopped = null;
+      return;
+    }
+    // Keep going while there is work; wait for the next poll otherwise
+    pollTimer = setTimeout(poll, job && !err ? 0 : POLL_INTERVAL_MS);
+  });
+}
+
+/**
+ * Start the worker loop
+ * @param {Object} database - Database connection
+ * @returns {string} The worker's ID, recorded on the jobs it claims
+ */
+function start(database) {
+  if (running) return workerId;
+
+  db = database;
+  workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  running = true;
+
+  runMaintenance();
+  maintenanceTimer = setInterval(runMaintenance, MAINTENANCE_INTERVAL_MS);
+  poll();
+  return workerId;
+}
+
+/**
+ * Stop the worker loop, waiting for the job in progress to finish
+ * @param {Function} [callback] - Called once the worker has stopped
+ */
+function stop(callback) {
+  const done = callback || (() => {});
+  if (!running) return done();
+
+  running = false;
+  clearInterval(maintenanceTimer);
+  maintenanceTimer = null;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+  if (busy) {
+    onStopped = done;
+  } else {
+    done();
+  }
+}
+
+module.exports = {
+  POLL_INTERVAL_MS,
+  start,
+  stop,
+  runNextJob
+};
@@ -0,0 +1,39 @@
+// services/liveUpdates.js
+// Purpose: Domain events pushed over Socket.IO so that open dashboards update without a reload.
+//          Each event goes to the patient and their care team (see socketManager). Events only
+//          carry IDs; clients fetch what changed through the API, which applies their access
+//          checks and preferred unit.
+
+const socketManager = require('../socketManager');
+
+const EVENTS = {
+  READING_CREATED: 'reading.created',
+  READING_UPDATED: 'reading.updated',
+  READING_DELETED: 'reading.deleted',
+  SUGGESTION_CREATED: 'suggestion.created',
+  FEEDBACK_CREATED: 'feedback.created',
+  ALERT_UPDATED: 'alert.updated',
+  ASSIGNMENT_CHANGED: 'assignment.changed'
+};
+
+// Who else receives an event besides the patient and their care team
+const AUDIENCES = {
+  [EVENTS.ALERT_UPDATED]: 'clinic', // Alert queues of clinic staff and administrators
+  [EVENTS.ASSIGNMENT_CHANGED]: 'staff' // Includes the specialists who lost the patient
+};
+
+/**
+ * Publish a change to a patient's data
+ * @param {string} event - One of EVENTS
+ * @param {number} patientId - Patient ID
+ * @param {Object} [data] - IDs of what changed, e.g. { readingIds: [12] } or { alertId: 3, status: 'Open' }
+ */
+function publish(event, patientId, data) {
+  const payload = { event: event, patientId: Number(patientId), ...data, timestamp: new Date().toISOString() };
+  socketManager.emitToPatient(payload.patientId, event, payload, AUDIENCES[event]);
+}
+
+module.exports = {
+  EVENTS,
+  publish
+};
@@ -0,0 +1,155 @@
+// services/notificationService.js
+// Purpose: Sends notifications over channels (in-app, email, SMS, webhook), each delivered by an
+//          adapter chosen in configuration. Alerts, password resets and feedback notifications
+//          all go through here (user notifications by way of notificationPreferenceAPI.notify,
+//          which applies the user's preferences first).
+//
+// Configuration (.env):
+//   NOTIFICATION_CHANNELS  Enabled channels (default in_app,email); messages for other channels are skipped
+//   EMAIL_ADAPTER          sendgrid, smtp or outbox (default sendgrid if SENDGRID_API_KEY is set,
+//                          smtp if SMTP_HOST is set, otherwise outbox)
+//   SMS_ADAPTER            webhook (an SMS gateway at SMS_WEBHOOK_URL) or outbox (default)
+//   WEBHOOK_ADAPTER        webhook (NOTIFICATION_WEBHOOK_URL) or outbox (default webhook if the URL is set)
+
+const adapters = {
+  sendgrid: require('./channels/sendgridAdapter'),
+  smtp: require('./channels/smtpAdapter'),
+  outbox: require('./channels/outboxAdapter'),
+  socket: require('./channels/socketAdapter'),
+  webhook: require('./channels/webhookAdapter')
+};
+
+const CHANNELS = ['in_app', 'email', 'sms', 'webhook'];
+
+// Adapters each channel may use
+const CHANNEL_ADAPTERS = {
+  in_app: ['socket'],
+  email: ['sendgrid', 'smtp', 'outbox'],
+  sms: ['webhook', 'outbox'],
+  webhook: ['webhook', 'outbox']
+};
+
+/**
+ * Channels enabled by NOTIFICATION_CHANNELS
+ * @returns {string[]} Channel names
+ */
+function enabledChannels() {
+  const configured = process.env.NOTIFICATION_CHANNELS || 'in_app,email';
+  return configured.split(',').map(c => c.trim()).filter(c => CHANNELS.includes(c));
+}
+
+/**
+ * Name of the adapter configured for a channel
+ * @param {string} channel - Channel name
+ * @returns {string} Adapter name
+ */
+function adapterFor(channel) {
+  const env = process.env;
+  let configured;
+  if (channel === 'in_app') configured = 'socket';
+  if (channel === 'email') {
+    configured = env.EMAIL_ADAPTER || (env.SENDGRID_API_KEY ? 'sendgrid' : env.SMTP_HOST ? 'smtp' : 'outbox');
+  }
+  if (channel === 'sms') configured = env.SMS_ADAPTER || 'outbox';
+  if (channel === 'webhook') configured = env.WEBHOOK_ADAPTER || (env.NOTIFICATION_WEBHOOK_URL ? 'webhook' : 'outbox');
+
+  return CHANNEL_ADAPTERS[channel].includes(configured) ? configured : 'outbox';
+}
+
+/**
+ * Send one message over a channel with its configured adapter
+ * @param {string} channel - 'in_app' ({ userId, data }), 'email' ({ to: string[], subject, html, text }),
+ *                           'sms' ({ to, text }) or 'webhook' ({ event, payload })
+ * @param {Object} message - Channel message
+ * @param {Function} callback - Callback function(err, result) - result { channel, adapter, skipped, ... }
+ */
+function send(channel, message, callback) {
+  if (!CHANNELS.includes(channel)) {
+    return callback(new Error(`Unknown notification channel: ${channel}`), null);
+  }
+  if (!enabledChannels().includes(channel)) {
+    return callback(null, { channel: channel, skipped: true });
+  }
+
+  const adapter = adapters[adapterFor(channel)];
+  adapter.send(channel, message, (err, result) => {
+    if (err) return callback(err, null);
+    callback(null, { channel: channel, adapter: adapter.name, ...result });
+  });
+}
+
+/**
+ * Notify one recipient on every channel it can be reached on: in-app (userId and content.inApp),
+ * email (email and content.html) and SMS (phone and content.text), or only on recipient.channels
+ * when given. A failed channel does not stop the others; failures are logged and reported in the
+ * results.
+ * @param {Object} recipient - { userId, email, phone, label (for logs), channels (optional) }
+ * @param {Object} content - { subject, html, text, inApp (notification data) }
+ * @param {Function} callback - Callback function(err, results) - [{ channel, ok, error, ... }]
+ */
+function notify(recipient, content, callback) {
+  const wanted = (channel) => !recipient.channels || recipient.channels.includes(channel);
+  const deliveries = [];
+  if (wanted('in_app') && recipient.userId && content.inApp) {
+    deliveries.push(['in_app', { userId: recipient.userId, data: content.inApp }]);
+  }
+  if (wanted('email') && recipient.email && content.html) {
+    deliveries.push(['email', { to: [recipient.email], subject: content.subject, html: content.html, text: content.text }]);
+  }
+  if (wanted('sms') && recipient.phone && content.text) {
+    deliveries.push(['sms', { to: recipient.phone, text: content.text }]);
+  }
+
+  const label = recipient.label || recipient.email || recipient.userId;
+  const results = [];
+  const next = (index) => {
+    if (index >= deliveries.length) return callback(null, results);
+    const [channel, message] = deliveries[index];
+
+    send(channel, message, (err, result) => {
+      if (err) {
+        console.warn(`Failed to notify ${label} by ${channel}: ${err.message}`);
+        results.push({ channel: channel, ok: false, error: err.message });
+      } else {
+        results.push({ ok: !result.skipped, ...result });
+      }
+      next(index + 1);
+    });
+  };
+  next(0);
+}
+
+/**
+ * Publish a system event (e.g. 'alert.created') to the webhook channel
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ * @param {Function} callback - Callback function(err, result)
+ */
+function publish(event, payload, callback) {
+  send('webhook', { event: event, payload: payload }, (err, result) => {
+    if (err) console.warn(`Failed to publish ${event} to the webhook: ${err.message}`);
+    if (callback) callback(err, result);
+  });
+}
+
+/**
+ * Short description of notify() results for logs, e.g. "in_app (inbox only), email (queued)"
+ * @param {Object[]} results - Results from notify
+ * @returns {string} Summary
+ */
+function describeResults(results) {
+  const delivered = results
+    .filter(r => r.ok)
+    .map(r => r.queued ? `${r.channel} (queued)` : r.delivered === false ? `${r.channel} (inbox only)` : r.channel);
+  return delivered.length > 0 ? delivered.join(', ') : 'no channel';
+}
+
+module.exports = {
+  CHANNELS,
+  enabledChannels,
+  adapterFor,
+  send,
+  notify,
+  publish,
+  describeResults
+};
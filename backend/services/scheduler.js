@@ -0,0 +1,201 @@
+// services/scheduler.js
+// Purpose: In-process scheduler for the recurring tasks stored in scheduled_task. Once a minute
+//          it runs the enabled tasks whose cron schedule is due, one after another, and records
+//          each run's outcome and the next run on the task. Administrators can also run a task
+//          straight away (runNow). Set SCHEDULER_ENABLED=false to stop scheduled runs in a
+//          process, e.g. on all but one of several servers; manual runs still work.
+
+const scheduledTaskAPI = require('../api/scheduledTaskAPI');
+const alertAPI = require('../api/alertAPI');
+const patientOutreachAPI = require('../api/patientOutreachAPI');
+const reportingAPI = require('../api/reportingAPI');
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// A run still going after this long is recorded as failed so the task is not blocked; the
+// handler is not stopped. Runs left Running by a server that stopped are released after twice as long.
+const TASK_TIMEOUT_MINUTES = parseInt(process.env.SCHEDULED_TASK_TIMEOUT_MINUTES) || 60;
+
+const DEFAULT_MISSED_LOGGING_DAYS = 3;
+
+// YYYY-MM-DD in local time
+function formatDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Handlers by task key: handler(db, task, callback(err, result)); task is the stored task as it
+// was before this run started, so Last_Run_At is the previous run
+const TASK_HANDLERS = {
+  alert_sweep: (db, task, callback) => {
+    alertAPI.checkAllPatientsForAlerts(db, (err, alerts) => {
+      if (err) return callback(err, null);
+      callback(null, { alerts_raised: alerts.length });
+    });
+  },
+  weekly_patient_summary: (db, task, callback) => {
+    patientOutreachAPI.sendWeeklySummaries(db, callback);
+  },
+  missed_logging: (db, task, callback) => {
+    // After a failed run every inactive patient is reminded again rather than risk missing some
+    const since = task.Last_Status === 'Succeeded' ? task.Last_Run_At : null;
+    patientOutreachAPI.sendMissedLoggingReminders(db, task.Settings.days || DEFAULT_MISSED_LOGGING_DAYS, since, callback);
+  },
+  monthly_admin_report: (db, task, callback) => {
+    // The previous calendar month
+    const now = new Date();
+    const start = formatDate(new Date(now.getFullYear(), now.getMonth() - 1, 1));
+    const end = formatDate(new Date(now.getFullYear(), now.getMonth(), 0));
+    reportingAPI.generateReport(db, null, 'Monthly', start, end, (err, report) => {
+      if (err) return callback(err, null);
+      callback(null, { report_id: report.report_id, period_start: start, period_end: end });
+    });
+  }
+};
+
+let tickTimer = null;
+let ticking = false;
+
+/**
+ * Run a task and record the outcome
+ * @param {Object} db - Database connection
+ * @param {string} taskKey - Task key
+ * @param {string} trigger - 'Schedule' or 'Manual'
+ * @param {number|null} userId - Administrator who started a manual run
+ * @param {Function} onStarted - Called with (err) once the run has started, or could not start
+ * @param {Function} [onFinished] - Called with (err, result) once the run has finished
+ */
+function runTask(db, taskKey, trigger, userId, onStarted, onFinished) {
+  const finished = onFinished || (() => {});
+
+  scheduledTaskAPI.getTask(db, taskKey, (err, task) => {
+    if (err) return onStarted(err);
+
+    const handler = TASK_HANDLERS[taskKey];
+    if (!handler) return onStarted(new Error(`No handler for scheduled task ${taskKey}`));
+
+    scheduledTaskAPI.startRun(db, taskKey, trigger, userId, (err) => {
+      if (err) return onStarted(err);
+      onStarted(null);
+
+      const startedAt = Date.now();
+      let done = false;
+      let timedOut = false;
+      const finish = (err, result) => {
+        if (done) {
+          if (!timedOut) return;
+          return console.warn(`Scheduled task ${taskKey} finished after it had timed out${err ? `: ${err.message || err}` : ''}`);
+        }
+        done = true;
+        clearTimeout(timeout);
+        const outcome = { error: err || null, result: result, durationMs: Date.now() - startedAt };
+
+        if (err) {
+          console.error(`Scheduled task ${taskKey} failed after ${outcome.durationMs} ms:`, err.message || err);
+        } else {
+          console.log(`Scheduled task ${taskKey} finished in ${outcome.durationMs} ms: ${JSON.stringify(result || {}).slice(0, 200)}`);
+        }
+
+        scheduledTaskAPI.finishRun(db, task, outcome, (updateErr) => {
+          if (updateErr) console.error(`Could not record the run of scheduled task ${taskKey}:`, updateErr.message);
+          finished(err || null, result);
+        });
+      };
+
+      const timeout = setTimeout(() => {
+        finish(new Error(`Timed out after ${TASK_TIMEOUT_MINUTES} minutes`), null);
+        timedOut = true;
+      }, TASK_TIMEOUT_MINUTES * 60 * 1000);
+
+      try {
+        handler(db, task, finish);
+      } catch (e) {
+        finish(e, null);
+      }
+    });
+  });
+}
+
+/**
+ * Start a task now, outside its schedule
+ * @param {Object} db - Database connection
+ * @param {string} taskKey - Task key
+ * @param {number} userId - Administrator starting the run
+ * @param {Function} callback - Callback function(err, task) - called once the run has started
+ */
+function runNow(db, taskKey, userId, callback) {
+  runTask(db, taskKey, 'Manual', userId, (err) => {
+    if (err) return callback(err, null);
+    scheduledTaskAPI.getTask(db, taskKey, callback);
+  });
+}
+
+// Run the due tasks one after another
+function tick(db) {
+  if (ticking) return;
+  ticking = true;
+
+  scheduledTaskAPI.releaseStaleRuns(db, TASK_TIMEOUT_MINUTES * 2, (err, stale) => {
+    if (err) {
+      console.error('Scheduler: releasing stale runs failed:', err.message);
+    } else if (stale.released > 0) {
+      console.warn(`Scheduler: ${stale.released} task run(s) did not finish and were recorded as failed`);
+    }
+
+    scheduledTaskAPI.getDueTasks(db, (err, taskKeys) => {
+      if (err) {
+        ticking = false;
+        return console.error('Scheduler: checking for due tasks failed:', err.message);
+      }
+
+      const next = (index) => {
+        if (index >= taskKeys.length) {
+          ticking = false;
+          return;
+        }
+        runTask(db, taskKeys[index], 'Schedule', null, (err) => {
+          if (err) {
+            console.error(`Scheduler: task ${taskKeys[index]} did not start:`, err.message);
+            return next(index + 1);
+          }
+        }, () => next(index + 1));
+      };
+      next(0);
+    });
+  });
+}
+
+/**
+ * Start running scheduled tasks
+ * @param {Object} db - Database connection
+ * @returns {boolean} Whether scheduled runs are enabled in this process
+ */
+function start(db) {
+  if ((process.env.SCHEDULER_ENABLED || 'true').toLowerCase() === 'false') return false;
+  if (tickTimer) return true;
+
+  scheduledTaskAPI.prepareTasks(db, (err, prepared) => {
+    if (err) return console.error('Scheduler: preparing tasks failed:', err.message);
+    if (prepared.interrupted > 0) {
+      console.warn(`Scheduler: ${prepared.interrupted} task run(s) were interrupted by a restart`);
+    }
+    tick(db);
+  });
+  tickTimer = setInterval(() => tick(db), TICK_INTERVAL_MS);
+  return true;
+}
+
+/**
+ * Stop running scheduled tasks. A run in progress is recorded as interrupted at the next start.
+ */
+function stop() {
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+module.exports = {
+  TASK_HANDLERS,
+  start,
+  stop,
+  runNow
+};
@@ -1,16 +1,34 @@
 // backend/socketManager.js
 // Purpose: Manages WebSocket connections for real-time notifications using Socket.IO.
+//          Sockets authenticate with the user's JWT during the handshake and are joined to rooms
+//          for the user, their role, all staff and the care team of each patient they look after,
+//          so a user may be connected from several devices at once and the server can broadcast
+//          to any of those groups. Notifications are stored in the user's inbox
+//          (notificationInboxAPI) before they are pushed, and those missed while offline are
+//          replayed when the user connects again.
 
 const socketIo = require('socket.io');
+const notificationInboxAPI = require('./api/notificationInboxAPI');
+const { authenticateToken } = require('./middleware/auth');
+
+const STAFF_ROLES = ['Specialist', 'Clinic_Staff', 'Administrator'];
 
 let io; // Stores the Socket.IO server instance
-const connectedUsers = new Map(); // Maps userId -> socketId for direct messaging
+let db; // Database connection for the notification inbox and care team lookups
+
+// Room names
+const userRoom = (userId) => `user:${userId}`;
+const roleRoom = (role) => `role:${role}`;
+const STAFF_ROOM = 'staff';
+const careTeamRoom = (patientId) => `care-team:${patientId}`;
 
 /**
  * Initializes the Socket.IO server.
  * @param {Object} httpServer - The HTTP server instance (from Express app).
+ * @param {Object} database - Database connection for the notification inbox.
  */
-function init(httpServer) {
+function init(httpServer, database) {
+  db = database;
   io = socketIo(httpServer, {
     cors: {
       origin: "http://localhost:3000", // Allow connections from the frontend
@@ -18,26 +36,33 @@ function init(httpServer) {
     }
   });
 
-  io.on('connection', (socket) => {
-    console.log(`Socket connected: ${socket.id}`);
+  // The user and role come from the verified token, never from the client
+  io.use((socket, next) => {
+    const token = getHandshakeToken(socket.handshake);
+    if (!token) {
+      return next(new Error('Authorization token required'));
+    }
 
-    // Expect a 'register' event from the client with their userId
-    socket.on('register', (userId) => {
-      console.log(`User ${userId} registered with socket ${socket.id}`);
-      connectedUsers.set(userId, socket.id); // Map user ID to their socket ID
-      io.to(socket.id).emit('notification', { type: 'system', message: 'Connected to real-time updates.' });
+    authenticateToken(token, (err, user) => {
+      if (err) return next(err);
+      socket.data.user = user;
+      next();
     });
+  });
+
+  io.on('connection', (socket) => {
+    const { user_id: userId, role } = socket.data.user;
+    console.log(`Socket ${socket.id} connected for user ${userId} (${role})`);
 
-    socket.on('disconnect', () => {
-      console.log(`Socket disconnected: ${socket.id}`);
-      // Remove the user from the map when they disconnect
-      for (let [userId, socketId] of connectedUsers.entries()) {
-        if (socketId === socket.id) {
-          connectedUsers.delete(userId);
-          console.log(`User ${userId} unregistered.`);
-          break;
-        }
-      }
+    socket.join([userRoom(userId), roleRoom(role)]);
+    if (STAFF_ROLES.includes(role)) socket.join(STAFF_ROOM);
+    if (role === 'Specialist') joinCareTeams(socket, userId);
+
+    socket.emit('notification', { type: 'system', message: 'Connected to real-time updates.' });
+    replayMissedNotifications(userId, socket.id);
+
+    socket.on('disconnect', (reason) => {
+      console.log(`Socket ${socket.id} disconnected for user ${userId} (${reason})`);
     });
 
     // Handle any potential errors on the socket
@@ -50,42 +75,313 @@ function init(httpServer) {
 }
 
 /**
- * Sends a real-time notification to a specific user.
+ * Gives a process without a Socket.IO server (the standalone job worker) the database, so the
+ * notifications it sends are stored in the inbox and replayed when users next connect.
+ * @param {Object} database - Database connection
+ */
+function useDatabase(database) {
+  db = database;
+}
+
+// Token from the client's auth payload, or a Bearer Authorization header as sent by non-browser clients
+function getHandshakeToken(handshake) {
+  if (handshake.auth && typeof handshake.auth.token === 'string') {
+    return handshake.auth.token.replace(/^bearer\s+/i, '').trim() || null;
+  }
+  const authHeader = handshake.headers && handshake.headers.authorization;
+  if (typeof authHeader === 'string' && authHeader.toLowerCase().startsWith('bearer ')) {
+    return authHeader.slice(7).trim() || null;
+  }
+  return null;
+}
+
+// Join a specialist's socket to the care team of every patient they are the assigned or backup specialist for
+function joinCareTeams(socket, specialistId) {
+  if (!db) return;
+  const query = `
+    SELECT Patient_ID FROM Specialist_Patient_Assignment
+    WHERE Specialist_ID = ? OR Backup_Specialist_ID = ?
+  `;
+  db.query(query, [specialistId, specialistId], (err, results) => {
+    if (err) {
+      console.error(`Error loading care teams for specialist ${specialistId}:`, err.message);
+      return;
+    }
+    socket.join(results.map(row => careTeamRoom(row.Patient_ID)));
+  });
+}
+
+// User IDs of a patient's care team: the assigned specialist and the backup specialist
+function getCareTeam(patientId, callback) {
+  const query = `
+    SELECT Specialist_ID, Backup_Specialist_ID FROM Specialist_Patient_Assignment
+    WHERE Patient_ID = ?
+  `;
+  db.query(query, [patientId], (err, results) => {
+    if (err) return callback(err, null);
+    const members = new Set();
+    results.forEach(row => {
+      members.add(row.Specialist_ID);
+      if (row.Backup_Specialist_ID) members.add(row.Backup_Specialist_ID);
+    });
+    callback(null, Array.from(members));
+  });
+}
+
+/**
+ * Re-syncs a patient's care team room after their specialist or backup specialist changes, so
+ * connected specialists who were added or removed do not need to reconnect.
+ * @param {number} patientId - Patient ID
+ * @param {Function} [callback] - Callback function(err, { members })
+ */
+function refreshCareTeam(patientId, callback) {
+  const done = callback || (() => {});
+  if (!io || !db) return done(null, { members: [] });
+
+  getCareTeam(patientId, (err, members) => {
+    if (err) {
+      console.error(`Error refreshing care team for patient ${patientId}:`, err.message);
+      return done(err, null);
+    }
+    const room = careTeamRoom(patientId);
+    io.in(room).socketsLeave(room);
+    if (members.length > 0) io.in(members.map(userRoom)).socketsJoin(room);
+    done(null, { members });
+  });
+}
+
+/**
+ * Disconnects every socket of a user, e.g. when their account is deleted.
+ * @param {number} userId - User ID
+ */
+function disconnectUser(userId) {
+  if (!io) return;
+  io.in(userRoom(userId)).disconnectSockets(true);
+}
+
+/**
+ * Whether the user has at least one connected socket.
+ * @param {number} userId - User ID
+ * @returns {boolean}
+ */
+function isUserConnected(userId) {
+  if (!io) return false;
+  const room = io.sockets.adapter.rooms.get(userRoom(userId));
+  return !!room && room.size > 0;
+}
+
+// Push the notifications a user missed while offline, oldest first
+function replayMissedNotifications(userId, socketId) {
+  if (!db) return;
+  notificationInboxAPI.getUndelivered(db, userId, (err, notifications) => {
+    if (err) {
+      console.error(`Error loading missed notifications for user ${userId}:`, err.message);
+      return;
+    }
+    if (notifications.length === 0) return;
+
+    notifications.forEach(notification => {
+      io.to(socketId).emit('notification', { ...notification, replayed: true });
+    });
+    notificationInboxAPI.markDelivered(db, notifications.map(n => n.notificationId), (err) => {
+      if (err) console.error(`Error marking replayed notifications for user ${userId}:`, err.message);
+    });
+    console.log(`Replayed ${notifications.length} missed notification(s) to user ${userId}`);
+  });
+}
+
+/**
+ * Stores a notification in the user's inbox and pushes it in real time to every socket the user
+ * has open; otherwise it is replayed when they next connect.
  * @param {number} userId - The ID of the user to send the notification to.
  * @param {Object} notificationData - The data of the notification (e.g., { type: 'alert', message: '...' }).
- * @returns {boolean} True if the user was found and notification was sent, false otherwise.
+ * @param {Function} [callback] - Callback function(err, { delivered, notificationId })
  */
-function sendNotificationToUser(userId, notificationData) {
-  const socketId = connectedUsers.get(userId);
-  if (socketId) {
-    io.to(socketId).emit('notification', notificationData);
-    console.log(`Notification sent to user ${userId} (socket ${socketId}):`, notificationData);
-    return true;
-  } else {
+function sendNotificationToUser(userId, notificationData, callback) {
+  const done = callback || (() => {});
+
+  const push = (notification) => {
+    if (isUserConnected(userId)) {
+      io.to(userRoom(userId)).emit('notification', notification);
+      console.log(`Notification sent to user ${userId}:`, notification.title || notification.message);
+      return true;
+    }
     console.log(`User ${userId} is not connected for real-time notification.`);
     return false;
+  };
+
+  if (!db) {
+    return done(null, { delivered: push(notificationData), notificationId: null });
+  }
+
+  notificationInboxAPI.addNotification(db, userId, notificationData, (err, notification) => {
+    if (err) {
+      console.error(`Error storing notification for user ${userId}:`, err.message);
+      return done(null, { delivered: push(notificationData), notificationId: null });
+    }
+
+    const delivered = push(notification);
+    if (!delivered) return done(null, { delivered: false, notificationId: notification.notificationId });
+
+    notificationInboxAPI.markDelivered(db, [notification.notificationId], (err) => {
+      if (err) console.error(`Error marking notification ${notification.notificationId} delivered:`, err.message);
+      done(null, { delivered: true, notificationId: notification.notificationId });
+    });
+  });
+}
+
+// Send a notification to each user in turn, counting how many were pushed live
+function sendNotificationToEach(userIds, notificationData, callback) {
+  let delivered = 0;
+  const next = (index) => {
+    if (index >= userIds.length) {
+      return callback(null, { recipients: userIds.length, delivered });
+    }
+    sendNotificationToUser(userIds[index], notificationData, (err, result) => {
+      if (result && result.delivered) delivered++;
+      next(index + 1);
+    });
+  };
+  next(0);
+}
+
+/**
+ * Sends a notification to every active user with one of the given roles. Each user gets it in
+ * their inbox, so users who are offline see it when they next connect.
+ * @param {string|string[]} roles - Role(s), e.g. 'Specialist'
+ * @param {Object} notificationData - The data of the notification.
+ * @param {Function} [callback] - Callback function(err, { recipients, delivered })
+ */
+function sendNotificationToRole(roles, notificationData, callback) {
+  const done = callback || (() => {});
+  const roleList = Array.isArray(roles) ? roles : [roles];
+
+  if (!db) {
+    roleList.forEach(role => emitToRole(role, 'notification', notificationData));
+    return done(null, { recipients: 0, delivered: 0 });
   }
+
+  db.query("SELECT User_ID FROM User WHERE Role IN (?) AND Status = 'Active'", [roleList], (err, results) => {
+    if (err) {
+      console.error(`Error loading ${roleList.join('/')} users for notification:`, err.message);
+      return done(err, null);
+    }
+    sendNotificationToEach(results.map(row => row.User_ID), notificationData, done);
+  });
+}
+
+/**
+ * Sends a notification to all specialists.
+ * @param {Object} notificationData - The data of the notification.
+ * @param {Function} [callback] - Callback function(err, { recipients, delivered })
+ */
+function sendNotificationToAllSpecialists(notificationData, callback) {
+  sendNotificationToRole('Specialist', notificationData, callback);
+}
+
+/**
+ * Sends a notification to all staff: specialists, clinic staff and administrators.
+ * @param {Object} notificationData - The data of the notification.
+ * @param {Function} [callback] - Callback function(err, { recipients, delivered })
+ */
+function sendNotificationToStaff(notificationData, callback) {
+  sendNotificationToRole(STAFF_ROLES, notificationData, callback);
 }
 
 /**
- * Sends a real-time notification to all connected specialists.
+ * Sends a notification to everyone caring for a patient: their assigned and backup specialists.
+ * @param {number} patientId - Patient ID
  * @param {Object} notificationData - The data of the notification.
+ * @param {Function} [callback] - Callback function(err, { recipients, delivered })
+ */
+function sendNotificationToCareTeam(patientId, notificationData, callback) {
+  const done = callback || (() => {});
+
+  if (!db) {
+    emitToCareTeam(patientId, 'notification', notificationData);
+    return done(null, { recipients: 0, delivered: 0 });
+  }
+
+  getCareTeam(patientId, (err, members) => {
+    if (err) {
+      console.error(`Error loading care team for patient ${patientId}:`, err.message);
+      return done(err, null);
+    }
+    sendNotificationToEach(members, notificationData, done);
+  });
+}
+
+// Live events that are not kept in the inbox (e.g. data updates) go straight to the connected sockets in a room
+
+/**
+ * Emits an event to every connected socket of a user.
+ * @param {number} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+function emitToUser(userId, event, payload) {
+  if (io) io.to(userRoom(userId)).emit(event, payload);
+}
+
+/**
+ * Emits an event to every connected user with the given role.
+ * @param {string} role - Role, e.g. 'Clinic_Staff'
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+function emitToRole(role, event, payload) {
+  if (io) io.to(roleRoom(role)).emit(event, payload);
+}
+
+/**
+ * Emits an event to every connected staff member.
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+function emitToStaff(event, payload) {
+  if (io) io.to(STAFF_ROOM).emit(event, payload);
+}
+
+/**
+ * Emits an event to the connected members of a patient's care team.
+ * @param {number} patientId - Patient ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+function emitToCareTeam(patientId, event, payload) {
+  if (io) io.to(careTeamRoom(patientId)).emit(event, payload);
+}
+
+/**
+ * Emits an event to a patient and the connected members of their care team, and optionally to
+ * wider staff rooms. A socket in several of the rooms receives the event once.
+ * @param {number} patientId - Patient ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ * @param {string} [audience] - 'clinic' adds clinic staff and administrators, 'staff' adds all staff
  */
-function sendNotificationToAllSpecialists(notificationData) {
-  // This would require a more sophisticated tracking of roles on connection
-  // For now, we can iterate through connected users and check their roles if roles were tracked.
-  // As roles are not tracked in connectedUsers map, this function is a placeholder.
-  console.log('Placeholder: Sending notification to all specialists (not yet implemented).');
-  // Example: if connectedUsers tracked roles:
-  // for (let [userId, socketId] of connectedUsers.entries()) {
-  //   if (getUserRole(userId) === 'Specialist') { // getUserRole would be a DB lookup or tracked in map
-  //     io.to(socketId).emit('notification', notificationData);
-  //   }
-  // }
+function emitToPatient(patientId, event, payload, audience) {
+  if (!io) return;
+  const rooms = [userRoom(patientId), careTeamRoom(patientId)];
+  if (audience === 'clinic') rooms.push(roleRoom('Clinic_Staff'), roleRoom('Administrator'));
+  if (audience === 'staff') rooms.push(STAFF_ROOM);
+  io.to(rooms).emit(event, payload);
 }
 
 module.exports = {
   init,
+  useDatabase,
+  isUserConnected,
+  refreshCareTeam,
+  disconnectUser,
   sendNotificationToUser,
-  sendNotificationToAllSpecialists
+  sendNotificationToRole,
+  sendNotificationToAllSpecialists,
+  sendNotificationToStaff,
+  sendNotificationToCareTeam,
+  emitToUser,
+  emitToRole,
+  emitToStaff,
+  emitToCareTeam,
+  emitToPatient
 };
@@ -0,0 +1,98 @@
+// utils/agpProfile.js
+// Purpose: Ambulatory Glucose Profile (AGP) calculations. Readings from a multi-day window
+//          are folded onto a single 24-hour day and summarized per time-of-day bin as
+//          5th/25th/50th/75th/95th percentiles; each day is also returned as a mini-profile.
+//          All values are canonical mg/dL.
+
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+// A bin needs a few readings before its percentiles mean anything
+const MIN_READINGS_PER_BIN = 3;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Percentile of a sorted array using linear interpolation between closest ranks
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile value, or null for an empty array
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+const pad = n => String(n).padStart(2, '0');
+const minuteLabel = minute => `${pad(Math.floor(minute / 60))}:${pad(minute % 60)}`;
+const dateKey = date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Build percentile curves by time of day
+ * @param {Array<{ time: Date, value: number }>} readings - Readings in mg/dL
+ * @param {number} binMinutes - Width of each time-of-day bin (must divide 1440)
+ * @returns {Object[]} One entry per bin: { minute, time, count, p5, p25, p50, p75, p95 }
+ */
+function percentileCurves(readings, binMinutes) {
+  const binCount = MINUTES_PER_DAY / binMinutes;
+  const bins = Array.from({ length: binCount }, () => []);
+
+  readings.forEach(r => {
+    const minuteOfDay = r.time.getHours() * 60 + r.time.getMinutes();
+    bins[Math.floor(minuteOfDay / binMinutes)].push(r.value);
+  });
+
+  return bins.map((values, index) => {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const entry = { minute: index * binMinutes, time: minuteLabel(index * binMinutes), count: values.length };
+    PERCENTILES.forEach(p => {
+      entry[`p${p}`] = sorted.length >= MIN_READINGS_PER_BIN ? Math.round(percentile(sorted, p) * 10) / 10 : null;
+    });
+    return entry;
+  });
+}
+
+/**
+ * Split readings into one mini-profile per calendar day of the window
+ * @param {Array<{ time: Date, value: number }>} readings - Readings in mg/dL
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @returns {Object[]} { date, readings: [{ minute, value }], mean } per day, oldest first
+ */
+function dailyProfiles(readings, start, end) {
+  const days = {};
+  const cursor = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+  while (cursor <= end) {
+    days[dateKey(cursor)] = [];
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  readings
+    .slice()
+    .sort((a, b) => a.time - b.time)
+    .forEach(r => {
+      const key = dateKey(r.time);
+      if (days[key]) {
+        days[key].push({ minute: r.time.getHours() * 60 + r.time.getMinutes(), value: r.value });
+      }
+    });
+
+  return Object.keys(days).map(date => {
+    const dayReadings = days[date];
+    const mean = dayReadings.length > 0
+      ? Math.round((dayReadings.reduce((sum, r) => sum + r.value, 0) / dayReadings.length) * 10) / 10
+      : null;
+    return { date: date, readings: dayReadings, mean: mean };
+  });
+}
+
+module.exports = {
+  PERCENTILES,
+  MIN_READINGS_PER_BIN,
+  MINUTES_PER_DAY,
+  percentile,
+  percentileCurves,
+  dailyProfiles
+};
@@ -0,0 +1,160 @@
+// utils/cronExpression.js
+// Purpose: Parses five-field cron expressions (minute hour day-of-month month day-of-week) and
+//          finds the next time one matches. Fields accept *, numbers, ranges (1-5), lists (1,15)
+//          and steps (*/15, 0-30/10); day-of-week is 0-6 from Sunday (7 is Sunday too). As in
+//          cron, when both day fields are restricted a day matching either one matches. The
+//          shortcuts @hourly, @daily, @weekly, @monthly and @yearly are accepted. Times are the
+//          server's local time.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// Far enough ahead for any valid expression (e.g. 29 February falls within 8 years)
+const MAX_SEARCH_YEARS = 8;
+
+// Values matched by one comma-separated part of a field
+function parsePart(part, field) {
+  const [range, stepText] = part.split('/');
+  const step = stepText === undefined ? 1 : Number(stepText);
+  if (!Number.isInteger(step) || step < 1) {
+    throw new Error(`Invalid cron expression: bad step "${part}" in the ${field.name} field`);
+  }
+
+  let start = field.min;
+  let end = field.max;
+  if (range !== '*') {
+    const bounds = range.split('-');
+    start = Number(bounds[0]);
+    end = bounds.length > 1 ? Number(bounds[1]) : (stepText === undefined ? start : field.max);
+    if (bounds.length > 2 || !/^\d+$/.test(bounds[0]) || (bounds.length > 1 && !/^\d+$/.test(bounds[1]))) {
+      throw new Error(`Invalid cron expression: "${part}" in the ${field.name} field`);
+    }
+    if (start < field.min || end > field.max) {
+      throw new Error(`Invalid cron expression: ${field.name} must be between ${field.min} and ${field.max}`);
+    }
+    if (start > end) {
+      throw new Error(`Invalid cron expression: range "${range}" in the ${field.name} field is reversed`);
+    }
+  }
+
+  const values = [];
+  for (let value = start; value <= end; value += step) values.push(value);
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression or shortcut
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek } (Sets), with
+ *                   anyDayOfMonth/anyDayOfWeek when a day field is *
+ */
+function parse(expression) {
+  const text = String(expression || '').trim().toLowerCase();
+  const fields = (SHORTCUTS[text] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Invalid cron expression: must have 5 fields (minute hour day-of-month month day-of-week)');
+  }
+
+  const sets = fields.map((value, i) => {
+    const set = new Set();
+    value.split(',').forEach(part => parsePart(part, FIELDS[i]).forEach(v => set.add(v)));
+    return set;
+  });
+
+  // Sunday may be written 0 or 7
+  if (sets[4].has(7)) sets[4].add(0);
+
+  return {
+    minutes: sets[0],
+    hours: sets[1],
+    daysOfMonth: sets[2],
+    months: sets[3],
+    daysOfWeek: sets[4],
+    anyDayOfMonth: fields[2].startsWith('*'),
+    anyDayOfWeek: fields[4].startsWith('*')
+  };
+}
+
+// Whether a date's day matches the day-of-month and day-of-week fields
+function dayMatches(schedule, date) {
+  const dom = schedule.daysOfMonth.has(date.getDate());
+  const dow = schedule.daysOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth && schedule.anyDayOfWeek) return true;
+  if (schedule.anyDayOfMonth) return dow;
+  if (schedule.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/**
+ * The first time after `from` that a cron expression matches
+ * @param {string|Object} expression - Cron expression, or a schedule returned by parse()
+ * @param {Date} [from] - Start searching after this time (default now)
+ * @returns {Date} Next matching time (seconds and milliseconds are zero)
+ */
+function nextRun(expression, from) {
+  const schedule = typeof expression === 'string' ? parse(expression) : expression;
+  const date = new Date((from || new Date()).getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  // Skip whole months, days and hours that cannot match before stepping by minutes
+  while (date < limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error('Invalid cron expression: it never matches a date');
+}
+
+/**
+ * Check a cron expression
+ * @param {string} expression - Cron expression
+ * @returns {string|null} Why the expression is invalid, or null if it is valid
+ */
+function validate(expression) {
+  try {
+    nextRun(expression);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+module.exports = {
+  parse,
+  nextRun,
+  validate
+};
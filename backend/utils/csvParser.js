@@ -0,0 +1,89 @@
+// utils/csvParser.js
+// Purpose: Minimal RFC 4180 CSV parsing for reading imports (quoted fields,
+//          escaped quotes, embedded commas/newlines, CRLF line endings).
+
+/**
+ * Split CSV text into rows of string fields
+ * @param {string} text - Raw CSV file contents
+ * @returns {Array<{ line: number, fields: string[] }>} Non-empty rows with their 1-based starting line number
+ */
+function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowStartLine = 1;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = (text || '').replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    fields.push(field);
+    // Skip blank lines
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowStartLine, fields: fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\r') {
+      // Handled by the following \n (or treated as a line break on its own)
+      if (input[i + 1] !== '\n') {
+        endRow();
+        line++;
+        rowStartLine = line;
+      }
+    } else if (char === '\n') {
+      endRow();
+      line++;
+      rowStartLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Normalize a header cell for loose matching ("Food Notes", "food_notes" -> "foodnotes")
+ * @param {string} header - Header cell text
+ * @returns {string} Lowercase header with spaces, underscores and dashes removed
+ */
+function normalizeHeader(header) {
+  return (header || '').trim().toLowerCase().replace(/[\s_\-]+/g, '');
+}
+
+module.exports = {
+  parseCsv,
+  normalizeHeader
+};
@@ -0,0 +1,265 @@
+// utils/fhirMapper.js
+// Purpose: Map between Sugar_Reading / Patient rows and FHIR R4 resources
+//          (Observation, Patient, Bundle, OperationOutcome).
+
+const unitConverter = require('./unitConverter');
+
+const LOINC_SYSTEM = 'http://loinc.org';
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const HEALTHCARE_NUMBER_SYSTEM = process.env.FHIR_HEALTHCARE_NUMBER_SYSTEM || 'urn:bsms:healthcare-number';
+
+// LOINC code used on export for each unit
+const LOINC_BY_UNIT = {
+  'mg/dL': { code: '2339-0', display: 'Glucose [Mass/volume] in Blood' },
+  'mmol/L': { code: '15074-8', display: 'Glucose [Moles/volume] in Blood' }
+};
+
+// Glucose LOINC codes accepted on import (blood and capillary glucometer variants)
+const IMPORTABLE_LOINC_CODES = ['2339-0', '15074-8', '41653-7', '14743-9', '2345-7', '14749-6'];
+
+const INTERPRETATION_DISPLAY = {
+  N: 'Normal',
+  H: 'High',
+  L: 'Low',
+  HH: 'Critical high',
+  LL: 'Critical low'
+};
+
+/**
+ * Derive a v3 interpretation code from the stored Category. The direction (high/low)
+ * comes from comparing the value to the normal range the reading was categorized with.
+ * @param {string} category - 'Normal', 'Borderline' or 'Abnormal'
+ * @param {number} valueMgdl - Reading value in mg/dL
+ * @param {Object|null} thresholds - Thresholds the reading was categorized under ({ Normal_Low, Normal_High }, mg/dL)
+ * @returns {string|null} 'N', 'H', 'L', 'HH', 'LL' or null if uncategorized
+ */
+function interpretationCode(category, valueMgdl, thresholds) {
+  if (category === 'Normal') return 'N';
+  if (category !== 'Borderline' && category !== 'Abnormal') return null;
+
+  const normalHigh = thresholds ? thresholds.Normal_High : null;
+  const isHigh = normalHigh === null || normalHigh === undefined ? true : valueMgdl > normalHigh;
+  if (category === 'Borderline') return isHigh ? 'H' : 'L';
+  return isHigh ? 'HH' : 'LL';
+}
+
+/**
+ * Serialize a Sugar_Reading row as a FHIR Observation
+ * @param {Object} reading - Row with Reading_ID, Patient_ID, DateTime, Value, Unit, Category, notes...
+ * @param {string} unit - Output unit ('mg/dL' or 'mmol/L')
+ * @param {Object|null} thresholds - Thresholds the reading was categorized under (mg/dL) for referenceRange
+ * @returns {Object} Observation resource
+ */
+function readingToObservation(reading, unit, thresholds) {
+  const outputUnit = unitConverter.normalizeUnit(unit) || unitConverter.CANONICAL_UNIT;
+  const valueMgdl = unitConverter.toCanonical(reading.Value, reading.Unit);
+  const loinc = LOINC_BY_UNIT[outputUnit];
+
+  const observation = {
+    resourceType: 'Observation',
+    id: String(reading.Reading_ID),
+    status: 'final',
+    category: [{
+      coding: [{ system: CATEGORY_SYSTEM, code: 'laboratory', display: 'Laboratory' }]
+    }],
+    code: {
+      coding: [{ system: LOINC_SYSTEM, code: loinc.code, display: loinc.display }],
+      text: 'Blood glucose'
+    },
+    subject: { reference: `Patient/${reading.Patient_ID}` },
+    effectiveDateTime: new Date(reading.DateTime).toISOString(),
+    valueQuantity: {
+      value: unitConverter.convertValue(valueMgdl, unitConverter.CANONICAL_UNIT, outputUnit),
+      unit: outputUnit,
+      system: UCUM_SYSTEM,
+      code: outputUnit
+    }
+  };
+
+  const interpretation = interpretationCode(reading.Category, valueMgdl, thresholds);
+  if (interpretation) {
+    observation.interpretation = [{
+      coding: [{ system: INTERPRETATION_SYSTEM, code: interpretation, display: INTERPRETATION_DISPLAY[interpretation] }],
+      text: reading.Category
+    }];
+  }
+
+  if (thresholds && thresholds.Normal_Low !== null && thresholds.Normal_High !== null) {
+    const quantity = value => ({
+      value: unitConverter.convertValue(value, unitConverter.CANONICAL_UNIT, outputUnit),
+      unit: outputUnit,
+      system: UCUM_SYSTEM,
+      code: outputUnit
+    });
+    observation.referenceRange = [{
+      low: quantity(thresholds.Normal_Low),
+      high: quantity(thresholds.Normal_High),
+      text: 'Normal range'
+    }];
+  }
+
+  const notes = [
+    reading.Food_Notes && `Food: ${reading.Food_Notes}`,
+    reading.Activity_Notes && `Activity: ${reading.Activity_Notes}`,
+    reading.Event && `Event: ${reading.Event}`,
+    reading.Symptoms && `Symptoms: ${reading.Symptoms}`,
+    reading.Notes
+  ].filter(Boolean);
+  if (notes.length > 0) {
+    observation.note = notes.map(text => ({ text: text }));
+  }
+
+  if (reading.Source && reading.Source !== 'Manual') {
+    observation.device = { display: reading.Source_Device_ID ? `${reading.Source} (${reading.Source_Device_ID})` : reading.Source };
+  }
+
+  return observation;
+}
+
+/**
+ * Serialize a patient row as a FHIR Patient resource
+ * @param {Object} patient - Row with Patient_ID, Name, Email, Phone, Status, Healthcare_Number, Date_Of_Birth
+ * @returns {Object} Patient resource
+ */
+function patientToResource(patient) {
+  const resource = {
+    resourceType: 'Patient',
+    id: String(patient.Patient_ID),
+    active: patient.Status === 'Active',
+    name: [{ text: patient.Name }]
+  };
+
+  if (patient.Healthcare_Number) {
+    resource.identifier = [{ system: HEALTHCARE_NUMBER_SYSTEM, value: patient.Healthcare_Number }];
+  }
+
+  const telecom = [];
+  if (patient.Email) telecom.push({ system: 'email', value: patient.Email });
+  if (patient.Phone) telecom.push({ system: 'phone', value: patient.Phone });
+  if (telecom.length > 0) resource.telecom = telecom;
+
+  if (patient.Date_Of_Birth) {
+    const dob = new Date(patient.Date_Of_Birth);
+    const pad = n => String(n).padStart(2, '0');
+    resource.birthDate = `${dob.getFullYear()}-${pad(dob.getMonth() + 1)}-${pad(dob.getDate())}`;
+  }
+
+  return resource;
+}
+
+/**
+ * Wrap resources in a searchset Bundle
+ * @param {Object[]} matches - Resources matching the search
+ * @param {Object[]} includes - Resources pulled in by _include
+ * @param {number} total - Total number of matches across all pages
+ * @param {Object} links - { self, next? } absolute URLs
+ * @returns {Object} Bundle resource
+ */
+function toSearchBundle(matches, includes, total, links) {
+  const fullUrl = resource => `${links.base}/${resource.resourceType}/${resource.id}`;
+  const bundle = {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: total,
+    link: [{ relation: 'self', url: links.self }],
+    entry: [
+      ...matches.map(resource => ({ fullUrl: fullUrl(resource), resource: resource, search: { mode: 'match' } })),
+      ...includes.map(resource => ({ fullUrl: fullUrl(resource), resource: resource, search: { mode: 'include' } }))
+    ]
+  };
+  if (links.next) bundle.link.push({ relation: 'next', url: links.next });
+  return bundle;
+}
+
+/**
+ * Build an OperationOutcome for an error or warning
+ * @param {string} severity - 'error', 'warning' or 'information'
+ * @param {string} code - FHIR issue type (e.g. 'invalid', 'not-found', 'forbidden', 'exception')
+ * @param {string} diagnostics - Human readable explanation
+ * @returns {Object} OperationOutcome resource
+ */
+function operationOutcome(severity, code, diagnostics) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: severity, code: code, diagnostics: diagnostics }]
+  };
+}
+
+/**
+ * Extract the patient id from a reference such as 'Patient/12' or a full URL
+ * @param {string} reference - FHIR reference
+ * @returns {number|null} Patient ID
+ */
+function patientIdFromReference(reference) {
+  const match = /(?:^|\/)Patient\/(\d+)$/.exec(reference || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Convert an Observation into a reading candidate for readingImportAPI.importReadings
+ * @param {Object} observation - Observation resource
+ * @returns {{ error: string|null, patientId: number|null, row: Object|null }}
+ */
+function observationToReading(observation) {
+  if (!observation || observation.resourceType !== 'Observation') {
+    return { error: 'Entry is not an Observation', patientId: null, row: null };
+  }
+
+  const codings = observation.code && Array.isArray(observation.code.coding) ? observation.code.coding : [];
+  const isGlucose = codings.some(c => c && c.system === LOINC_SYSTEM && IMPORTABLE_LOINC_CODES.includes(c.code));
+  if (!isGlucose) {
+    return { error: `Observation code is not a supported glucose LOINC code (${IMPORTABLE_LOINC_CODES.join(', ')})`, patientId: null, row: null };
+  }
+
+  if (observation.status && ['entered-in-error', 'cancelled'].includes(observation.status)) {
+    return { error: `Observation status "${observation.status}" is not imported`, patientId: null, row: null };
+  }
+
+  const patientId = patientIdFromReference(observation.subject && observation.subject.reference);
+  if (!patientId) {
+    return { error: 'Observation.subject must reference Patient/{id}', patientId: null, row: null };
+  }
+
+  const quantity = observation.valueQuantity;
+  if (!quantity || quantity.value === undefined) {
+    return { error: 'Observation.valueQuantity is required', patientId: patientId, row: null };
+  }
+  const unit = unitConverter.normalizeUnit(quantity.code || quantity.unit);
+  if (!unit) {
+    return { error: `Unsupported unit "${quantity.code || quantity.unit}" (use UCUM mg/dL or mmol/L)`, patientId: patientId, row: null };
+  }
+
+  const effective = observation.effectiveDateTime || observation.effectiveInstant ||
+    (observation.effectivePeriod && observation.effectivePeriod.start);
+
+  const notes = (Array.isArray(observation.note) ? observation.note : []).map(n => n && n.text).filter(Boolean).join('; ');
+
+  return {
+    error: null,
+    patientId: patientId,
+    row: {
+      dateTime: effective || null,
+      value: quantity.value,
+      unit: unit,
+      foodNotes: null,
+      activityNotes: null,
+      event: null,
+      symptoms: null,
+      notes: notes || null,
+      sourceDeviceId: observation.device ? (observation.device.display || observation.device.reference || null) : null
+    }
+  };
+}
+
+module.exports = {
+  LOINC_BY_UNIT,
+  IMPORTABLE_LOINC_CODES,
+  readingToObservation,
+  patientToResource,
+  toSearchBundle,
+  operationOutcome,
+  patientIdFromReference,
+  observationToReading
+};
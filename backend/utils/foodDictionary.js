@@ -0,0 +1,85 @@
+// utils/foodDictionary.js
+// Purpose: Map free-text food names (Food_Notes tokens, meal items) to canonical food items
+//          from the food dictionary (Food_Item table), so pattern analysis and reports count
+//          "spaghetti", "Pasta" and "pasta " as the same trigger.
+
+/**
+ * Normalize a food name for comparison
+ * @param {string} name - e.g. '  White  Rice '
+ * @returns {string} Lowercase, trimmed, single-spaced name ('white rice'), or '' for empty input
+ */
+function normalizeFoodName(name) {
+  if (name === undefined || name === null) return '';
+  return String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a comma-separated alias list
+ * @param {string|null} aliases - e.g. 'spaghetti,noodles'
+ * @returns {string[]} Normalized, non-empty aliases
+ */
+function parseAliases(aliases) {
+  if (!aliases) return [];
+  return String(aliases).split(',').map(normalizeFoodName).filter(Boolean);
+}
+
+/**
+ * Build a lookup from every name and alias to the canonical food name
+ * @param {Object[]} foodRows - Food_Item rows ({ Name, Aliases })
+ * @returns {Map<string, string>} normalized name/alias -> canonical (normalized) food name
+ */
+function buildFoodIndex(foodRows) {
+  const index = new Map();
+  // Names win over aliases, so index all names first
+  foodRows.forEach(row => {
+    const canonical = normalizeFoodName(row.Name);
+    if (canonical) index.set(canonical, canonical);
+  });
+  foodRows.forEach(row => {
+    const canonical = normalizeFoodName(row.Name);
+    parseAliases(row.Aliases).forEach(alias => {
+      if (!index.has(alias)) index.set(alias, canonical);
+    });
+  });
+  return index;
+}
+
+/**
+ * Canonicalize a food name; names not in the dictionary are kept (normalized)
+ * @param {string} name - Food name as entered
+ * @param {Map<string, string>} index - From buildFoodIndex
+ * @returns {string} Canonical food name, or '' for empty input
+ */
+function canonicalFoodName(name, index) {
+  const normalized = normalizeFoodName(name);
+  if (!normalized) return '';
+  return index.get(normalized) || normalized;
+}
+
+/**
+ * Canonical food items of a reading: its Food_Notes tokens plus the foods of its linked meal
+ * @param {string|null} foodNotes - Comma-separated free text
+ * @param {string|null} mealFoods - Comma-separated names of the linked meal's items (may be null)
+ * @param {Map<string, string>} index - From buildFoodIndex
+ * @returns {string[]} Unique canonical food names
+ */
+function canonicalFoods(foodNotes, mealFoods, index) {
+  const names = [
+    ...(foodNotes ? String(foodNotes).split(',') : []),
+    ...(mealFoods ? String(mealFoods).split(',') : [])
+  ];
+  const result = new Set();
+  names.forEach(name => {
+    const canonical = canonicalFoodName(name, index);
+    if (canonical) result.add(canonical);
+  });
+  return Array.from(result);
+}
+
+module.exports = {
+  normalizeFoodName,
+  parseAliases,
+  buildFoodIndex,
+  canonicalFoodName,
+  canonicalFoods
+};
@@ -0,0 +1,128 @@
+// utils/glucoseMetrics.js
+// Purpose: Glycemic control metrics from the international consensus on time in range
+//          (Battelino et al., Diabetes Care 2019): time below/in/above range, glucose
+//          variability (SD, CV), glucose management indicator and data sufficiency.
+//          All inputs are canonical mg/dL values.
+
+// Consensus ranges (mg/dL). These are fixed clinical cut points, independent of the
+// categorization thresholds configured by clinic staff.
+const RANGES = {
+  VERY_LOW: 54,   // below: time below range level 2
+  LOW: 70,        // below: time below range level 1 (54-69)
+  HIGH: 180,      // above: time above range level 1 (181-250)
+  VERY_HIGH: 250  // above: time above range level 2
+};
+
+// Expected spacing between readings for data sufficiency (CGM sensors report every 5 minutes)
+const DEFAULT_EXPECTED_INTERVAL_MINUTES = 5;
+
+// Consensus minimums for the metrics to be considered representative
+const MIN_SUFFICIENCY_PERCENT = 70;
+const MIN_SUFFICIENCY_DAYS = 14;
+
+const round = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Compute consensus glycemic metrics for a set of readings.
+ * Percentages are the share of readings in each range, which approximates time in range
+ * for evenly spaced (CGM) data.
+ * @param {Array<{ time: Date, value: number }>} readings - Readings with canonical mg/dL values
+ * @param {Object} period - { start: Date|null, end: Date|null } requested range; missing ends
+ *                          fall back to the first/last reading
+ * @param {number} [expectedIntervalMinutes] - Expected minutes between readings (default 5)
+ * @returns {Object} Metrics; values are null when there are no readings
+ */
+function computeGlycemicMetrics(readings, period, expectedIntervalMinutes) {
+  const interval = expectedIntervalMinutes > 0 ? expectedIntervalMinutes : DEFAULT_EXPECTED_INTERVAL_MINUTES;
+  const count = readings.length;
+
+  const metrics = {
+    reading_count: count,
+    period_start: null,
+    period_end: null,
+    period_days: 0,
+    time_below_range_level2: null,
+    time_below_range_level1: null,
+    time_below_range: null,
+    time_in_range: null,
+    time_above_range_level1: null,
+    time_above_range_level2: null,
+    time_above_range: null,
+    mean_glucose: null,
+    standard_deviation: null,
+    coefficient_of_variation: null,
+    glucose_management_indicator: null,
+    expected_interval_minutes: interval,
+    expected_readings: 0,
+    data_sufficiency: 0,
+    sufficient_data: false
+  };
+
+  if (count === 0) return metrics;
+
+  // reduce rather than Math.min(...times): spreading a year of CGM readings overflows the call stack
+  const times = readings.map(r => r.time.getTime());
+  const periodStart = period && period.start ? period.start.getTime() : times.reduce((a, b) => Math.min(a, b));
+  let periodEnd = period && period.end ? period.end.getTime() : times.reduce((a, b) => Math.max(a, b));
+  periodEnd = Math.min(periodEnd, Date.now());
+
+  const values = readings.map(r => r.value);
+  const percent = n => round((n / count) * 100, 1);
+  const countWhere = predicate => values.filter(predicate).length;
+
+  const veryLow = countWhere(v => v < RANGES.VERY_LOW);
+  const low = countWhere(v => v >= RANGES.VERY_LOW && v < RANGES.LOW);
+  const inRange = countWhere(v => v >= RANGES.LOW && v <= RANGES.HIGH);
+  const high = countWhere(v => v > RANGES.HIGH && v <= RANGES.VERY_HIGH);
+  const veryHigh = countWhere(v => v > RANGES.VERY_HIGH);
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / count;
+  // Sample standard deviation, as reported by CGM software
+  const variance = count > 1
+    ? values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (count - 1)
+    : 0;
+  const sd = Math.sqrt(variance);
+
+  // Count each expected slot at most once so overlapping sources can't exceed 100%
+  const intervalMs = interval * 60 * 1000;
+  const spanMs = Math.max(periodEnd - periodStart, 0);
+  const expected = Math.max(Math.floor(spanMs / intervalMs) + 1, 1);
+  const slots = new Set(times
+    .filter(t => t >= periodStart && t <= periodEnd)
+    .map(t => Math.floor((t - periodStart) / intervalMs)));
+  const sufficiency = Math.min(round((slots.size / expected) * 100, 1), 100);
+  const periodDays = round(spanMs / (24 * 60 * 60 * 1000), 1);
+
+  return {
+    ...metrics,
+    period_start: new Date(periodStart),
+    period_end: new Date(periodEnd),
+    period_days: periodDays,
+    time_below_range_level2: percent(veryLow),
+    time_below_range_level1: percent(low),
+    time_below_range: percent(veryLow + low),
+    time_in_range: percent(inRange),
+    time_above_range_level1: percent(high),
+    time_above_range_level2: percent(veryHigh),
+    time_above_range: percent(high + veryHigh),
+    mean_glucose: round(mean, 1),
+    standard_deviation: round(sd, 1),
+    coefficient_of_variation: mean > 0 ? round((sd / mean) * 100, 1) : null,
+    // GMI (%) = 3.31 + 0.02392 x mean glucose (mg/dL)
+    glucose_management_indicator: round(3.31 + 0.02392 * mean, 1),
+    expected_readings: expected,
+    data_sufficiency: sufficiency,
+    sufficient_data: sufficiency >= MIN_SUFFICIENCY_PERCENT && periodDays >= MIN_SUFFICIENCY_DAYS
+  };
+}
+
+module.exports = {
+  RANGES,
+  DEFAULT_EXPECTED_INTERVAL_MINUTES,
+  MIN_SUFFICIENCY_PERCENT,
+  MIN_SUFFICIENCY_DAYS,
+  computeGlycemicMetrics
+};
@@ -0,0 +1,121 @@
+// utils/importers/common.js
+// Purpose: Helpers shared by the device export parsers (header detection, timestamps,
+//          and attaching carb/insulin events to nearby glucose readings).
+
+const csvParser = require('../csvParser');
+
+// Carb/insulin entries are attached to the closest glucose reading within this window
+const EVENT_MATCH_WINDOW_MINUTES = 30;
+
+/**
+ * Find the header row in an export that starts with a preamble
+ * @param {Array<{ line: number, fields: string[] }>} csvRows - Parsed CSV rows
+ * @param {string[]} requiredHeaders - Normalized header names that must all be present
+ * @returns {number} Index of the header row, or -1 if not found
+ */
+function findHeaderRow(csvRows, requiredHeaders) {
+  return csvRows.findIndex(row => {
+    const normalized = row.fields.map(csvParser.normalizeHeader);
+    return requiredHeaders.every(h => normalized.some(n => n.startsWith(h)));
+  });
+}
+
+/**
+ * Locate a column whose normalized header starts with a prefix
+ * @param {string[]} headerFields - Header row cells
+ * @param {string} prefix - Normalized prefix (e.g. 'glucosevalue')
+ * @returns {number} Column index, or -1
+ */
+function findColumn(headerFields, prefix) {
+  return headerFields.map(csvParser.normalizeHeader).findIndex(h => h.startsWith(prefix));
+}
+
+/**
+ * Read a trimmed cell, returning null for missing/blank values
+ * @param {string[]} fields - Row cells
+ * @param {number} index - Column index (-1 when the column is absent)
+ * @returns {string|null} Cell value
+ */
+function cellAt(fields, index) {
+  if (index < 0 || fields[index] === undefined) return null;
+  const value = fields[index].trim();
+  return value === '' ? null : value;
+}
+
+/**
+ * Format a date as a MySQL DATETIME string in local time
+ * @param {Date} date - Date to format
+ * @returns {string} 'YYYY-MM-DD HH:MM:SS'
+ */
+function toSqlDateTime(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Append a note to a reading field, separating multiple entries with '; '
+ * @param {Object} reading - Reading candidate
+ * @param {string} field - 'foodNotes', 'event' or 'notes'
+ * @param {string} text - Note text
+ */
+function appendNote(reading, field, text) {
+  reading[field] = reading[field] ? `${reading[field]}; ${text}` : text;
+}
+
+/**
+ * Attach carb/insulin/other events to the nearest glucose reading in time.
+ * Events with no reading inside the window are returned so they can be reported.
+ * @param {Object[]} readings - Glucose reading candidates with a Date in `time`
+ * @param {Object[]} events - { line, time, field, text }
+ * @returns {Object[]} Unmatched events as { line, reason }
+ */
+function attachEvents(readings, events) {
+  const unmatched = [];
+  const windowMs = EVENT_MATCH_WINDOW_MINUTES * 60 * 1000;
+
+  events.forEach(event => {
+    let closest = null;
+    let closestDiff = Infinity;
+    readings.forEach(reading => {
+      const diff = Math.abs(reading.time - event.time);
+      if (diff < closestDiff) {
+        closest = reading;
+        closestDiff = diff;
+      }
+    });
+
+    if (closest && closestDiff <= windowMs) {
+      appendNote(closest, event.field, event.text);
+    } else {
+      unmatched.push({
+        line: event.line,
+        reason: `No glucose reading within ${EVENT_MATCH_WINDOW_MINUTES} minutes to attach "${event.text}"`
+      });
+    }
+  });
+
+  return unmatched;
+}
+
+/**
+ * Convert internal reading candidates to the row shape used by readingImportAPI
+ * @param {Object[]} readings - Candidates with a Date in `time`
+ * @returns {Object[]} Rows with dateTime strings
+ */
+function toImportRows(readings) {
+  return readings.map(({ time, ...reading }) => ({
+    ...reading,
+    dateTime: toSqlDateTime(time)
+  }));
+}
+
+module.exports = {
+  EVENT_MATCH_WINDOW_MINUTES,
+  findHeaderRow,
+  findColumn,
+  cellAt,
+  toSqlDateTime,
+  attachEvents,
+  toImportRows
+};
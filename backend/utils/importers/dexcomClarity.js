@@ -0,0 +1,118 @@
+// utils/importers/dexcomClarity.js
+// Purpose: Parse Dexcom Clarity CSV exports. The export has one header row followed by
+//          patient/device preamble rows (no timestamp) and then timestamped events:
+//          EGV (sensor glucose), Calibration, Insulin, Carbs, Exercise, Health, Alert.
+
+const csvParser = require('../csvParser');
+const common = require('./common');
+
+const SOURCE = 'Dexcom Clarity';
+
+// Clarity reports out-of-range sensor values as text instead of a number (mg/dL)
+const SENSOR_LOW_MGDL = 40;
+const SENSOR_HIGH_MGDL = 400;
+
+/**
+ * Check whether CSV text looks like a Dexcom Clarity export
+ * @param {Array<{ line: number, fields: string[] }>} csvRows - Parsed CSV rows
+ * @returns {boolean} True if the Clarity header row is present
+ */
+function matches(csvRows) {
+  return common.findHeaderRow(csvRows, ['timestamp', 'eventtype', 'glucosevalue']) !== -1;
+}
+
+/**
+ * Parse a Dexcom Clarity export into reading rows
+ * @param {Array<{ line: number, fields: string[] }>} csvRows - Parsed CSV rows
+ * @returns {{ error: string|null, source: string, rows: Object[], skipped: Object[] }}
+ */
+function parse(csvRows) {
+  const headerIndex = common.findHeaderRow(csvRows, ['timestamp', 'eventtype', 'glucosevalue']);
+  if (headerIndex === -1) {
+    return { error: 'Not a Dexcom Clarity export (header row not found)', source: SOURCE, rows: [], skipped: [] };
+  }
+
+  const header = csvRows[headerIndex].fields;
+  const col = {
+    timestamp: common.findColumn(header, 'timestamp'),
+    eventType: common.findColumn(header, 'eventtype'),
+    eventSubtype: common.findColumn(header, 'eventsubtype'),
+    glucose: common.findColumn(header, 'glucosevalue'),
+    insulin: common.findColumn(header, 'insulinvalue'),
+    carbs: common.findColumn(header, 'carbvalue'),
+    duration: common.findColumn(header, 'duration'),
+    sourceDevice: common.findColumn(header, 'sourcedeviceid'),
+    transmitter: common.findColumn(header, 'transmitterid')
+  };
+  const glucoseUnit = csvParser.normalizeHeader(header[col.glucose]).includes('mmol') ? 'mmol/L' : 'mg/dL';
+
+  const readings = [];
+  const events = [];
+  const skipped = [];
+
+  csvRows.slice(headerIndex + 1).forEach(({ line, fields }) => {
+    const timestamp = common.cellAt(fields, col.timestamp);
+    // Preamble rows (FirstName, Device, alert settings...) carry no timestamp
+    if (!timestamp) return;
+
+    const time = new Date(timestamp);
+    if (isNaN(time.getTime())) {
+      skipped.push({ line: line, reason: `Invalid timestamp "${timestamp}"` });
+      return;
+    }
+
+    const eventType = (common.cellAt(fields, col.eventType) || '').toLowerCase();
+    const subtype = common.cellAt(fields, col.eventSubtype);
+
+    if (eventType === 'egv' || eventType === 'calibration') {
+      const raw = common.cellAt(fields, col.glucose);
+      const reading = {
+        line: line,
+        time: time,
+        value: raw,
+        unit: glucoseUnit,
+        foodNotes: null,
+        activityNotes: null,
+        event: eventType === 'calibration' ? 'Calibration (fingerstick)' : null,
+        symptoms: null,
+        notes: null,
+        sourceDeviceId: common.cellAt(fields, col.transmitter) || common.cellAt(fields, col.sourceDevice)
+      };
+
+      if (raw && raw.toLowerCase() === 'low') {
+        reading.value = SENSOR_LOW_MGDL;
+        reading.unit = 'mg/dL';
+        reading.notes = `Sensor reported Low (below ${SENSOR_LOW_MGDL} mg/dL)`;
+      } else if (raw && raw.toLowerCase() === 'high') {
+        reading.value = SENSOR_HIGH_MGDL;
+        reading.unit = 'mg/dL';
+        reading.notes = `Sensor reported High (above ${SENSOR_HIGH_MGDL} mg/dL)`;
+      }
+
+      readings.push(reading);
+    } else if (eventType === 'insulin') {
+      const units = common.cellAt(fields, col.insulin);
+      events.push({ line: line, time: time, field: 'event', text: `Insulin ${units || '?'} u${subtype ? ` (${subtype})` : ''}` });
+    } else if (eventType === 'carbs') {
+      const grams = common.cellAt(fields, col.carbs);
+      events.push({ line: line, time: time, field: 'foodNotes', text: `Carbs ${grams || '?'} g` });
+    } else if (eventType === 'exercise') {
+      const duration = common.cellAt(fields, col.duration);
+      events.push({ line: line, time: time, field: 'activityNotes', text: `Exercise${subtype ? `: ${subtype}` : ''}${duration ? ` (${duration})` : ''}` });
+    } else if (eventType === 'health') {
+      events.push({ line: line, time: time, field: 'symptoms', text: subtype || 'Health event' });
+    } else {
+      skipped.push({ line: line, reason: `Event type "${common.cellAt(fields, col.eventType) || 'unknown'}" is not imported` });
+    }
+  });
+
+  skipped.push(...common.attachEvents(readings, events));
+
+  return { error: null, source: SOURCE, rows: common.toImportRows(readings), skipped: skipped };
+}
+
+module.exports = {
+  SOURCE,
+  matches,
+  parse
+};
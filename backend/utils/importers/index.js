@@ -0,0 +1,25 @@
+// utils/importers/index.js
+// Purpose: Registry of device export parsers used by the reading import endpoint.
+
+const dexcomClarity = require('./dexcomClarity');
+const libreView = require('./libreView');
+
+// Format name (as accepted by the `format` request parameter) -> parser
+const DEVICE_IMPORTERS = {
+  dexcom: dexcomClarity,
+  libreview: libreView
+};
+
+/**
+ * Detect which device export a parsed CSV file came from
+ * @param {Array<{ line: number, fields: string[] }>} csvRows - Parsed CSV rows
+ * @returns {string|null} Key of DEVICE_IMPORTERS, or null for a generic CSV
+ */
+function detectFormat(csvRows) {
+  return Object.keys(DEVICE_IMPORTERS).find(format => DEVICE_IMPORTERS[format].matches(csvRows)) || null;
+}
+
+module.exports = {
+  DEVICE_IMPORTERS,
+  detectFormat
+};
@@ -0,0 +1,180 @@
+// utils/importers/libreView.js
+// Purpose: Parse FreeStyle Libre exports downloaded from LibreView. The file starts with a
+//          one-line preamble ("Glucose Data,Generated on,...") followed by the header row.
+//          Each row has a numeric Record Type: 0 historic glucose, 1 scan glucose,
+//          2 strip glucose, 3 ketone, 4 insulin, 5 food, 6 time change.
+
+const csvParser = require('../csvParser');
+const common = require('./common');
+
+const SOURCE = 'LibreView';
+
+const RECORD_TYPES = {
+  HISTORIC: '0',
+  SCAN: '1',
+  STRIP: '2',
+  INSULIN: '4',
+  FOOD: '5'
+};
+
+/**
+ * Check whether CSV text looks like a LibreView export
+ * @param {Array<{ line: number, fields: string[] }>} csvRows - Parsed CSV rows
+ * @returns {boolean} True if the LibreView header row is present
+ */
+function matches(csvRows) {
+  return common.findHeaderRow(csvRows, ['devicetimestamp', 'recordtype']) !== -1;
+}
+
+/**
+ * Work out whether dd-mm or mm-dd timestamps are used. LibreView writes timestamps in
+ * the account's locale, so look for a component above 12 to disambiguate.
+ * @param {string[]} timestamps - Raw timestamp strings
+ * @returns {string} 'DMY' or 'MDY'
+ */
+function detectDateOrder(timestamps) {
+  for (const ts of timestamps) {
+    const match = /^(\d{1,2})[-/.](\d{1,2})[-/.]\d{4}/.exec(ts);
+    if (!match) continue;
+    if (parseInt(match[1], 10) > 12) return 'DMY';
+    if (parseInt(match[2], 10) > 12) return 'MDY';
+  }
+  return 'MDY';
+}
+
+/**
+ * Parse a LibreView timestamp in local time
+ * @param {string} timestamp - e.g. '02-11-2023 08:15', '2023-11-02 08:15'
+ * @param {string} dateOrder - 'DMY' or 'MDY'
+ * @returns {Date|null} Parsed date or null if unrecognized
+ */
+function parseTimestamp(timestamp, dateOrder) {
+  let parts;
+  const isoMatch = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(timestamp);
+  if (isoMatch) {
+    const [, year, month, day, hour, minute, second] = isoMatch;
+    parts = { year, month, day, hour, minute, second };
+  } else {
+    const localMatch = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}) (\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(timestamp);
+    if (!localMatch) return null;
+    const [, a, b, year, hour, minute, second] = localMatch;
+    parts = dateOrder === 'DMY'
+      ? { year, month: b, day: a, hour, minute, second }
+      : { year, month: a, day: b, hour, minute, second };
+  }
+
+  const date = new Date(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +(parts.second || 0));
+  // Reject rollovers such as month 13 or day 31 in a 30-day month
+  if (date.getMonth() !== +parts.month - 1 || date.getDate() !== +parts.day) return null;
+  return date;
+}
+
+/**
+ * Parse a LibreView export into reading rows
+ * @param {Array<{ line: number, fields: string[] }>} csvRows - Parsed CSV rows
+ * @param {Object} options - { dateOrder: 'DMY'|'MDY' } to override detection
+ * @returns {{ error: string|null, source: string, rows: Object[], skipped: Object[] }}
+ */
+function parse(csvRows, options) {
+  const headerIndex = common.findHeaderRow(csvRows, ['devicetimestamp', 'recordtype']);
+  if (headerIndex === -1) {
+    return { error: 'Not a LibreView export (header row not found)', source: SOURCE, rows: [], skipped: [] };
+  }
+
+  const header = csvRows[headerIndex].fields;
+  const col = {
+    device: common.findColumn(header, 'device'),
+    serial: common.findColumn(header, 'serialnumber'),
+    timestamp: common.findColumn(header, 'devicetimestamp'),
+    recordType: common.findColumn(header, 'recordtype'),
+    historic: common.findColumn(header, 'historicglucose'),
+    scan: common.findColumn(header, 'scanglucose'),
+    strip: common.findColumn(header, 'stripglucose'),
+    rapidInsulin: common.findColumn(header, 'rapidactinginsulin'),
+    longInsulin: common.findColumn(header, 'longactinginsulin'),
+    food: common.findColumn(header, 'nonnumericfood'),
+    carbGrams: common.findColumn(header, 'carbohydrates(g'),
+    carbServings: common.findColumn(header, 'carbohydrates(s'),
+    notes: common.findColumn(header, 'notes')
+  };
+  const unitFor = index => (index >= 0 && csvParser.normalizeHeader(header[index]).includes('mmol') ? 'mmol/L' : 'mg/dL');
+
+  const dataRows = csvRows.slice(headerIndex + 1);
+  const dateOrder = (options && options.dateOrder) ||
+    detectDateOrder(dataRows.map(r => common.cellAt(r.fields, col.timestamp) || ''));
+
+  const readings = [];
+  const events = [];
+  const skipped = [];
+
+  dataRows.forEach(({ line, fields }) => {
+    const timestamp = common.cellAt(fields, col.timestamp);
+    const time = timestamp ? parseTimestamp(timestamp, dateOrder) : null;
+    if (!time) {
+      skipped.push({ line: line, reason: `Invalid timestamp "${timestamp || ''}"` });
+      return;
+    }
+
+    const recordType = common.cellAt(fields, col.recordType);
+    const note = common.cellAt(fields, col.notes);
+    const device = [common.cellAt(fields, col.device), common.cellAt(fields, col.serial)].filter(Boolean).join(' ');
+    let handled = false;
+
+    const glucoseColumn = {
+      [RECORD_TYPES.HISTORIC]: col.historic,
+      [RECORD_TYPES.SCAN]: col.scan,
+      [RECORD_TYPES.STRIP]: col.strip
+    }[recordType];
+
+    if (glucoseColumn !== undefined) {
+      readings.push({
+        line: line,
+        time: time,
+        value: common.cellAt(fields, glucoseColumn),
+        unit: unitFor(glucoseColumn),
+        foodNotes: null,
+        activityNotes: null,
+        event: recordType === RECORD_TYPES.STRIP ? 'Fingerstick' : null,
+        symptoms: null,
+        notes: null,
+        sourceDeviceId: device || null
+      });
+      handled = true;
+    } else if (recordType === RECORD_TYPES.INSULIN) {
+      const rapid = common.cellAt(fields, col.rapidInsulin);
+      const long = common.cellAt(fields, col.longInsulin);
+      if (rapid) events.push({ line: line, time: time, field: 'event', text: `Insulin ${rapid} u (rapid-acting)` });
+      if (long) events.push({ line: line, time: time, field: 'event', text: `Insulin ${long} u (long-acting)` });
+      handled = !!(rapid || long);
+    } else if (recordType === RECORD_TYPES.FOOD) {
+      const grams = common.cellAt(fields, col.carbGrams);
+      const servings = common.cellAt(fields, col.carbServings);
+      const food = common.cellAt(fields, col.food);
+      const parts = [food, grams ? `Carbs ${grams} g` : null, servings ? `Carbs ${servings} servings` : null].filter(Boolean);
+      if (parts.length > 0) events.push({ line: line, time: time, field: 'foodNotes', text: parts.join(', ') });
+      handled = parts.length > 0;
+    }
+
+    // Free-text notes can appear on any record type
+    if (note && glucoseColumn === undefined) {
+      events.push({ line: line, time: time, field: 'notes', text: note });
+      handled = true;
+    } else if (note) {
+      readings[readings.length - 1].notes = note;
+    }
+
+    if (!handled) {
+      skipped.push({ line: line, reason: `Record type ${recordType || 'unknown'} is not imported` });
+    }
+  });
+
+  skipped.push(...common.attachEvents(readings, events));
+
+  return { error: null, source: SOURCE, rows: common.toImportRows(readings), skipped: skipped };
+}
+
+module.exports = {
+  SOURCE,
+  matches,
+  parse
+};
@@ -0,0 +1,52 @@
+// utils/readingContext.js
+// Purpose: Structured meal/time context of a reading (stored in Sugar_Reading.Reading_Context)
+//          and used to pick context-specific thresholds. A reading without a context is
+//          categorized with the default thresholds.
+
+// Stored values, in the order they are offered to users
+const READING_CONTEXTS = ['Fasting', 'Before_Meal', 'After_Meal', 'Bedtime', 'Overnight', 'Random'];
+
+const CONTEXT_LABELS = {
+  Fasting: 'Fasting',
+  Before_Meal: 'Before meal',
+  After_Meal: '2h after meal',
+  Bedtime: 'Bedtime',
+  Overnight: 'Overnight',
+  Random: 'Random'
+};
+
+// Free-text spellings accepted from forms, CSV imports and the API (compared without
+// spaces, underscores, dashes or case)
+const CONTEXT_ALIASES = {
+  fasting: 'Fasting',
+  fasted: 'Fasting',
+  beforemeal: 'Before_Meal',
+  premeal: 'Before_Meal',
+  preprandial: 'Before_Meal',
+  aftermeal: 'After_Meal',
+  '2haftermeal': 'After_Meal',
+  '2hoursaftermeal': 'After_Meal',
+  postmeal: 'After_Meal',
+  postprandial: 'After_Meal',
+  bedtime: 'Bedtime',
+  overnight: 'Overnight',
+  night: 'Overnight',
+  random: 'Random'
+};
+
+/**
+ * Normalize a reading context to its stored value
+ * @param {string} context - e.g. 'fasting', 'Before meal', 'After_Meal', 'post-prandial'
+ * @returns {string|null} One of READING_CONTEXTS, or null if unrecognized
+ */
+function normalizeContext(context) {
+  if (context === undefined || context === null) return null;
+  const key = String(context).toLowerCase().replace(/[\s_-]/g, '');
+  return CONTEXT_ALIASES[key] || null;
+}
+
+module.exports = {
+  READING_CONTEXTS,
+  CONTEXT_LABELS,
+  normalizeContext
+};
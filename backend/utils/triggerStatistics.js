@@ -0,0 +1,77 @@
+// utils/triggerStatistics.js
+// Purpose: Statistics for the AI trigger analysis: whether readings taken after an item (a food,
+//          activity, symptom, dose...) are abnormal more often than readings without it. Each item
+//          gets a 2x2 table (with/without the item x abnormal/not abnormal), the abnormal rate on
+//          each side, relative risk, lift over the patient's overall abnormal rate, and a one-sided
+//          Fisher exact test, which stays valid for the small counts a single patient produces.
+
+// Natural log of n! for n = 0..max
+function logFactorials(max) {
+  const table = [0];
+  for (let n = 1; n <= max; n++) table[n] = table[n - 1] + Math.log(n);
+  return table;
+}
+
+/**
+ * One-sided Fisher exact test: the probability of seeing at least `a` abnormal readings with the
+ * item if the item made no difference (hypergeometric tail)
+ *          abnormal  not abnormal
+ * with        a          b
+ * without     c          d
+ * @param {number} a - Abnormal readings with the item
+ * @param {number} b - Other readings with the item
+ * @param {number} c - Abnormal readings without the item
+ * @param {number} d - Other readings without the item
+ * @returns {number} p-value (0-1)
+ */
+function fisherExactGreater(a, b, c, d) {
+  const n = a + b + c + d;
+  const withItem = a + b;
+  const abnormal = a + c;
+  const logFact = logFactorials(n);
+  const logChoose = (total, k) => logFact[total] - logFact[k] - logFact[total - k];
+  const logDenominator = logChoose(n, withItem);
+
+  let p = 0;
+  for (let x = a; x <= Math.min(withItem, abnormal); x++) {
+    if (withItem - x > n - abnormal) continue;
+    p += Math.exp(logChoose(abnormal, x) + logChoose(n - abnormal, withItem - x) - logDenominator);
+  }
+  return Math.min(p, 1);
+}
+
+const round = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Compare the abnormal rate of readings with an item against readings without it
+ * @param {Object} counts - { a, b, c, d } as in fisherExactGreater
+ * @returns {Object} { readings_with, abnormal_with, readings_without, abnormal_without,
+ *                     abnormal_rate_with, abnormal_rate_without, relative_risk, lift, p_value }
+ *                   Rates are 0-1; relative_risk is null when no reading without the item was abnormal.
+ */
+function compareItem(counts) {
+  const { a, b, c, d } = counts;
+  const rateWith = a + b > 0 ? a / (a + b) : 0;
+  const rateWithout = c + d > 0 ? c / (c + d) : 0;
+  const overallRate = (a + c) / (a + b + c + d);
+
+  return {
+    readings_with: a + b,
+    abnormal_with: a,
+    readings_without: c + d,
+    abnormal_without: c,
+    abnormal_rate_with: round(rateWith, 3),
+    abnormal_rate_without: round(rateWithout, 3),
+    relative_risk: rateWithout > 0 ? round(rateWith / rateWithout, 2) : null,
+    lift: overallRate > 0 ? round(rateWith / overallRate, 2) : null,
+    p_value: round(fisherExactGreater(a, b, c, d), 4)
+  };
+}
+
+module.exports = {
+  fisherExactGreater,
+  compareItem
+};
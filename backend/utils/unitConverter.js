@@ -0,0 +1,111 @@
+// utils/unitConverter.js
+// Purpose: Blood glucose unit handling. Readings are stored in a single canonical
+//          unit (mg/dL) and converted to the viewer's preferred unit on the way out.
+
+const CANONICAL_UNIT = 'mg/dL';
+const SUPPORTED_UNITS = ['mg/dL', 'mmol/L'];
+
+// 1 mmol/L of glucose = 18.0182 mg/dL (molar mass of glucose 180.182 g/mol)
+const MGDL_PER_MMOLL = 18.0182;
+
+/**
+ * Normalize a user-supplied unit string to its canonical spelling
+ * @param {string} unit - Unit as entered (e.g. 'mg/dl', 'MMOL/L')
+ * @returns {string|null} 'mg/dL', 'mmol/L', or null if unsupported
+ */
+function normalizeUnit(unit) {
+  if (!unit || typeof unit !== 'string') return null;
+  const lowered = unit.trim().toLowerCase();
+  return SUPPORTED_UNITS.find(u => u.toLowerCase() === lowered) || null;
+}
+
+/**
+ * Round a converted value to the precision meters display for the unit
+ * @param {number} value - Glucose value
+ * @param {string} unit - Canonical unit spelling
+ * @returns {number} Rounded value
+ */
+function roundForUnit(value, unit) {
+  const decimals = unit === 'mmol/L' ? 1 : 0;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert a glucose value between units
+ * @param {number} value - Glucose value
+ * @param {string} fromUnit - Unit the value is expressed in
+ * @param {string} toUnit - Unit to convert to
+ * @returns {number|null} Converted value (null passes through)
+ */
+function convertValue(value, fromUnit, toUnit) {
+  if (value === null || value === undefined) return value;
+  const numeric = parseFloat(value);
+  if (isNaN(numeric)) return value;
+
+  const from = normalizeUnit(fromUnit) || CANONICAL_UNIT;
+  const to = normalizeUnit(toUnit) || CANONICAL_UNIT;
+  if (from === to) return numeric;
+
+  const converted = to === 'mmol/L' ? numeric / MGDL_PER_MMOLL : numeric * MGDL_PER_MMOLL;
+  return roundForUnit(converted, to);
+}
+
+/**
+ * Convert a value entered in any supported unit to the canonical storage unit
+ * @param {number} value - Glucose value
+ * @param {string} unit - Unit the value was entered in
+ * @returns {number} Value in mg/dL (unrounded beyond 1 decimal to preserve precision)
+ */
+function toCanonical(value, unit) {
+  const from = normalizeUnit(unit) || CANONICAL_UNIT;
+  if (from === CANONICAL_UNIT) return parseFloat(value);
+  return Math.round(parseFloat(value) * MGDL_PER_MMOLL * 10) / 10;
+}
+
+/**
+ * Convert a list of Sugar_Reading rows to the target unit. Each row is converted
+ * from its own stored Unit so that legacy rows saved before canonical storage
+ * are still reported correctly.
+ * @param {Object[]} rows - Rows with Value and Unit columns
+ * @param {string} targetUnit - Viewer's preferred unit
+ * @returns {Object[]} New row objects with Value and Unit converted
+ */
+function convertReadingRows(rows, targetUnit) {
+  const unit = normalizeUnit(targetUnit) || CANONICAL_UNIT;
+  return (rows || []).map(row => ({
+    ...row,
+    Value: convertValue(row.Value, row.Unit || CANONICAL_UNIT, unit),
+    Unit: unit
+  }));
+}
+
+/**
+ * Convert selected numeric fields of an aggregate object (stored in mg/dL)
+ * @param {Object} obj - e.g. a statistics row { average_value, min_value, ... }
+ * @param {string[]} fields - Field names holding glucose values
+ * @param {string} targetUnit - Viewer's preferred unit
+ * @returns {Object} New object with the fields converted and a `unit` field added
+ */
+function convertFields(obj, fields, targetUnit) {
+  if (!obj) return obj;
+  const unit = normalizeUnit(targetUnit) || CANONICAL_UNIT;
+  const converted = { ...obj, unit: unit };
+  fields.forEach(field => {
+    if (converted[field] !== undefined) {
+      converted[field] = convertValue(converted[field], CANONICAL_UNIT, unit);
+    }
+  });
+  return converted;
+}
+
+module.exports = {
+  CANONICAL_UNIT,
+  SUPPORTED_UNITS,
+  MGDL_PER_MMOLL,
+  normalizeUnit,
+  convertValue,
+  toCanonical,
+  convertReadingRows,
+  convertFields
+};
@@ -0,0 +1,50 @@
+// worker.js - Background job worker for the Blood Sugar Monitoring System
+// Runs the queued background jobs (alert checks and AI analysis after new readings) outside the
+// API server. Start it with `npm run worker` and set JOB_WORKER_MODE=external for the server so
+// it does not run them too; any number of workers may share the queue.
+
+require('dotenv').config();
+const mysql = require('mysql2');
+const jobWorker = require('./services/jobWorker');
+const socketManager = require('./socketManager');
+
+const db = mysql.createConnection({
+  host: process.env.DB_HOST || 'localhost',
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || '',
+  database: process.env.DB_NAME || 'blood_sugar_monitoring_system',
+  port: process.env.DB_PORT || 3306
+});
+
+db.connect((err) => {
+  if (err) {
+    console.error('Database connection failed:', err.message);
+    process.exit(1);
+  }
+
+  // In-app notifications sent by jobs are stored in the inbox; this process has no sockets to
+  // push them on, so users get them when they next connect
+  socketManager.useDatabase(db);
+
+  const workerId = jobWorker.start(db);
+  console.log(`Background job worker ${workerId} started (polling every ${jobWorker.POLL_INTERVAL_MS} ms)`);
+});
+
+db.on('error', (err) => {
+  console.error('Database error:', err.message);
+  if (err.code === 'PROTOCOL_CONNECTION_LOST') {
+    console.log('Database connection lost. Attempting to reconnect...');
+    db.connect();
+  }
+});
+
+// Finish the job in progress before exiting
+function shutdown(signal) {
+  console.log(`\n${signal} received: stopping the job worker`);
+  jobWorker.stop(() => {
+    db.end(() => process.exit(0));
+  });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
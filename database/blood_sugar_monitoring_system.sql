@@ -81,7 +81,73 @@ CREATE TABLE `alert` (
   `Week_Start` date NOT NULL,
   `Abnormal_Count` int(11) DEFAULT 0,
   `Sent_At` datetime DEFAULT current_timestamp(),
-  `Recipients` text DEFAULT NULL
+  `Recipients` text DEFAULT NULL,
+  `Rule_ID` int(11) DEFAULT NULL,
+  `Severity` enum('Low','Medium','High','Critical') NOT NULL DEFAULT 'Medium',
+  `Message` varchar(255) DEFAULT NULL,
+  `Status` enum('Open','Acknowledged','Resolved','Escalated') NOT NULL DEFAULT 'Open',
+  `Acknowledged_At` datetime DEFAULT NULL,
+  `Acknowledged_By` int(11) DEFAULT NULL,
+  `Resolved_At` datetime DEFAULT NULL,
+  `Resolved_By` int(11) DEFAULT NULL,
+  `Resolution_Note` text DEFAULT NULL,
+  `Escalated_At` datetime DEFAULT NULL,
+  `Escalated_To` varchar(255) DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `alert_rule`
+--
+
+CREATE TABLE `alert_rule` (
+  `Rule_ID` int(11) NOT NULL,
+  `Name` varchar(100) NOT NULL,
+  `Rule_Type` enum('Abnormal_Count','Below_Value','Rising_Trend','No_Readings') NOT NULL,
+  `Threshold_Count` int(11) DEFAULT NULL,
+  `Threshold_Value` float DEFAULT NULL,
+  `Window_Days` int(11) NOT NULL,
+  `Scope` enum('System','Patient') NOT NULL DEFAULT 'System',
+  `Patient_ID` int(11) DEFAULT NULL,
+  `Severity` enum('Low','Medium','High','Critical') NOT NULL DEFAULT 'Medium',
+  `Recipients` set('Patient','Specialist') NOT NULL DEFAULT 'Patient,Specialist',
+  `Cooldown_Hours` int(11) NOT NULL DEFAULT 168,
+  `Is_Active` tinyint(1) NOT NULL DEFAULT 1,
+  `Created_By` int(11) DEFAULT NULL,
+  `Created_At` datetime NOT NULL DEFAULT current_timestamp(),
+  `Updated_At` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Dumping data for table `alert_rule`
+--
+
+INSERT INTO `alert_rule` (`Rule_ID`, `Name`, `Rule_Type`, `Threshold_Count`, `Threshold_Value`, `Window_Days`, `Scope`, `Patient_ID`, `Severity`, `Recipients`, `Cooldown_Hours`, `Is_Active`, `Created_By`) VALUES
+(1, 'More than 3 abnormal readings in 7 days', 'Abnormal_Count', 4, NULL, 7, 'System', NULL, 'High', 'Patient,Specialist', 168, 1, NULL),
+(2, 'Level 2 hypoglycemia', 'Below_Value', NULL, NULL, 7, 'System', NULL, 'High', 'Patient,Specialist', 168, 1, NULL);
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `background_job`
+--
+
+CREATE TABLE `background_job` (
+  `Job_ID` int(11) NOT NULL,
+  `Type` varchar(50) NOT NULL,
+  `Payload` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`Payload`)),
+  `Idempotency_Key` varchar(191) DEFAULT NULL,
+  `Status` enum('Pending','Running','Completed','Dead','Cancelled') NOT NULL DEFAULT 'Pending',
+  `Attempts` int(11) NOT NULL DEFAULT 0,
+  `Max_Attempts` int(11) NOT NULL DEFAULT 5,
+  `Run_After` datetime NOT NULL DEFAULT current_timestamp(),
+  `Locked_By` varchar(100) DEFAULT NULL,
+  `Locked_At` datetime DEFAULT NULL,
+  `Last_Error` text DEFAULT NULL,
+  `Created_At` datetime NOT NULL DEFAULT current_timestamp(),
+  `Updated_At` datetime NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  `Completed_At` datetime DEFAULT NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 -- --------------------------------------------------------
@@ -98,15 +164,21 @@ CREATE TABLE `categorythreshold` (
   `Borderline_High` float NOT NULL,
   `Abnormal_Low` float NOT NULL,
   `Abnormal_High` float NOT NULL,
-  `Effective_Date` datetime DEFAULT current_timestamp()
+  `Reading_Context` enum('Fasting','Before_Meal','After_Meal','Bedtime','Overnight','Random') DEFAULT NULL,
+  `Effective_Date` datetime DEFAULT current_timestamp(),
+  `Created_By` int(11) DEFAULT NULL,
+  `Created_At` datetime NOT NULL DEFAULT current_timestamp(),
+  `Change_Note` varchar(255) DEFAULT NULL,
+  `Rolled_Back_From` int(11) DEFAULT NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 --
 -- Dumping data for table `categorythreshold`
 --
 
-INSERT INTO `categorythreshold` (`Threshold_ID`, `Normal_Low`, `Normal_High`, `Borderline_Low`, `Borderline_High`, `Abnormal_Low`, `Abnormal_High`, `Effective_Date`) VALUES
-(1, 70.0, 100.0, 100.1, 140.0, 140.1, 300.0, NOW());
+INSERT INTO `categorythreshold` (`Threshold_ID`, `Normal_Low`, `Normal_High`, `Borderline_Low`, `Borderline_High`, `Abnormal_Low`, `Abnormal_High`, `Reading_Context`, `Effective_Date`) VALUES
+(1, 70.0, 100.0, 100.1, 140.0, 140.1, 300.0, NULL, NOW()),
+(2, 70.0, 140.0, 140.1, 180.0, 180.1, 300.0, 'After_Meal', NOW());
 
 -- --------------------------------------------------------
 
@@ -144,6 +216,158 @@ CREATE TABLE `feedback` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `food_item`
+--
+
+CREATE TABLE `food_item` (
+  `Food_ID` int(11) NOT NULL,
+  `Name` varchar(100) NOT NULL,
+  `Aliases` varchar(255) DEFAULT NULL,
+  `Carbs_Per_Serving` decimal(6,1) NOT NULL,
+  `Serving_Description` varchar(100) DEFAULT NULL,
+  `Created_By` int(11) DEFAULT NULL,
+  `Created_At` datetime DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Dumping data for table `food_item`
+--
+
+INSERT INTO `food_item` (`Food_ID`, `Name`, `Aliases`, `Carbs_Per_Serving`, `Serving_Description`, `Created_By`) VALUES
+(1, 'White rice', 'rice,steamed rice', 45.0, '1 cup cooked', NULL),
+(2, 'Brown rice', NULL, 45.0, '1 cup cooked', NULL),
+(3, 'Pasta', 'spaghetti,noodles,macaroni,penne', 43.0, '1 cup cooked', NULL),
+(4, 'Bread', 'toast,white bread,slice of bread', 15.0, '1 slice', NULL),
+(5, 'Whole wheat bread', 'brown bread', 12.0, '1 slice', NULL),
+(6, 'Pizza', NULL, 36.0, '1 slice', NULL),
+(7, 'Potato', 'potatoes,mashed potatoes,baked potato', 37.0, '1 medium', NULL),
+(8, 'French fries', 'fries,chips', 48.0, '1 medium serving', NULL),
+(9, 'Oatmeal', 'oats,porridge', 27.0, '1 cup cooked', NULL),
+(10, 'Breakfast cereal', 'cereal,cornflakes', 24.0, '1 cup', NULL),
+(11, 'Apple', 'apples', 25.0, '1 medium', NULL),
+(12, 'Banana', 'bananas', 27.0, '1 medium', NULL),
+(13, 'Orange juice', 'juice,oj', 26.0, '1 cup', NULL),
+(14, 'Soda', 'soft drink,cola,pop,coke', 39.0, '1 can (355 ml)', NULL),
+(15, 'Milk', NULL, 12.0, '1 cup', NULL),
+(16, 'Yogurt', 'yoghurt', 17.0, '1 cup', NULL),
+(17, 'Cake', 'cupcake,cheesecake', 35.0, '1 slice', NULL),
+(18, 'Cookie', 'cookies,biscuit,biscuits', 10.0, '1 medium', NULL),
+(19, 'Candy', 'sweets,chocolate', 25.0, '1 bar', NULL),
+(20, 'Beer', 'beers,lager', 13.0, '1 can (355 ml)', NULL),
+(21, 'Salad', 'green salad,vegetables', 5.0, '1 bowl', NULL),
+(22, 'Chicken', 'chicken breast,grilled chicken', 0.0, '1 portion', NULL),
+(23, 'Eggs', 'egg,omelette,scrambled eggs', 1.0, '2 eggs', NULL),
+(24, 'Sandwich', NULL, 30.0, '1 sandwich', NULL);
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `meal`
+--
+
+CREATE TABLE `meal` (
+  `Meal_ID` int(11) NOT NULL,
+  `Patient_ID` int(11) NOT NULL,
+  `DateTime` datetime NOT NULL,
+  `Meal_Type` enum('Breakfast','Lunch','Dinner','Snack') NOT NULL,
+  `Total_Carbs` decimal(7,1) NOT NULL DEFAULT 0.0,
+  `Notes` text DEFAULT NULL,
+  `Created_At` datetime DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `meal_item`
+--
+
+CREATE TABLE `meal_item` (
+  `Meal_Item_ID` int(11) NOT NULL,
+  `Meal_ID` int(11) NOT NULL,
+  `Food_ID` int(11) NOT NULL,
+  `Servings` decimal(5,2) NOT NULL DEFAULT 1.00,
+  `Carbs` decimal(6,1) NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `medication_log`
+--
+
+CREATE TABLE `medication_log` (
+  `Medication_ID` int(11) NOT NULL,
+  `Patient_ID` int(11) NOT NULL,
+  `DateTime` datetime NOT NULL,
+  `Medication_Type` enum('Bolus_Insulin','Basal_Insulin','Oral','Other') NOT NULL,
+  `Drug_Name` varchar(100) NOT NULL,
+  `Dose` decimal(8,2) NOT NULL,
+  `Dose_Unit` varchar(20) NOT NULL DEFAULT 'units',
+  `Route` enum('Subcutaneous','Pump','Oral','Inhaled','Intravenous','Other') NOT NULL,
+  `Reading_ID` int(11) DEFAULT NULL,
+  `Notes` text DEFAULT NULL,
+  `Created_At` datetime DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `notification`
+--
+
+CREATE TABLE `notification` (
+  `Notification_ID` int(11) NOT NULL,
+  `User_ID` int(11) NOT NULL,
+  `Type` varchar(30) NOT NULL DEFAULT 'system',
+  `Title` varchar(255) DEFAULT NULL,
+  `Message` text DEFAULT NULL,
+  `Data` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`Data`)),
+  `Is_Read` tinyint(1) NOT NULL DEFAULT 0,
+  `Read_At` datetime DEFAULT NULL,
+  `Delivered_At` datetime DEFAULT NULL,
+  `Created_At` datetime NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `notification_preference`
+--
+
+CREATE TABLE `notification_preference` (
+  `User_ID` int(11) NOT NULL,
+  `Event_Channels` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`Event_Channels`)),
+  `Quiet_Start` time DEFAULT NULL,
+  `Quiet_End` time DEFAULT NULL,
+  `Timezone` varchar(64) NOT NULL DEFAULT 'UTC',
+  `Digest_Mode` enum('Immediate','Daily','Weekly') NOT NULL DEFAULT 'Immediate',
+  `Digest_Hour` tinyint(2) NOT NULL DEFAULT 8,
+  `Updated_At` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `notification_queue`
+--
+
+CREATE TABLE `notification_queue` (
+  `Queue_ID` int(11) NOT NULL,
+  `User_ID` int(11) NOT NULL,
+  `Event_Type` varchar(30) NOT NULL,
+  `Channel` enum('email','sms') NOT NULL,
+  `Subject` varchar(255) DEFAULT NULL,
+  `Body_Html` longtext DEFAULT NULL,
+  `Body_Text` text DEFAULT NULL,
+  `Reason` enum('Quiet_Hours','Digest') NOT NULL,
+  `Created_At` datetime NOT NULL DEFAULT current_timestamp(),
+  `Deliver_After` datetime NOT NULL,
+  `Sent_At` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `patient`
 --
@@ -153,7 +377,10 @@ CREATE TABLE `patient` (
   `Healthcare_Number` varchar(50) NOT NULL,
   `Date_Of_Birth` date NOT NULL,
   `Threshold_Normal_Low` float DEFAULT NULL,
-  `Threshold_Normal_High` float DEFAULT NULL
+  `Threshold_Normal_High` float DEFAULT NULL,
+  `Emergency_Contact_Name` varchar(100) DEFAULT NULL,
+  `Emergency_Contact_Email` varchar(100) DEFAULT NULL,
+  `Emergency_Contact_Phone` varchar(20) DEFAULT NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 --
@@ -169,13 +396,74 @@ INSERT INTO `patient` (`Patient_ID`, `Healthcare_Number`, `Date_Of_Birth`, `Thre
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `patient_context_threshold`
+--
+
+CREATE TABLE `patient_context_threshold` (
+  `Patient_ID` int(11) NOT NULL,
+  `Reading_Context` enum('Fasting','Before_Meal','After_Meal','Bedtime','Overnight','Random') NOT NULL,
+  `Normal_Low` float NOT NULL,
+  `Normal_High` float NOT NULL,
+  `Updated_At` datetime DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `patient_threshold_profile`
+--
+
+CREATE TABLE `patient_threshold_profile` (
+  `Profile_ID` int(11) NOT NULL,
+  `Patient_ID` int(11) NOT NULL,
+  `Normal_Low` float NOT NULL,
+  `Normal_High` float NOT NULL,
+  `Borderline_Low` float NOT NULL,
+  `Borderline_High` float NOT NULL,
+  `Abnormal_Low` float NOT NULL,
+  `Abnormal_High` float NOT NULL,
+  `Hypo_Level1` float NOT NULL DEFAULT 70,
+  `Hypo_Level2` float NOT NULL DEFAULT 54,
+  `Reason` varchar(255) NOT NULL,
+  `Expires_At` datetime DEFAULT NULL,
+  `Set_By` int(11) DEFAULT NULL,
+  `Template_ID` int(11) DEFAULT NULL,
+  `Created_At` datetime NOT NULL DEFAULT current_timestamp(),
+  `Updated_At` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `recategorization_job`
+--
+
+CREATE TABLE `recategorization_job` (
+  `Job_ID` int(11) NOT NULL,
+  `Scope` enum('System','Patient') NOT NULL,
+  `Patient_ID` int(11) DEFAULT NULL,
+  `Reason` varchar(255) NOT NULL,
+  `Threshold_ID` int(11) DEFAULT NULL,
+  `Status` enum('Pending','Running','Completed','Failed') NOT NULL DEFAULT 'Pending',
+  `Readings_Checked` int(11) NOT NULL DEFAULT 0,
+  `Readings_Changed` int(11) NOT NULL DEFAULT 0,
+  `Transitions` longtext DEFAULT NULL,
+  `Error` text DEFAULT NULL,
+  `Requested_By` int(11) DEFAULT NULL,
+  `Created_At` datetime NOT NULL DEFAULT current_timestamp(),
+  `Completed_At` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `report`
 --
 
 CREATE TABLE `report` (
   `Report_ID` int(11) NOT NULL,
-  `Admin_ID` int(11) NOT NULL,
+  `Admin_ID` int(11) DEFAULT NULL,
   `Period_Type` enum('Monthly','Yearly') NOT NULL,
   `Period_Start` date NOT NULL,
   `Period_End` date NOT NULL,
@@ -185,6 +473,43 @@ CREATE TABLE `report` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `scheduled_task`
+--
+
+CREATE TABLE `scheduled_task` (
+  `Task_ID` int(11) NOT NULL,
+  `Task_Key` varchar(50) NOT NULL,
+  `Name` varchar(100) NOT NULL,
+  `Description` varchar(255) DEFAULT NULL,
+  `Cron_Expression` varchar(100) NOT NULL,
+  `Settings` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`Settings`)),
+  `Is_Enabled` tinyint(1) NOT NULL DEFAULT 1,
+  `Next_Run_At` datetime DEFAULT NULL,
+  `Last_Run_At` datetime DEFAULT NULL,
+  `Last_Finished_At` datetime DEFAULT NULL,
+  `Last_Status` enum('Running','Succeeded','Failed') DEFAULT NULL,
+  `Last_Trigger` enum('Schedule','Manual') DEFAULT NULL,
+  `Last_Run_By` int(11) DEFAULT NULL,
+  `Last_Result` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`Last_Result`)),
+  `Last_Error` text DEFAULT NULL,
+  `Last_Duration_Ms` int(11) DEFAULT NULL,
+  `Updated_By` int(11) DEFAULT NULL,
+  `Updated_At` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Dumping data for table `scheduled_task`
+--
+
+INSERT INTO `scheduled_task` (`Task_ID`, `Task_Key`, `Name`, `Description`, `Cron_Expression`, `Settings`, `Is_Enabled`) VALUES
+(1, 'alert_sweep', 'Nightly alert sweep', 'Evaluates every active alert rule for all active patients', '0 2 * * *', '{}', 1),
+(2, 'weekly_patient_summary', 'Weekly patient summaries', 'Sends each patient a summary of their readings over the past 7 days', '0 8 * * 1', '{}', 1),
+(3, 'missed_logging', 'Missed logging reminders', 'Reminds patients who have not logged a reading in the set number of days', '0 9 * * *', '{\"days\":3}', 1),
+(4, 'monthly_admin_report', 'Monthly system report', 'Generates the system report for the previous month', '0 3 1 * *', '{}', 1);
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `sessionmanager`
 --
@@ -227,7 +552,8 @@ CREATE TABLE `specialist_patient_assignment` (
   `Assignment_ID` int(11) NOT NULL,
   `Specialist_ID` int(11) NOT NULL,
   `Patient_ID` int(11) NOT NULL,
-  `Assigned_At` datetime DEFAULT current_timestamp()
+  `Assigned_At` datetime DEFAULT current_timestamp(),
+  `Backup_Specialist_ID` int(11) DEFAULT NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 --
@@ -258,7 +584,16 @@ CREATE TABLE `sugar_reading` (
   `Event` varchar(255) DEFAULT NULL,
   `Symptoms` text DEFAULT NULL,
   `Notes` text DEFAULT NULL,
-  `Category` enum('Normal','Borderline','Abnormal') DEFAULT NULL
+  `Category` enum('Normal','Borderline','Abnormal') DEFAULT NULL,
+  `Threshold_ID` int(11) DEFAULT NULL,
+  `Profile_ID` int(11) DEFAULT NULL,
+  `Categorized_At` datetime DEFAULT NULL,
+  `Reading_Context` enum('Fasting','Before_Meal','After_Meal','Bedtime','Overnight','Random') DEFAULT NULL,
+  `Meal_ID` int(11) DEFAULT NULL,
+  `Source` varchar(50) NOT NULL DEFAULT 'Manual',
+  `Source_Device_ID` varchar(100) DEFAULT NULL,
+  `Deleted_At` datetime DEFAULT NULL,
+  `Deleted_By` int(11) DEFAULT NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
 --
@@ -304,6 +639,59 @@ INSERT INTO `sugar_reading` (`Reading_ID`, `Patient_ID`, `DateTime`, `Value`, `U
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `sugar_reading_history`
+--
+
+CREATE TABLE `sugar_reading_history` (
+  `History_ID` int(11) NOT NULL,
+  `Reading_ID` int(11) NOT NULL,
+  `Patient_ID` int(11) NOT NULL,
+  `Action` enum('Create','Update','Delete','Restore') NOT NULL,
+  `Changed_By` int(11) DEFAULT NULL,
+  `Changed_At` datetime NOT NULL DEFAULT current_timestamp(),
+  `Old_Values` longtext DEFAULT NULL,
+  `New_Values` longtext DEFAULT NULL,
+  `Old_Category` enum('Normal','Borderline','Abnormal') DEFAULT NULL,
+  `New_Category` enum('Normal','Borderline','Abnormal') DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `threshold_template`
+--
+
+CREATE TABLE `threshold_template` (
+  `Template_ID` int(11) NOT NULL,
+  `Name` varchar(100) NOT NULL,
+  `Description` varchar(255) DEFAULT NULL,
+  `Normal_Low` float NOT NULL,
+  `Normal_High` float NOT NULL,
+  `Borderline_Low` float NOT NULL,
+  `Borderline_High` float NOT NULL,
+  `Abnormal_Low` float NOT NULL,
+  `Abnormal_High` float NOT NULL,
+  `Hypo_Level1` float NOT NULL DEFAULT 70,
+  `Hypo_Level2` float NOT NULL DEFAULT 54,
+  `Created_By` int(11) DEFAULT NULL,
+  `Created_At` datetime NOT NULL DEFAULT current_timestamp(),
+  `Updated_At` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+--
+-- Dumping data for table `threshold_template`
+--
+
+INSERT INTO `threshold_template` (`Template_ID`, `Name`, `Description`, `Normal_Low`, `Normal_High`, `Borderline_Low`, `Borderline_High`, `Abnormal_Low`, `Abnormal_High`, `Hypo_Level1`, `Hypo_Level2`, `Created_By`) VALUES
+(1, 'Type 1 adult', 'Adults with type 1 diabetes', 80.0, 130.0, 130.1, 180.0, 54.0, 300.0, 70.0, 54.0, NULL),
+(2, 'Type 2 adult', 'Adults with type 2 diabetes', 80.0, 140.0, 140.1, 200.0, 54.0, 300.0, 70.0, 54.0, NULL),
+(3, 'Gestational', 'Pregnancy, including gestational diabetes', 70.0, 95.0, 95.1, 140.0, 54.0, 250.0, 63.0, 54.0, NULL),
+(4, 'Pediatric', 'Children and adolescents', 90.0, 150.0, 150.1, 200.0, 54.0, 300.0, 70.0, 54.0, NULL),
+(5, 'Older adult', 'Older adults, relaxed targets to limit hypoglycemia', 100.0, 180.0, 180.1, 250.0, 54.0, 350.0, 70.0, 54.0, NULL);
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `user`
 --
@@ -317,6 +705,7 @@ CREATE TABLE `user` (
   `Profile_Image` varchar(255) DEFAULT NULL,
   `Created_At` datetime DEFAULT current_timestamp(),
   `Status` varchar(50) DEFAULT 'Active',
+  `Preferred_Unit` varchar(20) NOT NULL DEFAULT 'mg/dL',
   `Role` enum('Patient','Specialist','Clinic_Staff','Administrator') NOT NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 
@@ -354,10 +743,27 @@ ALTER TABLE `ai_suggestion`
 
 ALTER TABLE `alert`
   ADD PRIMARY KEY (`Alert_ID`),
-  ADD KEY `Patient_ID` (`Patient_ID`);
+  ADD KEY `Patient_ID` (`Patient_ID`),
+  ADD KEY `Rule_ID` (`Rule_ID`),
+  ADD KEY `Status` (`Status`, `Sent_At`),
+  ADD KEY `Acknowledged_By` (`Acknowledged_By`),
+  ADD KEY `Resolved_By` (`Resolved_By`);
+
+ALTER TABLE `alert_rule`
+  ADD PRIMARY KEY (`Rule_ID`),
+  ADD KEY `Patient_ID` (`Patient_ID`),
+  ADD KEY `Created_By` (`Created_By`);
+
+ALTER TABLE `background_job`
+  ADD PRIMARY KEY (`Job_ID`),
+  ADD UNIQUE KEY `Idempotency_Key` (`Idempotency_Key`),
+  ADD KEY `Ready` (`Status`,`Run_After`),
+  ADD KEY `Type` (`Type`);
 
 ALTER TABLE `categorythreshold`
-  ADD PRIMARY KEY (`Threshold_ID`);
+  ADD PRIMARY KEY (`Threshold_ID`),
+  ADD KEY `Reading_Context` (`Reading_Context`, `Effective_Date`),
+  ADD KEY `Created_By` (`Created_By`);
 
 ALTER TABLE `clinic_staff`
   ADD PRIMARY KEY (`Staff_ID`);
@@ -367,14 +773,66 @@ ALTER TABLE `feedback`
   ADD KEY `Specialist_ID` (`Specialist_ID`),
   ADD KEY `Patient_ID` (`Patient_ID`);
 
+ALTER TABLE `food_item`
+  ADD PRIMARY KEY (`Food_ID`),
+  ADD KEY `Name` (`Name`),
+  ADD KEY `Created_By` (`Created_By`);
+
+ALTER TABLE `meal`
+  ADD PRIMARY KEY (`Meal_ID`),
+  ADD KEY `Patient_DateTime` (`Patient_ID`,`DateTime`);
+
+ALTER TABLE `meal_item`
+  ADD PRIMARY KEY (`Meal_Item_ID`),
+  ADD KEY `Meal_ID` (`Meal_ID`),
+  ADD KEY `Food_ID` (`Food_ID`);
+
+ALTER TABLE `medication_log`
+  ADD PRIMARY KEY (`Medication_ID`),
+  ADD KEY `Patient_DateTime` (`Patient_ID`,`DateTime`),
+  ADD KEY `Reading_ID` (`Reading_ID`);
+
+ALTER TABLE `notification`
+  ADD PRIMARY KEY (`Notification_ID`),
+  ADD KEY `User_Read` (`User_ID`,`Is_Read`,`Created_At`),
+  ADD KEY `User_Delivered` (`User_ID`,`Delivered_At`);
+
+ALTER TABLE `notification_preference`
+  ADD PRIMARY KEY (`User_ID`);
+
+ALTER TABLE `notification_queue`
+  ADD PRIMARY KEY (`Queue_ID`),
+  ADD KEY `Pending` (`Sent_At`,`Deliver_After`),
+  ADD KEY `User_ID` (`User_ID`);
+
 ALTER TABLE `patient`
   ADD PRIMARY KEY (`Patient_ID`),
   ADD UNIQUE KEY `Healthcare_Number` (`Healthcare_Number`);
 
+ALTER TABLE `patient_context_threshold`
+  ADD PRIMARY KEY (`Patient_ID`,`Reading_Context`);
+
+ALTER TABLE `patient_threshold_profile`
+  ADD PRIMARY KEY (`Profile_ID`),
+  ADD UNIQUE KEY `Patient_ID` (`Patient_ID`),
+  ADD KEY `Set_By` (`Set_By`),
+  ADD KEY `Template_ID` (`Template_ID`);
+
+ALTER TABLE `recategorization_job`
+  ADD PRIMARY KEY (`Job_ID`),
+  ADD KEY `Patient_ID` (`Patient_ID`),
+  ADD KEY `Requested_By` (`Requested_By`);
+
 ALTER TABLE `report`
   ADD PRIMARY KEY (`Report_ID`),
   ADD KEY `Admin_ID` (`Admin_ID`);
 
+ALTER TABLE `scheduled_task`
+  ADD PRIMARY KEY (`Task_ID`),
+  ADD UNIQUE KEY `Task_Key` (`Task_Key`),
+  ADD KEY `Last_Run_By` (`Last_Run_By`),
+  ADD KEY `Updated_By` (`Updated_By`);
+
 ALTER TABLE `sessionmanager`
   ADD PRIMARY KEY (`Session_ID`),
   ADD KEY `User_ID` (`User_ID`);
@@ -385,11 +843,27 @@ ALTER TABLE `specialist`
 ALTER TABLE `specialist_patient_assignment`
   ADD PRIMARY KEY (`Assignment_ID`),
   ADD KEY `Specialist_ID` (`Specialist_ID`),
-  ADD KEY `Patient_ID` (`Patient_ID`);
+  ADD KEY `Patient_ID` (`Patient_ID`),
+  ADD KEY `Backup_Specialist_ID` (`Backup_Specialist_ID`);
 
 ALTER TABLE `sugar_reading`
   ADD PRIMARY KEY (`Reading_ID`),
-  ADD KEY `Patient_ID` (`Patient_ID`);
+  ADD KEY `Patient_ID` (`Patient_ID`),
+  ADD KEY `Patient_DateTime` (`Patient_ID`,`DateTime`),
+  ADD KEY `Meal_ID` (`Meal_ID`),
+  ADD KEY `Threshold_ID` (`Threshold_ID`),
+  ADD KEY `Profile_ID` (`Profile_ID`);
+
+ALTER TABLE `sugar_reading_history`
+  ADD PRIMARY KEY (`History_ID`),
+  ADD KEY `Reading_ID` (`Reading_ID`,`Changed_At`),
+  ADD KEY `Patient_ID` (`Patient_ID`),
+  ADD KEY `Changed_By` (`Changed_By`);
+
+ALTER TABLE `threshold_template`
+  ADD PRIMARY KEY (`Template_ID`),
+  ADD UNIQUE KEY `Name` (`Name`),
+  ADD KEY `Created_By` (`Created_By`);
 
 ALTER TABLE `user`
   ADD PRIMARY KEY (`User_ID`),
@@ -408,21 +882,60 @@ ALTER TABLE `ai_suggestion`
 ALTER TABLE `alert`
   MODIFY `Alert_ID` int(11) NOT NULL AUTO_INCREMENT;
 
+ALTER TABLE `alert_rule`
+  MODIFY `Rule_ID` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=3;
+
+ALTER TABLE `background_job`
+  MODIFY `Job_ID` int(11) NOT NULL AUTO_INCREMENT;
+
 ALTER TABLE `categorythreshold`
-  MODIFY `Threshold_ID` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=2;
+  MODIFY `Threshold_ID` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=3;
 
 ALTER TABLE `feedback`
   MODIFY `Feedback_ID` int(11) NOT NULL AUTO_INCREMENT;
 
+ALTER TABLE `food_item`
+  MODIFY `Food_ID` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=25;
+
+ALTER TABLE `meal`
+  MODIFY `Meal_ID` int(11) NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `meal_item`
+  MODIFY `Meal_Item_ID` int(11) NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `medication_log`
+  MODIFY `Medication_ID` int(11) NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `notification`
+  MODIFY `Notification_ID` int(11) NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `notification_queue`
+  MODIFY `Queue_ID` int(11) NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `patient_threshold_profile`
+  MODIFY `Profile_ID` int(11) NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `recategorization_job`
+  MODIFY `Job_ID` int(11) NOT NULL AUTO_INCREMENT;
+
 ALTER TABLE `report`
   MODIFY `Report_ID` int(11) NOT NULL AUTO_INCREMENT;
 
+ALTER TABLE `scheduled_task`
+  MODIFY `Task_ID` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=5;
+
 ALTER TABLE `specialist_patient_assignment`
   MODIFY `Assignment_ID` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=6;
 
 ALTER TABLE `sugar_reading`
   MODIFY `Reading_ID` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=36;
 
+ALTER TABLE `sugar_reading_history`
+  MODIFY `History_ID` int(11) NOT NULL AUTO_INCREMENT;
+
+ALTER TABLE `threshold_template`
+  MODIFY `Template_ID` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=6;
+
 ALTER TABLE `user`
   MODIFY `User_ID` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=12;
 
@@ -440,7 +953,17 @@ ALTER TABLE `ai_suggestion`
   ADD CONSTRAINT `ai_suggestion_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE;
 
 ALTER TABLE `alert`
-  ADD CONSTRAINT `alert_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE;
+  ADD CONSTRAINT `alert_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE,
+  ADD CONSTRAINT `alert_ibfk_2` FOREIGN KEY (`Rule_ID`) REFERENCES `alert_rule` (`Rule_ID`) ON DELETE SET NULL,
+  ADD CONSTRAINT `alert_ibfk_3` FOREIGN KEY (`Acknowledged_By`) REFERENCES `user` (`User_ID`) ON DELETE SET NULL,
+  ADD CONSTRAINT `alert_ibfk_4` FOREIGN KEY (`Resolved_By`) REFERENCES `user` (`User_ID`) ON DELETE SET NULL;
+
+ALTER TABLE `alert_rule`
+  ADD CONSTRAINT `alert_rule_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE,
+  ADD CONSTRAINT `alert_rule_ibfk_2` FOREIGN KEY (`Created_By`) REFERENCES `user` (`User_ID`) ON DELETE SET NULL;
+
+ALTER TABLE `categorythreshold`
+  ADD CONSTRAINT `categorythreshold_ibfk_1` FOREIGN KEY (`Created_By`) REFERENCES `user` (`User_ID`) ON DELETE SET NULL;
 
 ALTER TABLE `clinic_staff`
   ADD CONSTRAINT `clinic_staff_ibfk_1` FOREIGN KEY (`Staff_ID`) REFERENCES `user` (`User_ID`) ON DELETE CASCADE;
@@ -449,12 +972,51 @@ ALTER TABLE `feedback`
   ADD CONSTRAINT `feedback_ibfk_1` FOREIGN KEY (`Specialist_ID`) REFERENCES `specialist` (`Specialist_ID`) ON DELETE CASCADE,
   ADD CONSTRAINT `feedback_ibfk_2` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE;
 
+ALTER TABLE `food_item`
+  ADD CONSTRAINT `food_item_ibfk_1` FOREIGN KEY (`Created_By`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE;
+
+ALTER TABLE `meal`
+  ADD CONSTRAINT `meal_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE;
+
+ALTER TABLE `meal_item`
+  ADD CONSTRAINT `meal_item_ibfk_1` FOREIGN KEY (`Meal_ID`) REFERENCES `meal` (`Meal_ID`) ON DELETE CASCADE,
+  ADD CONSTRAINT `meal_item_ibfk_2` FOREIGN KEY (`Food_ID`) REFERENCES `food_item` (`Food_ID`);
+
+ALTER TABLE `medication_log`
+  ADD CONSTRAINT `medication_log_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE,
+  ADD CONSTRAINT `medication_log_ibfk_2` FOREIGN KEY (`Reading_ID`) REFERENCES `sugar_reading` (`Reading_ID`) ON DELETE SET NULL;
+
+ALTER TABLE `notification`
+  ADD CONSTRAINT `notification_ibfk_1` FOREIGN KEY (`User_ID`) REFERENCES `user` (`User_ID`) ON DELETE CASCADE;
+
+ALTER TABLE `notification_preference`
+  ADD CONSTRAINT `notification_preference_ibfk_1` FOREIGN KEY (`User_ID`) REFERENCES `user` (`User_ID`) ON DELETE CASCADE;
+
+ALTER TABLE `notification_queue`
+  ADD CONSTRAINT `notification_queue_ibfk_1` FOREIGN KEY (`User_ID`) REFERENCES `user` (`User_ID`) ON DELETE CASCADE;
+
 ALTER TABLE `patient`
   ADD CONSTRAINT `patient_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `user` (`User_ID`) ON DELETE CASCADE;
 
+ALTER TABLE `patient_context_threshold`
+  ADD CONSTRAINT `patient_context_threshold_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE;
+
+ALTER TABLE `patient_threshold_profile`
+  ADD CONSTRAINT `patient_threshold_profile_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE,
+  ADD CONSTRAINT `patient_threshold_profile_ibfk_2` FOREIGN KEY (`Set_By`) REFERENCES `user` (`User_ID`) ON DELETE SET NULL,
+  ADD CONSTRAINT `patient_threshold_profile_ibfk_3` FOREIGN KEY (`Template_ID`) REFERENCES `threshold_template` (`Template_ID`) ON DELETE SET NULL;
+
+ALTER TABLE `recategorization_job`
+  ADD CONSTRAINT `recategorization_job_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE,
+  ADD CONSTRAINT `recategorization_job_ibfk_2` FOREIGN KEY (`Requested_By`) REFERENCES `user` (`User_ID`) ON DELETE SET NULL;
+
 ALTER TABLE `report`
   ADD CONSTRAINT `report_ibfk_1` FOREIGN KEY (`Admin_ID`) REFERENCES `administrator` (`Admin_ID`) ON DELETE CASCADE;
 
+ALTER TABLE `scheduled_task`
+  ADD CONSTRAINT `scheduled_task_ibfk_1` FOREIGN KEY (`Last_Run_By`) REFERENCES `user` (`User_ID`) ON DELETE SET NULL,
+  ADD CONSTRAINT `scheduled_task_ibfk_2` FOREIGN KEY (`Updated_By`) REFERENCES `user` (`User_ID`) ON DELETE SET NULL;
+
 ALTER TABLE `sessionmanager`
   ADD CONSTRAINT `sessionmanager_ibfk_1` FOREIGN KEY (`User_ID`) REFERENCES `user` (`User_ID`) ON DELETE CASCADE;
 
@@ -463,10 +1025,21 @@ ALTER TABLE `specialist`
 
 ALTER TABLE `specialist_patient_assignment`
   ADD CONSTRAINT `specialist_patient_assignment_ibfk_1` FOREIGN KEY (`Specialist_ID`) REFERENCES `specialist` (`Specialist_ID`) ON DELETE CASCADE,
-  ADD CONSTRAINT `specialist_patient_assignment_ibfk_2` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE;
+  ADD CONSTRAINT `specialist_patient_assignment_ibfk_2` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE,
+  ADD CONSTRAINT `specialist_patient_assignment_ibfk_3` FOREIGN KEY (`Backup_Specialist_ID`) REFERENCES `specialist` (`Specialist_ID`) ON DELETE SET NULL;
 
 ALTER TABLE `sugar_reading`
-  ADD CONSTRAINT `sugar_reading_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE;
+  ADD CONSTRAINT `sugar_reading_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE,
+  ADD CONSTRAINT `sugar_reading_ibfk_2` FOREIGN KEY (`Meal_ID`) REFERENCES `meal` (`Meal_ID`) ON DELETE SET NULL,
+  ADD CONSTRAINT `sugar_reading_ibfk_3` FOREIGN KEY (`Threshold_ID`) REFERENCES `categorythreshold` (`Threshold_ID`) ON DELETE SET NULL,
+  ADD CONSTRAINT `sugar_reading_ibfk_4` FOREIGN KEY (`Profile_ID`) REFERENCES `patient_threshold_profile` (`Profile_ID`) ON DELETE SET NULL;
+
+ALTER TABLE `sugar_reading_history`
+  ADD CONSTRAINT `sugar_reading_history_ibfk_1` FOREIGN KEY (`Patient_ID`) REFERENCES `patient` (`Patient_ID`) ON DELETE CASCADE,
+  ADD CONSTRAINT `sugar_reading_history_ibfk_2` FOREIGN KEY (`Changed_By`) REFERENCES `user` (`User_ID`) ON DELETE SET NULL;
+
+ALTER TABLE `threshold_template`
+  ADD CONSTRAINT `threshold_template_ibfk_1` FOREIGN KEY (`Created_By`) REFERENCES `user` (`User_ID`) ON DELETE SET NULL;
 
 COMMIT;
 
@@ -44,7 +44,8 @@ const AISuggestions: React.FC<AISuggestionsProps> = ({ refreshSignal }) => {
       const suggestionsFromApi = await api.getPatientSuggestions();
       setSuggestions(
         suggestionsFromApi.map((s: any) => {
-          const match = s.based_on_pattern.match(/\((\d+)\/(\d+)\s+times\)/);
+          // "pizza: abnormal 7/10 times vs ..." (older suggestions: "pizza (7/10 times)")
+          const match = s.based_on_pattern.match(/(\d+)\/(\d+)\s+times/);
           const percent = match ? (parseInt(match[1], 10) / parseInt(match[2], 10)) * 100 : 0;
           return {
             trigger: s.based_on_pattern,
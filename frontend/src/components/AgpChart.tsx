@@ -0,0 +1,266 @@
+// frontend/src/components/AgpChart.tsx
+// Purpose: One-page Ambulatory Glucose Profile (AGP): time-in-range bar, summary metrics,
+//          5th-95th percentile curves by time of day and daily mini-profiles.
+//          The card has a print layout (see .agp-report in global.css).
+
+import React, { useEffect, useMemo, useState } from "react";
+import axios from "axios";
+import { Line } from "react-chartjs-2";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend,
+} from "chart.js";
+import type { ChartData, ChartOptions } from "chart.js";
+import api from "../services/apiService";
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+interface AgpBin {
+  minute: number;
+  time: string;
+  count: number;
+  p5: number | null;
+  p25: number | null;
+  p50: number | null;
+  p75: number | null;
+  p95: number | null;
+}
+
+interface AgpDay {
+  date: string;
+  mean: number | null;
+  readings: { minute: number; value: number }[];
+}
+
+interface AgpMetrics {
+  reading_count: number;
+  time_below_range_level2: number | null;
+  time_below_range_level1: number | null;
+  time_in_range: number | null;
+  time_above_range_level1: number | null;
+  time_above_range_level2: number | null;
+  mean_glucose: number | null;
+  standard_deviation: number | null;
+  coefficient_of_variation: number | null;
+  glucose_management_indicator: number | null;
+  data_sufficiency: number;
+  sufficient_data: boolean;
+}
+
+interface AgpReport {
+  patient: { patient_id: number; name: string; healthcare_number?: string; date_of_birth?: string };
+  unit: string;
+  window: { start: string; end: string; days: number };
+  bin_minutes: number;
+  target_range: { low: number; high: number };
+  percentiles: AgpBin[];
+  daily_profiles: AgpDay[];
+  metrics: AgpMetrics;
+}
+
+interface AgpChartProps {
+  patientId: number;
+  scope: "specialist" | "staff";
+}
+
+// Time-in-range bar segments, top (very high) to bottom (very low) as on the standard AGP
+const RANGE_SEGMENTS: { key: keyof AgpMetrics; label: string; mgdl: string; mmol: string; color: string }[] = [
+  { key: "time_above_range_level2", label: "Very high", mgdl: ">250", mmol: ">13.9", color: "#f97316" },
+  { key: "time_above_range_level1", label: "High", mgdl: "181-250", mmol: "10.1-13.9", color: "#facc15" },
+  { key: "time_in_range", label: "Target", mgdl: "70-180", mmol: "3.9-10.0", color: "#22c55e" },
+  { key: "time_below_range_level1", label: "Low", mgdl: "54-69", mmol: "3.0-3.8", color: "#ef4444" },
+  { key: "time_below_range_level2", label: "Very low", mgdl: "<54", mmol: "<3.0", color: "#991b1b" },
+];
+
+const rangeLabel = (segment: (typeof RANGE_SEGMENTS)[number], unit: string) =>
+  `${segment.label} (${unit === "mmol/L" ? segment.mmol : segment.mgdl} ${unit})`;
+
+const hourTick = (value: string | number) => {
+  const minute = Number(value);
+  return minute % 180 === 0 ? `${String(minute / 60).padStart(2, "0")}:00` : "";
+};
+
+const AgpChart: React.FC<AgpChartProps> = ({ patientId, scope }) => {
+  const [days, setDays] = useState(14);
+  const [binMinutes, setBinMinutes] = useState(15);
+  const [report, setReport] = useState<AgpReport | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const res = await api.getPatientAgp(scope, patientId, { days, binMinutes });
+        if (!res.success) throw new Error(res.message || "Failed to load AGP report.");
+        setReport(res.data as AgpReport);
+      } catch (err: unknown) {
+        if (axios.isAxiosError(err)) {
+          setError(err.response?.data?.message || err.message);
+        } else {
+          setError(err instanceof Error ? err.message : "Failed to load AGP report.");
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+    if (patientId) load();
+  }, [patientId, scope, days, binMinutes]);
+
+  // Shared y-axis ceiling so the main profile and daily profiles are comparable
+  const yMax = useMemo(() => {
+    if (!report) return undefined;
+    const values = report.daily_profiles.flatMap((d) => d.readings.map((r) => r.value));
+    return Math.max(report.target_range.high * 1.5, ...values);
+  }, [report]);
+
+  const profileData = useMemo<ChartData<"line"> | null>(() => {
+    if (!report) return null;
+    const series = (key: "p5" | "p25" | "p50" | "p75" | "p95") =>
+      report.percentiles.map((b) => ({ x: b.minute, y: b[key] as number }));
+    const constant = (value: number) => [{ x: 0, y: value }, { x: 1440, y: value }];
+    return {
+      datasets: [
+        { label: "5th", data: series("p5"), borderColor: "rgba(59,130,246,.4)", borderWidth: 1, pointRadius: 0, fill: false },
+        { label: "5th-95th", data: series("p95"), borderColor: "rgba(59,130,246,.4)", borderWidth: 1, pointRadius: 0, fill: 0, backgroundColor: "rgba(59,130,246,.12)" },
+        { label: "25th", data: series("p25"), borderColor: "rgba(59,130,246,.7)", borderWidth: 1, pointRadius: 0, fill: false },
+        { label: "25th-75th", data: series("p75"), borderColor: "rgba(59,130,246,.7)", borderWidth: 1, pointRadius: 0, fill: 2, backgroundColor: "rgba(59,130,246,.35)" },
+        { label: "Median", data: series("p50"), borderColor: "#1d4ed8", borderWidth: 2.5, pointRadius: 0, fill: false },
+        { label: "Target low", data: constant(report.target_range.low), borderColor: "#22c55e", borderDash: [6, 4], borderWidth: 1, pointRadius: 0, fill: false },
+        { label: "Target high", data: constant(report.target_range.high), borderColor: "#22c55e", borderDash: [6, 4], borderWidth: 1, pointRadius: 0, fill: false },
+      ],
+    };
+  }, [report]);
+
+  const profileOptions: ChartOptions<"line"> = {
+    responsive: true,
+    animation: false,
+    spanGaps: true,
+    plugins: {
+      legend: { labels: { filter: (item) => ["5th-95th", "25th-75th", "Median"].includes(item.text) } },
+    },
+    scales: {
+      x: { type: "linear", min: 0, max: 1440, ticks: { stepSize: 60, callback: hourTick } },
+      y: { min: 0, suggestedMax: yMax, title: { display: true, text: report?.unit || "" } },
+    },
+  };
+
+  const dailyOptions: ChartOptions<"line"> = {
+    responsive: true,
+    animation: false,
+    plugins: { legend: { display: false }, tooltip: { enabled: false } },
+    scales: {
+      x: { type: "linear", min: 0, max: 1440, ticks: { display: false }, grid: { display: false } },
+      y: { min: 0, max: yMax, ticks: { display: false } },
+    },
+  };
+
+  const metric = (value: number | null, suffix = "") => (value === null ? "—" : `${value}${suffix}`);
+
+  return (
+    <div className="card agp-report">
+      <div className="card-hd" style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: "12px" }}>
+        <h4 style={{ marginLeft: "8px" }}>Ambulatory Glucose Profile</h4>
+        <div className="no-print" style={{ display: "flex", gap: "8px", alignItems: "center" }}>
+          <select className="select" value={days} onChange={(e) => setDays(Number(e.target.value))}>
+            {[7, 14, 30, 90].map((d) => (
+              <option key={d} value={d}>{d} days</option>
+            ))}
+          </select>
+          <select className="select" value={binMinutes} onChange={(e) => setBinMinutes(Number(e.target.value))}>
+            {[15, 30, 60].map((m) => (
+              <option key={m} value={m}>{m} min bins</option>
+            ))}
+          </select>
+          <button className="btn secondary" onClick={() => window.print()} disabled={!report}>
+            Print
+          </button>
+        </div>
+      </div>
+      <div className="card-bd">
+        {error && <div className="alert error">{error}</div>}
+        {loading && <p>Loading AGP report...</p>}
+
+        {report && !loading && (
+          <>
+            <p className="help" style={{ marginTop: 0 }}>
+              {report.patient.name}
+              {report.patient.healthcare_number ? ` · ${report.patient.healthcare_number}` : ""}
+              {" · "}
+              {new Date(report.window.start).toLocaleDateString()} – {new Date(report.window.end).toLocaleDateString()} ({report.window.days} days)
+              {" · "}
+              {report.metrics.reading_count} readings, {report.metrics.data_sufficiency}% of expected data
+              {!report.metrics.sufficient_data && " (insufficient for a representative profile)"}
+            </p>
+
+            <div className="agp-summary">
+              <div className="agp-tir">
+                <div className="agp-tir-bar">
+                  {RANGE_SEGMENTS.map((s) => (
+                    <div
+                      key={s.key}
+                      title={`${rangeLabel(s, report.unit)}: ${metric(report.metrics[s.key] as number | null, "%")}`}
+                      style={{ background: s.color, flexGrow: Number(report.metrics[s.key]) || 0 }}
+                    />
+                  ))}
+                </div>
+                <ul className="agp-tir-legend">
+                  {RANGE_SEGMENTS.map((s) => (
+                    <li key={s.key}>
+                      <span className="agp-swatch" style={{ background: s.color }} />
+                      {rangeLabel(s, report.unit)}: <strong>{metric(report.metrics[s.key] as number | null, "%")}</strong>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <table className="data-table">
+                <tbody>
+                  <tr><td>Mean glucose</td><td>{metric(report.metrics.mean_glucose, ` ${report.unit}`)}</td></tr>
+                  <tr><td>GMI</td><td>{metric(report.metrics.glucose_management_indicator, "%")}</td></tr>
+                  <tr><td>Glucose variability (CV)</td><td>{metric(report.metrics.coefficient_of_variation, "%")}</td></tr>
+                  <tr><td>Standard deviation</td><td>{metric(report.metrics.standard_deviation, ` ${report.unit}`)}</td></tr>
+                </tbody>
+              </table>
+            </div>
+
+            {report.metrics.reading_count === 0 ? (
+              <p>No readings in this period.</p>
+            ) : (
+              <>
+                {profileData && <Line data={profileData} options={profileOptions} />}
+
+                <h5 style={{ margin: "16px 0 8px" }}>Daily glucose profiles</h5>
+                <div className="agp-daily">
+                  {report.daily_profiles.map((day) => (
+                    <div key={day.date} className="agp-day">
+                      <div className="help" style={{ marginTop: 0 }}>
+                        {new Date(`${day.date}T00:00:00`).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" })}
+                      </div>
+                      <Line
+                        data={{
+                          datasets: [
+                            { data: day.readings.map((r) => ({ x: r.minute, y: r.value })), borderColor: "#2b7cff", borderWidth: 1, pointRadius: day.readings.length < 50 ? 1.5 : 0 },
+                          ],
+                        }}
+                        options={dailyOptions}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AgpChart;
@@ -12,11 +12,12 @@ interface Alert {
 
 // Interface for real-time notifications from WebSocket
 interface NotificationData {
-  id: string; // Unique ID for the notification
+  id: string | number; // Unique ID for the notification (inbox ID for stored notifications)
   type: string;
   title: string;
   message: string;
   timestamp: string;
+  guidance?: string; // What to do now, sent with urgent alerts
 }
 
 /**
@@ -46,7 +47,7 @@ const AlertNotification: React.FC = () => {
     };
   }, []); // Empty dependency array means this effect runs once on mount
 
-  const dismissNotification = (id: string) => {
+  const dismissNotification = (id: string | number) => {
     setRealTimeNotifications(prev => prev.filter(n => n.id !== id));
   };
   // --- End of Added Code ---
@@ -86,6 +87,7 @@ const AlertNotification: React.FC = () => {
                 <div className="notification-content">
                   <strong>{n.title}</strong>
                   <p>{n.message}</p>
+                  {n.guidance && <p><strong>What to do now:</strong> {n.guidance}</p>}
                   <small>{new Date(n.timestamp).toLocaleString()}</small>
                 </div>
                 <button onClick={() => dismissNotification(n.id)} className="close-btn" aria-label="Dismiss">&times;</button>
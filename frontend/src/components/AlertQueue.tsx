@@ -0,0 +1,180 @@
+// src/components/AlertQueue.tsx
+// Purpose: Alert queue for specialists, clinic staff and administrators. Alerts are acknowledged,
+//          then resolved with a note; alerts left unacknowledged are escalated to the backup
+//          specialist or clinic staff and show up first.
+
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import apiService, { type QueuedAlert } from '../services/apiService';
+import socketService from '../services/socketService';
+
+const STATUS_FILTERS: { value: string; label: string }[] = [
+  { value: '', label: 'Needing action (open, escalated, acknowledged)' },
+  { value: 'Escalated', label: 'Escalated' },
+  { value: 'Open', label: 'Open' },
+  { value: 'Acknowledged', label: 'Acknowledged' },
+  { value: 'Resolved', label: 'Resolved' },
+  { value: 'all', label: 'All' },
+];
+
+const errorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.message || err.message : err instanceof Error ? err.message : fallback;
+
+const formatTime = (value: string | null) => (value ? new Date(value).toLocaleString() : '');
+
+interface AlertQueueProps {
+  defaultStatus?: string;
+}
+
+const AlertQueue: React.FC<AlertQueueProps> = ({ defaultStatus = '' }) => {
+  const [alerts, setAlerts] = useState<QueuedAlert[]>([]);
+  const [status, setStatus] = useState(defaultStatus);
+  const [resolving, setResolving] = useState<QueuedAlert | null>(null);
+  const [note, setNote] = useState('');
+  const [reload, setReload] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setAlerts(await apiService.getAlertQueue(status || undefined));
+      } catch (err: unknown) {
+        setError(errorMessage(err, 'Failed to load alerts.'));
+      }
+    };
+    load();
+  }, [status, reload]);
+
+  // Alerts raised, acknowledged, resolved or escalated by anyone else refresh the queue
+  useEffect(() => {
+    const handleAlertUpdated = () => setReload(r => r + 1);
+    socketService.onLiveEvent('alert.updated', handleAlertUpdated);
+    return () => {
+      socketService.offLiveEvent('alert.updated', handleAlertUpdated);
+    };
+  }, []);
+
+  const handleAcknowledge = async (alert: QueuedAlert) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await apiService.acknowledgeAlert(alert.Alert_ID);
+      setReload(r => r + 1);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to acknowledge the alert.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleResolve = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!resolving) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await apiService.resolveAlert(resolving.Alert_ID, note);
+      setResolving(null);
+      setNote('');
+      setReload(r => r + 1);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to resolve the alert.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="card">
+      <div className="card-hd">
+        <h4>Alert Queue</h4>
+        <p>Acknowledge alerts you are handling and resolve them with a note.</p>
+      </div>
+      <div className="card-bd">
+        {error && <div className="alert error">{error}</div>}
+
+        <div className="input-group">
+          <label htmlFor="alert-queue-status">Show</label>
+          <select id="alert-queue-status" className="select" value={status} onChange={e => setStatus(e.target.value)}>
+            {STATUS_FILTERS.map(f => (
+              <option key={f.value} value={f.value}>{f.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {alerts.length === 0 ? (
+          <p className="help">No alerts.</p>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Raised</th>
+                <th>Patient</th>
+                <th>Severity</th>
+                <th>Alert</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {alerts.map(a => (
+                <tr key={a.Alert_ID}>
+                  <td>{formatTime(a.Sent_At)}</td>
+                  <td>{a.Patient_Name}</td>
+                  <td>{a.Severity}</td>
+                  <td>
+                    {a.Rule_Name || 'Urgent reading'}
+                    {a.Message && <div className="help">{a.Message}</div>}
+                  </td>
+                  <td>
+                    {a.Status}
+                    {a.Escalated_At && <div className="help">Escalated to {a.Escalated_To} {formatTime(a.Escalated_At)}</div>}
+                    {a.Acknowledged_At && <div className="help">Acknowledged by {a.Acknowledged_By_Name || 'unknown'} {formatTime(a.Acknowledged_At)}</div>}
+                    {a.Resolved_At && <div className="help">Resolved by {a.Resolved_By_Name || 'unknown'}: {a.Resolution_Note}</div>}
+                  </td>
+                  <td>
+                    {(a.Status === 'Open' || a.Status === 'Escalated') && (
+                      <button type="button" className="btn secondary" onClick={() => handleAcknowledge(a)} disabled={busy}>Acknowledge</button>
+                    )}{' '}
+                    {a.Status !== 'Resolved' && (
+                      <button type="button" className="btn secondary" onClick={() => { setResolving(a); setNote(''); }} disabled={busy}>Resolve</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {resolving && (
+          <form onSubmit={handleResolve} className="mt16">
+            <h5>Resolve alert for {resolving.Patient_Name} ({formatTime(resolving.Sent_At)})</h5>
+            <div className="input-group">
+              <label htmlFor="alert-resolution-note">Resolution note</label>
+              <textarea
+                id="alert-resolution-note"
+                className="input"
+                value={note}
+                onChange={e => setNote(e.target.value)}
+                placeholder="e.g. Called the patient; adjusted basal dose"
+                rows={3}
+                required
+              />
+            </div>
+            <div className="form-actions mt16">
+              <button type="button" className="btn secondary" onClick={() => setResolving(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn primary" disabled={busy || !note.trim()}>
+                {busy ? 'Saving...' : 'Resolve Alert'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default AlertQueue;
@@ -0,0 +1,367 @@
+// src/components/AlertRulesManager.tsx
+// Purpose: Staff and administrators define the alert rules evaluated on every new reading and by
+//          the periodic sweep, and test a draft rule by replaying a patient's history against it.
+
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import apiService, { type AlertRule, type AlertRuleTestResult, type AlertRuleType } from '../services/apiService';
+
+const RULE_TYPES: { value: AlertRuleType; label: string }[] = [
+  { value: 'Abnormal_Count', label: 'N abnormal readings in M days' },
+  { value: 'Below_Value', label: 'Any reading below X' },
+  { value: 'Rising_Trend', label: 'N consecutive readings rising by more than Y' },
+  { value: 'No_Readings', label: 'No readings logged for Z days' },
+];
+
+const SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+const RECIPIENTS = ['Patient', 'Specialist'];
+
+const DEFAULT_WINDOW_DAYS: Record<AlertRuleType, string> = {
+  Abnormal_Count: '7',
+  Below_Value: '1',
+  Rising_Trend: '1',
+  No_Readings: '3',
+};
+
+interface RuleForm {
+  Name: string;
+  Rule_Type: AlertRuleType;
+  Threshold_Count: string;
+  Threshold_Value: string;
+  Window_Days: string;
+  Scope: 'System' | 'Patient';
+  Patient_ID: string;
+  Severity: string;
+  Recipients: string[];
+  Cooldown_Hours: string;
+  Is_Active: boolean;
+}
+
+const EMPTY_FORM: RuleForm = {
+  Name: '',
+  Rule_Type: 'Abnormal_Count',
+  Threshold_Count: '4',
+  Threshold_Value: '',
+  Window_Days: '7',
+  Scope: 'System',
+  Patient_ID: '',
+  Severity: 'Medium',
+  Recipients: ['Patient', 'Specialist'],
+  Cooldown_Hours: '168',
+  Is_Active: true,
+};
+
+const errorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.message || err.message : err instanceof Error ? err.message : fallback;
+
+// One-line description of a rule's condition
+const describeRule = (rule: AlertRule) => {
+  const days = `${rule.Window_Days} day(s)`;
+  switch (rule.Rule_Type) {
+    case 'Abnormal_Count':
+      return `${rule.Threshold_Count}+ abnormal readings in ${days}`;
+    case 'Below_Value':
+      return `Reading below ${rule.Threshold_Value ?? 'level 2 hypo limit'}${rule.Threshold_Value ? ' mg/dL' : ''} in ${days}`;
+    case 'Rising_Trend':
+      return `${rule.Threshold_Count} readings each rising > ${rule.Threshold_Value} mg/dL within ${days}`;
+    case 'No_Readings':
+      return `No readings for ${days}`;
+    default:
+      return rule.Rule_Type;
+  }
+};
+
+const AlertRulesManager: React.FC = () => {
+  const [rules, setRules] = useState<AlertRule[]>([]);
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [form, setForm] = useState<RuleForm>(EMPTY_FORM);
+  const [testPatientId, setTestPatientId] = useState('');
+  const [testDays, setTestDays] = useState('90');
+  const [testResult, setTestResult] = useState<AlertRuleTestResult | null>(null);
+  const [reload, setReload] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setRules(await apiService.getAlertRules());
+      } catch (err: unknown) {
+        setError(errorMessage(err, 'Failed to load alert rules.'));
+      }
+    };
+    load();
+  }, [reload]);
+
+  const update = <K extends keyof RuleForm>(field: K, value: RuleForm[K]) => {
+    setTestResult(null);
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const changeType = (type: AlertRuleType) => {
+    setTestResult(null);
+    setForm(prev => ({
+      ...prev,
+      Rule_Type: type,
+      Window_Days: DEFAULT_WINDOW_DAYS[type],
+      Threshold_Count: type === 'Rising_Trend' ? '3' : type === 'Abnormal_Count' ? '4' : '',
+      Threshold_Value: '',
+    }));
+  };
+
+  const toggleRecipient = (recipient: string) => {
+    update('Recipients', form.Recipients.includes(recipient)
+      ? form.Recipients.filter(r => r !== recipient)
+      : [...form.Recipients, recipient]);
+  };
+
+  const startEdit = (rule: AlertRule) => {
+    setEditingId(rule.Rule_ID);
+    setTestResult(null);
+    setError(null);
+    setSuccess(null);
+    setForm({
+      Name: rule.Name,
+      Rule_Type: rule.Rule_Type,
+      Threshold_Count: rule.Threshold_Count !== null ? String(rule.Threshold_Count) : '',
+      Threshold_Value: rule.Threshold_Value !== null ? String(rule.Threshold_Value) : '',
+      Window_Days: String(rule.Window_Days),
+      Scope: rule.Scope,
+      Patient_ID: rule.Patient_ID !== null ? String(rule.Patient_ID) : '',
+      Severity: rule.Severity,
+      Recipients: rule.Recipients,
+      Cooldown_Hours: String(rule.Cooldown_Hours),
+      Is_Active: rule.Is_Active,
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setTestResult(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const buildPayload = () => ({
+    ...form,
+    Threshold_Count: form.Threshold_Count || null,
+    Threshold_Value: form.Threshold_Value || null,
+    Patient_ID: form.Scope === 'Patient' ? form.Patient_ID : null,
+  });
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      const response = editingId
+        ? await apiService.updateAlertRule(editingId, buildPayload())
+        : await apiService.createAlertRule(buildPayload());
+      if (!response.success) throw new Error(response.message || 'Failed to save the rule.');
+      setSuccess(editingId ? 'Alert rule updated.' : 'Alert rule created.');
+      resetForm();
+      setReload(r => r + 1);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to save the rule.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rule: AlertRule) => {
+    if (!window.confirm(`Delete the alert rule "${rule.Name}"?`)) return;
+    setError(null);
+    setSuccess(null);
+    try {
+      await apiService.deleteAlertRule(rule.Rule_ID);
+      if (editingId === rule.Rule_ID) resetForm();
+      setReload(r => r + 1);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to delete the rule.'));
+    }
+  };
+
+  const handleTest = async () => {
+    setError(null);
+    setTestResult(null);
+    try {
+      setTestResult(await apiService.testAlertRule(buildPayload(), Number(testPatientId), Number(testDays) || 90));
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to test the rule.'));
+    }
+  };
+
+  const usesCount = form.Rule_Type === 'Abnormal_Count' || form.Rule_Type === 'Rising_Trend';
+  const usesValue = form.Rule_Type === 'Below_Value' || form.Rule_Type === 'Rising_Trend';
+
+  return (
+    <section className="card">
+      <div className="card-hd">
+        <h4>Alert Rules</h4>
+        <p>Evaluated on every new reading and by a periodic sweep. Each rule alerts a patient at most once per cool-down.</p>
+      </div>
+      <div className="card-bd">
+        {error && <div className="alert error">{error}</div>}
+        {success && <div className="alert success">{success}</div>}
+
+        {rules.length > 0 && (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Condition</th>
+                <th>Scope</th>
+                <th>Severity</th>
+                <th>Recipients</th>
+                <th>Cool-down</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule.Rule_ID}>
+                  <td>{rule.Name}{!rule.Is_Active && <div className="help">Inactive</div>}</td>
+                  <td>{describeRule(rule)}</td>
+                  <td>{rule.Scope === 'Patient' ? rule.Patient_Name || `Patient ${rule.Patient_ID}` : 'All patients'}</td>
+                  <td>{rule.Severity}</td>
+                  <td>{rule.Recipients.join(', ')}</td>
+                  <td>{rule.Cooldown_Hours} h</td>
+                  <td>
+                    <button type="button" className="btn secondary" onClick={() => startEdit(rule)}>Edit</button>{' '}
+                    <button type="button" className="btn secondary" onClick={() => handleDelete(rule)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form onSubmit={handleSubmit} className="mt16">
+          <h5>{editingId ? `Edit "${form.Name}"` : 'New rule'}</h5>
+          <div className="form" style={{ gridTemplateColumns: 'repeat(2, 1fr)' }}>
+            <div className="input-group">
+              <label htmlFor="rule-name">Name</label>
+              <input type="text" id="rule-name" className="input" value={form.Name} onChange={e => update('Name', e.target.value)} maxLength={100} required />
+            </div>
+            <div className="input-group">
+              <label htmlFor="rule-type">Condition</label>
+              <select id="rule-type" className="select" value={form.Rule_Type} onChange={e => changeType(e.target.value as AlertRuleType)}>
+                {RULE_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+              </select>
+            </div>
+            {usesCount && (
+              <div className="input-group">
+                <label htmlFor="rule-count">{form.Rule_Type === 'Rising_Trend' ? 'Consecutive readings (N)' : 'Abnormal readings, at least (N)'}</label>
+                <input type="number" id="rule-count" className="input" min={form.Rule_Type === 'Rising_Trend' ? 2 : 1} value={form.Threshold_Count} onChange={e => update('Threshold_Count', e.target.value)} required />
+              </div>
+            )}
+            {usesValue && (
+              <div className="input-group">
+                <label htmlFor="rule-value">{form.Rule_Type === 'Rising_Trend' ? 'Rise per reading, more than (mg/dL)' : 'Below (mg/dL)'}</label>
+                <input type="number" id="rule-value" className="input" value={form.Threshold_Value} onChange={e => update('Threshold_Value', e.target.value)} required={form.Rule_Type === 'Rising_Trend'} />
+                {form.Rule_Type === 'Below_Value' && <div className="help">Leave empty to use each patient's level 2 hypoglycemia limit.</div>}
+              </div>
+            )}
+            <div className="input-group">
+              <label htmlFor="rule-window">Within the last (days)</label>
+              <input type="number" id="rule-window" className="input" min={1} max={365} value={form.Window_Days} onChange={e => update('Window_Days', e.target.value)} required />
+            </div>
+            <div className="input-group">
+              <label htmlFor="rule-scope">Applies to</label>
+              <select id="rule-scope" className="select" value={form.Scope} onChange={e => update('Scope', e.target.value as RuleForm['Scope'])}>
+                <option value="System">All patients</option>
+                <option value="Patient">One patient</option>
+              </select>
+            </div>
+            {form.Scope === 'Patient' && (
+              <div className="input-group">
+                <label htmlFor="rule-patient">Patient ID</label>
+                <input type="number" id="rule-patient" className="input" value={form.Patient_ID} onChange={e => update('Patient_ID', e.target.value)} required />
+              </div>
+            )}
+            <div className="input-group">
+              <label htmlFor="rule-severity">Severity</label>
+              <select id="rule-severity" className="select" value={form.Severity} onChange={e => update('Severity', e.target.value)}>
+                {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+              </select>
+            </div>
+            <div className="input-group">
+              <label htmlFor="rule-cooldown">Cool-down (hours)</label>
+              <input type="number" id="rule-cooldown" className="input" min={1} value={form.Cooldown_Hours} onChange={e => update('Cooldown_Hours', e.target.value)} required />
+            </div>
+            <div className="input-group">
+              <label>Notify</label>
+              {RECIPIENTS.map(r => (
+                <label key={r}>
+                  <input type="checkbox" checked={form.Recipients.includes(r)} onChange={() => toggleRecipient(r)} /> {r}
+                </label>
+              ))}
+            </div>
+            <div className="input-group">
+              <label>
+                <input type="checkbox" checked={form.Is_Active} onChange={e => update('Is_Active', e.target.checked)} /> Active
+              </label>
+            </div>
+          </div>
+
+          <div className="form" style={{ gridTemplateColumns: 'repeat(3, 1fr)' }}>
+            <div className="input-group">
+              <label htmlFor="rule-test-patient">Test against patient ID</label>
+              <input type="number" id="rule-test-patient" className="input" value={testPatientId} onChange={e => setTestPatientId(e.target.value)} />
+            </div>
+            <div className="input-group">
+              <label htmlFor="rule-test-days">Days of history</label>
+              <input type="number" id="rule-test-days" className="input" min={1} max={365} value={testDays} onChange={e => setTestDays(e.target.value)} />
+            </div>
+            <div className="input-group" style={{ alignSelf: 'end' }}>
+              <button type="button" className="btn secondary" onClick={handleTest} disabled={!testPatientId}>
+                Test Rule
+              </button>
+            </div>
+          </div>
+
+          {testResult && (
+            <div className="mt16">
+              <p>
+                Replayed {testResult.readings_checked} reading(s) from {new Date(testResult.from).toLocaleDateString()}:
+                the rule would have raised <strong>{testResult.alerts.length}</strong> alert(s).
+              </p>
+              {testResult.alerts.length > 0 && (
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>When</th>
+                      <th>Message</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {testResult.alerts.map(a => (
+                      <tr key={a.at}>
+                        <td>{new Date(a.at).toLocaleString()}</td>
+                        <td>{a.message}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          <div className="form-actions mt16">
+            {editingId && (
+              <button type="button" className="btn secondary" onClick={resetForm}>
+                Cancel
+              </button>
+            )}
+            <button type="submit" className="btn primary" disabled={saving}>
+              {saving ? 'Saving...' : editingId ? 'Save Rule' : 'Create Rule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </section>
+  );
+};
+
+export default AlertRulesManager;
@@ -1,26 +1,32 @@
 import React, { useState, useEffect, type FormEvent } from "react";
 import api from "../services/apiService";
+import { READING_CONTEXTS, type ReadingContext } from "../utils/readingContext";
+import type { MealEntry } from "./MealLog";
 
 interface BloodSugarReading {
   reading_id?: string | number;
   value: number;
-  unit: "mg/dl" | "mmol/L";
+  unit: "mg/dL" | "mmol/L";
   datetime: string;
   food_notes?: string;
   activity_notes?: string;
   symptoms?: string;
   notes?: string;
+  reading_context?: ReadingContext | null;
+  meal_id?: number | null;
 }
 interface BloodSugarFormProps {
   onSaved?: (reading: any) => void;
   readingToEdit?: Partial<BloodSugarReading>;
   isEditMode: boolean;
+  meals?: MealEntry[];
 }
 
 const BloodSugarForm: React.FC<BloodSugarFormProps> = ({
   onSaved,
   readingToEdit = {},
   isEditMode,
+  meals,
 }) => {
   const getLocalISOString = (date: Date) => {
     const offset = date.getTimezoneOffset() * 60000; // offset in milliseconds
@@ -28,29 +34,54 @@ const BloodSugarForm: React.FC<BloodSugarFormProps> = ({
   };
 
   const [value, setValue] = useState(readingToEdit.value?.toString() || "");
-  const [unit, setUnit] = useState<"mg/dl" | "mmol/L">(
-    readingToEdit.unit || "mg/dl"
+  const [unit, setUnit] = useState<"mg/dL" | "mmol/L">(
+    readingToEdit.unit || "mg/dL"
   );
   const [datetime, setDatetime] = useState(
     readingToEdit.datetime ? getLocalISOString(new Date(readingToEdit.datetime)) : getLocalISOString(new Date())
   );
+  const [context, setContext] = useState<ReadingContext | "">(readingToEdit.reading_context || "");
+  const [mealId, setMealId] = useState(readingToEdit.meal_id ? String(readingToEdit.meal_id) : "");
   const [food, setFood] = useState(readingToEdit.food_notes || "");
   const [activity, setActivity] = useState(readingToEdit.activity_notes || "");
   const [symptoms, setSymptoms] = useState(readingToEdit.symptoms || readingToEdit.notes || "");
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
 
+  // New readings default to the unit chosen on the profile page
+  useEffect(() => {
+    if (isEditMode) return;
+    api
+      .get("/user/profile")
+      .then((res) => {
+        if (res?.success && res.data?.preferred_unit === "mmol/L") {
+          setUnit("mmol/L");
+        }
+      })
+      .catch(() => {
+        /* keep mg/dL default */
+      });
+  }, [isEditMode]);
+
   useEffect(() => {
     if (isEditMode && readingToEdit) {
       setValue(readingToEdit.value?.toString() || "");
-      setUnit(readingToEdit.unit || "mg/dl");
+      setUnit(readingToEdit.unit || "mg/dL");
       setDatetime(readingToEdit.datetime ? getLocalISOString(new Date(readingToEdit.datetime)) : getLocalISOString(new Date()));
+      setContext(readingToEdit.reading_context || "");
+      setMealId(readingToEdit.meal_id ? String(readingToEdit.meal_id) : "");
       setFood(readingToEdit.food_notes || "");
       setActivity(readingToEdit.activity_notes || "");
       setSymptoms(readingToEdit.symptoms || readingToEdit.notes || "");
     }
   }, [isEditMode, readingToEdit]);
 
+  // Meals from the 12 hours before the reading, most recent first
+  const precedingMeals = (meals || []).filter((m) => {
+    const diff = new Date(datetime).getTime() - new Date(m.datetime).getTime();
+    return diff >= 0 && diff <= 12 * 60 * 60 * 1000;
+  });
+
   const handleSubmit = async (e: FormEvent) => {
     e.preventDefault();
     setError("");
@@ -70,6 +101,8 @@ const BloodSugarForm: React.FC<BloodSugarFormProps> = ({
         value: parseFloat(value),
         unit,
         dateTime: datetime,
+        readingContext: context || null,
+        ...(meals ? { mealId: mealId ? Number(mealId) : null } : {}),
         foodNotes: food,
         activityNotes: activity,
         symptoms,
@@ -89,6 +122,8 @@ const BloodSugarForm: React.FC<BloodSugarFormProps> = ({
       onSaved?.(res);
       if (!isEditMode) {
         setValue("");
+        setContext("");
+        setMealId("");
         setFood("");
         setActivity("");
         setSymptoms("");
@@ -116,7 +151,8 @@ const BloodSugarForm: React.FC<BloodSugarFormProps> = ({
               <input
                 type="number"
                 className="input"
-                placeholder="e.g. 110"
+                placeholder={unit === "mmol/L" ? "e.g. 6.1" : "e.g. 110"}
+                step={unit === "mmol/L" ? "0.1" : "1"}
                 value={value}
                 onChange={(e) => setValue(e.target.value)}
                 required
@@ -126,10 +162,10 @@ const BloodSugarForm: React.FC<BloodSugarFormProps> = ({
                   className="select addon-select"
                   value={unit}
                   onChange={(e) =>
-                    setUnit(e.target.value as "mg/dl" | "mmol/L")
+                    setUnit(e.target.value as "mg/dL" | "mmol/L")
                   }
                 >
-                  <option value="mg/dl">mg/dl</option>
+                  <option value="mg/dL">mg/dL</option>
                   <option value="mmol/L">mmol/L</option>
                 </select>
               </div>
@@ -156,6 +192,38 @@ const BloodSugarForm: React.FC<BloodSugarFormProps> = ({
           </div>
         </div>
 
+        {/* Meal / time context */}
+        <div className="input-group">
+          <label>Context</label>
+          <select
+            className="select"
+            value={context}
+            onChange={(e) => setContext(e.target.value as ReadingContext | "")}
+          >
+            <option value="">Not specified</option>
+            {READING_CONTEXTS.map((c) => (
+              <option key={c.value} value={c.value}>{c.label}</option>
+            ))}
+          </select>
+          <div className="help">Fasting and after-meal readings are checked against their own target ranges.</div>
+        </div>
+
+        {/* Preceding meal (only meals eaten before the reading) */}
+        {meals && (
+          <div className="input-group">
+            <label>Preceding meal</label>
+            <select className="select" value={mealId} onChange={(e) => setMealId(e.target.value)}>
+              <option value="">None</option>
+              {precedingMeals.map((m) => (
+                <option key={m.meal_id} value={m.meal_id}>
+                  {m.meal_type} · {new Date(m.datetime).toLocaleString()} · {Math.round(m.total_carbs)} g carbs
+                </option>
+              ))}
+            </select>
+            <div className="help">Link the reading to a meal from your meal log.</div>
+          </div>
+        )}
+
         {/* Food / Activity */}
         <div className="field-row">
           <div className="input-group">
@@ -0,0 +1,331 @@
+// frontend/src/components/MealLog.tsx
+// Purpose: Lets patients log meals from the food dictionary with estimated carbohydrates,
+//          add their own foods, and lists recent meals. Readings can reference a logged meal.
+
+import React, { useEffect, useState, type FormEvent } from "react";
+import axios from "axios";
+import api from "../services/apiService";
+
+export interface FoodEntry {
+  food_id: number;
+  name: string;
+  aliases: string | null;
+  carbs_per_serving: number;
+  serving_description: string | null;
+  is_custom: boolean;
+}
+
+export interface MealEntry {
+  meal_id: number;
+  datetime: string;
+  meal_type: string;
+  total_carbs: number;
+  notes: string | null;
+  items: { food_id: number; name: string; servings: number; carbs: number }[];
+}
+
+interface MealLogProps {
+  meals: MealEntry[];
+  onChanged?: () => void;
+}
+
+interface SelectedItem {
+  food: FoodEntry;
+  servings: string;
+}
+
+const MEAL_TYPES = ["Breakfast", "Lunch", "Dinner", "Snack"];
+
+const getLocalISOString = (date: Date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// Default meal type from the time of day
+const mealTypeFor = (date: Date) => {
+  const hour = date.getHours();
+  if (hour >= 5 && hour < 11) return "Breakfast";
+  if (hour >= 11 && hour < 16) return "Lunch";
+  if (hour >= 17 && hour < 22) return "Dinner";
+  return "Snack";
+};
+
+const errorMessage = (err: unknown, fallback: string) => {
+  if (axios.isAxiosError(err)) return err.response?.data?.message || err.message;
+  return err instanceof Error ? err.message : fallback;
+};
+
+const MealLog: React.FC<MealLogProps> = ({ meals, onChanged }) => {
+  const [mealType, setMealType] = useState(mealTypeFor(new Date()));
+  const [datetime, setDatetime] = useState(getLocalISOString(new Date()));
+  const [search, setSearch] = useState("");
+  const [results, setResults] = useState<FoodEntry[]>([]);
+  const [items, setItems] = useState<SelectedItem[]>([]);
+  const [showAddFood, setShowAddFood] = useState(false);
+  const [newFoodName, setNewFoodName] = useState("");
+  const [newFoodCarbs, setNewFoodCarbs] = useState("");
+  const [newFoodServing, setNewFoodServing] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  // Search the dictionary as the patient types
+  useEffect(() => {
+    if (!search.trim()) {
+      setResults([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const foods = await api.searchFoods(search.trim(), 8);
+        if (!cancelled) setResults(foods);
+      } catch (err: unknown) {
+        if (!cancelled) setError(errorMessage(err, "Food search failed."));
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [search]);
+
+  const addItem = (food: FoodEntry) => {
+    setItems((prev) =>
+      prev.some((i) => i.food.food_id === food.food_id) ? prev : [...prev, { food, servings: "1" }]
+    );
+    setSearch("");
+    setResults([]);
+  };
+
+  const updateServings = (foodId: number, servings: string) => {
+    setItems((prev) => prev.map((i) => (i.food.food_id === foodId ? { ...i, servings } : i)));
+  };
+
+  const removeItem = (foodId: number) => {
+    setItems((prev) => prev.filter((i) => i.food.food_id !== foodId));
+  };
+
+  const totalCarbs = items.reduce(
+    (sum, i) => sum + (parseFloat(i.servings) || 0) * i.food.carbs_per_serving,
+    0
+  );
+
+  const handleAddFood = async () => {
+    setError("");
+    try {
+      const res = await api.addFood({
+        name: newFoodName.trim(),
+        carbsPerServing: parseFloat(newFoodCarbs),
+        servingDescription: newFoodServing.trim() || undefined,
+      });
+      if (!res.success) throw new Error(res.message || "Failed to add food.");
+      const food = res.data as Omit<FoodEntry, "is_custom">;
+      addItem({ ...food, carbs_per_serving: Number(food.carbs_per_serving), is_custom: true });
+      setNewFoodName("");
+      setNewFoodCarbs("");
+      setNewFoodServing("");
+      setShowAddFood(false);
+    } catch (err: unknown) {
+      setError(errorMessage(err, "Failed to add food."));
+    }
+  };
+
+  const handleSubmit = async (e: FormEvent) => {
+    e.preventDefault();
+    setError("");
+    if (items.length === 0) {
+      setError("Add at least one food to the meal.");
+      return;
+    }
+    if (new Date(datetime) > new Date()) {
+      setError("Date and time cannot be in the future.");
+      return;
+    }
+    setLoading(true);
+    try {
+      const res = await api.createMeal({
+        dateTime: datetime,
+        mealType,
+        items: items.map((i) => ({ foodId: i.food.food_id, servings: parseFloat(i.servings) || 1 })),
+      });
+      if (!res.success) throw new Error(res.message || "Failed to log meal.");
+      setItems([]);
+      setDatetime(getLocalISOString(new Date()));
+      onChanged?.();
+    } catch (err: unknown) {
+      setError(errorMessage(err, "Failed to log meal."));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (id: number) => {
+    if (!window.confirm("Delete this meal?")) return;
+    try {
+      await api.deleteMeal(id);
+      onChanged?.();
+    } catch (err: unknown) {
+      setError(errorMessage(err, "Failed to delete meal."));
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-hd">
+        <h4>Meals</h4>
+      </div>
+      <div className="card-bd">
+        <form onSubmit={handleSubmit}>
+          <div className="field-row">
+            <div className="input-group">
+              <label>Meal</label>
+              <select className="select" value={mealType} onChange={(e) => setMealType(e.target.value)}>
+                {MEAL_TYPES.map((t) => (
+                  <option key={t} value={t}>{t}</option>
+                ))}
+              </select>
+            </div>
+            <div className="input-group">
+              <label>Date & Time</label>
+              <input
+                type="datetime-local"
+                className="input"
+                value={datetime}
+                onChange={(e) => setDatetime(e.target.value)}
+                max={getLocalISOString(new Date())}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="input-group">
+            <label>Add food</label>
+            <input
+              type="text"
+              className="input"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search e.g. rice, apple"
+            />
+            {results.length > 0 && (
+              <ul className="food-results" style={{ listStyle: "none", padding: 0, margin: "4px 0" }}>
+                {results.map((f) => (
+                  <li key={f.food_id}>
+                    <button type="button" className="btn secondary" onClick={() => addItem(f)} style={{ width: "100%", textAlign: "left" }}>
+                      {f.name} · {f.carbs_per_serving} g carbs{f.serving_description ? ` per ${f.serving_description}` : ""}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="help">
+              Not in the list?{" "}
+              <button type="button" className="btn secondary" onClick={() => setShowAddFood((v) => !v)}>
+                {showAddFood ? "Cancel" : "Add your own food"}
+              </button>
+            </div>
+          </div>
+
+          {showAddFood && (
+            <div className="field-row">
+              <div className="input-group">
+                <label>Name</label>
+                <input type="text" className="input" value={newFoodName} onChange={(e) => setNewFoodName(e.target.value)} maxLength={100} />
+              </div>
+              <div className="input-group">
+                <label>Carbs per serving (g)</label>
+                <input type="number" className="input" min="0" step="0.5" value={newFoodCarbs} onChange={(e) => setNewFoodCarbs(e.target.value)} />
+              </div>
+              <div className="input-group">
+                <label>Serving</label>
+                <input type="text" className="input" value={newFoodServing} onChange={(e) => setNewFoodServing(e.target.value)} placeholder="e.g. 1 cup" maxLength={100} />
+              </div>
+              <div className="btn-row">
+                <button type="button" className="btn" onClick={handleAddFood} disabled={!newFoodName.trim() || newFoodCarbs === ""}>
+                  Save Food
+                </button>
+              </div>
+            </div>
+          )}
+
+          {items.length > 0 && (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Food</th>
+                  <th>Servings</th>
+                  <th>Carbs</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((i) => (
+                  <tr key={i.food.food_id}>
+                    <td>{i.food.name}</td>
+                    <td>
+                      <input
+                        type="number"
+                        className="input"
+                        min="0.25"
+                        step="0.25"
+                        value={i.servings}
+                        onChange={(e) => updateServings(i.food.food_id, e.target.value)}
+                        style={{ width: "80px" }}
+                      />
+                    </td>
+                    <td>{Math.round((parseFloat(i.servings) || 0) * i.food.carbs_per_serving)} g</td>
+                    <td>
+                      <button type="button" className="btn secondary" onClick={() => removeItem(i.food.food_id)}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {items.length > 0 && <div className="help">Estimated total: {Math.round(totalCarbs)} g carbohydrate</div>}
+
+          {error && <div className="form-error">{error}</div>}
+
+          <div className="btn-row">
+            <button type="submit" className="btn" disabled={loading}>
+              {loading ? "Saving..." : "Log Meal"}
+            </button>
+          </div>
+        </form>
+
+        {meals.length > 0 && (
+          <table className="data-table" style={{ marginTop: "16px" }}>
+            <thead>
+              <tr>
+                <th>Date/Time</th>
+                <th>Meal</th>
+                <th>Foods</th>
+                <th>Carbs</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {meals.slice(0, 10).map((m) => (
+                <tr key={m.meal_id}>
+                  <td>{new Date(m.datetime).toLocaleString()}</td>
+                  <td>{m.meal_type}</td>
+                  <td>{m.items.map((i) => i.name).join(", ")}</td>
+                  <td>{Math.round(m.total_carbs)} g</td>
+                  <td>
+                    <button type="button" className="btn secondary" onClick={() => handleDelete(m.meal_id)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MealLog;
@@ -0,0 +1,216 @@
+// frontend/src/components/MedicationLog.tsx
+// Purpose: Lets patients log insulin (bolus/basal) and oral medication doses and lists
+//          recent entries. Doses are also shown as markers on the trend chart.
+
+import React, { useState, type FormEvent } from "react";
+import axios from "axios";
+import api from "../services/apiService";
+import type { DoseMarker } from "./TrendsChart";
+
+export interface MedicationEntry extends DoseMarker {
+  medication_id: number;
+  route: string;
+  notes?: string | null;
+}
+
+interface MedicationLogProps {
+  medications: MedicationEntry[];
+  onChanged?: () => void;
+}
+
+const MEDICATION_TYPES = [
+  { value: "Bolus_Insulin", label: "Bolus insulin", route: "Subcutaneous", unit: "units" },
+  { value: "Basal_Insulin", label: "Basal insulin", route: "Subcutaneous", unit: "units" },
+  { value: "Oral", label: "Oral medication", route: "Oral", unit: "mg" },
+  { value: "Other", label: "Other", route: "Other", unit: "units" },
+];
+
+const ROUTES = ["Subcutaneous", "Pump", "Oral", "Inhaled", "Intravenous", "Other"];
+
+const typeLabel = (type: string) => MEDICATION_TYPES.find((t) => t.value === type)?.label || type;
+
+const getLocalISOString = (date: Date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const MedicationLog: React.FC<MedicationLogProps> = ({ medications, onChanged }) => {
+  const [medicationType, setMedicationType] = useState(MEDICATION_TYPES[0].value);
+  const [drugName, setDrugName] = useState("");
+  const [dose, setDose] = useState("");
+  const [doseUnit, setDoseUnit] = useState(MEDICATION_TYPES[0].unit);
+  const [route, setRoute] = useState(MEDICATION_TYPES[0].route);
+  const [datetime, setDatetime] = useState(getLocalISOString(new Date()));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleTypeChange = (value: string) => {
+    const type = MEDICATION_TYPES.find((t) => t.value === value) || MEDICATION_TYPES[0];
+    setMedicationType(type.value);
+    setRoute(type.route);
+    setDoseUnit(type.unit);
+  };
+
+  const handleSubmit = async (e: FormEvent) => {
+    e.preventDefault();
+    setError("");
+    if (new Date(datetime) > new Date()) {
+      setError("Date and time cannot be in the future.");
+      return;
+    }
+    setLoading(true);
+    try {
+      const res = await api.createMedication({
+        dateTime: datetime,
+        medicationType,
+        drugName,
+        dose: parseFloat(dose),
+        doseUnit,
+        route,
+      });
+      if (!res.success) throw new Error(res.message || "Failed to log dose.");
+      setDrugName("");
+      setDose("");
+      setDatetime(getLocalISOString(new Date()));
+      onChanged?.();
+    } catch (err: unknown) {
+      if (axios.isAxiosError(err)) {
+        setError(err.response?.data?.message || err.message);
+      } else {
+        setError(err instanceof Error ? err.message : "Failed to log dose.");
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (id: number) => {
+    if (!window.confirm("Delete this dose?")) return;
+    try {
+      await api.deleteMedication(id);
+      onChanged?.();
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : "Failed to delete dose.");
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-hd">
+        <h4>Insulin & Medication</h4>
+      </div>
+      <div className="card-bd">
+        <form onSubmit={handleSubmit}>
+          <div className="field-row">
+            <div className="input-group">
+              <label>Type</label>
+              <select className="select" value={medicationType} onChange={(e) => handleTypeChange(e.target.value)}>
+                {MEDICATION_TYPES.map((t) => (
+                  <option key={t.value} value={t.value}>{t.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="input-group">
+              <label>Drug</label>
+              <input
+                type="text"
+                className="input"
+                value={drugName}
+                onChange={(e) => setDrugName(e.target.value)}
+                placeholder="e.g. insulin lispro, metformin"
+                maxLength={100}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="field-row">
+            <div className="input-group">
+              <label>Dose</label>
+              <div className="with-addon">
+                <input
+                  type="number"
+                  className="input"
+                  step="0.5"
+                  min="0"
+                  value={dose}
+                  onChange={(e) => setDose(e.target.value)}
+                  required
+                />
+                <div className="addon">
+                  <input
+                    type="text"
+                    className="input addon-select"
+                    value={doseUnit}
+                    onChange={(e) => setDoseUnit(e.target.value)}
+                    maxLength={20}
+                    style={{ width: "70px" }}
+                  />
+                </div>
+              </div>
+            </div>
+            <div className="input-group">
+              <label>Route</label>
+              <select className="select" value={route} onChange={(e) => setRoute(e.target.value)}>
+                {ROUTES.map((r) => (
+                  <option key={r} value={r}>{r}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="input-group">
+            <label>Date & Time</label>
+            <input
+              type="datetime-local"
+              className="input"
+              value={datetime}
+              onChange={(e) => setDatetime(e.target.value)}
+              max={getLocalISOString(new Date())}
+              required
+            />
+          </div>
+
+          {error && <div className="form-error">{error}</div>}
+
+          <div className="btn-row">
+            <button type="submit" className="btn" disabled={loading}>
+              {loading ? "Saving..." : "Log Dose"}
+            </button>
+          </div>
+        </form>
+
+        {medications.length > 0 && (
+          <table className="data-table" style={{ marginTop: "16px" }}>
+            <thead>
+              <tr>
+                <th>Date/Time</th>
+                <th>Type</th>
+                <th>Drug</th>
+                <th>Dose</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {medications.slice(0, 10).map((m) => (
+                <tr key={m.medication_id}>
+                  <td>{new Date(m.datetime).toLocaleString()}</td>
+                  <td>{typeLabel(m.medication_type)}</td>
+                  <td>{m.drug_name}</td>
+                  <td>{m.dose} {m.dose_unit}</td>
+                  <td>
+                    <button type="button" className="btn secondary" onClick={() => handleDelete(m.medication_id)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MedicationLog;
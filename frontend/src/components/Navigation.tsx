@@ -13,6 +13,7 @@ import StaffPatientDetailsPage from "../pages/StaffPatientDetailsPage"; // Impor
 import Register from "../pages/Register";
 import ForgotPassword from "../pages/ForgotPassword"; // Import ForgotPassword page
 import ResetPassword from "../pages/ResetPassword"; // Import ResetPassword page
+import NotificationCenter from "./NotificationCenter";
 
 const Navigation: React.FC = () => {
   const isLoggedIn = authService.isAuthenticated();
@@ -46,36 +47,46 @@ const Navigation: React.FC = () => {
   const defaultRoute = userRole ? roleDefaultRoute[userRole] : "/login";
 
   return (
-    <Routes>
-      {/* Public Routes */}
-      <Route path="/login" element={<AuthenticationDashboard />} />
-      <Route path="/register" element={<Register />} />
-      <Route path="/forgot-password" element={<ForgotPassword />} /> {/* Forgot Password Route */}
-      <Route path="/reset-password/:token" element={<ResetPassword />} /> {/* Reset Password Route */}
-      <Route path="/" element={<Navigate to={defaultRoute} replace />} />
+    <>
+      {isLoggedIn && (
+        <header className="topbar">
+          <div className="brand"><span className="dot" /> Blood Sugar Monitoring System</div>
+          <div className="topbar-right">
+            <NotificationCenter />
+          </div>
+        </header>
+      )}
+      <Routes>
+        {/* Public Routes */}
+        <Route path="/login" element={<AuthenticationDashboard />} />
+        <Route path="/register" element={<Register />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} /> {/* Forgot Password Route */}
+        <Route path="/reset-password/:token" element={<ResetPassword />} /> {/* Reset Password Route */}
+        <Route path="/" element={<Navigate to={defaultRoute} replace />} />
 
 
-      {/* Redirect unauthenticated users */}
-      {!isLoggedIn && (
-        <Route path="*" element={<Navigate to="/login" replace />} />
-      )}
+        {/* Redirect unauthenticated users */}
+        {!isLoggedIn && (
+          <Route path="*" element={<Navigate to="/login" replace />} />
+        )}
 
-      {/* Protected Routes */}
-      {isLoggedIn && (
-        <>
-          <Route path="/profile" element={<ProfilePage />} /> {/* Add ProfilePage route */}
-          {userRole === "patient" && <Route path="/dashboard" element={<PatientDashboard />} />}
-          {userRole === "specialist" && <Route path="/specialist" element={<SpecialistDashboard />} />}
-          {userRole === "specialist" && <Route path="/specialist/patient/:patientId" element={<PatientDetailsPage />} />}
-          {userRole === "administrator" && <Route path="/admin" element={<AdminDashboard />} />}
-          {userRole === "clinic_staff" && <Route path="/staff" element={<StaffDashboard />} />}
-          {userRole === "clinic_staff" && <Route path="/staff/patient/:patientId" element={<StaffPatientDetailsPage />} />}
+        {/* Protected Routes */}
+        {isLoggedIn && (
+          <>
+            <Route path="/profile" element={<ProfilePage />} /> {/* Add ProfilePage route */}
+            {userRole === "patient" && <Route path="/dashboard" element={<PatientDashboard />} />}
+            {userRole === "specialist" && <Route path="/specialist" element={<SpecialistDashboard />} />}
+            {userRole === "specialist" && <Route path="/specialist/patient/:patientId" element={<PatientDetailsPage />} />}
+            {userRole === "administrator" && <Route path="/admin" element={<AdminDashboard />} />}
+            {userRole === "clinic_staff" && <Route path="/staff" element={<StaffDashboard />} />}
+            {userRole === "clinic_staff" && <Route path="/staff/patient/:patientId" element={<StaffPatientDetailsPage />} />}
           
-          {/* Default authenticated route based on role */}
-          <Route path="*" element={<Navigate to={defaultRoute} replace />} />
-        </>
-      )}
-    </Routes>
+            {/* Default authenticated route based on role */}
+            <Route path="*" element={<Navigate to={defaultRoute} replace />} />
+          </>
+        )}
+      </Routes>
+    </>
   );
 };
 
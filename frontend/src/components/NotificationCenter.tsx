@@ -0,0 +1,157 @@
+// src/components/NotificationCenter.tsx
+// Purpose: Notification bell for the top bar. Shows the unread count, and opens the user's
+//          notification inbox, which keeps notifications that arrived while they were offline.
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import apiService, { type InboxNotification } from '../services/apiService';
+import socketService, { type NotificationData } from '../services/socketService';
+
+const errorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.message || err.message : err instanceof Error ? err.message : fallback;
+
+const NotificationCenter: React.FC = () => {
+  const [notifications, setNotifications] = useState<InboxNotification[]>([]);
+  const [unread, setUnread] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const known = useRef(new Set<number>()); // Inbox IDs already listed
+
+  const load = useCallback(async () => {
+    try {
+      const res = await apiService.getNotifications();
+      known.current = new Set(res.notifications.map(n => n.id));
+      setNotifications(res.notifications);
+      setUnread(res.unread_count);
+      setError(null);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to load notifications.'));
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Stored notifications arriving live (or replayed after reconnecting) go to the top of the list
+  useEffect(() => {
+    const handleNotification = (data: NotificationData) => {
+      if (!data.notificationId || known.current.has(data.notificationId)) return;
+      known.current.add(data.notificationId);
+      const entry: InboxNotification = {
+        ...data,
+        id: data.notificationId,
+        notificationId: data.notificationId,
+        read: false,
+        readAt: null,
+        createdAt: data.timestamp,
+      };
+      setNotifications(prev => [entry, ...prev]);
+      setUnread(u => u + 1);
+    };
+
+    socketService.onNotification(handleNotification);
+    return () => {
+      socketService.offNotification(handleNotification);
+    };
+  }, []);
+
+  const handleRead = async (notification: InboxNotification) => {
+    if (notification.read) return;
+    try {
+      const res = await apiService.markNotificationRead(notification.id);
+      setNotifications(prev => prev.map(n => (n.id === notification.id ? { ...n, read: true } : n)));
+      setUnread(res.unread_count);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to mark the notification read.'));
+    }
+  };
+
+  const handleReadAll = async () => {
+    try {
+      await apiService.markAllNotificationsRead();
+      setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+      setUnread(0);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to mark notifications read.'));
+    }
+  };
+
+  const handleDelete = async (notification: InboxNotification) => {
+    try {
+      await apiService.deleteNotification(notification.id);
+      setNotifications(prev => prev.filter(n => n.id !== notification.id));
+      if (!notification.read) setUnread(u => Math.max(0, u - 1));
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to delete the notification.'));
+    }
+  };
+
+  const handleClearRead = async () => {
+    try {
+      await apiService.clearNotifications(true);
+      setNotifications(prev => prev.filter(n => !n.read));
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to clear notifications.'));
+    }
+  };
+
+  return (
+    <div className="notif-center">
+      <button
+        type="button"
+        className="topnav-item notif-bell"
+        onClick={() => setOpen(o => !o)}
+        aria-label={`Notifications (${unread} unread)`}
+        aria-expanded={open}
+      >
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M18 8a6 6 0 0 0-12 0c0 7-3 9-3 9h18s-3-2-3-9" />
+          <path d="M13.73 21a2 2 0 0 1-3.46 0" />
+        </svg>
+        {unread > 0 && <span className="notif-badge">{unread > 99 ? '99+' : unread}</span>}
+      </button>
+
+      {open && (
+        <div className="notif-panel card">
+          <div className="card-hd">
+            <h4>Notifications</h4>
+            <div className="notif-actions">
+              <button type="button" className="btn secondary" onClick={handleReadAll} disabled={unread === 0}>Mark all read</button>
+              <button type="button" className="btn secondary" onClick={handleClearRead}>Clear read</button>
+            </div>
+          </div>
+          <div className="card-bd">
+            {error && <div className="alert error">{error}</div>}
+            {notifications.length === 0 ? (
+              <p className="help">No notifications.</p>
+            ) : (
+              <ul className="notif-list">
+                {notifications.map(n => (
+                  <li key={n.id} className={`notif-item ${n.read ? '' : 'unread'}`} onClick={() => handleRead(n)}>
+                    <div>
+                      <strong>{n.title || 'Notification'}</strong>
+                      {n.message && <p>{n.message}</p>}
+                      {n.guidance && <p><strong>What to do now:</strong> {n.guidance}</p>}
+                      <small className="help">{new Date(n.timestamp || n.createdAt).toLocaleString()}</small>
+                    </div>
+                    <button
+                      type="button"
+                      className="close-btn"
+                      aria-label="Delete notification"
+                      onClick={e => { e.stopPropagation(); handleDelete(n); }}
+                    >
+                      &times;
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
@@ -0,0 +1,221 @@
+// src/components/NotificationPreferences.tsx
+// Purpose: Lets any user choose which notifications they get on which channels, set quiet hours
+//          and switch email and SMS to a daily or weekly digest.
+
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import apiService, {
+  type NotificationChannel,
+  type NotificationEventType,
+  type NotificationPreferences as Preferences,
+} from '../services/apiService';
+
+// Patients get feedback, weekly summaries and logging reminders; specialists and clinic staff get escalated alerts
+const EVENTS: { value: NotificationEventType; label: string; patient: boolean; staff: boolean }[] = [
+  { value: 'alert', label: 'Blood sugar alerts', patient: true, staff: true },
+  { value: 'urgent_alert', label: 'Urgent alerts (dangerously low or high readings)', patient: true, staff: true },
+  { value: 'escalation', label: 'Escalated alerts', patient: false, staff: true },
+  { value: 'feedback', label: 'Feedback from your specialist', patient: true, staff: false },
+  { value: 'weekly_summary', label: 'Weekly summary of your readings', patient: true, staff: false },
+  { value: 'logging_reminder', label: 'Reminders when you have not logged a reading', patient: true, staff: false },
+];
+
+const CHANNELS: { value: NotificationChannel; label: string }[] = [
+  { value: 'in_app', label: 'In-app' },
+  { value: 'email', label: 'Email' },
+  { value: 'sms', label: 'SMS' },
+];
+
+const errorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.message || err.message : err instanceof Error ? err.message : fallback;
+
+const hourLabel = (hour: number) => `${String(hour).padStart(2, '0')}:00`;
+
+interface NotificationPreferencesProps {
+  role?: string;
+}
+
+const NotificationPreferences: React.FC<NotificationPreferencesProps> = ({ role }) => {
+  const [prefs, setPrefs] = useState<Preferences | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setPrefs(await apiService.getNotificationPreferences());
+      } catch (err: unknown) {
+        setError(errorMessage(err, 'Failed to load notification preferences.'));
+      }
+    };
+    load();
+  }, []);
+
+  if (!prefs) {
+    return error ? <div className="alert error">{error}</div> : <p>Loading notification preferences...</p>;
+  }
+
+  const toggleChannel = (event: NotificationEventType, channel: NotificationChannel) => {
+    const current = prefs.eventChannels[event] || [];
+    const channels = current.includes(channel) ? current.filter(c => c !== channel) : [...current, channel];
+    setPrefs({ ...prefs, eventChannels: { ...prefs.eventChannels, [event]: channels } });
+  };
+
+  const handleSave = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      const saved = await apiService.updateNotificationPreferences({
+        eventChannels: prefs.eventChannels,
+        quietStart: prefs.quietStart || null,
+        quietEnd: prefs.quietEnd || null,
+        timezone: prefs.timezone,
+        digestMode: prefs.digestMode,
+        digestHour: prefs.digestHour,
+      });
+      setPrefs({ ...prefs, ...saved });
+      setSuccess('Notification preferences saved.');
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to save notification preferences.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const events = EVENTS.filter(ev => (role === 'Patient' ? ev.patient : ev.staff));
+  const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  return (
+    <div className="card">
+      <div className="card-hd">
+        <h4>Notifications</h4>
+        <p>Choose how you are notified. Quiet hours and digests hold back email and SMS; in-app notifications, urgent alerts and escalations always arrive straight away.</p>
+      </div>
+      <div className="card-bd">
+        <form onSubmit={handleSave} className="form full">
+          {error && <div className="alert error">{error}</div>}
+          {success && <div className="alert success">{success}</div>}
+          {!!prefs.pending && (
+            <div className="help">
+              {prefs.pending} message(s) held{prefs.nextDelivery ? `, next sent ${new Date(prefs.nextDelivery).toLocaleString()}` : ''}.
+            </div>
+          )}
+
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Notification</th>
+                {CHANNELS.map(c => <th key={c.value}>{c.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(ev => (
+                <tr key={ev.value}>
+                  <td>{ev.label}</td>
+                  {CHANNELS.map(c => (
+                    <td key={c.value}>
+                      <input
+                        type="checkbox"
+                        aria-label={`${ev.label}: ${c.label}`}
+                        checked={(prefs.eventChannels[ev.value] || []).includes(c.value)}
+                        onChange={() => toggleChannel(ev.value, c.value)}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h5 className="mt16">Quiet Hours</h5>
+          <div className="input-group">
+            <label htmlFor="quiet-start">From</label>
+            <input
+              type="time"
+              id="quiet-start"
+              className="input"
+              value={prefs.quietStart || ''}
+              onChange={e => setPrefs({ ...prefs, quietStart: e.target.value || null })}
+              style={{maxWidth: '200px'}}
+            />
+          </div>
+          <div className="input-group">
+            <label htmlFor="quiet-end">Until</label>
+            <input
+              type="time"
+              id="quiet-end"
+              className="input"
+              value={prefs.quietEnd || ''}
+              onChange={e => setPrefs({ ...prefs, quietEnd: e.target.value || null })}
+              style={{maxWidth: '200px'}}
+            />
+            <div className="help">Leave both empty for no quiet hours.</div>
+          </div>
+          <div className="input-group">
+            <label htmlFor="timezone">Timezone</label>
+            <input
+              type="text"
+              id="timezone"
+              className="input"
+              value={prefs.timezone}
+              onChange={e => setPrefs({ ...prefs, timezone: e.target.value })}
+              placeholder="e.g., America/Vancouver"
+              style={{maxWidth: '425px'}}
+            />
+            {browserTimezone && browserTimezone !== prefs.timezone && (
+              <div className="help">
+                Your device is set to {browserTimezone}.{' '}
+                <button type="button" className="btn secondary" onClick={() => setPrefs({ ...prefs, timezone: browserTimezone })}>
+                  Use it
+                </button>
+              </div>
+            )}
+          </div>
+
+          <h5 className="mt16">Email and SMS Delivery</h5>
+          <div className="input-group">
+            <label htmlFor="digest-mode">Send</label>
+            <select
+              id="digest-mode"
+              className="select"
+              value={prefs.digestMode}
+              onChange={e => setPrefs({ ...prefs, digestMode: e.target.value as Preferences['digestMode'] })}
+              style={{maxWidth: '425px'}}
+            >
+              <option value="Immediate">Immediately</option>
+              <option value="Daily">As a daily digest</option>
+              <option value="Weekly">As a weekly digest (Mondays)</option>
+            </select>
+          </div>
+          {prefs.digestMode !== 'Immediate' && (
+            <div className="input-group">
+              <label htmlFor="digest-hour">Digest time</label>
+              <select
+                id="digest-hour"
+                className="select"
+                value={prefs.digestHour}
+                onChange={e => setPrefs({ ...prefs, digestHour: Number(e.target.value) })}
+                style={{maxWidth: '200px'}}
+              >
+                {Array.from({ length: 24 }, (_, hour) => (
+                  <option key={hour} value={hour}>{hourLabel(hour)}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="submit" className="btn primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Notification Preferences'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
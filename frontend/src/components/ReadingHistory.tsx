@@ -0,0 +1,167 @@
+// frontend/src/components/ReadingHistory.tsx
+// Purpose: Revision history (audit trail) of a patient's readings for specialists and staff:
+//          who created, edited, deleted or restored a reading, when, and the old/new values.
+
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import api, { type ReadingHistoryEntry } from "../services/apiService";
+
+interface ReadingHistoryProps {
+  scope: "specialist" | "staff";
+  patientId: number;
+}
+
+interface ReadingOption {
+  reading_id: number;
+  datetime: string;
+  value: number;
+  unit?: string;
+}
+
+interface ReadingApiRow {
+  Reading_ID: number;
+  DateTime: string;
+  Value: number;
+  Unit?: string;
+}
+
+const FIELD_LABELS: Record<string, string> = {
+  DateTime: "Date/time",
+  Value: "Value (mg/dL)",
+  Unit: "Unit",
+  Category: "Category",
+  Threshold_ID: "Threshold version",
+  Profile_ID: "Threshold profile",
+  Reading_Context: "Context",
+  Meal_ID: "Meal",
+  Food_Notes: "Food",
+  Activity_Notes: "Activity",
+  Event: "Event",
+  Symptoms: "Symptoms",
+  Notes: "Notes",
+  Source: "Source",
+  Deleted_At: "Deleted",
+};
+
+const formatValue = (field: string, value: unknown) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (field === "DateTime" || field === "Deleted_At") return new Date(String(value)).toLocaleString();
+  return String(value);
+};
+
+const ReadingHistory: React.FC<ReadingHistoryProps> = ({ scope, patientId }) => {
+  const [readings, setReadings] = useState<ReadingOption[]>([]);
+  const [readingId, setReadingId] = useState("");
+  const [history, setHistory] = useState<ReadingHistoryEntry[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const loadReadings = async () => {
+      try {
+        if (scope === "staff") {
+          setReadings(await api.getStaffPatientReadings(patientId, { limit: 50 }));
+        } else {
+          const res = await api.get(`/specialist/patients/${patientId}/readings?limit=50`);
+          const rows: ReadingApiRow[] = res?.data?.readings || [];
+          setReadings(rows.map((r) => ({ reading_id: r.Reading_ID, datetime: r.DateTime, value: r.Value, unit: r.Unit })));
+        }
+      } catch (err: unknown) {
+        setError(err instanceof Error ? err.message : "Failed to load readings.");
+      }
+    };
+    loadReadings();
+  }, [scope, patientId]);
+
+  useEffect(() => {
+    if (!readingId) {
+      setHistory([]);
+      return;
+    }
+    const loadHistory = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        setHistory(await api.getReadingHistory(scope, patientId, readingId));
+      } catch (err: unknown) {
+        if (axios.isAxiosError(err)) {
+          setError(err.response?.data?.message || err.message);
+        } else {
+          setError(err instanceof Error ? err.message : "Failed to load history.");
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadHistory();
+  }, [scope, patientId, readingId]);
+
+  return (
+    <div className="card">
+      <div className="card-hd">
+        <h4>Reading Revisions</h4>
+      </div>
+      <div className="card-bd">
+        <div className="input-group">
+          <label>Reading</label>
+          <select className="select" value={readingId} onChange={(e) => setReadingId(e.target.value)}>
+            <option value="">Select a reading</option>
+            {readings.map((r) => (
+              <option key={r.reading_id} value={r.reading_id}>
+                {new Date(r.datetime).toLocaleString()} · {r.value} {r.unit || "mg/dL"}
+              </option>
+            ))}
+          </select>
+          <div className="help">Shows every edit, deletion and restore of the reading.</div>
+        </div>
+
+        {error && <div className="form-error">{error}</div>}
+        {loading && <p>Loading history...</p>}
+
+        {!loading && readingId && history.length === 0 && !error && (
+          <p className="help">No changes recorded for this reading.</p>
+        )}
+
+        {history.length > 0 && (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Action</th>
+                <th>By</th>
+                <th>Changes</th>
+                <th>Category</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((h) => (
+                <tr key={h.history_id}>
+                  <td>{new Date(h.changed_at).toLocaleString()}</td>
+                  <td>{h.action}</td>
+                  <td>{h.changed_by ? `${h.changed_by.name} (${h.changed_by.role})` : "—"}</td>
+                  <td>
+                    {h.action === "Create"
+                      ? `${formatValue("Value", h.new_values?.Value)} mg/dL`
+                      : h.changed_fields.map((field) => (
+                          <div key={field}>
+                            {FIELD_LABELS[field] || field}: {formatValue(field, h.old_values?.[field])} →{" "}
+                            {formatValue(field, h.new_values?.[field])}
+                          </div>
+                        ))}
+                  </td>
+                  <td>
+                    {h.old_category && h.old_category !== h.new_category
+                      ? `${h.old_category} → ${h.new_category}`
+                      : h.new_category}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReadingHistory;
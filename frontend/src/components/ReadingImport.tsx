@@ -0,0 +1,147 @@
+// frontend/src/components/ReadingImport.tsx
+// Purpose: Lets patients upload meter history as a CSV file or a Dexcom Clarity /
+//          LibreView export. A dry run previews which rows would be accepted before
+//          anything is saved.
+
+import React, { useState } from "react";
+import axios from "axios";
+import api from "../services/apiService";
+
+interface ImportRow {
+  line: number;
+  status: "accepted" | "rejected" | "duplicate" | "skipped";
+  reason?: string;
+  dateTime?: string;
+  value?: number;
+  unit?: string;
+  category?: string;
+}
+
+interface ImportReport {
+  dry_run: boolean;
+  format: string;
+  source: string;
+  total_rows: number;
+  accepted: number;
+  rejected: number;
+  duplicates: number;
+  skipped: number;
+  inserted: number;
+  rows: ImportRow[];
+}
+
+interface ReadingImportProps {
+  onImported?: () => void;
+}
+
+const ReadingImport: React.FC<ReadingImportProps> = ({ onImported }) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [report, setReport] = useState<ImportReport | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+
+  const runImport = async (dryRun: boolean) => {
+    if (!file) {
+      setError("Please choose a CSV file.");
+      return;
+    }
+    setLoading(true);
+    setError("");
+    setSuccess("");
+    try {
+      const res = await api.importReadings(file, dryRun);
+      if (!res.success) throw new Error(res.message || "Import failed.");
+      setReport(res.data as ImportReport);
+      if (!dryRun) {
+        setSuccess(res.message);
+        setFile(null);
+        onImported?.();
+      }
+    } catch (err: unknown) {
+      if (axios.isAxiosError(err)) {
+        setError(err.response?.data?.message || err.message);
+      } else {
+        setError(err instanceof Error ? err.message : "Import failed.");
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-hd">
+        <h4>Import Readings (CSV)</h4>
+      </div>
+      <div className="card-bd">
+        {error && <div className="alert error">{error}</div>}
+        {success && <div className="alert success">{success}</div>}
+
+        <div className="input-group">
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            className="input"
+            onChange={(e) => {
+              setFile(e.target.files?.[0] || null);
+              setReport(null);
+            }}
+          />
+          <div className="help">
+            Dexcom Clarity and LibreView exports are detected automatically. Other CSV files need
+            columns dateTime (or date and time), value, and optionally unit, foodNotes,
+            activityNotes, event, symptoms, notes, context.
+          </div>
+        </div>
+
+        <div className="form-actions" style={{ display: "flex", gap: "0.5rem" }}>
+          <button className="btn secondary" disabled={loading || !file} onClick={() => runImport(true)}>
+            Preview
+          </button>
+          <button
+            className="btn primary"
+            disabled={loading || !file || !report || !report.dry_run || report.accepted === 0}
+            onClick={() => runImport(false)}
+          >
+            {loading ? "Working..." : "Import"}
+          </button>
+        </div>
+
+        {report && (
+          <div style={{ marginTop: "1rem" }}>
+            <p>
+              {report.dry_run ? "Preview" : "Result"} ({report.source}): {report.accepted} accepted,{" "}
+              {report.rejected} rejected, {report.duplicates} already stored, {report.skipped} skipped
+              {!report.dry_run && `, ${report.inserted} saved`}
+            </p>
+            {report.rejected + report.skipped > 0 && (
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Status</th>
+                    <th>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rows
+                    .filter((r) => r.status === "rejected" || r.status === "skipped")
+                    .map((r) => (
+                      <tr key={`${r.line}-${r.status}`}>
+                        <td>{r.line}</td>
+                        <td>{r.status}</td>
+                        <td>{r.reason}</td>
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReadingImport;
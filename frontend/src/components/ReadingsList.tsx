@@ -1,7 +1,9 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import api from "../services/apiService";
+import socketService, { type LiveEvent, type LiveEventData } from "../services/socketService";
 import Modal from "./Modal";
 import BloodSugarForm from "./BloodSugarForm";
+import { contextLabel, type ReadingContext } from "../utils/readingContext";
 
 interface Reading {
   reading_id: string | number;
@@ -9,52 +11,94 @@ interface Reading {
   value: number;
   unit?: string;
   category?: string;
+  reading_context?: ReadingContext | null;
   food_notes?: string;
   activity_notes?: string;
   notes?: string;
   symptoms?: string;
+  source?: string;
+}
+
+interface DeletedReading {
+  reading_id: number;
+  datetime: string;
+  value: number;
+  unit: string;
+  category: string | null;
+  deleted_at: string;
+  restorable_until: string;
 }
 
 interface ReadingsListProps {
   refreshSignal: any;
+  patientId?: number; // Only follow live updates for this patient
 }
 
-const ReadingsList: React.FC<ReadingsListProps> = ({ refreshSignal }) => {
+const READING_EVENTS: LiveEvent[] = ["reading.created", "reading.updated", "reading.deleted"];
+
+const ReadingsList: React.FC<ReadingsListProps> = ({ refreshSignal, patientId }) => {
   const [readings, setReadings] = useState<Reading[]>([]);
   const [loading, setLoading] = useState(true);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingReading, setEditingReading] = useState<Reading | null>(null);
+  const [deleted, setDeleted] = useState<DeletedReading[]>([]);
 
-  const load = async () => {
+  // Live updates reload quietly, without replacing the table with the loading message
+  const load = useCallback(async (showLoading = true) => {
     console.log("ReadingsList: Loading readings...");
-    setLoading(true);
+    if (showLoading) setLoading(true);
     try {
       const res: Reading[] = await api.getReadings();
       console.log("ReadingsList: Loaded", res.length, "readings");
       setReadings(res);
+      setDeleted(await api.getDeletedReadings());
     } catch (err) {
       console.error("Failed to load readings", err);
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
 
   useEffect(() => {
     console.log("ReadingsList: refreshSignal changed to", refreshSignal);
     load();
-  }, [refreshSignal]);
+  }, [refreshSignal, load]);
+
+  // Readings logged, edited or deleted elsewhere (another device, an import) appear without a reload
+  useEffect(() => {
+    const handleReadingEvent = (data: LiveEventData) => {
+      if (patientId && data.patientId !== patientId) return;
+      load(false);
+    };
+
+    socketService.onLiveEvent(READING_EVENTS, handleReadingEvent);
+    return () => {
+      socketService.offLiveEvent(READING_EVENTS, handleReadingEvent);
+    };
+  }, [patientId, load]);
 
   const handleDelete = async (id: string | number) => {
     if (!window.confirm("Delete this reading?")) return;
     try {
       await api.deleteReading(id);
       setReadings((r) => r.filter((x) => x.reading_id !== id));
+      setDeleted(await api.getDeletedReadings());
     } catch (err) {
       console.error(err);
       alert("Delete failed.");
     }
   };
 
+  const handleRestore = async (id: number) => {
+    try {
+      await api.restoreReading(id);
+      load();
+    } catch (err) {
+      console.error(err);
+      alert("Restore failed.");
+    }
+  };
+
   const handleEditClick = (reading: Reading) => {
     setEditingReading(reading);
     setIsModalOpen(true);
@@ -97,6 +141,7 @@ const ReadingsList: React.FC<ReadingsListProps> = ({ refreshSignal }) => {
               <th className="px-3 py-2 text-left">DateTime</th>
               <th className="px-3 py-2 text-left">Value</th>
               <th className="px-3 py-2 text-left">Category</th>
+              <th className="px-3 py-2 text-left">Context</th>
               <th className="px-3 py-2 text-left">Food</th>
               <th className="px-3 py-2 text-left">Activity</th>
               <th className="px-3 py-2 text-left">Notes</th>
@@ -106,7 +151,7 @@ const ReadingsList: React.FC<ReadingsListProps> = ({ refreshSignal }) => {
           <tbody>
             {readings.length === 0 && (
               <tr>
-                <td colSpan={7} className="text-center py-3">
+                <td colSpan={8} className="text-center py-3">
                   No readings yet.
                 </td>
               </tr>
@@ -118,11 +163,15 @@ const ReadingsList: React.FC<ReadingsListProps> = ({ refreshSignal }) => {
               >
                 <td className="px-3 py-2">
                   {new Date(r.datetime).toLocaleString()}
+                  {r.source && r.source !== "Manual" && (
+                    <div className="help">{r.source}</div>
+                  )}
                 </td>
                 <td className="px-3 py-2">
-                  {r.value} {r.unit || "mg/dl"}
+                  {r.value} {r.unit || "mg/dL"}
                 </td>
                 <td className="px-3 py-2">{r.category}</td>
+                <td className="px-3 py-2">{contextLabel(r.reading_context)}</td>
                 <td className="px-3 py-2">{r.food_notes}</td>
                 <td className="px-3 py-2">{r.activity_notes}</td>
                 <td className="px-3 py-2">{r.notes || r.symptoms}</td>
@@ -144,6 +193,36 @@ const ReadingsList: React.FC<ReadingsListProps> = ({ refreshSignal }) => {
             ))}
           </tbody>
         </table>
+
+        {deleted.length > 0 && (
+          <details style={{ marginTop: "12px" }}>
+            <summary>Recently deleted ({deleted.length})</summary>
+            <table className="w-full table-auto border-collapse">
+              <tbody>
+                {deleted.map((d) => (
+                  <tr key={d.reading_id}>
+                    <td className="px-3 py-2">{new Date(d.datetime).toLocaleString()}</td>
+                    <td className="px-3 py-2">
+                      {d.value} {d.unit || "mg/dL"}
+                    </td>
+                    <td className="px-3 py-2">{d.category}</td>
+                    <td className="px-3 py-2 help">
+                      Can be restored until {new Date(d.restorable_until).toLocaleDateString()}
+                    </td>
+                    <td className="px-3 py-2">
+                      <button
+                        className="bg-blue-500 hover:bg-blue-600 text-white px-2 py-1 rounded transition"
+                        onClick={() => handleRestore(d.reading_id)}
+                      >
+                        Restore
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+        )}
       </div>
     </>
   );
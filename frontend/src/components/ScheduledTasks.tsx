@@ -0,0 +1,241 @@
+// src/components/ScheduledTasks.tsx
+// Purpose: Scheduled tasks for administrators: each task's schedule, next run and last run
+//          (status, result or error), with a "Run now" button and a form to change the schedule,
+//          pause the task or adjust its settings.
+
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import apiService, { type ScheduledTask } from '../services/apiService';
+
+// How often the list refreshes while a task is running
+const RUNNING_POLL_MS = 3000;
+
+const errorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.message || err.message : err instanceof Error ? err.message : fallback;
+
+const formatTime = (value: string | null) => (value ? new Date(value).toLocaleString() : '');
+
+const formatDuration = (ms: number | null) =>
+  ms === null ? '' : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+
+// Inactive patients found by the missed logging task
+interface InactivePatient {
+  patient_id: number;
+  name: string;
+  days_since: number;
+  reminded: boolean;
+}
+
+// One line per numeric or text field of a run's result (e.g. "alerts raised: 2")
+const resultSummary = (result: Record<string, unknown> | null) =>
+  result
+    ? Object.entries(result)
+        .filter(([, value]) => typeof value === 'number' || typeof value === 'string')
+        .map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`)
+    : [];
+
+const ScheduledTasks: React.FC = () => {
+  const [tasks, setTasks] = useState<ScheduledTask[]>([]);
+  const [reload, setReload] = useState(0);
+  const [editing, setEditing] = useState<ScheduledTask | null>(null);
+  const [cron, setCron] = useState('');
+  const [enabled, setEnabled] = useState(true);
+  const [days, setDays] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setTasks(await apiService.getScheduledTasks());
+      } catch (err: unknown) {
+        setError(errorMessage(err, 'Failed to load scheduled tasks.'));
+      }
+    };
+    load();
+  }, [reload]);
+
+  // Keep refreshing until running tasks have finished
+  const anyRunning = tasks.some(t => t.Last_Status === 'Running');
+  useEffect(() => {
+    if (!anyRunning) return;
+    const timer = setTimeout(() => setReload(r => r + 1), RUNNING_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [anyRunning, tasks]);
+
+  const handleRun = async (task: ScheduledTask) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await apiService.runScheduledTask(task.Task_Key);
+      setMessage(`${task.Name} started.`);
+      setReload(r => r + 1);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to start the task.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEditing = (task: ScheduledTask) => {
+    setEditing(task);
+    setCron(task.Cron_Expression);
+    setEnabled(task.Is_Enabled);
+    setDays(task.Settings.days !== undefined ? String(task.Settings.days) : '');
+    setError(null);
+    setMessage(null);
+  };
+
+  const handleSave = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (!editing) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const payload: { cron_expression: string; is_enabled: boolean; settings?: Record<string, number> } = {
+        cron_expression: cron.trim(),
+        is_enabled: enabled,
+      };
+      if (editing.Settings.days !== undefined) payload.settings = { days: parseInt(days, 10) };
+      await apiService.updateScheduledTask(editing.Task_Key, payload);
+      setMessage(`${editing.Name} updated.`);
+      setEditing(null);
+      setReload(r => r + 1);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to update the task.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="card">
+      <div className="card-hd">
+        <h4>Scheduled Tasks</h4>
+        <p>Recurring tasks run by the server. Schedules are cron expressions in the server's local time.</p>
+      </div>
+      <div className="card-bd">
+        {error && <div className="alert error">{error}</div>}
+        {message && <div className="alert success">{message}</div>}
+
+        {tasks.length === 0 ? (
+          <p className="help">No scheduled tasks.</p>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Task</th>
+                <th>Schedule</th>
+                <th>Next run</th>
+                <th>Last run</th>
+                <th>Result</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {tasks.map(t => {
+                const inactive = (t.Last_Result?.patients as InactivePatient[] | undefined) || [];
+                return (
+                  <tr key={t.Task_Key}>
+                    <td>
+                      {t.Name}
+                      {t.Description && <div className="help">{t.Description}</div>}
+                    </td>
+                    <td>
+                      <code>{t.Cron_Expression}</code>
+                      {t.Settings.days !== undefined && <div className="help">After {t.Settings.days} day(s) without a reading</div>}
+                    </td>
+                    <td>{t.Is_Enabled ? formatTime(t.Next_Run_At) : 'Paused'}</td>
+                    <td>
+                      {t.Last_Run_At ? (
+                        <>
+                          {formatTime(t.Last_Run_At)}
+                          <div className="help">
+                            {t.Last_Status}
+                            {t.Last_Trigger === 'Manual' ? ` (run by ${t.Last_Run_By_Name || 'an administrator'})` : ' (scheduled)'}
+                            {t.Last_Duration_Ms !== null && ` in ${formatDuration(t.Last_Duration_Ms)}`}
+                          </div>
+                        </>
+                      ) : (
+                        'Never'
+                      )}
+                    </td>
+                    <td>
+                      {t.Last_Status === 'Failed' && <div className="help">{t.Last_Error}</div>}
+                      {t.Last_Status === 'Succeeded' && resultSummary(t.Last_Result).map(line => <div key={line}>{line}</div>)}
+                      {t.Last_Status === 'Succeeded' && inactive.length > 0 && (
+                        <div className="help">
+                          {inactive.map(p => `${p.name} (${p.days_since} days${p.reminded ? ', reminded' : ''})`).join(', ')}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      <button type="button" className="btn secondary" onClick={() => handleRun(t)} disabled={busy || t.Last_Status === 'Running'}>
+                        {t.Last_Status === 'Running' ? 'Running...' : 'Run Now'}
+                      </button>{' '}
+                      <button type="button" className="btn secondary" onClick={() => startEditing(t)} disabled={busy}>
+                        Edit
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        {editing && (
+          <form onSubmit={handleSave} className="mt16">
+            <h5>Edit {editing.Name}</h5>
+            <div className="field-row">
+              <div className="input-group">
+                <label htmlFor="scheduled-task-cron">Schedule (cron)</label>
+                <input
+                  id="scheduled-task-cron"
+                  className="input"
+                  value={cron}
+                  onChange={e => setCron(e.target.value)}
+                  placeholder="minute hour day-of-month month day-of-week"
+                  required
+                />
+                <div className="help">e.g. <code>0 2 * * *</code> every day at 02:00, <code>0 8 * * 1</code> Mondays at 08:00</div>
+              </div>
+              {editing.Settings.days !== undefined && (
+                <div className="input-group">
+                  <label htmlFor="scheduled-task-days">Days without a reading</label>
+                  <input
+                    id="scheduled-task-days"
+                    className="input"
+                    type="number"
+                    min={1}
+                    max={90}
+                    value={days}
+                    onChange={e => setDays(e.target.value)}
+                    required
+                  />
+                </div>
+              )}
+            </div>
+            <div className="input-group">
+              <label>
+                <input type="checkbox" checked={enabled} onChange={e => setEnabled(e.target.checked)} /> Run on schedule
+              </label>
+            </div>
+            <div className="form-actions mt16">
+              <button type="button" className="btn secondary" onClick={() => setEditing(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn primary" disabled={busy || !cron.trim()}>
+                {busy ? 'Saving...' : 'Save Task'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default ScheduledTasks;
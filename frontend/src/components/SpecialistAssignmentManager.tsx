@@ -1,4 +1,5 @@
 import React, { useEffect, useState } from "react";
+import axios from "axios";
 import api from "../services/apiService";
 
 interface SpecialistOption {
@@ -15,6 +16,8 @@ interface AssignmentRow {
   specialist_name?: string;
   specialist_email?: string;
   assigned_at?: string;
+  backup_specialist_id?: number | null;
+  backup_specialist_name?: string | null;
 }
 
 const SpecialistAssignmentManager: React.FC = () => {
@@ -62,6 +65,19 @@ const SpecialistAssignmentManager: React.FC = () => {
     }
   };
 
+  const handleBackupUpdate = async (patientId: number, value: string) => {
+    setSavingPatient(patientId);
+    setError(null);
+    try {
+      await api.setBackupSpecialist(patientId, value === "" ? null : Number(value));
+      await loadData();
+    } catch (err: unknown) {
+      setError(axios.isAxiosError(err) ? err.response?.data?.message || err.message : "Unable to update backup specialist");
+    } finally {
+      setSavingPatient(null);
+    }
+  };
+
   return (
     <div style={{height: '100%'}}>
       <div className="card-hd">
@@ -84,6 +100,7 @@ const SpecialistAssignmentManager: React.FC = () => {
                   <th>Patient</th>
                   <th>Email</th>
                   <th>Assigned Specialist</th>
+                  <th title="Receives the patient's alerts when the assigned specialist does not acknowledge them in time">Backup Specialist</th>
                 </tr>
               </thead>
               <tbody>
@@ -105,6 +122,22 @@ const SpecialistAssignmentManager: React.FC = () => {
                         ))}
                       </select>
                     </td>
+                    <td>
+                      <select
+                        value={row.backup_specialist_id ?? ""}
+                        onChange={(e) => handleBackupUpdate(row.patient_id, e.target.value)}
+                        disabled={!row.specialist_id || savingPatient === row.patient_id}
+                      >
+                        <option value="">None (clinic staff)</option>
+                        {specialists
+                          .filter((s) => s.specialist_id !== row.specialist_id)
+                          .map((s) => (
+                            <option key={s.specialist_id} value={s.specialist_id}>
+                              {s.name} ({s.email})
+                            </option>
+                          ))}
+                      </select>
+                    </td>
                   </tr>
                 ))}
               </tbody>
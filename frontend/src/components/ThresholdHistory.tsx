@@ -0,0 +1,103 @@
+// src/components/ThresholdHistory.tsx
+// Purpose: Version history of one system threshold set: when each version took (or will take)
+//          effect, who created it, what it changed, and a rollback to any earlier version.
+
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import apiService, { type ThresholdVersion } from '../services/apiService';
+
+interface ThresholdHistoryProps {
+  // '' for the default set, otherwise a reading context
+  context: string;
+  // Changes whenever a new version is saved, to reload the list
+  refreshKey: number;
+  // Called with the recategorization job started by a rollback
+  onRolledBack?: (jobId: number | null) => void;
+}
+
+const FIELD_LABELS: Record<string, string> = {
+  Normal_Low: 'Normal low',
+  Normal_High: 'Normal high',
+  Borderline_Low: 'Borderline low',
+  Borderline_High: 'Borderline high',
+  Abnormal_Low: 'Abnormal low',
+  Abnormal_High: 'Abnormal high',
+};
+
+const ThresholdHistory: React.FC<ThresholdHistoryProps> = ({ context, refreshKey, onRolledBack }) => {
+  const [versions, setVersions] = useState<ThresholdVersion[]>([]);
+  const [reload, setReload] = useState(0);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      setError(null);
+      try {
+        setVersions(await apiService.getThresholdHistory(context || 'default'));
+      } catch (err: unknown) {
+        setError(axios.isAxiosError(err) ? err.response?.data?.message || err.message : 'Failed to load threshold history.');
+      }
+    };
+    load();
+  }, [context, refreshKey, reload]);
+
+  const handleRollback = async (version: ThresholdVersion) => {
+    if (!window.confirm(`Make version ${version.threshold_id} the active thresholds again?`)) return;
+    setError(null);
+    try {
+      const response = await apiService.rollbackThresholds(version.threshold_id);
+      setReload(r => r + 1);
+      onRolledBack?.(response.data?.recategorization_job_id || null);
+    } catch (err: unknown) {
+      setError(axios.isAxiosError(err) ? err.response?.data?.message || err.message : 'Failed to roll back.');
+    }
+  };
+
+  if (versions.length === 0 && !error) return null;
+
+  return (
+    <div className="mt16">
+      <h5>Version history</h5>
+      {error && <div className="alert error">{error}</div>}
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th>Version</th>
+            <th>Effective</th>
+            <th>Status</th>
+            <th>Changed by</th>
+            <th>Changes</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {versions.map(v => (
+            <tr key={v.threshold_id}>
+              <td>{v.threshold_id}</td>
+              <td>{new Date(v.effective_date).toLocaleString()}</td>
+              <td>{v.status}</td>
+              <td>{v.created_by ? v.created_by.name : '—'}</td>
+              <td>
+                {v.rolled_back_from && <div>Rollback to version {v.rolled_back_from}</div>}
+                {v.changes.length === 0 && !v.rolled_back_from && 'Initial version'}
+                {v.changes.map(c => (
+                  <div key={c.field}>{FIELD_LABELS[c.field] || c.field}: {c.from} → {c.to}</div>
+                ))}
+                {v.note && <div className="help">{v.note}</div>}
+              </td>
+              <td>
+                {v.status === 'Superseded' && (
+                  <button type="button" className="btn secondary" onClick={() => handleRollback(v)}>
+                    Roll back
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ThresholdHistory;
@@ -1,10 +1,17 @@
 // src/components/ThresholdManager.tsx
 // Author: Gemini
-// Purpose: A UI component for viewing and updating system-wide blood sugar thresholds.
+// Purpose: A UI component for viewing and updating system-wide blood sugar thresholds, or, given a
+//          patientId, a specialist's editor for that patient's full threshold profile.
+//          Staff can preview how a change would re-categorize stored readings before saving;
+//          after saving, the background re-categorization job is followed until it finishes.
+//          A version can be scheduled for a future date; the version history allows rollback.
 
 import React, { useState, useEffect } from 'react';
+import axios from 'axios';
 // Assuming an apiService file exists for making API calls, similar to other components.
-import apiService from '../services/apiService'; 
+import apiService, { type RecategorizationJob, type RecategorizationPreview, type ThresholdProfile, type ThresholdTemplate } from '../services/apiService'; 
+import { READING_CONTEXTS, type ReadingContext } from '../utils/readingContext';
+import ThresholdHistory from './ThresholdHistory';
 
 // Matches the structure of the categorythreshold table
 interface Thresholds {
@@ -14,13 +21,53 @@ interface Thresholds {
   Borderline_High: number;
   Abnormal_Low: number;
   Abnormal_High: number;
+  Reading_Context?: ReadingContext | null;
 }
 
-const ThresholdManager: React.FC = () => {
+// Table of category moves, e.g. Normal -> Borderline: 12
+const renderTransitions = (transitions: Record<string, number>) => {
+  const entries = Object.entries(transitions);
+  if (entries.length === 0) return null;
+  return (
+    <table className="data-table">
+      <thead>
+        <tr>
+          <th>From</th>
+          <th>To</th>
+          <th>Readings</th>
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map(([key, count]) => {
+          const [from, to] = key.split('->');
+          return (
+            <tr key={key}>
+              <td>{from}</td>
+              <td>{to}</td>
+              <td>{count}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+const SystemThresholds: React.FC = () => {
   const [thresholds, setThresholds] = useState<Partial<Thresholds>>({});
+  // '' edits the default set used for readings without a context-specific range
+  const [context, setContext] = useState<ReadingContext | ''>('');
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
+  const [preview, setPreview] = useState<RecategorizationPreview | null>(null);
+  const [previewing, setPreviewing] = useState<boolean>(false);
+  const [job, setJob] = useState<RecategorizationJob | null>(null);
+  const [jobId, setJobId] = useState<number | null>(null);
+  // '' takes effect immediately; a future date/time schedules the new version
+  const [effectiveDate, setEffectiveDate] = useState<string>('');
+  const [changeNote, setChangeNote] = useState<string>('');
+  const [historyKey, setHistoryKey] = useState<number>(0);
 
   // Fetch the current system thresholds when the component mounts
   useEffect(() => {
@@ -29,7 +76,7 @@ const ThresholdManager: React.FC = () => {
       setError(null);
       try {
         // This API endpoint will need to be created in the backend (e.g., GET /api/staff/thresholds)
-        const response = await apiService.get('/thresholds'); // Corrected endpoint
+        const response = await apiService.get('/thresholds', context ? { context } : undefined); // Corrected endpoint
         if (response.data && response.success) {
           setThresholds(response.data);
         } else {
@@ -44,13 +91,58 @@ const ThresholdManager: React.FC = () => {
     };
 
     fetchThresholds();
-  }, []);
+  }, [context, historyKey]);
+
+  // Follow the re-categorization job started by a save until it completes or fails
+  useEffect(() => {
+    if (!jobId) return;
+    let cancelled = false;
+    let timer: ReturnType<typeof setTimeout>;
+    const poll = async () => {
+      try {
+        const current = await apiService.getRecategorizationJob(jobId);
+        if (cancelled) return;
+        setJob(current);
+        if (current.status === 'Pending' || current.status === 'Running') {
+          timer = setTimeout(poll, 2000);
+        }
+      } catch (err: unknown) {
+        console.error(err);
+      }
+    };
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [jobId]);
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value } = e.target;
+    setPreview(null);
     setThresholds(prev => ({ ...prev, [name]: parseFloat(value) }));
   };
 
+  // The loaded row carries the current version's Effective_Date; never send it back as the new one
+  const buildPayload = () => ({
+    ...thresholds,
+    Reading_Context: context || null,
+    Effective_Date: effectiveDate ? new Date(effectiveDate).toISOString() : null,
+    Change_Note: changeNote || null,
+  });
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+    setError(null);
+    try {
+      setPreview(await apiService.previewThresholdChange(buildPayload()));
+    } catch (err: unknown) {
+      setError(axios.isAxiosError(err) ? err.response?.data?.message || err.message : 'Failed to preview the change.');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
   const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
     e.preventDefault();
     setLoading(true);
@@ -58,9 +150,17 @@ const ThresholdManager: React.FC = () => {
     setSuccess(null);
     try {
       // This API endpoint will need to be created in the backend (e.g., PUT /api/staff/thresholds)
-      const response = await apiService.put('/thresholds', thresholds); // Corrected endpoint
+      const response = await apiService.put('/thresholds', buildPayload()); // Corrected endpoint
       if (response.success) {
-        setSuccess('Thresholds updated successfully!');
+        setSuccess(effectiveDate && new Date(effectiveDate) > new Date()
+          ? `Thresholds scheduled for ${new Date(effectiveDate).toLocaleString()}.`
+          : 'Thresholds updated successfully!');
+        setEffectiveDate('');
+        setChangeNote('');
+        setHistoryKey(k => k + 1);
+        setPreview(null);
+        setJob(null);
+        setJobId(response.data?.recategorization_job_id || null);
       } else {
         throw new Error(response.message || 'Failed to update thresholds.');
       }
@@ -87,6 +187,24 @@ const ThresholdManager: React.FC = () => {
           {error && <div className="alert error">{error}</div>}
           {success && <div className="alert success">{success}</div>}
 
+          <div className="input-group">
+            <label htmlFor="Reading_Context">Reading context</label>
+            <select
+              id="Reading_Context"
+              className="select"
+              value={context}
+              onChange={e => { setSuccess(null); setPreview(null); setContext(e.target.value as ReadingContext | ''); }}
+            >
+              <option value="">Default (all readings)</option>
+              {READING_CONTEXTS.map(c => (
+                <option key={c.value} value={c.value}>{c.label}</option>
+              ))}
+            </select>
+            {context && !thresholds.Reading_Context && (
+              <div className="help">No ranges set for this context yet; showing the default ranges. Saving creates context-specific ranges.</div>
+            )}
+          </div>
+
           <div className="form" style={{ gridTemplateColumns: 'repeat(3, 1fr)' }}>
             <div className="input-group">
               <label htmlFor="Normal_Low">Normal (Low)</label>
@@ -116,15 +234,266 @@ const ThresholdManager: React.FC = () => {
             </div>
           </div>
 
+          <div className="form" style={{ gridTemplateColumns: 'repeat(2, 1fr)' }}>
+            <div className="input-group">
+              <label htmlFor="Effective_Date">Effective from</label>
+              <input type="datetime-local" id="Effective_Date" className="input" value={effectiveDate} onChange={e => { setPreview(null); setEffectiveDate(e.target.value); }} />
+              <div className="help">Leave empty to apply now; a future date schedules the change.</div>
+            </div>
+            <div className="input-group">
+              <label htmlFor="Change_Note">Reason for change</label>
+              <input type="text" id="Change_Note" className="input" value={changeNote} onChange={e => setChangeNote(e.target.value)} maxLength={255} />
+            </div>
+          </div>
+
+          {preview && (
+            <div className="mt16">
+              <p>
+                {preview.readings_changed} of {preview.readings_checked} stored readings
+                ({preview.patients_affected} patients) would change category.
+              </p>
+              {renderTransitions(preview.transitions)}
+            </div>
+          )}
+
+          {job && (
+            <div className="mt16 help">
+              {job.status === 'Completed'
+                ? `Stored readings re-categorized: ${job.readings_changed} of ${job.readings_checked} changed category.`
+                : job.status === 'Failed'
+                  ? `Re-categorizing stored readings failed: ${job.error}`
+                  : 'Re-categorizing stored readings...'}
+              {job.status === 'Completed' && renderTransitions(job.transitions)}
+            </div>
+          )}
+
           <div className="form-actions mt16">
+            <button type="button" className="btn secondary" onClick={handlePreview} disabled={loading || previewing}>
+              {previewing ? 'Checking...' : 'Preview Impact'}
+            </button>
             <button type="submit" className="btn primary" disabled={loading}>
               {loading ? 'Saving...' : 'Save Thresholds'}
             </button>
           </div>
         </form>
+
+        <ThresholdHistory
+          context={context}
+          refreshKey={historyKey}
+          onRolledBack={rolledBackJobId => {
+            setSuccess('Thresholds rolled back.');
+            setJob(null);
+            setJobId(rolledBackJobId);
+            setHistoryKey(k => k + 1);
+          }}
+        />
+      </div>
+    </section>
+  );
+};
+
+const PROFILE_FIELDS: { name: keyof ThresholdProfile; label: string }[] = [
+  { name: 'Normal_Low', label: 'Normal (Low)' },
+  { name: 'Normal_High', label: 'Normal (High)' },
+  { name: 'Borderline_Low', label: 'Borderline (Low)' },
+  { name: 'Borderline_High', label: 'Borderline (High)' },
+  { name: 'Abnormal_Low', label: 'Abnormal (Low)' },
+  { name: 'Abnormal_High', label: 'Abnormal (High)' },
+  { name: 'Hypo_Level1', label: 'Level 1 hypoglycemia below' },
+  { name: 'Hypo_Level2', label: 'Level 2 hypoglycemia below' },
+];
+
+const toLocalInput = (value: string | null) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const errorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.message || err.message : err instanceof Error ? err.message : fallback;
+
+// A patient's full threshold profile (specialists only). Without a profile the patient's readings
+// use the system ranges; the form starts from the thresholds currently in effect for them.
+// Applying a template fills the profile from it and keeps the link, so template edits can follow.
+const PatientThresholdProfile: React.FC<{ patientId: number }> = ({ patientId }) => {
+  const [values, setValues] = useState<Record<string, string>>({});
+  const [reason, setReason] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [profile, setProfile] = useState<ThresholdProfile | null>(null);
+  const [templates, setTemplates] = useState<ThresholdTemplate[]>([]);
+  const [templateId, setTemplateId] = useState('');
+  const [reload, setReload] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      setError(null);
+      try {
+        const data = await apiService.getThresholdProfile(patientId);
+        const source = (data.profile || data.effective || {}) as Record<string, unknown>;
+        setProfile(data.profile);
+        setValues(Object.fromEntries(PROFILE_FIELDS.map(f => [f.name, source[f.name] != null ? String(source[f.name]) : ''])));
+        setReason(data.profile?.Reason || '');
+        setExpiresAt(toLocalInput(data.profile?.Expires_At || null));
+      } catch (err: unknown) {
+        setError(errorMessage(err, 'Failed to load the threshold profile.'));
+      }
+    };
+    load();
+  }, [patientId, reload]);
+
+  useEffect(() => {
+    apiService.getThresholdTemplates('specialist')
+      .then(setTemplates)
+      .catch(() => setTemplates([]));
+  }, []);
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      const response = await apiService.saveThresholdProfile(patientId, {
+        ...Object.fromEntries(PROFILE_FIELDS.map(f => [f.name, parseFloat(values[f.name])])),
+        Reason: reason,
+        Expires_At: expiresAt ? new Date(expiresAt).toISOString() : null,
+      });
+      if (!response.success) throw new Error(response.message || 'Failed to save the profile.');
+      setSuccess('Threshold profile saved. The patient\'s readings are being re-categorized.');
+      setReload(r => r + 1);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to save the profile.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleApplyTemplate = async () => {
+    const template = templates.find(t => t.Template_ID === Number(templateId));
+    if (!template) return;
+    if (profile && !window.confirm(`Replace this patient's profile with the "${template.Name}" template?`)) return;
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+    try {
+      const response = await apiService.applyThresholdTemplate(patientId, {
+        templateId: template.Template_ID,
+        reason: reason || undefined,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      });
+      if (!response.success) throw new Error(response.message || 'Failed to apply the template.');
+      setSuccess(`Template "${template.Name}" applied. The patient's readings are being re-categorized.`);
+      setTemplateId('');
+      setReload(r => r + 1);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to apply the template.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove this patient\'s threshold profile? The system ranges will apply again.')) return;
+    setError(null);
+    setSuccess(null);
+    try {
+      await apiService.deleteThresholdProfile(patientId);
+      setSuccess('Threshold profile removed.');
+      setReload(r => r + 1);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to remove the profile.'));
+    }
+  };
+
+  return (
+    <section className="card">
+      <div className="card-hd">
+        <h4>Patient Threshold Profile</h4>
+        <p>
+          {profile
+            ? `${profile.Active ? 'Active' : 'Expired'} profile: ${profile.Reason}${profile.Set_By_Name ? ` (set by ${profile.Set_By_Name})` : ''}`
+            : 'No profile: system ranges apply. Saving creates a profile for this patient.'}
+          {profile?.Template_Name && ` From template "${profile.Template_Name}".`}
+        </p>
+      </div>
+      <div className="card-bd">
+        <form onSubmit={handleSubmit}>
+          {error && <div className="alert error">{error}</div>}
+          {success && <div className="alert success">{success}</div>}
+
+          {templates.length > 0 && (
+            <div className="input-group">
+              <label htmlFor="profile-template">Apply a template</label>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <select id="profile-template" className="select" value={templateId} onChange={e => setTemplateId(e.target.value)}>
+                  <option value="">Select a template</option>
+                  {templates.map(t => (
+                    <option key={t.Template_ID} value={t.Template_ID}>
+                      {t.Name}{t.Description ? ` - ${t.Description}` : ''}
+                    </option>
+                  ))}
+                </select>
+                <button type="button" className="btn secondary" onClick={handleApplyTemplate} disabled={!templateId || saving}>
+                  Apply Template
+                </button>
+              </div>
+              <div className="help">Uses the reason and expiry below if set. Editing the values by hand unlinks the profile from its template.</div>
+            </div>
+          )}
+
+          <div className="form" style={{ gridTemplateColumns: 'repeat(2, 1fr)' }}>
+            {PROFILE_FIELDS.map(f => (
+              <div className="input-group" key={f.name}>
+                <label htmlFor={`profile-${f.name}`}>{f.label}</label>
+                <input
+                  type="number"
+                  id={`profile-${f.name}`}
+                  className="input"
+                  value={values[f.name] || ''}
+                  onChange={e => setValues(prev => ({ ...prev, [f.name]: e.target.value }))}
+                  required
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="form" style={{ gridTemplateColumns: 'repeat(2, 1fr)' }}>
+            <div className="input-group">
+              <label htmlFor="profile-reason">Reason</label>
+              <input type="text" id="profile-reason" className="input" value={reason} onChange={e => setReason(e.target.value)} placeholder="e.g. Gestational diabetes" maxLength={255} required />
+            </div>
+            <div className="input-group">
+              <label htmlFor="profile-expires">Expires</label>
+              <input type="datetime-local" id="profile-expires" className="input" value={expiresAt} onChange={e => setExpiresAt(e.target.value)} />
+              <div className="help">Leave empty for no expiry. After expiry the system ranges apply again.</div>
+            </div>
+          </div>
+
+          <div className="form-actions mt16">
+            {profile && (
+              <button type="button" className="btn secondary" onClick={handleRemove}>
+                Remove Profile
+              </button>
+            )}
+            <button type="submit" className="btn primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Profile'}
+            </button>
+          </div>
+        </form>
       </div>
     </section>
   );
 };
 
+interface ThresholdManagerProps {
+  // When set, manage this patient's threshold profile instead of the system thresholds
+  patientId?: number;
+}
+
+const ThresholdManager: React.FC<ThresholdManagerProps> = ({ patientId }) =>
+  patientId ? <PatientThresholdProfile patientId={patientId} /> : <SystemThresholds />;
+
 export default ThresholdManager;
@@ -0,0 +1,201 @@
+// src/components/ThresholdTemplates.tsx
+// Purpose: Staff and administrators maintain named threshold templates for common patient
+//          populations. Specialists apply them to patients from the patient detail page; saving
+//          a template can optionally update the profiles of the patients it was applied to.
+
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import apiService, { type ThresholdTemplate } from '../services/apiService';
+
+const TEMPLATE_FIELDS: { name: keyof ThresholdTemplate; label: string }[] = [
+  { name: 'Normal_Low', label: 'Normal (Low)' },
+  { name: 'Normal_High', label: 'Normal (High)' },
+  { name: 'Borderline_Low', label: 'Borderline (Low)' },
+  { name: 'Borderline_High', label: 'Borderline (High)' },
+  { name: 'Abnormal_Low', label: 'Abnormal (Low)' },
+  { name: 'Abnormal_High', label: 'Abnormal (High)' },
+  { name: 'Hypo_Level1', label: 'Level 1 hypo below' },
+  { name: 'Hypo_Level2', label: 'Level 2 hypo below' },
+];
+
+const EMPTY_FORM: Record<string, string> = { Name: '', Description: '', Hypo_Level1: '70', Hypo_Level2: '54' };
+
+const errorMessage = (err: unknown, fallback: string) =>
+  axios.isAxiosError(err) ? err.response?.data?.message || err.message : err instanceof Error ? err.message : fallback;
+
+const ThresholdTemplates: React.FC = () => {
+  const [templates, setTemplates] = useState<ThresholdTemplate[]>([]);
+  const [editing, setEditing] = useState<ThresholdTemplate | null>(null);
+  const [form, setForm] = useState<Record<string, string>>(EMPTY_FORM);
+  const [propagate, setPropagate] = useState(false);
+  const [reload, setReload] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setTemplates(await apiService.getThresholdTemplates());
+      } catch (err: unknown) {
+        setError(errorMessage(err, 'Failed to load threshold templates.'));
+      }
+    };
+    load();
+  }, [reload]);
+
+  const startEdit = (template: ThresholdTemplate) => {
+    setEditing(template);
+    setPropagate(false);
+    setForm({
+      Name: template.Name,
+      Description: template.Description || '',
+      ...Object.fromEntries(TEMPLATE_FIELDS.map(f => [f.name, String(template[f.name])])),
+    });
+    setSuccess(null);
+    setError(null);
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setPropagate(false);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+    const payload = {
+      Name: form.Name,
+      Description: form.Description || null,
+      ...Object.fromEntries(TEMPLATE_FIELDS.map(f => [f.name, parseFloat(form[f.name])])),
+    };
+    try {
+      const response = editing
+        ? await apiService.updateThresholdTemplate(editing.Template_ID, payload, propagate)
+        : await apiService.createThresholdTemplate(payload);
+      if (!response.success) throw new Error(response.message || 'Failed to save the template.');
+      const propagated: number = response.data?.propagated_patient_ids?.length || 0;
+      setSuccess(editing
+        ? `Template updated${propagated ? ` and applied to ${propagated} patient profile(s)` : ''}.`
+        : 'Template created.');
+      resetForm();
+      setReload(r => r + 1);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to save the template.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template: ThresholdTemplate) => {
+    if (!window.confirm(`Delete the "${template.Name}" template? Patient profiles created from it keep their values.`)) return;
+    setError(null);
+    setSuccess(null);
+    try {
+      await apiService.deleteThresholdTemplate(template.Template_ID);
+      if (editing?.Template_ID === template.Template_ID) resetForm();
+      setReload(r => r + 1);
+    } catch (err: unknown) {
+      setError(errorMessage(err, 'Failed to delete the template.'));
+    }
+  };
+
+  return (
+    <section className="card">
+      <div className="card-hd">
+        <h4>Threshold Templates</h4>
+        <p>Ranges for common patient populations, applied to patients by their specialist.</p>
+      </div>
+      <div className="card-bd">
+        {error && <div className="alert error">{error}</div>}
+        {success && <div className="alert success">{success}</div>}
+
+        {templates.length > 0 && (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Normal</th>
+                <th>Borderline</th>
+                <th>Hypo L1 / L2</th>
+                <th>Patients</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {templates.map(t => (
+                <tr key={t.Template_ID}>
+                  <td>
+                    {t.Name}
+                    {t.Description && <div className="help">{t.Description}</div>}
+                  </td>
+                  <td>{t.Normal_Low}–{t.Normal_High}</td>
+                  <td>{t.Borderline_Low}–{t.Borderline_High}</td>
+                  <td>{t.Hypo_Level1} / {t.Hypo_Level2}</td>
+                  <td>{t.Patient_Count || 0}</td>
+                  <td>
+                    <button type="button" className="btn secondary" onClick={() => startEdit(t)}>Edit</button>{' '}
+                    <button type="button" className="btn secondary" onClick={() => handleDelete(t)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form onSubmit={handleSubmit} className="mt16">
+          <h5>{editing ? `Edit "${editing.Name}"` : 'New template'}</h5>
+          <div className="form" style={{ gridTemplateColumns: 'repeat(2, 1fr)' }}>
+            <div className="input-group">
+              <label htmlFor="template-name">Name</label>
+              <input type="text" id="template-name" className="input" value={form.Name} onChange={e => setForm(prev => ({ ...prev, Name: e.target.value }))} maxLength={100} required />
+            </div>
+            <div className="input-group">
+              <label htmlFor="template-description">Description</label>
+              <input type="text" id="template-description" className="input" value={form.Description} onChange={e => setForm(prev => ({ ...prev, Description: e.target.value }))} maxLength={255} />
+            </div>
+            {TEMPLATE_FIELDS.map(f => (
+              <div className="input-group" key={f.name}>
+                <label htmlFor={`template-${f.name}`}>{f.label}</label>
+                <input
+                  type="number"
+                  id={`template-${f.name}`}
+                  className="input"
+                  value={form[f.name] || ''}
+                  onChange={e => setForm(prev => ({ ...prev, [f.name]: e.target.value }))}
+                  required
+                />
+              </div>
+            ))}
+          </div>
+
+          {editing && (
+            <div className="input-group">
+              <label>
+                <input type="checkbox" checked={propagate} onChange={e => setPropagate(e.target.checked)} />{' '}
+                Also update the {editing.Patient_Count || 0} patient profile(s) using this template
+              </label>
+              <div className="help">Their readings are then re-categorized under the new ranges.</div>
+            </div>
+          )}
+
+          <div className="form-actions mt16">
+            {editing && (
+              <button type="button" className="btn secondary" onClick={resetForm}>
+                Cancel
+              </button>
+            )}
+            <button type="submit" className="btn primary" disabled={saving}>
+              {saving ? 'Saving...' : editing ? 'Save Template' : 'Create Template'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </section>
+  );
+};
+
+export default ThresholdTemplates;
@@ -10,7 +10,7 @@ import {
   Legend,
   TimeScale,
 } from "chart.js";
-import type { ChartOptions } from "chart.js";
+import type { ChartData, ChartOptions } from "chart.js";
 
 ChartJS.register(
   CategoryScale,
@@ -27,43 +27,85 @@ interface Reading {
   value: number;
 }
 
+export interface DoseMarker {
+  datetime: string;
+  medication_type: string;
+  drug_name: string;
+  dose: number;
+  dose_unit: string;
+}
+
 interface TrendsChartProps {
   readings?: Reading[];
+  doses?: DoseMarker[];
 }
 
-const TrendsChart: React.FC<TrendsChartProps> = ({ readings = [] }) => {
-  const sorted = readings
-    .slice()
-    .sort(
-      (a, b) => new Date(a.datetime).getTime() - new Date(b.datetime).getTime()
-    );
-  const labels = sorted.map((r) => new Date(r.datetime).toLocaleString());
-  const dataVals = sorted.map((r) => r.value);
+// Dose markers sit in a strip along the bottom of the chart, one row per kind of dose
+const DOSE_SERIES = [
+  { label: "Bolus insulin", types: ["Bolus_Insulin"], y: 0.09, color: "#f97316" },
+  { label: "Basal insulin", types: ["Basal_Insulin"], y: 0.05, color: "#8b5cf6" },
+  { label: "Oral / other medication", types: ["Oral", "Other"], y: 0.01, color: "#10b981" },
+];
+
+type TrendPoint = { x: number; y: number; dose?: DoseMarker };
 
-  const data = useMemo(
-    () => ({
-      labels,
+const TrendsChart: React.FC<TrendsChartProps> = ({ readings = [], doses = [] }) => {
+  const data = useMemo<ChartData<"line", TrendPoint[]>>(() => {
+    const points = readings
+      .map((r) => ({ x: new Date(r.datetime).getTime(), y: r.value }))
+      .sort((a, b) => a.x - b.x);
+    return {
       datasets: [
         {
           label: "Blood Sugar",
-          data: dataVals,
+          data: points,
           fill: false,
           tension: 0.2,
           pointRadius: 3,
           borderColor: "#2b7cff",
           backgroundColor: "#2b7cff",
         },
-      ],
-    }),
-    [labels.join(","), dataVals.join(",")]
-  );
+        ...DOSE_SERIES.map((series) => ({
+          label: series.label,
+          data: doses
+            .filter((d) => series.types.includes(d.medication_type))
+            .map((d) => ({ x: new Date(d.datetime).getTime(), y: series.y, dose: d })),
+          yAxisID: "doses",
+          showLine: false,
+          pointStyle: "triangle" as const,
+          pointRadius: 6,
+          borderColor: series.color,
+          backgroundColor: series.color,
+        })),
+      ].filter((dataset, index) => index === 0 || dataset.data.length > 0),
+    };
+  }, [readings, doses]);
 
   const options: ChartOptions<"line"> = {
     responsive: true,
-    plugins: { legend: { display: true } },
+    plugins: {
+      legend: { display: true },
+      tooltip: {
+        callbacks: {
+          title: (items) => (items.length ? new Date(items[0].parsed.x ?? 0).toLocaleString() : ""),
+          label: (ctx) => {
+            const dose = (ctx.raw as TrendPoint).dose;
+            return dose ? `${dose.drug_name}: ${dose.dose} ${dose.dose_unit}` : `${ctx.dataset.label}: ${ctx.parsed.y}`;
+          },
+        },
+      },
+    },
     scales: {
-      x: { ticks: { maxRotation: 30, minRotation: 0 } },
+      x: {
+        type: "linear",
+        ticks: {
+          maxRotation: 30,
+          minRotation: 0,
+          callback: (value) => new Date(Number(value)).toLocaleDateString(),
+        },
+      },
       y: { beginAtZero: false },
+      doses: { type: "linear", display: false, min: 0, max: 1 },
     },
   };
 
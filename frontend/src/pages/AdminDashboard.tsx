@@ -3,16 +3,19 @@ import { useNavigate, Link } from "react-router-dom"; // Import Link
 import api from "../services/apiService";
 import authService from "../services/authService";
 import ThresholdManager from '../components/ThresholdManager';
+import ThresholdTemplates from '../components/ThresholdTemplates';
+import AlertRulesManager from '../components/AlertRulesManager';
 import UserManagement from '../components/UserManagement';
 import CreateUserForm from '../components/CreateUserForm';
 import SpecialistAssignmentManager from '../components/SpecialistAssignmentManager';
+import ScheduledTasks from '../components/ScheduledTasks';
 
 interface AdminDashboardProps {}
 
 // Define the interface for a backend report
 interface BackendReport {
   Report_ID: number;
-  Admin_ID: number;
+  Admin_ID: number | null; // null for reports generated by the scheduler
   Generated_By: string;
   Period_Type: "Monthly" | "Yearly";
   Period_Start: string;
@@ -136,6 +139,10 @@ const AdminDashboard: React.FC<AdminDashboardProps> = () => {
       {/* Render the ThresholdManager component */}
       <ThresholdManager />
 
+      <ThresholdTemplates />
+
+      <AlertRulesManager />
+
       <div className="card" style={{ overflow: 'hidden' }}>
         <div className="grid cols-2" style={{ gap: 0 }}>
           <div>
@@ -151,6 +158,9 @@ const AdminDashboard: React.FC<AdminDashboardProps> = () => {
       {/* Render the CreateUserForm component */}
       <CreateUserForm />
 
+      {/* Alert sweep, patient summaries, logging reminders and the monthly report */}
+      <ScheduledTasks />
+
       <div className="card">
         <div className="card-hd">
           <h4>Generate New Report</h4>
@@ -279,11 +289,11 @@ const AdminDashboard: React.FC<AdminDashboardProps> = () => {
 
                                 <p><strong>Total Readings:</strong> {selectedReportSummary.readings.total}</p>
 
-                                <p><strong>Average Reading:</strong> {selectedReportSummary.readings.average} mg/dl</p>
+                                <p><strong>Average Reading:</strong> {selectedReportSummary.readings.average} {selectedReportSummary.readings.unit || "mg/dL"}</p>
 
-                                <p><strong>Min Reading:</strong> {selectedReportSummary.readings.min} mg/dl</p>
+                                <p><strong>Min Reading:</strong> {selectedReportSummary.readings.min} {selectedReportSummary.readings.unit || "mg/dL"}</p>
 
-                                <p><strong>Max Reading:</strong> {selectedReportSummary.readings.max} mg/dl</p>
+                                <p><strong>Max Reading:</strong> {selectedReportSummary.readings.max} {selectedReportSummary.readings.unit || "mg/dL"}</p>
 
                                 <p><strong>Categorization:</strong> Normal ({selectedReportSummary.readings.by_category.normal}), Borderline ({selectedReportSummary.readings.by_category.borderline}), Abnormal ({selectedReportSummary.readings.by_category.abnormal})</p>
 
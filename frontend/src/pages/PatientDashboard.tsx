@@ -5,6 +5,9 @@ import ReadingsList from "../components/ReadingsList";
 import AISuggestions from "../components/AISuggestions";
 import AlertNotification from "../components/AlertNotification";
 import TrendsChart from "../components/TrendsChart";
+import ReadingImport from "../components/ReadingImport";
+import MedicationLog, { type MedicationEntry } from "../components/MedicationLog";
+import MealLog, { type MealEntry } from "../components/MealLog";
 import api from "../services/apiService";
 import authService from "../services/authService";
 import PatientFeedbackList from "../components/PatientFeedbackList"; // Import the new component
@@ -24,6 +27,8 @@ interface Reading {
 const PatientDashboard: React.FC = () => {
   const [signal, setSignal] = useState<number>(0);
   const [readingsForChart, setReadingsForChart] = useState<Reading[]>([]);
+  const [medications, setMedications] = useState<MedicationEntry[]>([]);
+  const [meals, setMeals] = useState<MealEntry[]>([]);
   const [patientId, setPatientId] = useState<number | null>(null); // State for patientId
   const navigate = useNavigate();
 
@@ -37,6 +42,8 @@ const PatientDashboard: React.FC = () => {
           // Initial data fetch can happen here after getting patientId
           const data: Reading[] = await api.getReadings();
           setReadingsForChart(data);
+          setMedications(await api.getMedications());
+          setMeals(await api.getMeals({ limit: 50 }));
         } else {
           // Handle user not found or no ID
           navigate("/login");
@@ -54,6 +61,8 @@ const PatientDashboard: React.FC = () => {
     try {
       const data: Reading[] = await api.getReadings();
       setReadingsForChart(data);
+      setMedications(await api.getMedications());
+      setMeals(await api.getMeals({ limit: 50 }));
     } catch (err) {
       console.error("Error refreshing:", err);
     }
@@ -107,7 +116,10 @@ const PatientDashboard: React.FC = () => {
       <div className="dashboard-grid">
         {/* Left column */}
         <div className="stack">
-          <BloodSugarForm onSaved={refreshAll} style={{marginBottom: '32px'}} />
+          <BloodSugarForm onSaved={refreshAll} meals={meals} style={{marginBottom: '32px'}} />
+          <ReadingImport onImported={refreshAll} />
+          <MealLog meals={meals} onChanged={refreshAll} />
+          <MedicationLog medications={medications} onChanged={refreshAll} />
           <ReadingsList refreshSignal={signal} style={{marginBottom: '32px'}} />
           <PatientFeedbackList patientId={patientId} /> {/* Render the PatientFeedbackList */}
         </div>
@@ -116,7 +128,7 @@ const PatientDashboard: React.FC = () => {
         <div className="stack">
           <AlertNotification style={{marginBottom: '32px'}} />
           <AISuggestions refreshSignal={signal} style={{marginBottom: '32px'}} />
-          <TrendsChart readings={readingsForChart} />
+          <TrendsChart readings={readingsForChart} doses={medications} />
         </div>
       </div>
     </div>
@@ -2,16 +2,20 @@
 // Author: Gemini
 // Purpose: A detailed view of a single patient for a specialist.
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import apiService from '../services/apiService';
 import authService from '../services/authService';
+import socketService, { type LiveEvent, type LiveEventData } from '../services/socketService';
 
 // Re-usable components
 import ReadingsList from '../components/ReadingsList';
 import AISuggestions from '../components/AISuggestions';
 import AlertNotification from '../components/AlertNotification';
-import TrendsChart from '../components/TrendsChart';
+import TrendsChart, { type DoseMarker } from '../components/TrendsChart';
+import AgpChart from '../components/AgpChart';
+import ReadingHistory from '../components/ReadingHistory';
+import ThresholdManager from '../components/ThresholdManager';
 import FeedbackForm from '../components/FeedbackForm';
 import PatientFeedbackList from '../components/PatientFeedbackList';
 
@@ -26,11 +30,16 @@ interface User {
   email: string;
 }
 
+const PATIENT_EVENTS: LiveEvent[] = ['reading.created', 'reading.updated', 'reading.deleted', 'suggestion.created', 'feedback.created'];
+
 const PatientDetailsPage: React.FC = () => {
   const { patientId } = useParams<{ patientId: string }>();
   const [patient, setPatient] = useState<User | null>(null);
   const [readings, setReadings] = useState<Reading[]>([]);
+  const [doses, setDoses] = useState<DoseMarker[]>([]);
   const [signal, setSignal] = useState<number>(0);
+  const [suggestionSignal, setSuggestionSignal] = useState<number>(0);
+  const [feedbackSignal, setFeedbackSignal] = useState<number>(0);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
   const [specialistId, setSpecialistId] = useState<number | null>(null);
@@ -57,10 +66,12 @@ const PatientDetailsPage: React.FC = () => {
         }
 
         // Now, fetch all patient data
-        const [patientDetails, patientReadings] = await Promise.all([
+        const [patientDetails, patientReadings, patientDoses] = await Promise.all([
           apiService.get(`/specialist/patients/${patientId}`), // Corrected endpoint for a single patient's details
-          apiService.get(`/patient/readings?patient_id=${patientId}`)
+          apiService.get(`/patient/readings?patient_id=${patientId}`),
+          apiService.getPatientMedications('specialist', Number(patientId))
         ]);
+        setDoses(patientDoses);
 
         if (patientDetails.success) {
           setPatient(patientDetails.data);
@@ -89,6 +100,35 @@ const PatientDetailsPage: React.FC = () => {
 
   const refreshData = () => setSignal(s => s + 1);
 
+  // Refetch the chart's readings and doses without reloading the page
+  const reloadReadings = useCallback(async () => {
+    try {
+      const [patientReadings, patientDoses] = await Promise.all([
+        apiService.get(`/patient/readings?patient_id=${patientId}`),
+        apiService.getPatientMedications('specialist', Number(patientId))
+      ]);
+      if (patientReadings.success) setReadings(patientReadings.data.readings);
+      setDoses(patientDoses);
+    } catch (err: unknown) {
+      console.error('Failed to refresh patient readings', err);
+    }
+  }, [patientId]);
+
+  // Readings, suggestions and feedback for this patient update in place as they happen
+  useEffect(() => {
+    const handleLiveEvent = (data: LiveEventData) => {
+      if (data.patientId !== patientIdNum) return;
+      if (data.event === 'suggestion.created') setSuggestionSignal(s => s + 1);
+      else if (data.event === 'feedback.created') setFeedbackSignal(s => s + 1);
+      else reloadReadings();
+    };
+
+    socketService.onLiveEvent(PATIENT_EVENTS, handleLiveEvent);
+    return () => {
+      socketService.offLiveEvent(PATIENT_EVENTS, handleLiveEvent);
+    };
+  }, [patientIdNum, reloadReadings]);
+
   if (loading) {
     return <div className="container"><p>Loading patient data...</p></div>;
   }
@@ -115,20 +155,32 @@ const PatientDetailsPage: React.FC = () => {
       {specialistId && (
         <div style={{ marginBottom: '2rem' }}>
           <FeedbackForm patientId={patientIdNum} specialistId={specialistId} onFeedbackSubmitted={refreshData} />
-          <PatientFeedbackList patientId={patientIdNum} specialistId={specialistId} refreshSignal={signal} />
+          <PatientFeedbackList patientId={patientIdNum} specialistId={specialistId} refreshSignal={signal + feedbackSignal} />
         </div>
       )}
 
       <div className="dashboard-grid">
         <div className="stack">
           <AlertNotification />
-          <AISuggestions refreshSignal={signal} />
+          <AISuggestions refreshSignal={signal + suggestionSignal} />
         </div>
         <div className="stack">
-          <TrendsChart readings={readings} />
-          <ReadingsList refreshSignal={signal} />
+          <TrendsChart readings={readings} doses={doses} />
+          <ReadingsList refreshSignal={signal} patientId={patientIdNum} />
         </div>
       </div>
+
+      <div style={{ marginTop: '2rem' }}>
+        <AgpChart patientId={patientIdNum} scope="specialist" />
+      </div>
+
+      <div style={{ marginTop: '2rem' }}>
+        <ReadingHistory patientId={patientIdNum} scope="specialist" />
+      </div>
+
+      <div style={{ marginTop: '2rem' }}>
+        <ThresholdManager patientId={patientIdNum} />
+      </div>
     </div>
   );
 };
@@ -6,14 +6,22 @@ import React, { useState, useEffect, FormEvent } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiService from '../services/apiService';
 import authService from '../services/authService';
+import NotificationPreferences from '../components/NotificationPreferences';
 
 interface UserProfile {
   name: string;
   email: string;
   phone: string | null;
   profile_image: string | null;
+  preferred_unit: 'mg/dL' | 'mmol/L';
+  Role: string;
+  emergencyContactName: string | null;
+  emergencyContactEmail: string | null;
+  emergencyContactPhone: string | null;
 }
 
+const EMERGENCY_CONTACT_FIELDS = ['emergencyContactName', 'emergencyContactEmail', 'emergencyContactPhone'] as const;
+
 const ProfilePage: React.FC = () => {
   const navigate = useNavigate();
   const [profile, setProfile] = useState<Partial<UserProfile>>({});
@@ -43,7 +51,7 @@ const ProfilePage: React.FC = () => {
     fetchProfile();
   }, []);
 
-  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
     setProfile(prev => ({ ...prev, [name]: value }));
   };
@@ -60,8 +68,9 @@ const ProfilePage: React.FC = () => {
     setError(null);
     setSuccess(null);
 
-    const updateData: { name?: string; phone?: string | null; } = {};
+    const updateData: { name?: string; phone?: string | null; preferredUnit?: string; [key: string]: string | null | undefined } = {};
     if (profile.name !== undefined) updateData.name = profile.name;
+    if (profile.preferred_unit !== undefined) updateData.preferredUnit = profile.preferred_unit;
     if (profile.phone !== undefined) {
       if (profile.phone && (profile.phone.length !== 10 || !/^\d{10}$/.test(profile.phone))) {
         setError("Phone number must be exactly 10 digits.");
@@ -70,6 +79,14 @@ const ProfilePage: React.FC = () => {
       }
       updateData.phone = profile.phone;
     }
+    if (profile.Role === 'Patient') {
+      if (profile.emergencyContactPhone && !/^\d{10}$/.test(profile.emergencyContactPhone)) {
+        setError("Emergency contact phone number must be exactly 10 digits.");
+        setLoading(false);
+        return;
+      }
+      EMERGENCY_CONTACT_FIELDS.forEach(field => { updateData[field] = profile[field] || null; });
+    }
 
     try {
       let response;
@@ -78,6 +95,10 @@ const ProfilePage: React.FC = () => {
         formData.append('profileImage', selectedFile);
         if (updateData.name) formData.append('name', updateData.name);
         if (updateData.phone) formData.append('phone', updateData.phone);
+        if (updateData.preferredUnit) formData.append('preferredUnit', updateData.preferredUnit);
+        EMERGENCY_CONTACT_FIELDS.forEach(field => {
+          if (updateData[field] !== undefined) formData.append(field, updateData[field] || '');
+        });
 
         response = await apiService.put('/user/profile', formData, {
           headers: {
@@ -250,6 +271,70 @@ const ProfilePage: React.FC = () => {
                   />
                 </div>
 
+                <div className="input-group">
+                  <label htmlFor="preferred_unit">Blood Sugar Unit</label>
+                  <select
+                    id="preferred_unit"
+                    name="preferred_unit"
+                    className="select"
+                    value={profile.preferred_unit || 'mg/dL'}
+                    onChange={handleChange}
+                    style={{maxWidth: '425px'}}
+                  >
+                    <option value="mg/dL">mg/dL</option>
+                    <option value="mmol/L">mmol/L</option>
+                  </select>
+                  <div className="help">Readings, statistics and reports are shown in this unit.</div>
+                </div>
+
+                {profile.Role === 'Patient' && (
+                  <>
+                    <h4>Emergency Contact</h4>
+                    <div className="help">Alerted by email and SMS, together with your specialist, when you log a dangerously low or high reading.</div>
+                    <div className="input-group">
+                      <label htmlFor="emergencyContactName">Name</label>
+                      <input
+                        type="text"
+                        id="emergencyContactName"
+                        name="emergencyContactName"
+                        className="input"
+                        value={profile.emergencyContactName || ''}
+                        onChange={handleChange}
+                        maxLength={100}
+                        style={{maxWidth: '425px'}}
+                      />
+                    </div>
+                    <div className="input-group">
+                      <label htmlFor="emergencyContactEmail">Email</label>
+                      <input
+                        type="email"
+                        id="emergencyContactEmail"
+                        name="emergencyContactEmail"
+                        className="input"
+                        value={profile.emergencyContactEmail || ''}
+                        onChange={handleChange}
+                        maxLength={100}
+                        style={{maxWidth: '425px'}}
+                      />
+                    </div>
+                    <div className="input-group">
+                      <label htmlFor="emergencyContactPhone">Phone Number</label>
+                      <input
+                        type="tel"
+                        id="emergencyContactPhone"
+                        name="emergencyContactPhone"
+                        className="input"
+                        value={profile.emergencyContactPhone || ''}
+                        onChange={handleChange}
+                        placeholder="e.g., 5551234567"
+                        maxLength={10}
+                        pattern="[0-9]{10}"
+                        style={{maxWidth: '425px'}}
+                      />
+                    </div>
+                  </>
+                )}
+
                 <div className="form-actions">
                   <button type="submit" className="btn primary" disabled={loading}>
                     {loading ? 'Saving...' : 'Save Changes'}
@@ -258,6 +343,8 @@ const ProfilePage: React.FC = () => {
               </form>
             </div>
           </div>
+
+          {profile.Role && <NotificationPreferences role={profile.Role} />}
         </div>
       </div>
     </div>
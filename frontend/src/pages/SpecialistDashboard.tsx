@@ -1,10 +1,12 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import { useNavigate, Link } from "react-router-dom";
 import api from "../services/apiService";
 import authService from "../services/authService";
+import socketService, { type LiveEvent } from "../services/socketService";
 import Modal from "../components/Modal"; // Import Modal component
 import FeedbackForm from "../components/FeedbackForm"; // Import FeedbackForm component
 import AlertNotification from "../components/AlertNotification"; // Import AlertNotification component
+import AlertQueue from "../components/AlertQueue";
 
 interface Reading {
   reading_id: string | number;
@@ -26,6 +28,8 @@ interface AssignedPatient {
   healthcare_number: string;
 }
 
+const READING_EVENTS: LiveEvent[] = ["reading.created", "reading.updated", "reading.deleted"];
+
 /**
  * SpecialistDashboard - lists assigned patients & allows review.
  */
@@ -44,8 +48,9 @@ const SpecialistDashboard: React.FC = () => {
 
   const navigate = useNavigate();
 
-  const loadAssignedPatients = async () => {
-    setLoadingPatients(true);
+  // Live updates reload quietly, keeping the current list on screen
+  const loadAssignedPatients = useCallback(async (showLoading = true) => {
+    if (showLoading) setLoadingPatients(true);
     try {
       const res: AssignedPatient[] = await api.getAssignedPatients();
       setAssignedPatients(res);
@@ -54,10 +59,10 @@ const SpecialistDashboard: React.FC = () => {
     } finally {
       setLoadingPatients(false);
     }
-  };
+  }, []);
 
-  const loadReadings = async () => {
-    setLoadingReadings(true);
+  const loadReadings = useCallback(async (showLoading = true) => {
+    if (showLoading) setLoadingReadings(true);
     try {
       const filters = {
         startDate: startDate || null,
@@ -72,7 +77,7 @@ const SpecialistDashboard: React.FC = () => {
     } finally {
       setLoadingReadings(false);
     }
-  };
+  }, [startDate, endDate, categoryFilter, patientNameFilter]);
 
   useEffect(() => {
     const fetchSpecialistId = async () => {
@@ -86,12 +91,27 @@ const SpecialistDashboard: React.FC = () => {
     };
     fetchSpecialistId();
     loadAssignedPatients();
-    loadReadings();
-  }, []);
+  }, [navigate, loadAssignedPatients]);
 
   useEffect(() => {
     loadReadings();
-  }, [startDate, endDate, categoryFilter, patientNameFilter]);
+  }, [loadReadings]);
+
+  // New and changed readings, and patients assigned or unassigned, show up without a reload
+  useEffect(() => {
+    const handleReadingEvent = () => loadReadings(false);
+    const handleAssignmentChanged = () => {
+      loadAssignedPatients(false);
+      loadReadings(false);
+    };
+
+    socketService.onLiveEvent(READING_EVENTS, handleReadingEvent);
+    socketService.onLiveEvent("assignment.changed", handleAssignmentChanged);
+    return () => {
+      socketService.offLiveEvent(READING_EVENTS, handleReadingEvent);
+      socketService.offLiveEvent("assignment.changed", handleAssignmentChanged);
+    };
+  }, [loadReadings, loadAssignedPatients]);
 
   const handleApplyFilters = () => loadReadings();
 
@@ -158,6 +178,8 @@ const SpecialistDashboard: React.FC = () => {
       </div>
       <AlertNotification />
 
+      <AlertQueue />
+
       {/* Assigned Patients */}
       <div className="card mb-4">
         <h4>Assigned Patients</h4>
@@ -255,7 +277,7 @@ const SpecialistDashboard: React.FC = () => {
                   <tr key={r.reading_id}>
                     <td>{r.patient_name}</td>
                     <td>{new Date(r.datetime).toLocaleString()}</td>
-                    <td>{r.value} {r.unit || "mg/dl"}</td>
+                    <td>{r.value} {r.unit || "mg/dL"}</td>
                     <td>{r.category}</td>
                     <td>{r.food_notes}</td>
                     <td>{r.activity_notes}</td>
@@ -1,7 +1,11 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import { useNavigate, Link } from "react-router-dom"; // Import Link
 import api from "../services/apiService";
 import authService from "../services/authService";
+import socketService from "../services/socketService";
+import ThresholdTemplates from "../components/ThresholdTemplates";
+import AlertRulesManager from "../components/AlertRulesManager";
+import AlertQueue from "../components/AlertQueue";
 
 interface Thresholds {
   normal_low: number;
@@ -58,8 +62,9 @@ const StaffDashboard: React.FC = () => {
     }
   };
 
-  const loadPatients = async () => {
-    setLoadingPatients(true);
+  // Live updates reload quietly, keeping the current list on screen
+  const loadPatients = useCallback(async (showLoading = true) => {
+    if (showLoading) setLoadingPatients(true);
     try {
       const res: Patient[] = await api.getStaffPatients(); // Using HEAD's getStaffPatients (all patients)
       setPatients(res);
@@ -68,12 +73,22 @@ const StaffDashboard: React.FC = () => {
     } finally {
       setLoadingPatients(false);
     }
-  };
+  }, []);
 
   useEffect(() => {
     loadThresholds();
     loadPatients();
-  }, []);
+  }, [loadPatients]);
+
+  // Patients assigned to or removed from a specialist elsewhere refresh the list; the alert
+  // queue below follows alert changes itself
+  useEffect(() => {
+    const handleAssignmentChanged = () => loadPatients(false);
+    socketService.onLiveEvent("assignment.changed", handleAssignmentChanged);
+    return () => {
+      socketService.offLiveEvent("assignment.changed", handleAssignmentChanged);
+    };
+  }, [loadPatients]);
 
   // Remote's useEffect for pagination - Not actively used with HEAD's loadPatients, but keeping its structure
   useEffect(() => {
@@ -259,6 +274,12 @@ const StaffDashboard: React.FC = () => {
         </div>
       </div>
 
+      <ThresholdTemplates />
+
+      <AlertRulesManager />
+
+      <AlertQueue defaultStatus="Escalated" />
+
       <div className="card mb-4">
         <h4>All Patients</h4>
         <div style={{ display: "flex", gap: "15px", marginBottom: "15px" }}>
@@ -7,6 +7,8 @@ import authService from '../services/authService';
 // Re-usable components
 // import ReadingsList from '../components/ReadingsList'; // No longer needed
 import PatientFeedbackList from '../components/PatientFeedbackList'; // Will show Patient's feedback
+import AgpChart from '../components/AgpChart';
+import ReadingHistory from '../components/ReadingHistory';
 // Removing unused imports for clarity and potential errors
 // import AISuggestions from '../components/AISuggestions';
 // import AlertNotification from '../components/AlertNotification';
@@ -150,6 +152,10 @@ const StaffPatientDetailsPage: React.FC = () => {
 
             <div className="stack"> {/* Use stack for vertical spacing between cards */}
 
+              <AgpChart patientId={patientIdNum} scope="staff" />
+
+              <ReadingHistory patientId={patientIdNum} scope="staff" />
+
               <div className="card">
 
                 <div className="card-hd">
@@ -196,7 +202,7 @@ const StaffPatientDetailsPage: React.FC = () => {
 
                             <td>{new Date(r.datetime).toLocaleString()}</td>
 
-                            <td>{r.value} {r.unit || "mg/dl"}</td>
+                            <td>{r.value} {r.unit || "mg/dL"}</td>
 
                             <td>{r.category}</td>
 
@@ -27,6 +27,288 @@ axiosInstance.interceptors.request.use(config => {
 // Helper: return data
 const extractData = (res: any) => res.data;
 
+// Medication_Log row as returned by the backend
+interface MedicationRow {
+  Medication_ID: number;
+  Patient_ID: number;
+  DateTime: string;
+  Medication_Type: string;
+  Drug_Name: string;
+  Dose: number | string;
+  Dose_Unit: string;
+  Route: string;
+  Reading_ID: number | null;
+  Notes: string | null;
+}
+
+// Helper: map a Medication_Log row to the frontend shape
+const mapMedication = (m: MedicationRow) => ({
+  medication_id: m.Medication_ID,
+  patient_id: m.Patient_ID,
+  datetime: m.DateTime,
+  medication_type: m.Medication_Type,
+  drug_name: m.Drug_Name,
+  dose: Number(m.Dose),
+  dose_unit: m.Dose_Unit,
+  route: m.Route,
+  reading_id: m.Reading_ID,
+  notes: m.Notes
+});
+
+// Soft-deleted Sugar_Reading row as returned by the backend
+interface DeletedReadingRow {
+  Reading_ID: number;
+  DateTime: string;
+  Value: number;
+  Unit: string;
+  Category: string | null;
+  Deleted_At: string;
+  Restorable_Until: string;
+}
+
+// One entry of a reading's revision history (already snake_case from the backend)
+export interface ReadingHistoryEntry {
+  history_id: number;
+  action: "Create" | "Update" | "Delete" | "Restore";
+  changed_at: string;
+  changed_by: { user_id: number; name: string; role: string } | null;
+  old_values: Record<string, unknown> | null;
+  new_values: Record<string, unknown> | null;
+  changed_fields: string[];
+  old_category: string | null;
+  new_category: string | null;
+}
+
+// Outcome of re-categorizing stored readings (preview or job); transitions maps 'Normal->Borderline' to a count
+export interface RecategorizationPreview {
+  readings_checked: number;
+  readings_changed: number;
+  patients_affected: number;
+  transitions: Record<string, number>;
+  sample: {
+    reading_id: number;
+    patient_id: number;
+    datetime: string;
+    value: number;
+    unit: string;
+    reading_context: string | null;
+    old_category: string;
+    new_category: string;
+  }[];
+}
+
+export interface RecategorizationJob {
+  job_id: number;
+  scope: "System" | "Patient";
+  patient_id: number | null;
+  reason: string;
+  status: "Pending" | "Running" | "Completed" | "Failed";
+  readings_checked: number;
+  readings_changed: number;
+  transitions: Record<string, number>;
+  error: string | null;
+  created_at: string;
+  completed_at: string | null;
+}
+
+export interface ThresholdVersion {
+  threshold_id: number;
+  reading_context: string | null;
+  effective_date: string;
+  status: "Scheduled" | "Active" | "Superseded";
+  values: Record<string, number>;
+  changes: { field: string; from: number; to: number }[];
+  created_by: { user_id: number; name: string; role: string } | null;
+  created_at: string;
+  note: string | null;
+  rolled_back_from: number | null;
+}
+
+// A patient's full threshold profile (patient_threshold_profile row)
+export interface ThresholdProfile {
+  Profile_ID: number;
+  Patient_ID: number;
+  Normal_Low: number;
+  Normal_High: number;
+  Borderline_Low: number;
+  Borderline_High: number;
+  Abnormal_Low: number;
+  Abnormal_High: number;
+  Hypo_Level1: number;
+  Hypo_Level2: number;
+  Reason: string;
+  Expires_At: string | null;
+  Set_By_Name: string | null;
+  Template_ID: number | null;
+  Template_Name: string | null;
+  Updated_At: string | null;
+  Created_At: string;
+  Active: boolean;
+}
+
+// Named threshold template for a patient population (threshold_template row)
+export interface ThresholdTemplate {
+  Template_ID: number;
+  Name: string;
+  Description: string | null;
+  Normal_Low: number;
+  Normal_High: number;
+  Borderline_Low: number;
+  Borderline_High: number;
+  Abnormal_Low: number;
+  Abnormal_High: number;
+  Hypo_Level1: number;
+  Hypo_Level2: number;
+  Created_By_Name?: string | null;
+  // Patient profiles currently linked to the template
+  Patient_Count?: number;
+}
+
+export type AlertRuleType = "Abnormal_Count" | "Below_Value" | "Rising_Trend" | "No_Readings";
+
+// Configurable alert rule (alert_rule row)
+export interface AlertRule {
+  Rule_ID: number;
+  Name: string;
+  Rule_Type: AlertRuleType;
+  Threshold_Count: number | null;
+  Threshold_Value: number | null;
+  Window_Days: number;
+  Scope: "System" | "Patient";
+  Patient_ID: number | null;
+  Patient_Name?: string | null;
+  Severity: "Low" | "Medium" | "High" | "Critical";
+  Recipients: ("Patient" | "Specialist")[];
+  Cooldown_Hours: number;
+  Is_Active: boolean;
+}
+
+// Result of replaying a patient's history against a draft rule
+export interface AlertRuleTestResult {
+  patient_id: number;
+  from: string;
+  to: string;
+  readings_checked: number;
+  alerts: { at: string; match_count: number; reading_ids: number[]; message: string }[];
+}
+
+export type AlertStatus = "Open" | "Acknowledged" | "Resolved" | "Escalated";
+
+// Alert in the alert queue
+export interface QueuedAlert {
+  Alert_ID: number;
+  Patient_ID: number;
+  Patient_Name: string;
+  Sent_At: string;
+  Severity: AlertRule["Severity"];
+  Message: string | null;
+  Rule_ID: number | null;
+  Rule_Name: string | null;
+  Status: AlertStatus;
+  Acknowledged_At: string | null;
+  Acknowledged_By_Name: string | null;
+  Resolved_At: string | null;
+  Resolved_By_Name: string | null;
+  Resolution_Note: string | null;
+  Escalated_At: string | null;
+  Escalated_To: string | null;
+}
+
+// Entry in the user's in-app notification inbox
+export interface InboxNotification {
+  id: number;
+  notificationId: number;
+  type: string;
+  title: string | null;
+  message: string | null;
+  read: boolean;
+  readAt: string | null;
+  timestamp: string;
+  createdAt: string;
+  guidance?: string;
+  patientId?: number;
+}
+
+export type NotificationChannel = "in_app" | "email" | "sms";
+export type NotificationEventType = "alert" | "urgent_alert" | "escalation" | "feedback" | "weekly_summary" | "logging_reminder";
+
+// The user's notification preferences (GET also reports held email/SMS messages)
+export interface NotificationPreferences {
+  eventChannels: Record<NotificationEventType, NotificationChannel[]>;
+  quietStart: string | null;
+  quietEnd: string | null;
+  timezone: string;
+  digestMode: "Immediate" | "Daily" | "Weekly";
+  digestHour: number;
+  pending?: number;
+  nextDelivery?: string | null;
+}
+
+// Recurring task run by the server's scheduler, with its last run
+export interface ScheduledTask {
+  Task_ID: number;
+  Task_Key: string;
+  Name: string;
+  Description: string | null;
+  Cron_Expression: string;
+  Settings: Record<string, number>;
+  Is_Enabled: boolean;
+  Next_Run_At: string | null;
+  Last_Run_At: string | null;
+  Last_Finished_At: string | null;
+  Last_Status: "Running" | "Succeeded" | "Failed" | null;
+  Last_Trigger: "Schedule" | "Manual" | null;
+  Last_Run_By_Name: string | null;
+  Last_Result: Record<string, unknown> | null;
+  Last_Error: string | null;
+  Last_Duration_Ms: number | null;
+}
+
+// Food_Item row as returned by the backend
+interface FoodRow {
+  Food_ID: number;
+  Name: string;
+  Aliases: string | null;
+  Carbs_Per_Serving: number | string;
+  Serving_Description: string | null;
+  Created_By: number | null;
+}
+
+// Meal row (with its Meal_Item rows) as returned by the backend
+interface MealRow {
+  Meal_ID: number;
+  DateTime: string;
+  Meal_Type: string;
+  Total_Carbs: number | string;
+  Notes: string | null;
+  Items: { Meal_Item_ID: number; Food_ID: number; Name: string; Servings: number | string; Carbs: number | string }[];
+}
+
+// Helper: map a Food_Item row to the frontend shape
+const mapFood = (f: FoodRow) => ({
+  food_id: f.Food_ID,
+  name: f.Name,
+  aliases: f.Aliases,
+  carbs_per_serving: Number(f.Carbs_Per_Serving),
+  serving_description: f.Serving_Description,
+  is_custom: f.Created_By !== null
+});
+
+// Helper: map a Meal row to the frontend shape
+const mapMeal = (m: MealRow) => ({
+  meal_id: m.Meal_ID,
+  datetime: m.DateTime,
+  meal_type: m.Meal_Type,
+  total_carbs: Number(m.Total_Carbs),
+  notes: m.Notes,
+  items: (m.Items || []).map((i) => ({
+    food_id: i.Food_ID,
+    name: i.Name,
+    servings: Number(i.Servings),
+    carbs: Number(i.Carbs)
+  }))
+});
+
 export default {
   // readings
   async getReadings() {
@@ -47,10 +329,13 @@ export default {
         value: r.Value,
         unit: r.Unit,
         category: r.Category,
+        reading_context: r.Reading_Context,
+        meal_id: r.Meal_ID,
         food_notes: r.Food_Notes,
         activity_notes: r.Activity_Notes,
         notes: r.Notes,
-        symptoms: r.Symptoms
+        symptoms: r.Symptoms,
+        source: r.Source
       }));
     } catch (err) {
       if (err instanceof Error) {
@@ -86,6 +371,141 @@ export default {
     return extractData(res);
   },
 
+  // Deleted readings that can still be restored
+  async getDeletedReadings() {
+    const currentUser = await authService.getCurrentUser();
+    const userId = currentUser?.user_id;
+    if (!userId) return [];
+    const res = await axiosInstance.get("/patient/readings/deleted", { params: { patient_id: userId } });
+    const data = extractData(res);
+    return (data.data?.readings || []).map((r: DeletedReadingRow) => ({
+      reading_id: r.Reading_ID,
+      datetime: r.DateTime,
+      value: r.Value,
+      unit: r.Unit,
+      category: r.Category,
+      deleted_at: r.Deleted_At,
+      restorable_until: r.Restorable_Until
+    }));
+  },
+
+  async restoreReading(id: number | string) {
+    const currentUser = await authService.getCurrentUser();
+    const userId = currentUser?.user_id;
+    if (!userId) throw new Error("User not authenticated");
+    const res = await axiosInstance.post(`/patient/readings/${id}/restore`, { patient_id: userId });
+    return extractData(res);
+  },
+
+  // Revision history of a reading; scope selects the specialist or staff endpoint
+  async getReadingHistory(scope: "specialist" | "staff", patientId: number, readingId: number | string) {
+    const path = `/${scope}/patients/${patientId}/readings/${readingId}/history`;
+    const res = await axiosInstance.get(path);
+    const data = extractData(res);
+    return (data.data?.history || []) as ReadingHistoryEntry[];
+  },
+
+  // Bulk CSV import; dryRun validates and categorizes without saving
+  async importReadings(file: File, dryRun: boolean): Promise<{ success: boolean; message: string; data?: unknown }> {
+    const formData = new FormData();
+    formData.append("file", file);
+    const res = await axiosInstance.post("/patient/readings/import", formData, {
+      params: { dryRun },
+      headers: { "Content-Type": "multipart/form-data" },
+      timeout: 60000
+    });
+    return extractData(res);
+  },
+
+  // medication / insulin dose log
+  async getMedications(params: { startDate?: string; endDate?: string; medicationType?: string } = {}) {
+    const currentUser = await authService.getCurrentUser();
+    const userId = currentUser?.user_id;
+    if (!userId) {
+      console.warn("getMedications failed: No user ID found.");
+      return [];
+    }
+    const res = await axiosInstance.get("/patient/medications", { params: { ...params, patient_id: userId } });
+    const data = extractData(res);
+    return (data.data?.medications || []).map(mapMedication);
+  },
+
+  async createMedication(payload: Record<string, unknown>) {
+    const currentUser = await authService.getCurrentUser();
+    const userId = currentUser?.user_id;
+    if (!userId) throw new Error("User not authenticated");
+    const res = await axiosInstance.post("/patient/medications", { ...payload, patient_id: userId });
+    return extractData(res);
+  },
+
+  async deleteMedication(id: number | string) {
+    const currentUser = await authService.getCurrentUser();
+    const userId = currentUser?.user_id;
+    if (!userId) throw new Error("User not authenticated");
+    const res = await axiosInstance.delete(`/patient/medications/${id}`, { params: { patient_id: userId } });
+    return extractData(res);
+  },
+
+  // meal log & food dictionary
+  async searchFoods(q: string, limit = 20) {
+    const currentUser = await authService.getCurrentUser();
+    const userId = currentUser?.user_id;
+    if (!userId) return [];
+    const res = await axiosInstance.get("/patient/foods", { params: { q, limit, patient_id: userId } });
+    const data = extractData(res);
+    return (data.data?.foods || []).map(mapFood);
+  },
+
+  async addFood(payload: { name: string; carbsPerServing: number; servingDescription?: string; aliases?: string }) {
+    const currentUser = await authService.getCurrentUser();
+    const userId = currentUser?.user_id;
+    if (!userId) throw new Error("User not authenticated");
+    const res = await axiosInstance.post("/patient/foods", { ...payload, patient_id: userId });
+    return extractData(res);
+  },
+
+  async getMeals(params: { startDate?: string; endDate?: string; limit?: number } = {}) {
+    const currentUser = await authService.getCurrentUser();
+    const userId = currentUser?.user_id;
+    if (!userId) {
+      console.warn("getMeals failed: No user ID found.");
+      return [];
+    }
+    const res = await axiosInstance.get("/patient/meals", { params: { ...params, patient_id: userId } });
+    const data = extractData(res);
+    return (data.data?.meals || []).map(mapMeal);
+  },
+
+  async createMeal(payload: {
+    dateTime: string;
+    mealType: string;
+    items: { foodId: number; servings: number }[];
+    notes?: string;
+  }) {
+    const currentUser = await authService.getCurrentUser();
+    const userId = currentUser?.user_id;
+    if (!userId) throw new Error("User not authenticated");
+    const res = await axiosInstance.post("/patient/meals", { ...payload, patient_id: userId });
+    return extractData(res);
+  },
+
+  async deleteMeal(id: number | string) {
+    const currentUser = await authService.getCurrentUser();
+    const userId = currentUser?.user_id;
+    if (!userId) throw new Error("User not authenticated");
+    const res = await axiosInstance.delete(`/patient/meals/${id}`, { params: { patient_id: userId } });
+    return extractData(res);
+  },
+
+  // Dose log of one patient; scope selects the specialist or staff endpoint
+  async getPatientMedications(scope: "specialist" | "staff", patientId: number) {
+    const path = scope === "specialist" ? `/specialist/patients/${patientId}/medications` : `/staff/patients/${patientId}/medications`;
+    const res = await axiosInstance.get(path);
+    const data = extractData(res);
+    const medications = scope === "specialist" ? data.data?.medications : data.data;
+    return (medications || []).map(mapMedication);
+  },
+
   // admin & staff
   async getCategoryThreshold() {
     const res = await this.get("/thresholds");
@@ -97,6 +517,150 @@ export default {
     return res;
   },
 
+  // How saving these thresholds would re-categorize stored readings (nothing is saved)
+  async previewThresholdChange(payload: Record<string, unknown>) {
+    const res = await this.post("/thresholds/preview", payload);
+    return res.data as RecategorizationPreview;
+  },
+
+  // Version history of one threshold set ('default' or a reading context)
+  async getThresholdHistory(context: string) {
+    const res = await this.get("/thresholds/history", { context });
+    return (res.data || []) as ThresholdVersion[];
+  },
+
+  async rollbackThresholds(thresholdId: number, note?: string) {
+    const res = await this.post(`/thresholds/${thresholdId}/rollback`, { note });
+    return res;
+  },
+
+  // Specialist: an assigned patient's threshold profile and the thresholds in effect for them
+  async getThresholdProfile(patientId: number) {
+    const res = await this.get(`/specialist/patients/${patientId}/threshold-profile`);
+    return res.data as { profile: ThresholdProfile | null; effective: Record<string, number | null> };
+  },
+
+  async saveThresholdProfile(patientId: number, payload: Record<string, unknown>) {
+    const res = await this.put(`/specialist/patients/${patientId}/threshold-profile`, payload);
+    return res;
+  },
+
+  async deleteThresholdProfile(patientId: number) {
+    const res = await axiosInstance.delete(`/specialist/patients/${patientId}/threshold-profile`);
+    return extractData(res);
+  },
+
+  // Specialist: apply a threshold template to an assigned patient (replaces their profile)
+  async applyThresholdTemplate(patientId: number, payload: { templateId: number; reason?: string; expiresAt?: string | null }) {
+    const res = await this.post(`/specialist/patients/${patientId}/threshold-profile/template`, payload);
+    return res;
+  },
+
+  // Threshold templates; scope selects the specialist (read-only) or staff/admin endpoint
+  async getThresholdTemplates(scope: "specialist" | "staff" = "staff") {
+    const res = await this.get(scope === "specialist" ? "/specialist/threshold-templates" : "/thresholds/templates");
+    return (res.data || []) as ThresholdTemplate[];
+  },
+
+  async createThresholdTemplate(payload: Record<string, unknown>) {
+    const res = await this.post("/thresholds/templates", payload);
+    return res;
+  },
+
+  // propagate also updates the patient profiles applied from the template
+  async updateThresholdTemplate(templateId: number, payload: Record<string, unknown>, propagate = false) {
+    const res = await this.put(`/thresholds/templates/${templateId}`, { ...payload, propagate });
+    return res;
+  },
+
+  async deleteThresholdTemplate(templateId: number) {
+    const res = await axiosInstance.delete(`/thresholds/templates/${templateId}`);
+    return extractData(res);
+  },
+
+  // Alert rules (staff & admin)
+  async getAlertRules() {
+    const res = await this.get("/alert-rules");
+    return (res.data || []) as AlertRule[];
+  },
+
+  async createAlertRule(payload: Record<string, unknown>) {
+    const res = await this.post("/alert-rules", payload);
+    return res;
+  },
+
+  async updateAlertRule(ruleId: number, payload: Record<string, unknown>) {
+    const res = await this.put(`/alert-rules/${ruleId}`, payload);
+    return res;
+  },
+
+  async deleteAlertRule(ruleId: number) {
+    const res = await axiosInstance.delete(`/alert-rules/${ruleId}`);
+    return extractData(res);
+  },
+
+  // Replay a patient's history against a draft rule (nothing is saved or sent)
+  async testAlertRule(rule: Record<string, unknown>, patientId: number, days = 90) {
+    const res = await this.post("/alert-rules/test", { rule, patientId, days });
+    return res.data as AlertRuleTestResult;
+  },
+
+  // Alert queue (specialists, staff & admin)
+  async getAlertQueue(status?: string) {
+    const res = await this.get("/alerts", status ? { status } : undefined);
+    return (res.data || []) as QueuedAlert[];
+  },
+
+  async acknowledgeAlert(alertId: number) {
+    const res = await this.post(`/alerts/${alertId}/acknowledge`, {});
+    return res.data as QueuedAlert;
+  },
+
+  async resolveAlert(alertId: number, note: string) {
+    const res = await this.post(`/alerts/${alertId}/resolve`, { note });
+    return res.data as QueuedAlert;
+  },
+
+  async getNotifications(unreadOnly = false) {
+    const res = await this.get("/notifications", unreadOnly ? { unread: "true" } : undefined);
+    return res.data as { notifications: InboxNotification[]; unread_count: number };
+  },
+
+  async markNotificationRead(notificationId: number) {
+    const res = await this.post(`/notifications/${notificationId}/read`, {});
+    return res.data as { notification_id: number; unread_count: number };
+  },
+
+  async markAllNotificationsRead() {
+    const res = await this.post("/notifications/read-all", {});
+    return res.data as { updated: number };
+  },
+
+  async deleteNotification(notificationId: number) {
+    const res = await axiosInstance.delete(`/notifications/${notificationId}`);
+    return extractData(res);
+  },
+
+  async clearNotifications(readOnly = false) {
+    const res = await axiosInstance.delete("/notifications", { params: readOnly ? { read: "true" } : undefined });
+    return extractData(res);
+  },
+
+  async getNotificationPreferences() {
+    const res = await this.get("/user/notification-preferences");
+    return res.data as NotificationPreferences;
+  },
+
+  async updateNotificationPreferences(payload: Partial<NotificationPreferences>) {
+    const res = await this.put("/user/notification-preferences", payload);
+    return res.data as NotificationPreferences;
+  },
+
+  async getRecategorizationJob(jobId: number) {
+    const res = await this.get(`/staff/recategorization-jobs/${jobId}`);
+    return res.data as RecategorizationJob;
+  },
+
   async getStaffPatients() {
     const res = await this.get("/staff/patients");
     const patients = res.data || [];
@@ -150,6 +714,17 @@ export default {
     }));
   },
 
+  // Ambulatory Glucose Profile; scope selects the specialist or staff endpoint
+  async getPatientAgp(
+    scope: "specialist" | "staff",
+    patientId: number,
+    params: { days?: number; binMinutes?: number; endDate?: string } = {}
+  ): Promise<{ success: boolean; message: string; data?: unknown }> {
+    const path = scope === "specialist" ? `/specialist/patients/${patientId}/agp` : `/staff/patients/${patientId}/agp`;
+    const res = await axiosInstance.get(path, { params, timeout: 20000 });
+    return extractData(res);
+  },
+
   async getStaffPatientFeedback(patientId: number) {
     const res = await axiosInstance.get(`/staff/patients/${patientId}/feedback`);
     const data = extractData(res);
@@ -295,7 +870,9 @@ export default {
       specialist_id: item.Specialist_ID,
       specialist_name: item.Specialist_Name,
       specialist_email: item.Specialist_Email,
-      assigned_at: item.Assigned_At
+      assigned_at: item.Assigned_At,
+      backup_specialist_id: item.Backup_Specialist_ID,
+      backup_specialist_name: item.Backup_Specialist_Name
     }));
   },
 
@@ -304,11 +881,32 @@ export default {
     return extractData(res);
   },
 
+  async setBackupSpecialist(patientId: number, backupSpecialistId: number | null) {
+    const res = await axiosInstance.put(`/admin/assignments/${patientId}/backup`, { backup_specialist_id: backupSpecialistId });
+    return extractData(res);
+  },
+
   async unassignSpecialistFromPatient(patientId: number) {
     const res = await axiosInstance.delete(`/admin/assignments/${patientId}`);
     return extractData(res);
   },
 
+  // Scheduled tasks (admin)
+  async getScheduledTasks() {
+    const res = await this.get("/admin/scheduled-tasks");
+    return (res.data || []) as ScheduledTask[];
+  },
+
+  async updateScheduledTask(taskKey: string, payload: { cron_expression?: string; is_enabled?: boolean; settings?: Record<string, number> }) {
+    const res = await this.put(`/admin/scheduled-tasks/${taskKey}`, payload);
+    return res.data as ScheduledTask;
+  },
+
+  async runScheduledTask(taskKey: string) {
+    const res = await this.post(`/admin/scheduled-tasks/${taskKey}/run`, {});
+    return res.data as ScheduledTask;
+  },
+
   async saveReport(report: Record<string, any>) {
     const res = await axiosInstance.post("/admin/reports", report);
     return extractData(res);
@@ -4,7 +4,10 @@
 
 import { io, Socket } from 'socket.io-client';
 
-interface NotificationData {
+export interface NotificationData {
+  id?: number | string;
+  notificationId?: number; // Inbox entry; absent for system messages
+  replayed?: boolean; // Missed while offline and sent on reconnect
   type: string;
   title: string;
   message: string;
@@ -13,10 +16,37 @@ interface NotificationData {
   timestamp: string;
 }
 
+// Domain events the server publishes so that open dashboards can update in place
+export type LiveEvent =
+  | 'reading.created'
+  | 'reading.updated'
+  | 'reading.deleted'
+  | 'suggestion.created'
+  | 'feedback.created'
+  | 'alert.updated'
+  | 'assignment.changed';
+
+// Live events carry IDs only; listeners fetch what changed through the API
+export interface LiveEventData {
+  event: LiveEvent;
+  patientId: number;
+  readingIds?: number[];
+  restored?: boolean; // reading.created for a reading restored after deletion
+  suggestionId?: number;
+  feedbackId?: number;
+  alertId?: number;
+  status?: string; // New alert status
+  timestamp: string;
+}
+
+type LiveEventListener = (data: LiveEventData) => void;
+
 class SocketService {
   private socket: Socket | null = null;
   private userId: number | null = null;
   private token: string | null = null;
+  private listeners = new Set<(data: NotificationData) => void>();
+  private liveListeners = new Map<LiveEvent, Set<LiveEventListener>>();
 
   /**
    * Initializes and connects to the Socket.IO server.
@@ -32,24 +62,21 @@ class SocketService {
     this.userId = userId;
     this.token = token;
 
-    // Connect to the backend Socket.IO server
-    // Note: The backend server.js needs to be updated to initialize socketManager.
+    // Connect to the backend Socket.IO server. The server verifies the token during the
+    // handshake and takes the user and role from it.
     this.socket = io('http://localhost:5000', { // Assuming backend runs on port 5000
-      extraHeaders: {
-        Authorization: `Bearer ${this.token}` // Send JWT for authentication if backend handles it this way
-      }
+      auth: { token: this.token }
     });
 
     this.socket.on('connect', () => {
-      console.log(`Connected to Socket.IO server with socket ID: ${this.socket?.id}`);
-      // Register the user with the backend socketManager
-      this.socket?.emit('register', this.userId);
+      console.log(`Connected to Socket.IO server with socket ID: ${this.socket?.id} (user ${this.userId})`);
     });
 
     this.socket.on('disconnect', () => {
       console.log('Disconnected from Socket.IO server.');
     });
 
+    // Also raised when the server rejects the token (e.g. it has expired)
     this.socket.on('connect_error', (err) => {
       console.error('Socket.IO connection error:', err.message);
     });
@@ -61,6 +88,11 @@ class SocketService {
       // For now, we'll just log and rely on components listening.
       this.notifyListeners(data);
     });
+
+    // Dispatch live events to their listeners
+    this.socket.onAny((event: string, data: LiveEventData) => {
+      this.liveListeners.get(event as LiveEvent)?.forEach(listener => listener(data));
+    });
   }
 
   /**
@@ -76,13 +108,12 @@ class SocketService {
   }
 
   /**
-   * Subscribes a listener to incoming notifications.
+   * Subscribes a listener to incoming notifications. Listeners are kept by the service, so
+   * components may subscribe before the socket connects.
    * @param listener A callback function that receives NotificationData.
    */
   public onNotification(listener: (data: NotificationData) => void): void {
-    if (this.socket) {
-      this.socket.on('notification', listener);
-    }
+    this.listeners.add(listener);
   }
 
   /**
@@ -90,9 +121,31 @@ class SocketService {
    * @param listener The callback function to remove.
    */
   public offNotification(listener: (data: NotificationData) => void): void {
-    if (this.socket) {
-      this.socket.off('notification', listener);
-    }
+    this.listeners.delete(listener);
+  }
+
+  /**
+   * Subscribes a listener to live events. Like notification listeners, these may be added before
+   * the socket connects.
+   * @param events The event or events to listen for.
+   * @param listener A callback function that receives LiveEventData.
+   */
+  public onLiveEvent(events: LiveEvent | LiveEvent[], listener: LiveEventListener): void {
+    (Array.isArray(events) ? events : [events]).forEach(event => {
+      if (!this.liveListeners.has(event)) this.liveListeners.set(event, new Set());
+      this.liveListeners.get(event)?.add(listener);
+    });
+  }
+
+  /**
+   * Removes a live event listener.
+   * @param events The event or events it was subscribed to.
+   * @param listener The callback function to remove.
+   */
+  public offLiveEvent(events: LiveEvent | LiveEvent[], listener: LiveEventListener): void {
+    (Array.isArray(events) ? events : [events]).forEach(event => {
+      this.liveListeners.get(event)?.delete(listener);
+    });
   }
 
   public onNewAlert(listener: (data: { message: string }) => void): void {
@@ -113,10 +166,7 @@ class SocketService {
 
   // Internal method to notify all subscribed listeners
   private notifyListeners(data: NotificationData): void {
-    // This is a simple implementation. For a more robust solution,
-    // consider using an EventEmitter pattern within this class or a global state manager.
-    // For now, listeners are registered via onNotification directly on the socket.
-    // The socket.on('notification', ...) above already notifies.
+    this.listeners.forEach(listener => listener(data));
   }
 
   // Optionally, you might want a way to emit events from the frontend
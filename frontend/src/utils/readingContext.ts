@@ -0,0 +1,20 @@
+/**
+ * readingContext.ts
+ *
+ * Meal/time context of a reading. Values match Sugar_Reading.Reading_Context on the
+ * backend (see backend/utils/readingContext.js).
+ */
+
+export type ReadingContext = "Fasting" | "Before_Meal" | "After_Meal" | "Bedtime" | "Overnight" | "Random";
+
+export const READING_CONTEXTS: { value: ReadingContext; label: string }[] = [
+  { value: "Fasting", label: "Fasting" },
+  { value: "Before_Meal", label: "Before meal" },
+  { value: "After_Meal", label: "2h after meal" },
+  { value: "Bedtime", label: "Bedtime" },
+  { value: "Overnight", label: "Overnight" },
+  { value: "Random", label: "Random" },
+];
+
+export const contextLabel = (context?: string | null): string =>
+  READING_CONTEXTS.find((c) => c.value === context)?.label || "";